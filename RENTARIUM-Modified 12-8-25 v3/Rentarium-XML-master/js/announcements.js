@@ -549,26 +549,6 @@ function downloadFile(content, filename, type) {
   URL.revokeObjectURL(url);
 }
 
-// API Integration Template (for future development)
-// Uncomment and modify when connecting to backend
-
-/*
-async function syncWithUserDashboard() {
-  try {
-    const response = await fetch('/api/announcements', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        announcements: announcements.filter(a => a.status === 'published')
-      })
-    });
-    const data = await response.json();
-    console.log('Synced with user dashboard:', data);
-  } catch (error) {
-    console.error('Sync error:', error);
-  }
-}
-
-// Call this after creating/updating announcements
-// syncWithUserDashboard();
-*/
\ No newline at end of file
+// Server sync: pages share announcements through RentariumStore. Set
+// RentariumStore.BACKEND = 'api' and run server/rentarium-server.js to keep
+// them on the local server at /api/announcements.
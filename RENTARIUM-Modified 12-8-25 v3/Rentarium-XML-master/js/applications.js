@@ -0,0 +1,336 @@
+/* applications.js - Rental Applications page: review, approve and reject applications (uses js/rentarium-applications.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let applications = [];
+  let openId = null;
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function formatDate(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleDateString();
+    } catch {
+      return d;
+    }
+  }
+
+  function formatDateTime(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleString();
+    } catch {
+      return d;
+    }
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function money(n) {
+    return '₱' + Number(n || 0).toLocaleString();
+  }
+
+  // Another application may already have taken the unit
+  function unitAvailable(application) {
+    const unit = RentariumStore.getById('units', application.unitNumber);
+    return RentariumApplications.isOpen(unit, { applicationId: application.id });
+  }
+
+  function statusBadge(application) {
+    const classes = { pending: 'pending', approved: 'active', rejected: 'expired' };
+    const label = application.status.charAt(0).toUpperCase() + application.status.slice(1);
+    return `<span class="status-badge ${classes[application.status] || ''}">${label}</span>`;
+  }
+
+  /* ---------------------------
+     Data
+  --------------------------- */
+  function refresh() {
+    applications = RentariumStore.getAll('applications')
+      .slice()
+      .sort((a, b) => String(b.submittedAt || '').localeCompare(String(a.submittedAt || '')));
+    renderStats();
+    filterApplications();
+    if (openId) renderModal();
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function renderStats() {
+    const count = status => applications.filter(a => a.status === status).length;
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-value">${count('pending')}</div>
+        <div class="stat-label">Pending Review</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${count('approved')}</div>
+        <div class="stat-label">Approved</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${count('rejected')}</div>
+        <div class="stat-label">Rejected</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${RentariumApplications.vacantUnits().length}</div>
+        <div class="stat-label">Vacant Units</div>
+      </div>
+    `;
+  }
+
+  function renderTable(list) {
+    refs.listTitle.textContent = `Applications (${list.length})`;
+
+    if (list.length === 0) {
+      refs.applicationsTbody.innerHTML = '<tr><td colspan="8" class="empty-applications">No applications</td></tr>';
+      return;
+    }
+
+    refs.applicationsTbody.innerHTML = list.map(a => `
+      <tr>
+        <td>${escapeHtml(a.id)}</td>
+        <td>
+          <div class="tenant-details">
+            <h4>${escapeHtml(a.name)}</h4>
+            <p>${escapeHtml(a.email)}</p>
+          </div>
+        </td>
+        <td>
+          ${escapeHtml(a.unitNumber)}
+          ${a.status === 'pending' && !unitAvailable(a) ? '<span class="unit-taken" title="The unit is no longer vacant">taken</span>' : ''}
+        </td>
+        <td>${escapeHtml(formatDate(a.moveInDate))}</td>
+        <td>${money(a.monthlyIncome)}</td>
+        <td>${escapeHtml(formatDateTime(a.submittedAt))}</td>
+        <td>${statusBadge(a)}</td>
+        <td>
+          <div class="action-btns">
+            <button class="action-btn view" data-action="view" data-id="${escapeHtml(a.id)}">${a.status === 'pending' ? 'Review' : 'View'}</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  function filterApplications() {
+    const q = refs.searchInput.value.trim().toLowerCase();
+    const status = refs.statusFilter.value;
+
+    const list = applications.filter(a => {
+      if (status !== 'all' && a.status !== status) return false;
+      if (!q) return true;
+      return [a.id, a.name, a.email, a.phone, a.unitNumber, a.username]
+        .some(v => String(v || '').toLowerCase().includes(q));
+    });
+    renderTable(list);
+  }
+
+  /* ---------------------------
+     Modal
+  --------------------------- */
+  function row(label, value) {
+    return `<div class="detail-row"><span class="detail-label">${label}</span><span class="detail-value">${escapeHtml(value) || '—'}</span></div>`;
+  }
+
+  function renderDocuments(application) {
+    return (application.documents || []).map((doc, index) => RentariumUploads.isImage(doc)
+      ? `<button class="document" data-doc="${index}" title="Open full size"><img src="${escapeHtml(doc.dataUrl)}" alt="${escapeHtml(doc.name)}"></button>`
+      : `<button class="document document-file" data-doc="${index}" title="Open">📄<span>${escapeHtml(doc.name)}</span></button>`
+    ).join('') || '<p class="empty-applications">No files</p>';
+  }
+
+  function renderModal() {
+    const a = applications.find(x => x.id === openId);
+    if (!a) return closeModal();
+
+    const unit = RentariumStore.getById('units', a.unitNumber);
+    const ratio = unit && unit.price ? (a.monthlyIncome / unit.price).toFixed(1) : null;
+
+    refs.applicationTitle.innerHTML = `${escapeHtml(a.id)} ${statusBadge(a)}`;
+    refs.applicationBody.innerHTML = `
+      <div class="application-grid">
+        <section>
+          <h4>Unit Requested</h4>
+          ${row('Unit', unit ? `${a.unitNumber} - ${unit.type} (${unit.status})` : `${a.unitNumber} (deleted)`)}
+          ${row('Monthly Rent', unit ? money(unit.price) : '')}
+          ${row('Move-in Date', formatDate(a.moveInDate))}
+          ${row('Lease Length', `${a.leaseMonths} months`)}
+          ${row('Occupants', a.occupants)}
+        </section>
+        <section>
+          <h4>Applicant</h4>
+          ${row('Name', a.name)}
+          ${row('Email', a.email)}
+          ${row('Phone', a.phone)}
+          ${row('Date of Birth', formatDate(a.birthDate))}
+          ${row('Current Address', a.currentAddress)}
+        </section>
+        <section>
+          <h4>Employment</h4>
+          ${row('Status', a.employmentStatus)}
+          ${row('Employer / School', a.employer)}
+          ${row('Position', a.jobTitle)}
+          ${row('Monthly Income', money(a.monthlyIncome))}
+          ${row('Income to Rent', ratio ? `${ratio}×` : '')}
+        </section>
+        <section>
+          <h4>Account</h4>
+          ${row('Username', a.username)}
+          ${row('Tenant ID', a.tenantId)}
+          ${row('Submitted', formatDateTime(a.submittedAt))}
+          ${a.reviewedAt ? row(a.status === 'approved' ? 'Approved' : 'Rejected', `${formatDateTime(a.reviewedAt)} by ${a.reviewedBy || 'unknown'}`) : ''}
+          ${a.status === 'approved' ? row('Lease', `${formatDate(a.leaseStart)} – ${formatDate(a.leaseEnd)}`) : ''}
+          ${a.decisionNote ? row('Reason', a.decisionNote) : ''}
+        </section>
+      </div>
+      <section class="application-ids">
+        <h4>Identification: ${escapeHtml(a.idType)} ${escapeHtml(a.idNumber)}</h4>
+        <div class="documents">${renderDocuments(a)}</div>
+      </section>
+      ${a.message ? `<section class="application-ids"><h4>Message</h4><p class="application-message">${escapeHtml(a.message)}</p></section>` : ''}
+    `;
+
+    const pending = a.status === 'pending';
+    refs.decisionPanel.style.display = pending ? 'block' : 'none';
+    if (pending) {
+      const available = unitAvailable(a);
+      refs.unitWarning.textContent = available ? '' : `Unit ${a.unitNumber} is no longer vacant, so this application can only be rejected.`;
+      refs.unitWarning.style.display = available ? 'none' : 'block';
+      refs.approveBtn.disabled = !available;
+    }
+  }
+
+  function openApplication(id) {
+    const a = applications.find(x => x.id === id);
+    if (!a) return;
+
+    openId = id;
+    refs.leaseStart.value = a.moveInDate || '';
+    refs.leaseEnd.value = a.moveInDate ? RentariumApplications.leaseEnd(a.moveInDate, a.leaseMonths || 12) : '';
+    renderModal();
+    refs.applicationModal.classList.add('show');
+  }
+
+  function closeModal() {
+    openId = null;
+    refs.applicationModal.classList.remove('show');
+  }
+
+  // Browsers refuse to open data: URLs in a new tab, so go through a blob
+  function openDocument(index) {
+    const a = applications.find(x => x.id === openId);
+    const doc = a && a.documents[index];
+    if (!doc) return;
+
+    RentariumUploads.toBlob(doc)
+      .then(blob => {
+        const url = URL.createObjectURL(blob);
+        window.open(url, '_blank');
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+      })
+      .catch(err => alert('Could not open the file: ' + err.message));
+  }
+
+  /* ---------------------------
+     Decisions
+  --------------------------- */
+  function approveApplication() {
+    const a = applications.find(x => x.id === openId);
+    if (!a || !RentariumPermissions.check('applications.review')) return;
+    if (!confirm(`Approve ${a.name} for unit ${a.unitNumber}? Their account becomes active and the unit is reserved for them.`)) return;
+
+    refs.approveBtn.disabled = true;
+    RentariumApplications.approve(a.id, { leaseStart: refs.leaseStart.value, leaseEnd: refs.leaseEnd.value })
+      .then(() => {
+        console.log('✅ Application approved:', a.id);
+        refresh();
+        alert(`Application ${a.id} approved. Unit ${a.unitNumber} is now Reserved for ${a.name}.`);
+      })
+      .catch(err => {
+        refs.approveBtn.disabled = false;
+        alert(err.message);
+      });
+  }
+
+  function rejectApplication() {
+    const a = applications.find(x => x.id === openId);
+    if (!a || !RentariumPermissions.check('applications.review')) return;
+
+    const reason = prompt(`Reason for rejecting ${a.name}'s application (sent to the applicant):`);
+    if (reason === null) return;
+
+    RentariumApplications.reject(a.id, reason)
+      .then(() => {
+        console.log('✖ Application rejected:', a.id);
+        refresh();
+      })
+      .catch(err => alert(err.message));
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      listTitle: document.getElementById('listTitle'),
+      applicationsTbody: document.getElementById('applicationsTbody'),
+      searchInput: document.getElementById('searchInput'),
+      statusFilter: document.getElementById('statusFilter'),
+      applicationModal: document.getElementById('applicationModal'),
+      applicationTitle: document.getElementById('applicationTitle'),
+      applicationBody: document.getElementById('applicationBody'),
+      decisionPanel: document.getElementById('decisionPanel'),
+      unitWarning: document.getElementById('unitWarning'),
+      leaseStart: document.getElementById('leaseStart'),
+      leaseEnd: document.getElementById('leaseEnd'),
+      approveBtn: document.getElementById('approveBtn'),
+      rejectBtn: document.getElementById('rejectBtn')
+    };
+
+    refs.searchInput.addEventListener('input', filterApplications);
+    refs.statusFilter.addEventListener('change', filterApplications);
+    document.getElementById('closeModalBtn').addEventListener('click', closeModal);
+    refs.applicationModal.addEventListener('click', (e) => {
+      if (e.target === refs.applicationModal) closeModal();
+    });
+    refs.applicationBody.addEventListener('click', (e) => {
+      const doc = e.target.closest('[data-doc]');
+      if (doc) openDocument(Number(doc.dataset.doc));
+    });
+    refs.approveBtn.addEventListener('click', approveApplication);
+    refs.rejectBtn.addEventListener('click', rejectApplication);
+
+    refs.applicationsTbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action="view"]');
+      if (btn) openApplication(btn.dataset.id);
+    });
+
+    // New applications and units taken elsewhere show up straight away
+    RentariumStore.on(['application.*', 'unit.*'], refresh);
+
+    refresh();
+    console.log('✅ Applications initialized:', { applications: applications.length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
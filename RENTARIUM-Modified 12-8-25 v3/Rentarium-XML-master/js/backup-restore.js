@@ -0,0 +1,309 @@
+/* backup-restore.js - Backup & Restore page (uses js/rentarium-backup.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let pendingArchive = null;   // archive chosen for restore, already validated
+
+  // Display names for the preview table
+  const COLLECTION_LABELS = {
+    tenants: 'Tenants',
+    units: 'Units',
+    payments: 'Payments',
+    bills: 'Utility Bills',
+    rentStatus: 'Rent Status',
+    ledger: 'Tenant Ledger',
+    receipts: 'Official Receipts',
+    contracts: 'Contracts',
+    announcements: 'Announcements',
+    activityLog: 'Activity Log',
+    securityLogs: 'Security Log',
+    users: 'Users',
+    rooms: 'Rooms',
+    contractNotifications: 'Contract Notifications',
+    terminationNotifications: 'Termination Notifications',
+    sequences: 'ID Counters',
+    mailOutbox: 'Mail Outbox',
+    applications: 'Rental Applications',
+    waitlist: 'Unit Waitlist'
+  };
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function label(name) {
+    return COLLECTION_LABELS[name] || name;
+  }
+
+  function formatDateTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '—';
+  }
+
+  function totalRecords(counts) {
+    return Object.values(counts).reduce((sum, n) => sum + n, 0);
+  }
+
+  /* ---------------------------
+     Stats
+  --------------------------- */
+  function renderStats() {
+    const counts = RentariumBackup.countRecords(RentariumBackup.createArchive());
+    const snapshots = RentariumBackup.listSnapshots();
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-value">${counts.tenants || 0}</div>
+        <div class="stat-label">Tenants</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${counts.units || 0}</div>
+        <div class="stat-label">Units</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${counts.payments || 0}</div>
+        <div class="stat-label">Payments</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${totalRecords(counts)}</div>
+        <div class="stat-label">Total Records</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${snapshots.length}</div>
+        <div class="stat-label">Snapshots</div>
+      </div>
+    `;
+  }
+
+  /* ---------------------------
+     Backup
+  --------------------------- */
+  function downloadBackup() {
+    const archive = RentariumBackup.createArchive(refs.backupNote.value.trim());
+    RentariumBackup.download(archive);
+    RentariumStore.logActivity('Backup downloaded by Admin', {
+      records: totalRecords(RentariumBackup.countRecords(archive))
+    });
+    refs.backupNote.value = '';
+  }
+
+  /* ---------------------------
+     Restore
+  --------------------------- */
+  function selectedMode() {
+    const checked = document.querySelector('input[name="restoreMode"]:checked');
+    return checked ? checked.value : 'merge';
+  }
+
+  function handleFileChosen(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    refs.backupFileName.textContent = file.name;
+
+    RentariumBackup.readFile(file)
+      .then(archive => showRestorePanel(archive))
+      .catch(err => {
+        pendingArchive = null;
+        refs.restorePanel.style.display = 'none';
+        alert('Could not open backup: ' + err.message);
+      });
+  }
+
+  function showRestorePanel(archive) {
+    const check = RentariumBackup.validate(archive);
+    pendingArchive = check.valid ? archive : null;
+
+    refs.validationMessages.innerHTML = [
+      ...check.errors.map(msg => `<li class="error">❌ ${escapeHtml(msg)}</li>`),
+      ...check.warnings.map(msg => `<li class="warning">⚠️ ${escapeHtml(msg)}</li>`)
+    ].join('');
+
+    if (check.valid) {
+      const counts = RentariumBackup.countRecords(archive);
+      refs.archiveInfo.innerHTML = `
+        <div><strong>Created:</strong> ${escapeHtml(formatDateTime(archive.createdAt))} by ${escapeHtml(archive.createdBy || 'unknown')}</div>
+        ${archive.note ? `<div><strong>Note:</strong> ${escapeHtml(archive.note)}</div>` : ''}
+        <div><strong>Format:</strong> v${archive.version} · <strong>Schema:</strong> v${archive.schemaVersion} · <strong>Records:</strong> ${totalRecords(counts)}</div>
+      `;
+      renderPreview();
+    } else {
+      refs.archiveInfo.innerHTML = '<div>This file cannot be restored.</div>';
+      refs.previewBody.innerHTML = '';
+    }
+
+    refs.restoreBtn.disabled = !check.valid;
+    refs.restorePanel.style.display = 'block';
+  }
+
+  function renderPreview() {
+    if (!pendingArchive) return;
+
+    const rows = RentariumBackup.preview(pendingArchive, selectedMode());
+    refs.previewBody.innerHTML = rows.map(row => `
+      <tr>
+        <td>${escapeHtml(label(row.name))}</td>
+        <td>${row.current}</td>
+        <td>${row.incoming}</td>
+        <td class="${row.added ? 'added' : ''}">${row.added}</td>
+        <td class="${row.updated ? 'updated' : ''}">${row.updated}</td>
+        <td class="${row.removed ? 'removed' : ''}">${row.removed}</td>
+      </tr>
+    `).join('') || '<tr><td colspan="6" class="empty-row">Nothing to restore</td></tr>';
+  }
+
+  function cancelRestore() {
+    pendingArchive = null;
+    refs.restorePanel.style.display = 'none';
+    refs.backupFileName.textContent = 'No file chosen';
+  }
+
+  function restoreBackup() {
+    if (!pendingArchive) return;
+
+    const mode = selectedMode();
+    const warning = mode === 'replace'
+      ? 'Replace current data with this backup? Records that are not in the backup will be removed, except official receipts and ledger entries.'
+      : 'Merge this backup into the current data?';
+    if (!confirm(`${warning}\n\nA snapshot of the current data is taken first.`)) return;
+
+    refs.restoreBtn.disabled = true;
+    RentariumBackup.restore(pendingArchive, mode)
+      .then(snapshot => {
+        alert(`✅ Backup restored.\n\nTo undo, restore the snapshot "${snapshot.reason}".`);
+        cancelRestore();
+        renderStats();
+        renderSnapshots();
+      })
+      .catch(err => {
+        refs.restoreBtn.disabled = false;
+        alert('Restore failed, nothing was changed: ' + err.message);
+      });
+  }
+
+  /* ---------------------------
+     Snapshots
+  --------------------------- */
+  function renderSnapshots() {
+    const snapshots = RentariumBackup.listSnapshots();
+
+    refs.snapshotsBody.innerHTML = snapshots.map(s => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(s.createdAt))}</td>
+        <td>${escapeHtml(s.reason)}</td>
+        <td>${totalRecords(s.counts || {})}</td>
+        <td>
+          <button class="btn btn-secondary" onclick="downloadSnapshot('${s.id}')">⬇️ Download</button>
+          <button class="btn btn-secondary" onclick="restoreSnapshot('${s.id}')">♻️ Restore</button>
+          <button class="btn btn-secondary" onclick="deleteSnapshot('${s.id}')">🗑️</button>
+        </td>
+      </tr>
+    `).join('') || '<tr><td colspan="4" class="empty-row">No snapshots yet</td></tr>';
+  }
+
+  function takeSnapshot() {
+    RentariumBackup.snapshot('Manual snapshot');
+    renderStats();
+    renderSnapshots();
+  }
+
+  window.downloadSnapshot = function(id) {
+    const snapshot = RentariumBackup.getSnapshot(id);
+    if (snapshot) RentariumBackup.download(snapshot.archive);
+  };
+
+  // Snapshots always restore with replace so the data goes back exactly
+  window.restoreSnapshot = function(id) {
+    const snapshot = RentariumBackup.getSnapshot(id);
+    if (!snapshot) return;
+
+    const preview = RentariumBackup.preview(snapshot.archive, 'replace')
+      .filter(row => row.added || row.updated || row.removed)
+      .map(row => `${label(row.name)}: +${row.added} ~${row.updated} -${row.removed}`);
+
+    const message = `Roll back to the snapshot "${snapshot.reason}" from ${formatDateTime(snapshot.createdAt)}?\n\n` +
+      (preview.length ? preview.join('\n') : 'No differences from the current data.') +
+      '\n\nA snapshot of the current data is taken first.';
+    if (!confirm(message)) return;
+
+    RentariumBackup.restore(snapshot.archive, 'replace')
+      .then(() => {
+        alert('✅ Snapshot restored.');
+        renderStats();
+        renderSnapshots();
+      })
+      .catch(err => alert('Restore failed, nothing was changed: ' + err.message));
+  };
+
+  window.deleteSnapshot = function(id) {
+    if (!confirm('Delete this snapshot? It cannot be recovered.')) return;
+    RentariumBackup.deleteSnapshot(id);
+    renderStats();
+    renderSnapshots();
+  };
+
+  /* ---------------------------
+     Events
+  --------------------------- */
+  function bindEvents() {
+    refs.downloadBackupBtn.addEventListener('click', downloadBackup);
+    refs.backupFileInput.addEventListener('change', handleFileChosen);
+    refs.restoreBtn.addEventListener('click', restoreBackup);
+    refs.cancelRestoreBtn.addEventListener('click', cancelRestore);
+    refs.takeSnapshotBtn.addEventListener('click', takeSnapshot);
+    document.querySelectorAll('input[name="restoreMode"]').forEach(radio => {
+      radio.addEventListener('change', renderPreview);
+    });
+
+    // Other tabs changing data make the stats and preview stale
+    RentariumStore.on('*', () => {
+      renderStats();
+      renderSnapshots();
+      renderPreview();
+    });
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      backupNote: document.getElementById('backupNote'),
+      downloadBackupBtn: document.getElementById('downloadBackupBtn'),
+      backupFileInput: document.getElementById('backupFileInput'),
+      backupFileName: document.getElementById('backupFileName'),
+      restorePanel: document.getElementById('restorePanel'),
+      archiveInfo: document.getElementById('archiveInfo'),
+      validationMessages: document.getElementById('validationMessages'),
+      previewBody: document.getElementById('previewBody'),
+      restoreBtn: document.getElementById('restoreBtn'),
+      cancelRestoreBtn: document.getElementById('cancelRestoreBtn'),
+      takeSnapshotBtn: document.getElementById('takeSnapshotBtn'),
+      snapshotsBody: document.getElementById('snapshotsBody')
+    };
+
+    document.getElementById('maxSnapshots').textContent = RentariumBackup.MAX_SNAPSHOTS;
+
+    renderStats();
+    renderSnapshots();
+    bindEvents();
+
+    console.log('✅ Backup & Restore initialized');
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -0,0 +1,128 @@
+/* change-password.js - Change Password page for tenants and staff (uses js/rentarium-credentials.js) */
+
+(function () {
+  'use strict';
+
+  let refs = {};
+  let session = null;
+
+  /* ---------------------------
+     Messages
+  --------------------------- */
+  function showError(message) {
+    refs.successMessage.style.display = 'none';
+    refs.errorMessage.textContent = message;
+    refs.errorMessage.style.display = 'block';
+  }
+
+  function showSuccess(message) {
+    refs.errorMessage.style.display = 'none';
+    refs.successMessage.textContent = message;
+    refs.successMessage.style.display = 'block';
+  }
+
+  /* ---------------------------
+     Live rule checklist
+  --------------------------- */
+  function renderRules() {
+    const password = refs.newPassword.value;
+    const failed = RentariumCredentials.passwordProblems(password, session.username);
+    const labels = RentariumCredentials.RULES.map(rule => rule.label).concat(RentariumCredentials.USERNAME_RULE);
+
+    refs.passwordRules.innerHTML = labels.map(label => {
+      const met = password && !failed.includes(label);
+      return `<li class="${met ? 'met' : ''}">${met ? '✓' : '•'} ${label}</li>`;
+    }).join('');
+
+    refs.passwordStrength.className = 'password-strength ' + (password ? RentariumCredentials.strength(password) : '');
+  }
+
+  /* ---------------------------
+     Submit
+  --------------------------- */
+  function handleSubmit(e) {
+    e.preventDefault();
+
+    const current = refs.currentPassword.value;
+    const next = refs.newPassword.value;
+
+    if (next !== refs.confirmPassword.value) {
+      return showError('The new passwords do not match');
+    }
+
+    refs.submitBtn.disabled = true;
+    refs.submitBtn.textContent = 'Saving...';
+
+    RentariumCredentials.changePassword(session, current, next)
+      .then(() => {
+        RentariumStore.logSecurityEvent('PASSWORD_CHANGED', {
+          username: session.username,
+          role: session.role,
+          page: 'Change-Password.html'
+        });
+        session = RentariumSession.passwordChanged();
+        refs.passwordForm.reset();
+        renderRules();
+        showSuccess('Password changed. Redirecting...');
+        setTimeout(() => {
+          window.location.href = RentariumSession.homePage(session);
+        }, 1000);
+      })
+      .catch(err => {
+        if (err.code === 'WRONG_PASSWORD') {
+          RentariumStore.logSecurityEvent('PASSWORD_CHANGE_FAILED', {
+            username: session.username,
+            role: session.role,
+            page: 'Change-Password.html'
+          });
+        }
+        showError(err.message);
+        refs.submitBtn.disabled = false;
+        refs.submitBtn.textContent = 'Change Password';
+      });
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    session = RentariumSession.current();
+    if (!session) return;
+
+    refs = {
+      accountName: document.getElementById('accountName'),
+      forcedNotice: document.getElementById('forcedNotice'),
+      backLink: document.getElementById('backLink'),
+      backBtn: document.getElementById('backBtn'),
+      errorMessage: document.getElementById('errorMessage'),
+      successMessage: document.getElementById('successMessage'),
+      passwordForm: document.getElementById('passwordForm'),
+      currentPassword: document.getElementById('currentPassword'),
+      newPassword: document.getElementById('newPassword'),
+      confirmPassword: document.getElementById('confirmPassword'),
+      passwordStrength: document.getElementById('passwordStrength'),
+      passwordRules: document.getElementById('passwordRules'),
+      submitBtn: document.getElementById('submitBtn')
+    };
+
+    refs.accountName.textContent = `${session.fullName || session.username} (${session.username})`;
+
+    // Until the password is changed there is nowhere to go back to
+    if (session.mustChangePassword) {
+      refs.forcedNotice.style.display = 'block';
+      refs.backLink.style.display = 'none';
+    } else {
+      refs.backBtn.href = RentariumSession.homePage(session);
+    }
+
+    refs.newPassword.addEventListener('input', renderRules);
+    refs.passwordForm.addEventListener('submit', handleSubmit);
+
+    renderRules();
+    console.log('✅ Change Password initialized');
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
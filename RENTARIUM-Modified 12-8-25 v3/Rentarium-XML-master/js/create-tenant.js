@@ -2,35 +2,12 @@
   // CONFIG: change this if your tenants management page path differs
   const TENANTS_PAGE = '../ADMIN/Tenants-Section.html';
 
-  // Helpers for localStorage
-  function readJSON(key, fallback) {
-    try { return JSON.parse(localStorage.getItem(key)) ?? fallback; }
-    catch (e) { return fallback; }
-  }
-  function writeJSON(key, value) { 
-    localStorage.setItem(key, JSON.stringify(value)); 
-  }
-
-  // Initialize units if not present
-  if (!localStorage.getItem('units')) {
-    const sampleUnits = {
-      "U001": { type: "Studio", price: 7500, status: "Vacant" },
-      "U002": { type: "1BR", price: 9500, status: "Vacant" },
-      "U003": { type: "2BR", price: 12000, status: "Vacant" }
-    };
-    writeJSON('units', sampleUnits);
-  }
-
-  // Generate tenant ID (TEN001, TEN002, etc.)
-  function generateTenantId(tenants) {
-    if (!tenants || tenants.length === 0) return 'TEN001';
-    const nums = tenants
-      .map(t => (t.tenantId || '').match(/\d+$/))
-      .filter(m => m)
-      .map(m => parseInt(m[0], 10));
-    const next = (nums.length === 0) ? 1 : Math.max(...nums) + 1;
-    return 'TEN' + String(next).padStart(3, '0');
-  }
+  // Sample units used when none exist yet
+  const sampleUnits = {
+    "U001": { type: "Studio", price: 7500, status: "Vacant" },
+    "U002": { type: "1BR", price: 9500, status: "Vacant" },
+    "U003": { type: "2BR", price: 12000, status: "Vacant" }
+  };
 
   // DOM
   const form = document.getElementById('tenantAccountForm') || document.getElementById('tenantForm');
@@ -67,7 +44,8 @@
     if (!data.username || data.username.trim().length < 4) return 'Username must be at least 4 characters';
     if (!data.email || !/^\S+@\S+\.\S+$/.test(data.email)) return 'Valid email is required';
     if (!data.phone || data.phone.trim().length < 10) return 'Valid phone number is required';
-    if (!data.password || data.password.length < 8) return 'Password must be at least 8 characters';
+    const passwordProblems = RentariumCredentials.passwordProblems(data.password || '', data.username);
+    if (passwordProblems.length > 0) return 'Password needs: ' + passwordProblems.join(', ');
     if (!data.unitAssigned) return 'Please select a unit';
     if (!data.leaseStart || !data.leaseEnd) return 'Lease start and end dates are required';
     if (new Date(data.leaseEnd) <= new Date(data.leaseStart)) return 'Lease end must be after lease start';
@@ -87,6 +65,15 @@
     });
   }
 
+  // Strength bar under the password field
+  const strengthBar = document.getElementById('passwordStrength');
+  if (pwd && strengthBar) {
+    pwd.addEventListener('input', () => {
+      strengthBar.style.display = pwd.value ? 'block' : 'none';
+      strengthBar.className = 'password-strength ' + RentariumCredentials.strength(pwd.value);
+    });
+  }
+
   // Form submission
   form.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -110,20 +97,6 @@
     const deposit = parseInt(document.getElementById('securityDeposit')?.value || document.getElementById('deposit')?.value || 0, 10);
     const rentAmount = parseInt(document.getElementById('monthlyRent')?.value || document.getElementById('rentAmount')?.value || 0, 10);
 
-    // Load existing data
-    const tenants = readJSON('tenants', []);
-    const units = readJSON('units', {});
-
-    // Check for duplicates
-    if (tenants.some(t => t.username === username)) {
-      showToast('Username already exists', 'error');
-      return;
-    }
-    if (tenants.some(t => t.email === email)) {
-      showToast('Email already in use', 'error');
-      return;
-    }
-
     // Validate
     const formData = {
       name,
@@ -142,66 +115,86 @@
       return;
     }
 
-    // Create new tenant
-    const newId = generateTenantId(tenants);
+    // Only the salted hash is stored (js/rentarium-credentials.js).
+    // Tenant, unit and activity log are saved together or not at all
+    RentariumCredentials.hashPassword(password).then(passwordHash => RentariumStore.transaction(['tenants', 'units', 'sequences', 'activityLog'], (store) => {
+      const tenants = store.getAll('tenants');
+      const units = store.getAll('units');
 
-    const newTenant = {
-      tenantId: newId,
-      name: name,
-      username: username,
-      email: email,
-      password: password,
-      phone: phone,
-      unitAssigned: unitAssigned,
-      leaseStart: leaseStart,
-      leaseEnd: leaseEnd,
-      status: status,
-      notes: notes,
-      deposit: deposit,
-      rentAmount: rentAmount,
-      dateCreated: new Date().toISOString()
-    };
+      // Check for duplicates
+      if (tenants.some(t => t.username === username)) {
+        throw new Error('Username already exists');
+      }
+      if (tenants.some(t => t.email === email)) {
+        throw new Error('Email already in use');
+      }
 
-    // Add to tenants array
-    tenants.push(newTenant);
-    writeJSON('tenants', tenants);
+      // Another tab may have filled the unit since the form loaded
+      if (units[unitAssigned] && units[unitAssigned].status !== 'Vacant') {
+        throw new Error(`Unit ${unitAssigned} is no longer vacant`);
+      }
 
-    // Update unit status
-    if (units && units[unitAssigned]) {
-      units[unitAssigned].status = 'Occupied';
-      writeJSON('units', units);
-    }
+      // Create new tenant
+      const newId = RentariumIds.next('tenant');
+
+      const newTenant = {
+        tenantId: newId,
+        name: name,
+        username: username,
+        email: email,
+        passwordHash: passwordHash,
+        mustChangePassword: true,
+        phone: phone,
+        unitAssigned: unitAssigned,
+        leaseStart: leaseStart,
+        leaseEnd: leaseEnd,
+        status: status,
+        notes: notes,
+        deposit: deposit,
+        rentAmount: rentAmount,
+        dateCreated: new Date().toISOString()
+      };
+
+      // Add to tenants array
+      tenants.push(newTenant);
+      store.saveAll('tenants', tenants);
 
-    // Log activity
-    const activityLog = readJSON('activityLog', []);
-    activityLog.push({
-      id: 'ACT' + Date.now(),
-      action: `Tenant ${newTenant.tenantId} created by Admin`,
-      actor: 'Admin',
-      date: new Date().toISOString(),
-      details: { 
-        tenantId: newTenant.tenantId, 
+      // Update unit status
+      if (units[unitAssigned]) {
+        units[unitAssigned].status = 'Occupied';
+        units[unitAssigned].tenantId = newTenant.tenantId;
+        units[unitAssigned].tenantName = newTenant.name;
+        units[unitAssigned].moveInDate = leaseStart;
+        store.saveAll('units', units);
+      }
+
+      // Log activity
+      store.logActivity(`Tenant ${newTenant.tenantId} created by Admin`, {
+        tenantId: newTenant.tenantId,
         username: newTenant.username,
         name: newTenant.name,
         unit: newTenant.unitAssigned
-      }
-    });
-    writeJSON('activityLog', activityLog);
+      });
 
-    console.log('New tenant created:', newTenant);
+      return newTenant;
+    }))
+      .then((newTenant) => {
+        console.log('New tenant created:', newTenant);
 
-    // Show success message
-    showToast('Tenant account created successfully!', 'success');
+        // Show success message (other tabs hear tenant.created from the store)
+        showToast('Tenant account created successfully!', 'success');
 
-    // Trigger storage event for other tabs
-    window.dispatchEvent(new Event('storage'));
-
-    // Redirect to tenants page
-    setTimeout(() => {
-      if (TENANTS_PAGE) {
-        window.location.href = TENANTS_PAGE;
-      }
-    }, 1000);
+        // Redirect to tenants page
+        setTimeout(() => {
+          if (TENANTS_PAGE) {
+            window.location.href = TENANTS_PAGE;
+          }
+        }, 1000);
+      })
+      .catch((err) => {
+        console.error('Create tenant failed:', err);
+        showToast(err.message || 'Could not create tenant', 'error');
+      });
   });
 
   // Populate unit dropdown
@@ -209,24 +202,31 @@
     const select = document.getElementById('unitNumber') || document.getElementById('unitAssigned');
     if (!select) return;
     
-    const units = readJSON('units', {});
+    const units = RentariumStore.getAll('units');
+    const waitlist = RentariumStore.getAll('waitlist');
     select.innerHTML = '<option value="">Select a unit</option>';
     
     for (const [id, u] of Object.entries(units)) {
       const isVacant = u.status === 'Vacant';
+      // Taken units show their waitlist (managed on Units Management)
+      const waiting = RentariumWaitlist.count(id, waitlist);
+      const held = u.status === 'Reserved' && u.reservedUntil ? ` until ${u.reservedUntil}` : '';
       select.insertAdjacentHTML('beforeend', 
         `<option value="${id}" ${!isVacant ? 'disabled' : ''}>
-          ${id} - ${u.type} (${u.status})
+          ${id} - ${u.type} (${u.status}${held}${waiting ? `, ${waiting} on waitlist` : ''})
         </option>`
       );
     }
   }
 
-  // Initialize on page load
-  document.addEventListener('DOMContentLoaded', populateUnits);
+  // Initialize units if not present, then fill the dropdown
+  RentariumStore.whenReady(() => {
+    RentariumStore.ensure('units', sampleUnits);
+    populateUnits();
+  });
   
-  // Listen for storage changes
-  window.addEventListener('storage', populateUnits);
+  // Refresh the dropdown when another tab changes a unit or a waitlist
+  RentariumStore.on(['unit.*', 'waitlist.*'], populateUnits);
 })();
 
 // AUTO-FILL MONTHLY RENT AND SECURITY DEPOSIT WHEN UNIT IS SELECTED
@@ -239,7 +239,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     unitSelect.addEventListener("change", () => {
         const selectedUnit = unitSelect.value;
-        const units = JSON.parse(localStorage.getItem("units")) || {};
+        const units = RentariumStore.getAll("units");
 
         if (units[selectedUnit]) {
             const unitPrice = units[selectedUnit].price;
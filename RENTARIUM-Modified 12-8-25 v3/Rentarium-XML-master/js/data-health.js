@@ -0,0 +1,163 @@
+/* data-health.js - Data Health page (uses js/rentarium-health.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let issues = [];
+  let lastScan = null;
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  /* ---------------------------
+     Scan
+  --------------------------- */
+  function scan() {
+    issues = RentariumHealth.scan();
+    lastScan = new Date();
+    renderStats();
+    renderChecks();
+  }
+
+  function renderStats() {
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.filter(i => i.severity === 'warning').length;
+    const fixable = issues.filter(i => i.fix).length;
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card" style="${errors > 0 ? 'background: #fee2e2; border: 2px solid #ef4444;' : ''}">
+        <div class="stat-value" style="${errors > 0 ? 'color: #991b1b;' : ''}">${errors}</div>
+        <div class="stat-label">Errors</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${warnings}</div>
+        <div class="stat-label">Warnings</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${fixable}</div>
+        <div class="stat-label">Fixable</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value" style="font-size: 20px;">${lastScan ? lastScan.toLocaleTimeString() : '—'}</div>
+        <div class="stat-label">Last Scanned</div>
+      </div>
+    `;
+
+    refs.fixAllBtn.disabled = fixable === 0;
+    refs.fixSelectedBtn.disabled = fixable === 0;
+  }
+
+  function renderChecks() {
+    if (issues.length === 0) {
+      refs.checksContainer.innerHTML = '<div class="content-card healthy-card">✅ No problems found. All records agree with each other.</div>';
+      return;
+    }
+
+    refs.checksContainer.innerHTML = RentariumHealth.CHECKS.map(check => {
+      const found = issues.filter(i => i.checkId === check.id);
+      if (found.length === 0) return '';
+
+      return `
+        <div class="content-card check-card ${check.severity}">
+          <div class="card-header">
+            <h3 class="card-title">
+              ${escapeHtml(check.title)} (${found.length})
+              <span class="severity-badge ${check.severity}">${check.severity === 'error' ? 'Error' : 'Warning'}</span>
+            </h3>
+          </div>
+          <p class="check-explanation">${escapeHtml(check.explanation)}</p>
+          <table class="issue-table">
+            <tbody>
+              ${found.map(issue => `
+                <tr>
+                  <td>${issue.fix ? `<input type="checkbox" class="issue-select" value="${escapeHtml(issue.key)}">` : ''}</td>
+                  <td>${escapeHtml(issue.message)}</td>
+                  <td>
+                    ${issue.fix
+                      ? `<button class="btn btn-secondary" onclick="fixIssue('${escapeHtml(issue.key)}')">${escapeHtml(issue.fixLabel)}</button>`
+                      : '<span class="manual-fix">Fix by hand</span>'}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /* ---------------------------
+     Repair
+  --------------------------- */
+  function repair(keys) {
+    if (keys.length === 0) return;
+
+    RentariumHealth.repair(keys)
+      .then(result => {
+        scan();
+        const note = result.skipped.length > 0
+          ? `\n${result.skipped.length} problem(s) were already fixed elsewhere and were skipped.`
+          : '';
+        alert(`✅ Repaired ${result.repaired.length} problem(s).${note}\n\nA snapshot was taken first (Backup & Restore).`);
+      })
+      .catch(err => alert('Repair failed, nothing was changed: ' + err.message));
+  }
+
+  window.fixIssue = function(key) {
+    const issue = issues.find(i => i.key === key);
+    if (!issue) return;
+    if (!confirm(`${issue.fixLabel}?\n\n${issue.message}`)) return;
+    repair([key]);
+  };
+
+  function fixSelected() {
+    const keys = Array.from(document.querySelectorAll('.issue-select:checked')).map(cb => cb.value);
+    if (keys.length === 0) return alert('Select the problems to fix first');
+    if (!confirm(`Fix ${keys.length} selected problem(s)?`)) return;
+    repair(keys);
+  }
+
+  function fixAll() {
+    const keys = issues.filter(i => i.fix).map(i => i.key);
+    if (!confirm(`Fix all ${keys.length} fixable problem(s)?\n\nProblems marked "Fix by hand" are left alone.`)) return;
+    repair(keys);
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      checksContainer: document.getElementById('checksContainer'),
+      rescanBtn: document.getElementById('rescanBtn'),
+      fixSelectedBtn: document.getElementById('fixSelectedBtn'),
+      fixAllBtn: document.getElementById('fixAllBtn')
+    };
+
+    refs.rescanBtn.addEventListener('click', scan);
+    refs.fixSelectedBtn.addEventListener('click', fixSelected);
+    refs.fixAllBtn.addEventListener('click', fixAll);
+
+    // Rescan when another tab changes anything the checks look at
+    RentariumStore.on(['tenant.*', 'unit.*', 'contract.*', 'payment.*', 'bill.*', 'rentStatus.*'], scan);
+
+    scan();
+    console.log('✅ Data Health initialized:', { problems: issues.length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
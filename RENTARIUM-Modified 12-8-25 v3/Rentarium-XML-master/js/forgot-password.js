@@ -0,0 +1,165 @@
+/* forgot-password.js - Forgot Password page: request a code, then redeem it (uses js/rentarium-password-reset.js) */
+
+(function () {
+  'use strict';
+
+  let refs = {};
+
+  /* ---------------------------
+     Messages
+  --------------------------- */
+  function showError(message) {
+    refs.successMessage.style.display = 'none';
+    refs.errorMessage.textContent = message;
+    refs.errorMessage.style.display = 'block';
+  }
+
+  function showSuccess(message) {
+    refs.errorMessage.style.display = 'none';
+    refs.successMessage.textContent = message;
+    refs.successMessage.style.display = 'block';
+  }
+
+  function clearMessages() {
+    refs.errorMessage.style.display = 'none';
+    refs.successMessage.style.display = 'none';
+  }
+
+  /* ---------------------------
+     Steps
+  --------------------------- */
+  function showStep(step) {
+    const redeeming = step === 'reset';
+    refs.requestForm.style.display = redeeming ? 'none' : 'block';
+    refs.resetForm.style.display = redeeming ? 'block' : 'none';
+    refs.toggleStep.textContent = redeeming ? 'Send me a new code' : 'I already have a code';
+    refs.stepHint.textContent = redeeming
+      ? `Enter the ${RentariumPasswordReset.CODE_DIGITS}-digit code from your email and choose a new password.`
+      : 'Enter your username or email and we will send you a reset code.';
+    renderRules();
+  }
+
+  function handleToggle(e) {
+    e.preventDefault();
+    clearMessages();
+    showStep(refs.resetForm.style.display === 'none' ? 'reset' : 'request');
+  }
+
+  /* ---------------------------
+     Live rule checklist
+  --------------------------- */
+  function renderRules() {
+    const password = refs.newPassword.value;
+    const identifier = refs.resetUsername.value.trim();
+    const failed = RentariumCredentials.passwordProblems(password, identifier.includes('@') ? '' : identifier);
+    const labels = RentariumCredentials.RULES.map(rule => rule.label).concat(RentariumCredentials.USERNAME_RULE);
+
+    refs.passwordRules.innerHTML = labels.map(label => {
+      const met = password && !failed.includes(label);
+      return `<li class="${met ? 'met' : ''}">${met ? '✓' : '•'} ${label}</li>`;
+    }).join('');
+
+    refs.passwordStrength.className = 'password-strength ' + (password ? RentariumCredentials.strength(password) : '');
+  }
+
+  /* ---------------------------
+     Step 1: request a code
+  --------------------------- */
+  function handleRequest(e) {
+    e.preventDefault();
+
+    const identifier = refs.identifier.value.trim();
+    if (!identifier) return showError('Enter your username or email');
+
+    refs.requestBtn.disabled = true;
+    refs.requestBtn.textContent = 'Sending...';
+
+    RentariumPasswordReset.request(identifier)
+      .then(() => {
+        // Same answer whether or not the account exists
+        refs.resetUsername.value = identifier;
+        showStep('reset');
+        showSuccess(`If an account matches, a code has been sent to its email. It expires in ${RentariumPasswordReset.CODE_MINUTES} minutes.`);
+      })
+      .catch(err => {
+        console.error('❌ Reset request failed:', err);
+        showError(err.message);
+      })
+      .finally(() => {
+        refs.requestBtn.disabled = false;
+        refs.requestBtn.textContent = 'Send Reset Code';
+      });
+  }
+
+  /* ---------------------------
+     Step 2: redeem the code
+  --------------------------- */
+  function handleReset(e) {
+    e.preventDefault();
+
+    const username = refs.resetUsername.value.trim();
+    const code = refs.resetCode.value.trim();
+    const next = refs.newPassword.value;
+
+    if (!/^\d+$/.test(code)) {
+      return showError('The code is made of digits only');
+    }
+    if (next !== refs.confirmPassword.value) {
+      return showError('The new passwords do not match');
+    }
+
+    refs.resetBtn.disabled = true;
+    refs.resetBtn.textContent = 'Saving...';
+
+    RentariumPasswordReset.redeem(username, code, next)
+      .then(() => {
+        refs.resetForm.reset();
+        renderRules();
+        showSuccess('Password reset. Redirecting to login...');
+        setTimeout(() => {
+          window.location.href = 'Login-Form.html';
+        }, 1500);
+      })
+      .catch(err => {
+        showError(err.message);
+        refs.resetBtn.disabled = false;
+        refs.resetBtn.textContent = 'Reset Password';
+      });
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      stepHint: document.getElementById('stepHint'),
+      errorMessage: document.getElementById('errorMessage'),
+      successMessage: document.getElementById('successMessage'),
+      requestForm: document.getElementById('requestForm'),
+      identifier: document.getElementById('identifier'),
+      requestBtn: document.getElementById('requestBtn'),
+      resetForm: document.getElementById('resetForm'),
+      resetUsername: document.getElementById('resetUsername'),
+      resetCode: document.getElementById('resetCode'),
+      newPassword: document.getElementById('newPassword'),
+      confirmPassword: document.getElementById('confirmPassword'),
+      passwordStrength: document.getElementById('passwordStrength'),
+      passwordRules: document.getElementById('passwordRules'),
+      resetBtn: document.getElementById('resetBtn'),
+      toggleStep: document.getElementById('toggleStep')
+    };
+
+    refs.requestForm.addEventListener('submit', handleRequest);
+    refs.resetForm.addEventListener('submit', handleReset);
+    refs.newPassword.addEventListener('input', renderRules);
+    refs.resetUsername.addEventListener('input', renderRules);
+    refs.toggleStep.addEventListener('click', handleToggle);
+
+    showStep('request');
+    console.log('✅ Forgot Password initialized');
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -0,0 +1,186 @@
+/* mail-outbox.js - Mail Outbox page: read and clear messages kept by the 'outbox' transport of js/rentarium-mail.js */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let messages = [];
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function formatDateTime(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleString();
+    } catch {
+      return d;
+    }
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  /* ---------------------------
+     Data
+  --------------------------- */
+  function refresh() {
+    messages = RentariumStore.getAll('mailOutbox')
+      .slice()
+      .sort((a, b) => String(b.sentAt || '').localeCompare(String(a.sentAt || '')));
+    renderStats();
+    filterMessages();
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function renderStats() {
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    const today = messages.filter(m => new Date(m.sentAt).getTime() >= dayAgo).length;
+    const recipients = new Set(messages.map(m => m.to)).size;
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-value">${messages.length}</div>
+        <div class="stat-label">Messages</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${today}</div>
+        <div class="stat-label">Last 24 Hours</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${recipients}</div>
+        <div class="stat-label">Recipients</div>
+      </div>
+    `;
+  }
+
+  function renderTable(list) {
+    if (list.length === 0) {
+      refs.mailTbody.innerHTML = '<tr><td colspan="5" class="empty-outbox">No messages</td></tr>';
+      return;
+    }
+
+    refs.mailTbody.innerHTML = list.map(m => `
+      <tr>
+        <td>${escapeHtml(m.id)}</td>
+        <td>${escapeHtml(m.to)}</td>
+        <td>${escapeHtml(m.subject)}</td>
+        <td>${formatDateTime(m.sentAt)}</td>
+        <td>
+          <div class="action-btns">
+            <button class="action-btn view" data-action="view" data-id="${escapeHtml(m.id)}">View</button>
+          </div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  function filterMessages() {
+    const q = refs.searchInput.value.trim().toLowerCase();
+    const list = q
+      ? messages.filter(m => [m.to, m.subject].some(v => (v || '').toLowerCase().includes(q)))
+      : messages;
+    renderTable(list);
+  }
+
+  function renderTransportNote() {
+    refs.transportNote.textContent = RentariumMail.TRANSPORT === 'outbox'
+      ? 'New mail is delivered here'
+      : `New mail goes to the '${RentariumMail.TRANSPORT}' transport, not this outbox`;
+  }
+
+  /* ---------------------------
+     Modal
+  --------------------------- */
+  function openMessage(id) {
+    const message = messages.find(m => m.id === id);
+    if (!message) return;
+
+    refs.mailSubject.textContent = message.subject || '(no subject)';
+    refs.mailMeta.innerHTML = `
+      <div><strong>To:</strong> ${escapeHtml(message.to)}</div>
+      <div><strong>Sent:</strong> ${formatDateTime(message.sentAt)}</div>
+      <div><strong>ID:</strong> ${escapeHtml(message.id)}</div>
+    `;
+    refs.mailBody.textContent = message.text || '';
+    refs.mailModal.classList.add('show');
+  }
+
+  function closeModal() {
+    refs.mailModal.classList.remove('show');
+  }
+
+  /* ---------------------------
+     Actions
+  --------------------------- */
+  function clearOutbox() {
+    if (messages.length === 0) return alert('The outbox is already empty');
+    if (!confirm(`Delete all ${messages.length} messages from the outbox?`)) return;
+
+    try {
+      RentariumPermissions.assert('mail.view');
+    } catch (err) {
+      return alert(err.message);
+    }
+
+    RentariumStore.transaction(['mailOutbox'], (store) => {
+      store.saveAll('mailOutbox', []);
+    })
+      .then(() => {
+        RentariumStore.logActivity('Mail outbox cleared', { messages: messages.length });
+        refresh();
+      })
+      .catch(err => alert('Could not clear the outbox: ' + err.message));
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      mailTbody: document.getElementById('mailTbody'),
+      searchInput: document.getElementById('searchInput'),
+      transportNote: document.getElementById('transportNote'),
+      mailModal: document.getElementById('mailModal'),
+      mailSubject: document.getElementById('mailSubject'),
+      mailMeta: document.getElementById('mailMeta'),
+      mailBody: document.getElementById('mailBody')
+    };
+
+    document.getElementById('clearOutboxBtn').addEventListener('click', clearOutbox);
+    document.getElementById('closeModalBtn').addEventListener('click', closeModal);
+    refs.mailModal.addEventListener('click', (e) => {
+      if (e.target === refs.mailModal) closeModal();
+    });
+    refs.searchInput.addEventListener('input', filterMessages);
+
+    refs.mailTbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action="view"]');
+      if (btn) openMessage(btn.dataset.id);
+    });
+
+    // Codes requested in other tabs show up straight away
+    RentariumStore.on('mail.*', refresh);
+
+    renderTransportNote();
+    refresh();
+    console.log('✅ Mail Outbox initialized:', { messages: messages.length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
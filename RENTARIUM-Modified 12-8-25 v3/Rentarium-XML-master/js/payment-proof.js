@@ -0,0 +1,109 @@
+/* payment-proof.js - proof of payment on the GCash and BPI pages: screenshots or PDFs of the transfer
+   confirmation, sent with the payment for the landlord to check (uses js/rentarium-uploads.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let proofs = [];      // uploads already read and compressed
+  let reading = Promise.resolve();   // settles once every file picked so far is read
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function showError(message) {
+    refs.proofError.textContent = message;
+    refs.proofError.style.display = 'block';
+  }
+
+  function clearError() {
+    refs.proofError.style.display = 'none';
+  }
+
+  /* ---------------------------
+     Uploads
+  --------------------------- */
+  function renderProofs() {
+    refs.proofList.innerHTML = proofs.map((proof, index) => `
+      <li>
+        ${RentariumUploads.isImage(proof) ? `<img src="${escapeHtml(proof.dataUrl)}" alt="">` : '<span class="proof-icon">📄</span>'}
+        <span class="proof-name">${escapeHtml(proof.name)} <small>(${RentariumUploads.formatSize(proof.size)})</small></span>
+        <button type="button" class="remove-proof" data-index="${index}">Remove</button>
+      </li>
+    `).join('');
+  }
+
+  function handleFiles() {
+    const files = Array.from(refs.proofFiles.files);
+    refs.proofFiles.value = '';
+    if (files.length === 0) return;
+
+    if (proofs.length + files.length > PaymentStorage.MAX_PROOFS) {
+      return showError(`Attach at most ${PaymentStorage.MAX_PROOFS} files`);
+    }
+
+    clearError();
+    // Files picked while an earlier batch is still being read wait for it,
+    // so paymentProofs() only settles once every batch has landed
+    const batch = Promise.all(files.map(file => RentariumUploads.read(file)));
+    reading = reading
+      .then(() => batch)
+      .then(uploads => {
+        if (proofs.length + uploads.length > PaymentStorage.MAX_PROOFS) {
+          throw new Error(`Attach at most ${PaymentStorage.MAX_PROOFS} files`);
+        }
+        proofs = proofs.concat(uploads);
+        renderProofs();
+      })
+      .catch(err => showError(err.message));
+  }
+
+  function removeProof(e) {
+    const btn = e.target.closest('.remove-proof');
+    if (!btn) return;
+    proofs.splice(Number(btn.dataset.index), 1);
+    renderProofs();
+  }
+
+  /**
+   * Proof files for the payment once any still being read are done
+   * @returns {Promise<object[]>}
+   */
+  function paymentProofs() {
+    return reading.then(() => proofs.slice());
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    ['proofFiles', 'proofHint', 'proofList', 'proofError'].forEach(id => { refs[id] = document.getElementById(id); });
+
+    refs.proofFiles.accept = RentariumUploads.accept();
+    refs.proofHint.textContent = `JPEG, PNG or PDF, up to ${PaymentStorage.MAX_PROOFS} files of ` +
+      `${RentariumUploads.formatSize(RentariumUploads.MAX_BYTES)} each. Photos are resized automatically.`;
+
+    refs.proofFiles.addEventListener('change', handleFiles);
+    refs.proofList.addEventListener('click', removeProof);
+  }
+
+  // Read by the page's submit handler
+  window.paymentProofs = paymentProofs;
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
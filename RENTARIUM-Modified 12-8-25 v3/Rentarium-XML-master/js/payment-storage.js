@@ -1,27 +1,162 @@
 /**
  * RENTARIUM PAYMENT STORAGE SYSTEM
- * Manages all payment records between User and Admin dashboards
- * Uses localStorage as mock database
+ * Manages payments, rent status and utility bills between User and Admin dashboards
+ * Prevents duplicate payments and tracks monthly payment cycles
+ * Balances come from the tenant ledger (js/rentarium-ledger.js): rent and
+ * bills post charges, verified payments post credits
+ * Rent is charged month by month by the billing run (js/rentarium-billing.js)
+ * Verified payments get an official receipt (js/rentarium-receipts.js)
+ * GCash and BPI payments carry proof of payment: screenshots or PDFs read
+ * with js/rentarium-uploads.js
+ * Reads and writes through RentariumStore (js/rentarium-store.js must load first)
  */
 
 const PaymentStorage = {
-  STORAGE_KEY: 'rentarium_payments',
-  SESSION_KEY: 'rentarium_session',
-
   // Initialize storage
   init() {
-    if (!localStorage.getItem(this.STORAGE_KEY)) {
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify([]));
+    RentariumStore.ensure('payments');
+    RentariumStore.ensure('bills');
+    RentariumStore.ensure('rentStatus');
+    RentariumStore.ensure('ledger');
+    // getUtilityRates() falls back to the same rates, and only staff may
+    // save them on the API server
+    if (!RentariumStore.getSetting('utilityRates') && !RentariumStore.isRemote()) {
+      // Default rates (can be modified by admin)
+      RentariumStore.saveSetting('utilityRates', {
+        electricity_rate: 11.50, // per kWh
+        water_rate: 25.00 // per cubic meter
+      });
     }
   },
 
-  // Generate unique payment ID
+  // ========== TENANT LOOKUP ==========
+
+  // Standardized tenant object used by every payment record
+  toPaymentTenant(tenant) {
+    if (!tenant) return null;
+
+    return {
+      id: tenant.username, // Use username as unique ID
+      name: tenant.name,
+      unit: tenant.unitAssigned,
+      monthlyRent: parseFloat(tenant.rentAmount) || 0,
+      email: tenant.email || '',
+      contactNumber: tenant.phone || '',
+      leaseStart: tenant.leaseStart || null,
+      leaseEnd: tenant.leaseEnd || null
+    };
+  },
+
+  // Get current tenant info from session and tenant database
+  getCurrentTenant() {
+    return this.toPaymentTenant(RentariumStore.getSessionTenant());
+  },
+
+  getCurrentTenantById(tenantId) {
+    return this.toPaymentTenant(RentariumStore.findOne('tenants', t => t.username === tenantId));
+  },
+
+  // ========== PAYMENT PERIODS ==========
+
+  // Current payment period: the billing month
+  getCurrentPaymentPeriod() {
+    return this.getCurrentMonth();
+  },
+
+  // Check if user can make a payment (duplicate prevention)
+  canMakePayment(paymentType) {
+    const tenant = this.getCurrentTenant();
+    if (!tenant) return { allowed: false, reason: 'Tenant not found' };
+
+    const { rentPaid, billsPaid } = this.getPaymentStatus();
+
+    // Payment rules
+    if (paymentType === 'Monthly Rent') {
+      if (rentPaid) {
+        return {
+          allowed: false,
+          reason: 'Monthly rent for this period has already been paid and verified.'
+        };
+      }
+    } else if (paymentType === 'Utility Bills') {
+      if (billsPaid) {
+        return {
+          allowed: false,
+          reason: 'Utility bills for this period have already been paid and verified.'
+        };
+      }
+    }
+
+    // If both are paid, no more payments allowed this period
+    if (rentPaid && billsPaid) {
+      return {
+        allowed: false,
+        reason: 'All payments for this period are complete. Please wait for the next billing cycle.'
+      };
+    }
+
+    return { allowed: true };
+  },
+
+  /**
+   * Payment status summary for the current billing month. Rent or bills
+   * charged this month count as paid once the ledger shows them settled;
+   * otherwise a verified payment for the month settles them
+   */
+  getPaymentStatus() {
+    const tenant = this.getCurrentTenant();
+    if (!tenant) return null;
+
+    const currentPeriod = this.getCurrentPaymentPeriod();
+    const periodPayments = this.getAllPayments().filter(p =>
+      p.tenantId === tenant.id && this.isVerified(p) && this.paymentPeriod(p) === currentPeriod
+    );
+
+    const rent = this.getRentStatus(tenant.id, currentPeriod);
+    const bill = this.getBillForMonth(tenant.id, currentPeriod);
+    const rentPaid = rent ? rent.status === 'paid' : periodPayments.some(p => p.paymentType === 'Monthly Rent');
+    const billsPaid = bill ? bill.status === 'paid' : periodPayments.some(p => p.paymentType === 'Utility Bills');
+
+    return {
+      period: currentPeriod,
+      rentPaid,
+      billsPaid,
+      allPaid: rentPaid && billsPaid
+    };
+  },
+
+  // Get next due date - the oldest charge still unpaid on the tenant's ledger,
+  // otherwise when next month's rent falls due
+  getNextDueDate() {
+    const tenant = this.getCurrentTenant();
+    const open = tenant ? RentariumLedger.openCharges(tenant.id) : [];
+    if (open.length > 0) return open[0].charge.date;
+
+    const today = new Date();
+    const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    return this.getRentDueDate(RentariumLedger.dateOf(nextMonth).slice(0, 7));
+  },
+
+  getCurrentMonth() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    return `${year}-${month}`;
+  },
+
+  // ========== IDS AND REFERENCES ==========
+
+  // IDs come from persistent sequences (js/rentarium-ids.js) and are never reused
   generatePaymentId() {
-    const payments = this.getAllPayments();
-    const lastId = payments.length > 0 
-      ? Math.max(...payments.map(p => parseInt(p.id.split('-')[1])))
-      : 0;
-    return `PAY-${String(lastId + 1).padStart(4, '0')}`;
+    return RentariumIds.next('payment');
+  },
+
+  generateBillId() {
+    return RentariumIds.next('bill');
+  },
+
+  generateRentStatusId() {
+    return RentariumIds.next('rentStatus');
   },
 
   // Generate reference number based on payment method
@@ -37,138 +172,518 @@ const PaymentStorage = {
     return `${prefix}-${timestamp}-${random}`;
   },
 
-  // Get current tenant info from session and tenant database
-  getCurrentTenant() {
-    // Get session data
-    const session = localStorage.getItem(this.SESSION_KEY);
-    if (!session) return null;
-
-    const user = JSON.parse(session);
-
-    // Get all tenants from localStorage
-    const tenants = JSON.parse(localStorage.getItem('tenants')) || [];
-    
-    // Find the current tenant by username
-    const tenant = tenants.find(t => t.username === user.username);
-    
-    if (!tenant) return null;
+  // ========== PAYMENT CREATION ==========
 
-    // Return standardized tenant object
-    return {
-      id: tenant.username, // Use username as unique ID
-      name: tenant.name,
-      unit: tenant.unitAssigned,
-      monthlyRent: parseFloat(tenant.rentAmount) || 0,
-      email: tenant.email || '',
-      contactNumber: tenant.contactNumber || ''
-    };
+  // Collections a new payment can touch. Creation runs as one transaction
+  // so two tabs submitting at once never take the same payment ID
+  PAYMENT_COLLECTIONS: ['payments', 'rentStatus', 'bills', 'ledger', 'receipts', 'sequences', 'activityLog'],
+
+  // Methods the landlord cannot check without a transfer confirmation
+  PROOF_METHODS: ['gcash', 'bpi'],
+  MAX_PROOFS: 3,
+
+  // First problem with a payment's proof files, or null
+  validateProofs(method, proofs = []) {
+    if (!Array.isArray(proofs)) return 'Proof of payment must be a list of files';
+    if (this.PROOF_METHODS.includes(method) && proofs.length === 0) {
+      return 'Attach a screenshot or PDF of your transfer confirmation';
+    }
+    if (proofs.length > this.MAX_PROOFS) return `Attach at most ${this.MAX_PROOFS} files`;
+    return proofs.map(proof => RentariumUploads.problem(proof)).find(Boolean) || null;
   },
 
-  // Create new payment record
+  /**
+   * Create new payment record
+   * @param {object} paymentData - proofs from RentariumUploads.read() for GCash and BPI
+   * @returns {Promise<object|null>} the saved payment
+   */
   createPayment(paymentData) {
     this.init();
-    const payments = this.getAllPayments();
     const tenant = this.getCurrentTenant();
 
     if (!tenant) {
       console.error('No tenant found in session');
-      return null;
+      return Promise.resolve(null);
     }
 
+    const problem = this.validateProofs(paymentData.method, paymentData.proofs);
+    if (problem) return Promise.reject(new Error(problem));
+
     const payment = {
-      id: this.generatePaymentId(),
+      id: null,
       tenantId: tenant.id,
       tenantName: tenant.name,
       unitNumber: tenant.unit,
       amount: paymentData.amount || tenant.monthlyRent,
-      method: paymentData.method, // 'cash', 'gcash', 'bpi'
-      status: paymentData.status || 'pending', // 'pending', 'verified', 'rejected', 'completed'
+      method: paymentData.method,
+      status: paymentData.status || 'pending',
       reference: paymentData.reference || this.generateReference(paymentData.method),
+      paymentType: paymentData.paymentType || 'Monthly Rent',
+      billDetails: paymentData.billDetails || '',
       dueDate: paymentData.dueDate || this.getNextDueDate(),
       submittedDate: new Date().toISOString(),
       paidDate: paymentData.paidDate || null,
       proofUrl: paymentData.proofUrl || null,
+      proofs: (paymentData.proofs || []).map(proof => RentariumUploads.clean(proof)),
       notes: paymentData.notes || '',
       adminNotes: '',
-      metadata: paymentData.metadata || {} // Extra data (account numbers, etc)
+      metadata: paymentData.metadata || {}
     };
 
-    payments.push(payment);
-    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(payments));
-    return payment;
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      payment.id = this.generatePaymentId();
+      RentariumStore.save('payments', payment);
+      this.syncPayment(payment);
+      return payment;
+    });
   },
 
+  /**
+   * Create rent payment tracked against a month's rent status
+   * @param {object} paymentData - amount, method and optional month
+   * @returns {Promise<object|null>} the saved payment
+   */
+  createRentPayment(paymentData) {
+    this.init();
+    const tenant = this.getCurrentTenant();
+
+    if (!tenant) {
+      console.error('No tenant found in session');
+      return Promise.resolve(null);
+    }
+
+    const month = paymentData.month || this.getCurrentMonth();
+
+    const payment = {
+      id: null,
+      paymentType: 'Monthly Rent',
+      tenantId: tenant.id,
+      tenantName: tenant.name,
+      unitNumber: tenant.unit,
+      amount: parseFloat(paymentData.amount),
+      month: month,
+      method: paymentData.method,
+      status: paymentData.status || 'pending',
+      reference: paymentData.reference || this.generateReference(paymentData.method),
+      submittedDate: new Date().toISOString(),
+      paidDate: null,
+      notes: paymentData.notes || '',
+      adminNotes: '',
+      metadata: paymentData.metadata || {}
+    };
+
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      payment.id = this.generatePaymentId();
+      RentariumStore.save('payments', payment);
+
+      // Credit the tenant's ledger if payment is verified
+      this.syncPayment(payment);
+
+      return payment;
+    });
+  },
+
+  /**
+   * Create utility bill payment
+   * @param {object} paymentData - Must include billId
+   * @returns {Promise<object|null>} the saved payment
+   */
+  createBillPayment(paymentData) {
+    this.init();
+    const tenant = this.getCurrentTenant();
+
+    if (!tenant) {
+      console.error('No tenant found in session');
+      return Promise.resolve(null);
+    }
+
+    const bill = this.getBillById(paymentData.billId);
+    if (!bill) {
+      console.error('Bill not found');
+      return Promise.resolve(null);
+    }
+
+    const payment = {
+      id: null,
+      paymentType: 'Utility Bills',
+      billId: bill.id,
+      tenantId: tenant.id,
+      tenantName: tenant.name,
+      unitNumber: tenant.unit,
+      amount: parseFloat(paymentData.amount),
+      month: bill.month,
+      method: paymentData.method,
+      status: paymentData.status || 'pending',
+      reference: paymentData.reference || this.generateReference(paymentData.method),
+      submittedDate: new Date().toISOString(),
+      paidDate: null,
+      notes: paymentData.notes || `Payment for ${bill.month} utility bills`,
+      adminNotes: '',
+      metadata: paymentData.metadata || {}
+    };
+
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      payment.id = this.generatePaymentId();
+      RentariumStore.save('payments', payment);
+
+      // Credit the tenant's ledger if payment is verified
+      this.syncPayment(payment);
+
+      return payment;
+    });
+  },
+
+  // ========== PAYMENT MANAGEMENT ==========
+
   // Get all payments
   getAllPayments() {
     this.init();
-    const data = localStorage.getItem(this.STORAGE_KEY);
-    return JSON.parse(data) || [];
+    return RentariumStore.getAll('payments');
   },
 
-  // Get payments for current tenant
-  getTenantPayments() {
-    const tenant = this.getCurrentTenant();
+  // Get payments for a tenant (defaults to the logged-in tenant)
+  getTenantPayments(tenantId = null) {
+    const tenant = tenantId ? this.getCurrentTenantById(tenantId) : this.getCurrentTenant();
     if (!tenant) return [];
-    return this.getAllPayments().filter(p => p.tenantId === tenant.id);
+    return RentariumStore.find('payments', p => p.tenantId === tenant.id);
   },
 
   // Get payment by ID
   getPaymentById(id) {
-    return this.getAllPayments().find(p => p.id === id);
+    return RentariumStore.getById('payments', id) || undefined;
   },
 
-  // Update payment status (Admin action)
+  /**
+   * Update payment status (Admin action). Verifying credits the tenant's
+   * ledger and issues an official receipt; rejecting a verified payment
+   * reverses that credit and voids the receipt
+   * @returns {Promise<object|null>} the saved payment
+   */
   updatePaymentStatus(paymentId, status, adminNotes = '') {
-    const payments = this.getAllPayments();
-    const index = payments.findIndex(p => p.id === paymentId);
-    
-    if (index !== -1) {
-      payments[index].status = status;
-      payments[index].adminNotes = adminNotes;
-      
-      // If approved, set paid date
-      if (status === 'verified' || status === 'completed') {
-        payments[index].paidDate = new Date().toISOString();
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      if (typeof RentariumPermissions !== 'undefined') {
+        RentariumPermissions.assert('payments.verify');
       }
-      
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(payments));
-      return payments[index];
-    }
-    return null;
+
+      const payment = RentariumStore.getById('payments', paymentId);
+      if (!payment) return null;
+
+      payment.status = status;
+      payment.adminNotes = adminNotes;
+
+      if (this.isVerified(payment)) {
+        payment.paidDate = new Date().toISOString();
+      }
+
+      this.syncPayment(payment, `payment ${payment.id} ${status}`);
+      return RentariumStore.save('payments', payment);
+    });
   },
 
-  // Update payment details
+  /**
+   * Update payment details (Admin action). A verified payment's ledger
+   * credit follows the new amount: the old credit is reversed and the
+   * corrected one posted. Changing the status or amount needs payments.verify
+   * @returns {Promise<object|null>} the saved payment
+   */
   updatePayment(paymentId, updates) {
-    const payments = this.getAllPayments();
-    const index = payments.findIndex(p => p.id === paymentId);
-    
-    if (index !== -1) {
-      payments[index] = { ...payments[index], ...updates };
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(payments));
-      return payments[index];
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      if (typeof RentariumPermissions !== 'undefined') {
+        RentariumPermissions.assert('payments.record');
+        if ('status' in updates || 'amount' in updates) RentariumPermissions.assert('payments.verify');
+      }
+
+      const payment = RentariumStore.update('payments', paymentId, updates);
+      if (payment) this.syncPayment(payment, `payment ${paymentId} corrected`);
+      return payment;
+    });
+  },
+
+  /**
+   * Correct the amount of a payment, e.g. a verified transfer that was
+   * short (Admin action)
+   * @returns {Promise<object>} the saved payment
+   */
+  correctPayment(paymentId, amount, reason) {
+    const value = parseFloat(amount);
+    if (!(value > 0)) return Promise.reject(new Error('Amount must be more than zero'));
+    if (!String(reason || '').trim()) return Promise.reject(new Error('A reason is required'));
+
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      if (typeof RentariumPermissions !== 'undefined') {
+        RentariumPermissions.assert('payments.verify');
+      }
+
+      const payment = RentariumStore.getById('payments', paymentId);
+      if (!payment) throw new Error(`Payment ${paymentId} not found`);
+
+      const note = `Amount corrected from ₱${payment.amount.toLocaleString()} to ₱${value.toLocaleString()}: ${reason.trim()}`;
+      payment.amount = value;
+      payment.adminNotes = payment.adminNotes ? `${payment.adminNotes}\n${note}` : note;
+
+      this.syncPayment(payment, `payment ${paymentId} corrected`);
+      RentariumStore.logActivity(`Payment ${paymentId} corrected`, { paymentId, amount: value, reason: reason.trim() });
+      return RentariumStore.save('payments', payment);
+    });
+  },
+
+  // Delete payment; a verified one's ledger credit is reversed and its
+  // receipt voided first (receipts themselves are never deleted)
+  deletePayment(paymentId) {
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      this.releasePayment(paymentId, `payment ${paymentId} deleted`);
+      return RentariumStore.remove('payments', paymentId);
+    });
+  },
+
+  // Reverse a payment's ledger credit and void its receipt before it goes.
+  // Call inside a transaction over PAYMENT_COLLECTIONS
+  releasePayment(paymentId, reason) {
+    const credit = RentariumLedger.forSource('payment', paymentId)[0];
+    if (credit) RentariumLedger.reverse(credit.id, reason);
+    const receipt = RentariumReceipts.current(paymentId);
+    if (receipt) RentariumReceipts.void(receipt, reason);
+  },
+
+  /**
+   * Issue a receipt for a verified payment that has none, e.g. one
+   * verified before receipts existed or whose receipt was voided
+   * @returns {Promise<object>} the receipt
+   */
+  issueReceipt(paymentId) {
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      if (typeof RentariumPermissions !== 'undefined') {
+        RentariumPermissions.assert('payments.verify');
+      }
+
+      const payment = RentariumStore.getById('payments', paymentId);
+      if (!payment || !this.isVerified(payment)) throw new Error(`Payment ${paymentId} is not verified`);
+      return RentariumReceipts.current(paymentId) || RentariumReceipts.issue(payment, this.paymentPeriod(payment));
+    });
+  },
+
+  // ========== LEDGER ==========
+
+  isVerified(payment) {
+    return payment.status === 'verified' || payment.status === 'completed';
+  },
+
+  // Month a payment is for: its own, or the month of the date it was due
+  paymentPeriod(payment) {
+    return payment.month || String(payment.dueDate || '').slice(0, 7) ||
+      RentariumLedger.dateOf(payment.submittedDate || new Date()).slice(0, 7);
+  },
+
+  // Ledger charge a payment settles first, when it names one
+  chargeForPayment(payment) {
+    if (payment.billId) {
+      return RentariumLedger.forSource('bill', payment.billId)[0] || null;
+    }
+    if (payment.month && payment.paymentType === 'Monthly Rent') {
+      const status = RentariumStore.findOne('rentStatus', s => s.tenantId === payment.tenantId && s.month === payment.month);
+      return status ? RentariumLedger.forSource('rentStatus', status.id)[0] || null : null;
     }
     return null;
   },
 
-  // Delete payment
-  deletePayment(paymentId) {
-    let payments = this.getAllPayments();
-    payments = payments.filter(p => p.id !== paymentId);
-    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(payments));
-    return true;
+  // Keep a payment's ledger credit and official receipt in step with it.
+  // Call inside a transaction over PAYMENT_COLLECTIONS
+  syncPayment(payment, reason) {
+    const credit = this.postPayment(payment, reason);
+    RentariumReceipts.sync(payment, this.isVerified(payment), this.paymentPeriod(payment), reason);
+    return credit;
   },
 
-  // Get next due date (1st of next month)
-  getNextDueDate() {
-    const today = new Date();
-    const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
-    return nextMonth.toISOString().split('T')[0];
+  /**
+   * Keep a payment's ledger credit in step with it: a verified payment is
+   * credited in full, any other status not at all. Call inside a
+   * transaction over PAYMENT_COLLECTIONS
+   * @param {string} [reason] - noted on the reversal when the credit changes
+   */
+  postPayment(payment, reason) {
+    const charge = this.chargeForPayment(payment);
+    return RentariumLedger.syncSource({
+      tenantId: payment.tenantId,
+      unitNumber: payment.unitNumber,
+      type: 'credit',
+      category: 'payment',
+      amount: this.isVerified(payment) ? payment.amount : 0,
+      date: RentariumLedger.dateOf(payment.paidDate || payment.submittedDate || new Date()),
+      period: this.paymentPeriod(payment),
+      description: `${payment.paymentType || 'Monthly Rent'} payment ${payment.id} (${payment.method})`,
+      sourceType: 'payment',
+      sourceId: payment.id,
+      chargeId: charge ? charge.id : null
+    }, reason);
+  },
+
+  // What a tenant owes now (negative when in credit)
+  getBalance(tenantId) {
+    return RentariumLedger.balance(tenantId);
   },
 
+  // Statement of account with a running balance (see RentariumLedger.statement)
+  getStatement(tenantId, range = {}) {
+    return RentariumLedger.statement(tenantId, range);
+  },
+
+  // A bill or rent status with paid_amount, remaining_amount and status
+  // worked out from its ledger charge
+  withBalance(record, sourceType) {
+    if (!record) return record;
+
+    const charge = RentariumLedger.forSource(sourceType, record.id)[0];
+    const line = charge ? RentariumLedger.chargeStatus(charge.id) : null;
+    const paid = line ? line.paid : 0;
+    const remaining = line ? line.outstanding : 0;
+
+    return {
+      ...record,
+      chargeId: charge ? charge.id : null,
+      paid_amount: paid,
+      remaining_amount: remaining,
+      status: remaining <= 0 ? 'paid' : paid > 0 ? 'partial' : 'unpaid'
+    };
+  },
+
+  // ========== UTILITY RATES MANAGEMENT ==========
+
+  getUtilityRates() {
+    return RentariumStore.getSetting('utilityRates') || { electricity_rate: 11.50, water_rate: 25.00 };
+  },
+
+  updateUtilityRates(newRates) {
+    const updatedRates = { ...this.getUtilityRates(), ...newRates };
+    RentariumStore.saveSetting('utilityRates', updatedRates);
+    return updatedRates;
+  },
+
+  // ========== UTILITY BILL MANAGEMENT ==========
+
+  /**
+   * Generate or get bill for a specific month
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} month - Format: "YYYY-MM"
+   * @param {number} electricity_kwh - Electricity consumption in kWh
+   * @param {number} water_cubic - Water consumption in cubic meters
+   * @returns {Promise<object>} the saved bill. Runs as one transaction so
+   *   the bill never lands without its ledger charge
+   */
+  generateBill(tenantId, month, electricity_kwh, water_cubic) {
+    const rates = this.getUtilityRates();
+    const tenant = this.getCurrentTenantById(tenantId);
+
+    const electricity_amount = parseFloat((electricity_kwh * rates.electricity_rate).toFixed(2));
+    const water_amount = parseFloat((water_cubic * rates.water_rate).toFixed(2));
+    const total_amount = parseFloat((electricity_amount + water_amount).toFixed(2));
+
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      // Check if bill already exists
+      const existingBill = this.getBillForMonth(tenantId, month);
+
+      const bill = {
+        id: existingBill ? existingBill.id : this.generateBillId(),
+        tenantId: tenantId,
+        month: month, // "YYYY-MM"
+        electricity_kwh: electricity_kwh,
+        electricity_rate: rates.electricity_rate,
+        electricity_amount: electricity_amount,
+        water_cubic: water_cubic,
+        water_rate: rates.water_rate,
+        water_amount: water_amount,
+        total_amount: total_amount,
+        createdDate: existingBill ? existingBill.createdDate : new Date().toISOString(),
+        dueDate: this.getBillDueDate(month)
+      };
+
+      RentariumStore.save('bills', bill);
+
+      // A re-read meter replaces the bill's charge on the ledger
+      RentariumLedger.syncSource({
+        tenantId,
+        unitNumber: tenant ? tenant.unit : '',
+        type: 'charge',
+        category: 'utilities',
+        amount: total_amount,
+        date: bill.dueDate,
+        period: month,
+        description: `Utility bill for ${month}`,
+        sourceType: 'bill',
+        sourceId: bill.id
+      }, `bill ${bill.id} updated`);
+
+      return bill;
+    }).then(bill => this.withBalance(bill, 'bill'));
+  },
+
+  // Bills carry paid_amount, remaining_amount and status from the ledger
+  getAllBills() {
+    this.init();
+    return RentariumStore.getAll('bills').map(b => this.withBalance(b, 'bill'));
+  },
+
+  getBillById(billId) {
+    return this.withBalance(RentariumStore.getById('bills', billId), 'bill') || undefined;
+  },
+
+  getTenantBills(tenantId) {
+    return RentariumStore.find('bills', b => b.tenantId === tenantId).map(b => this.withBalance(b, 'bill'));
+  },
+
+  getBillForMonth(tenantId, month) {
+    return this.withBalance(RentariumStore.findOne('bills', b => b.tenantId === tenantId && b.month === month), 'bill') || undefined;
+  },
+
+  getCurrentMonthBill(tenantId) {
+    return this.getBillForMonth(tenantId, this.getCurrentMonth());
+  },
+
+  getBillDueDate(month) {
+    // Bills due on the 15th of the month
+    const [year, monthNum] = month.split('-');
+    return `${year}-${monthNum}-15`;
+  },
+
+  // ========== RENT STATUS MANAGEMENT ==========
+
+  /**
+   * Get rent status for tenant for specific month. The billing run creates
+   * it, with the month's rent charge (RentariumBilling.run())
+   * @param {string} tenantId
+   * @param {string} month - Format: "YYYY-MM"
+   * @returns {object|null} Rent status object, with paid_amount,
+   *   remaining_amount and status ('unpaid', 'partial', 'paid') from the
+   *   ledger, or null when the month has not been billed
+   */
+  getRentStatus(tenantId, month) {
+    const status = RentariumStore.findOne('rentStatus', s => s.tenantId === tenantId && s.month === month);
+    return status ? this.withBalance(status, 'rentStatus') : null;
+  },
+
+  getCurrentMonthRentStatus(tenantId) {
+    return this.getRentStatus(tenantId, this.getCurrentMonth());
+  },
+
+  getAllRentStatuses() {
+    return RentariumStore.getAll('rentStatus').map(s => this.withBalance(s, 'rentStatus'));
+  },
+
+  getTenantRentHistory(tenantId) {
+    return RentariumStore.find('rentStatus', s => s.tenantId === tenantId).map(s => this.withBalance(s, 'rentStatus'));
+  },
+
+  getRentDueDate(month) {
+    // Rent due on the billing due day (1st unless changed)
+    return RentariumBilling.dueDate(month);
+  },
+
+  // ========== STATISTICS ==========
+
   // Get payment statistics (for dashboards)
   getPaymentStats() {
     const payments = this.getAllPayments();
-    
+    const ledger = RentariumLedger.totals();
+
     return {
       total: payments.length,
       pending: payments.filter(p => p.status === 'pending').length,
@@ -178,10 +693,30 @@ const PaymentStorage = {
       paidAmount: payments.filter(p => p.status === 'verified' || p.status === 'completed')
         .reduce((sum, p) => sum + p.amount, 0),
       pendingAmount: payments.filter(p => p.status === 'pending')
-        .reduce((sum, p) => sum + p.amount, 0)
+        .reduce((sum, p) => sum + p.amount, 0),
+      // From the tenant ledger
+      outstandingAmount: ledger.owed,
+      creditAmount: ledger.credit,
+      tenantsOwing: ledger.tenantsOwing
+    };
+  },
+
+  getTenantStats(tenantId) {
+    const rentStatus = this.getCurrentMonthRentStatus(tenantId);
+    const billStatus = this.getCurrentMonthBill(tenantId);
+    const balance = this.getBalance(tenantId);
+
+    return {
+      rent: rentStatus,
+      bill: billStatus,
+      balance,
+      total_due: Math.max(0, balance),
+      open: RentariumLedger.openCharges(tenantId)
     };
   },
 
+  // ========== FILTERS ==========
+
   // Filter payments
   filterPayments(filters) {
     let payments = this.getAllPayments();
@@ -194,9 +729,13 @@ const PaymentStorage = {
       payments = payments.filter(p => p.method === filters.method);
     }
 
+    if (filters.paymentType && filters.paymentType !== 'all') {
+      payments = payments.filter(p => p.paymentType === filters.paymentType);
+    }
+
     if (filters.search) {
       const search = filters.search.toLowerCase();
-      payments = payments.filter(p => 
+      payments = payments.filter(p =>
         p.tenantName.toLowerCase().includes(search) ||
         p.unitNumber.toLowerCase().includes(search) ||
         p.id.toLowerCase().includes(search) ||
@@ -215,17 +754,104 @@ const PaymentStorage = {
     return payments;
   },
 
-  // Clear all payments (for testing)
+  // ========== NOTIFICATIONS ==========
+
+  getNotifications(tenantId) {
+    const notifications = [];
+    const currentMonth = this.getCurrentMonth();
+
+    // Check rent status (none for a month outside the lease)
+    const rentStatus = this.getRentStatus(tenantId, currentMonth);
+    if (rentStatus) {
+      if (rentStatus.status === 'paid') {
+        notifications.push({
+          type: 'success',
+          title: 'Rent Fully Paid',
+          message: `Your rent for ${currentMonth} is fully paid. Thank you!`,
+          date: new Date().toISOString()
+        });
+      } else if (rentStatus.status === 'partial') {
+        notifications.push({
+          type: 'warning',
+          title: 'Partial Rent Payment',
+          message: `You have paid ₱${rentStatus.paid_amount.toLocaleString()} out of ₱${rentStatus.required_amount.toLocaleString()}. Remaining: ₱${rentStatus.remaining_amount.toLocaleString()}`,
+          date: new Date().toISOString()
+        });
+      } else if (rentStatus.status === 'unpaid') {
+        notifications.push({
+          type: 'error',
+          title: 'Rent Unpaid',
+          message: `Your rent for ${currentMonth} (₱${rentStatus.required_amount.toLocaleString()}) is due on ${rentStatus.dueDate}.`,
+          date: new Date().toISOString()
+        });
+      }
+    }
+
+    // Check bill status
+    const bill = this.getCurrentMonthBill(tenantId);
+    if (bill) {
+      if (bill.status === 'paid') {
+        notifications.push({
+          type: 'success',
+          title: 'Bills Fully Paid',
+          message: `Your utility bills for ${bill.month} are fully paid.`,
+          date: new Date().toISOString()
+        });
+      } else if (bill.status === 'partial') {
+        const remaining = bill.total_amount - bill.paid_amount;
+        notifications.push({
+          type: 'warning',
+          title: 'Partial Bill Payment',
+          message: `Bills remaining: ₱${remaining.toLocaleString()} out of ₱${bill.total_amount.toLocaleString()}`,
+          date: new Date().toISOString()
+        });
+      } else if (bill.status === 'unpaid') {
+        notifications.push({
+          type: 'error',
+          title: 'Utility Bills Unpaid',
+          message: `Your utility bills for ${bill.month} (₱${bill.total_amount.toLocaleString()}) are due on ${bill.dueDate}.`,
+          date: new Date().toISOString()
+        });
+      }
+    }
+
+    return notifications;
+  },
+
+  // ========== UTILITIES ==========
+
+  // Keep a restorable copy before wiping data (js/rentarium-backup.js)
+  snapshotBeforeClear(reason) {
+    if (typeof RentariumBackup !== 'undefined') {
+      RentariumBackup.snapshot(reason);
+    }
+  },
+
+  // Clear all payments (for testing). Their ledger credits are reversed and
+  // receipts voided as deletePayment() does, so balances stay right
   clearAllPayments() {
-    localStorage.setItem(this.STORAGE_KEY, JSON.stringify([]));
+    this.snapshotBeforeClear('Before clearing payments');
+    return RentariumStore.transaction(this.PAYMENT_COLLECTIONS, () => {
+      RentariumStore.getAll('payments').forEach(p => this.releasePayment(p.id, 'all payments cleared'));
+      RentariumStore.clear('payments');
+    });
+  },
+
+  // Clear payments, bills, rent status and the ledger (for testing)
+  clearAllData() {
+    this.snapshotBeforeClear('Before clearing payment data');
+    RentariumStore.clear('payments');
+    RentariumStore.clear('bills');
+    RentariumStore.clear('rentStatus');
+    RentariumStore.clear('ledger');
+    this.init();
   }
 };
 
-// Initialize on load
-PaymentStorage.init();
+// Initialize once the store has loaded
+RentariumStore.whenReady(() => PaymentStorage.init());
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = PaymentStorage;
 }
-
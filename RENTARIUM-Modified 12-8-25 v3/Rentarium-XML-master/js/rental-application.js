@@ -0,0 +1,302 @@
+/* rental-application.js - public Rental Application page: apply for a Vacant unit or join a unit's waitlist
+   (uses js/rentarium-applications.js and js/rentarium-waitlist.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let documents = [];   // uploads already read and compressed
+  let reading = null;   // promise while files are being read
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function fillOptions(select, values, placeholder) {
+    select.innerHTML = (placeholder ? `<option value="">${placeholder}</option>` : '') +
+      values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+  }
+
+  function showError(message) {
+    refs.errorMessage.textContent = message;
+    refs.errorMessage.style.display = 'block';
+    refs.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function clearError() {
+    refs.errorMessage.style.display = 'none';
+  }
+
+  /* ---------------------------
+     Units
+  --------------------------- */
+  // The unit in ?unit=, when it is held for someone from its waitlist.
+  // The link is in their offer email; submit() checks the email matches
+  function heldUnit() {
+    const unitNumber = new URLSearchParams(window.location.search).get('unit');
+    const unit = unitNumber && RentariumStore.getById('units', unitNumber);
+    const held = unit && unit.status === 'Reserved' && !unit.tenantId && unit.reservedFor &&
+      !unit.reservedFor.applicationId && !RentariumWaitlist.isLapsed(unit);
+    return held ? { unitNumber, ...unit } : null;
+  }
+
+  function openUnits(held = heldUnit()) {
+    return held ? [held, ...RentariumApplications.vacantUnits()] : RentariumApplications.vacantUnits();
+  }
+
+  function populateUnits() {
+    const held = heldUnit();
+    const current = refs.unitNumber.value || (held ? held.unitNumber : '');
+    const units = openUnits(held);
+
+    populateWaitlistUnits();
+
+    if (units.length === 0) {
+      refs.unitNumber.innerHTML = '<option value="">No units are available right now</option>';
+      refs.unitHint.textContent = 'Please check back later, or join the waitlist for a unit below.';
+      refs.submitBtn.disabled = true;
+      return;
+    }
+
+    refs.unitNumber.innerHTML = '<option value="">Select a unit</option>' + units.map(u =>
+      `<option value="${escapeHtml(u.unitNumber)}">${escapeHtml(u.unitNumber)} - ${escapeHtml(u.type)} (₱${Number(u.price || 0).toLocaleString()}/month)${u === held ? ' - held for you' : ''}</option>`
+    ).join('');
+    refs.unitNumber.value = units.some(u => u.unitNumber === current) ? current : '';
+    refs.submitBtn.disabled = false;
+    renderUnitHint();
+  }
+
+  function renderUnitHint() {
+    const unit = openUnits().find(u => u.unitNumber === refs.unitNumber.value);
+    if (!unit) {
+      refs.unitHint.textContent = '';
+      return;
+    }
+
+    const rent = `Monthly rent ₱${Number(unit.price || 0).toLocaleString()}, security deposit ₱${Number(unit.price || 0).toLocaleString()}`;
+    refs.unitHint.textContent = unit.status === 'Reserved'
+      ? `${rent}. This unit is held for you until the end of ${unit.reservedUntil}; use the email address your offer was sent to.`
+      : rent;
+  }
+
+  /* ---------------------------
+     Waitlist
+  --------------------------- */
+  function populateWaitlistUnits() {
+    const current = refs.waitlistUnit.value;
+    const waitlist = RentariumStore.getAll('waitlist');
+    const units = Object.entries(RentariumStore.getAll('units')).filter(([, u]) => u.status !== 'Vacant');
+
+    refs.waitlistSection.style.display = units.length === 0 ? 'none' : 'block';
+    refs.waitlistUnit.innerHTML = '<option value="">Select a unit</option>' + units.map(([unitNumber, u]) => {
+      const waiting = RentariumWaitlist.count(unitNumber, waitlist);
+      return `<option value="${escapeHtml(unitNumber)}">${escapeHtml(unitNumber)} - ${escapeHtml(u.type)} (${escapeHtml(u.status)}, ${waiting} waiting)</option>`;
+    }).join('');
+    refs.waitlistUnit.value = units.some(([unitNumber]) => unitNumber === current) ? current : '';
+  }
+
+  function showWaitlistMessage(message, ok) {
+    refs.waitlistMessage.textContent = message;
+    refs.waitlistMessage.className = ok ? 'success-message' : 'error-message';
+    refs.waitlistMessage.style.display = 'block';
+  }
+
+  function handleJoinWaitlist(e) {
+    e.preventDefault();
+
+    refs.waitlistBtn.disabled = true;
+    RentariumWaitlist.join({
+      unitNumber: refs.waitlistUnit.value,
+      name: refs.waitlistName.value,
+      email: refs.waitlistEmail.value,
+      phone: refs.waitlistPhone.value
+    })
+      .then(entry => {
+        console.log('📋 Joined waitlist:', entry.id);
+        refs.waitlistForm.reset();
+        showWaitlistMessage(`You are number ${entry.position} in line for unit ${entry.unitNumber}. ` +
+          `We will email ${entry.email} when it is your turn.`, true);
+      })
+      .catch(err => showWaitlistMessage(err.message, false))
+      .finally(() => {
+        refs.waitlistBtn.disabled = false;
+      });
+  }
+
+  /* ---------------------------
+     ID uploads
+  --------------------------- */
+  function renderUploads() {
+    refs.uploadList.innerHTML = documents.map((doc, index) => `
+      <li>
+        <span>${RentariumUploads.isImage(doc) ? '🖼️' : '📄'} ${escapeHtml(doc.name)} <small>(${RentariumUploads.formatSize(doc.size)})</small></span>
+        <button type="button" class="remove-upload" data-index="${index}">Remove</button>
+      </li>
+    `).join('');
+  }
+
+  function handleFiles() {
+    const files = Array.from(refs.documents.files);
+    refs.documents.value = '';
+    if (files.length === 0) return;
+
+    if (documents.length + files.length > RentariumApplications.MAX_DOCUMENTS) {
+      return showError(`Upload at most ${RentariumApplications.MAX_DOCUMENTS} files`);
+    }
+
+    clearError();
+    refs.submitBtn.disabled = true;
+    reading = Promise.all(files.map(file => RentariumUploads.read(file)))
+      .then(uploads => {
+        documents = documents.concat(uploads);
+        renderUploads();
+      })
+      .catch(err => showError(err.message))
+      .finally(() => {
+        reading = null;
+        refs.submitBtn.disabled = false;
+      });
+  }
+
+  function removeUpload(e) {
+    const btn = e.target.closest('.remove-upload');
+    if (!btn) return;
+    documents.splice(Number(btn.dataset.index), 1);
+    renderUploads();
+  }
+
+  /* ---------------------------
+     Password rules
+  --------------------------- */
+  function renderRules() {
+    const password = refs.password.value;
+    const failed = RentariumCredentials.passwordProblems(password, refs.username.value.trim());
+    const labels = RentariumCredentials.RULES.map(rule => rule.label).concat(RentariumCredentials.USERNAME_RULE);
+
+    refs.passwordRules.innerHTML = labels.map(label => {
+      const met = password && !failed.includes(label);
+      return `<li class="${met ? 'met' : ''}">${met ? '✓' : '•'} ${label}</li>`;
+    }).join('');
+
+    refs.passwordStrength.className = 'password-strength ' + (password ? RentariumCredentials.strength(password) : '');
+  }
+
+  /* ---------------------------
+     Submit
+  --------------------------- */
+  function collect() {
+    const value = id => refs[id].value.trim();
+    return {
+      unitNumber: value('unitNumber'),
+      moveInDate: value('moveInDate'),
+      leaseMonths: value('leaseMonths'),
+      name: `${value('firstName')} ${value('lastName')}`.trim(),
+      email: value('email'),
+      phone: value('phone'),
+      birthDate: value('birthDate'),
+      occupants: value('occupants'),
+      currentAddress: value('currentAddress'),
+      employmentStatus: value('employmentStatus'),
+      monthlyIncome: value('monthlyIncome'),
+      employer: value('employer'),
+      jobTitle: value('jobTitle'),
+      idType: value('idType'),
+      idNumber: value('idNumber'),
+      documents,
+      username: value('username'),
+      password: refs.password.value,
+      message: value('message')
+    };
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    clearError();
+
+    if (reading) return showError('Please wait until your files have been uploaded');
+    if (!refs.firstName.value.trim() || !refs.lastName.value.trim()) return showError('First and last name are required');
+    if (refs.password.value !== refs.confirmPassword.value) return showError('The passwords do not match');
+
+    const data = collect();
+    const problem = RentariumApplications.validate(data);
+    if (problem) return showError(problem);
+
+    refs.submitBtn.disabled = true;
+    refs.submitBtn.textContent = 'Submitting...';
+
+    RentariumApplications.submit(data)
+      .then(application => {
+        console.log('📝 Application submitted:', application.id);
+        refs.applicationForm.style.display = 'none';
+        refs.waitlistSection.style.display = 'none';
+        refs.submittedText.textContent = `Your application ${application.id} for unit ${application.unitNumber} is pending review. ` +
+          `We will email ${application.email} once it has been approved or declined.`;
+        refs.submittedPanel.style.display = 'block';
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+      })
+      .catch(err => {
+        console.error('❌ Application failed:', err);
+        showError(err.message);
+        refs.submitBtn.disabled = false;
+        refs.submitBtn.textContent = 'Submit Application';
+      });
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    const ids = ['errorMessage', 'applicationForm', 'unitNumber', 'unitHint', 'moveInDate', 'leaseMonths',
+      'firstName', 'lastName', 'email', 'phone', 'birthDate', 'occupants', 'currentAddress',
+      'employmentStatus', 'monthlyIncome', 'employer', 'jobTitle', 'idType', 'idNumber',
+      'documents', 'documentsHint', 'uploadList', 'username', 'password', 'confirmPassword',
+      'passwordStrength', 'passwordRules', 'message', 'submitBtn', 'submittedPanel', 'submittedText',
+      'waitlistSection', 'waitlistForm', 'waitlistUnit', 'waitlistName', 'waitlistEmail', 'waitlistPhone',
+      'waitlistBtn', 'waitlistMessage'];
+    refs = {};
+    ids.forEach(id => { refs[id] = document.getElementById(id); });
+
+    fillOptions(refs.employmentStatus, RentariumApplications.EMPLOYMENT, 'Select status');
+    fillOptions(refs.idType, RentariumApplications.ID_TYPES, 'Select ID type');
+    refs.leaseMonths.innerHTML = RentariumApplications.LEASE_MONTHS
+      .map(m => `<option value="${m}" ${m === 12 ? 'selected' : ''}>${m} months</option>`).join('');
+    refs.moveInDate.min = new Date().toISOString().slice(0, 10);
+    refs.documents.accept = RentariumUploads.accept();
+    refs.documentsHint.textContent = `JPEG, PNG or PDF, up to ${RentariumApplications.MAX_DOCUMENTS} files of ` +
+      `${RentariumUploads.formatSize(RentariumUploads.MAX_BYTES)} each. Photos are resized automatically.`;
+
+    refs.applicationForm.addEventListener('submit', handleSubmit);
+    refs.unitNumber.addEventListener('change', renderUnitHint);
+    refs.documents.addEventListener('change', handleFiles);
+    refs.uploadList.addEventListener('click', removeUpload);
+    refs.password.addEventListener('input', renderRules);
+    refs.username.addEventListener('input', renderRules);
+    refs.waitlistForm.addEventListener('submit', handleJoinWaitlist);
+
+    // A unit taken in another tab disappears from the list
+    RentariumStore.on(['unit.*', 'waitlist.*'], populateUnits);
+
+    populateUnits();
+    renderRules();
+
+    // Lapsed holds go to the next person in line
+    RentariumWaitlist.expireHolds().catch(err => console.error('Could not expire unit holds:', err));
+    console.log('✅ Rental Application initialized');
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -0,0 +1,293 @@
+/**
+ * RENTARIUM REST API BACKEND
+ * Keeps every RentariumStore collection on the local Rentarium server
+ * (server/rentarium-server.js) so every machine sees the same data.
+ * Enable it with RentariumStore.BACKEND = 'api'.
+ *
+ * Like the IndexedDB backend, collections are loaded into memory on open
+ * and saves send only the records that changed. Changes made by other
+ * tabs and machines arrive as server-sent events and are turned into
+ * RentariumStore change events.
+ *
+ * The server checks every request against the session token it handed
+ * out at login (kept on the session as apiToken). Logins, password resets
+ * and the public forms run on the server through runAction(), because the
+ * browser is never sent password hashes or reset codes.
+ */
+
+const RentariumApi = {
+  CLIENT_ID: 'client-' + Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+
+  store: null,
+  baseUrl: '',
+  cache: {},     // collection name -> JSON string of the last known data
+  written: {},   // collection name -> true once saved at least once
+  readable: {},  // collection name -> true when the server sends it to this session
+  settings: {},  // setting key -> value
+  pending: {},   // collection name -> promise for its latest write
+  events: null,
+
+  // Every tab hears about saves from the server, so the store does not
+  // broadcast them itself
+  notifiesChanges: true,
+
+  isSupported() {
+    return typeof fetch !== 'undefined';
+  },
+
+  // Load everything from the server and start listening for changes
+  init(store) {
+    this.store = store;
+    this.baseUrl = store.API_URL.replace(/\/$/, '');
+
+    return this.request('GET', '/_all').then(snapshot => {
+      Object.keys(store.COLLECTIONS).forEach(name => {
+        const records = snapshot.collections[name];
+        this.cache[name] = JSON.stringify(records ?? store.emptyValue(name));
+        this.readable[name] = records !== undefined;
+      });
+      this.written = snapshot.written || {};
+      this.settings = snapshot.settings || {};
+      this.listen();
+      console.log('✅ API backend ready:', this.baseUrl);
+    });
+  },
+
+  // Token of the logged-in session, read when a request is made
+  token() {
+    const session = this.store.read(this.store.SESSION_KEY, null);
+    return session && session.apiToken ? session.apiToken : null;
+  },
+
+  request(method, path, body, token = this.token()) {
+    const options = {
+      method,
+      headers: { 'X-Rentarium-Client': this.CLIENT_ID }
+    };
+    if (token) options.headers.Authorization = 'Bearer ' + token;
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    return fetch(this.baseUrl + path, options).then(response => {
+      // The server no longer knows this session (logged out elsewhere,
+      // expired, revoked, or the server restarted)
+      if (response.status === 401 && token && token === this.token() && typeof RentariumSession !== 'undefined') {
+        RentariumSession.end('expired');
+      }
+      if (!response.ok) {
+        return response.json()
+          .catch(() => ({}))
+          .then(err => {
+            const error = new Error(err.error || `${method} ${path} failed (${response.status})`);
+            if (err.code) error.code = err.code;
+            throw error;
+          });
+      }
+      return response.status === 204 ? null : response.json();
+    });
+  },
+
+  // Apply changes other clients made and pass them on as change events
+  listen() {
+    if (typeof EventSource === 'undefined') return;
+
+    // EventSource cannot send headers, so the token goes in the URL
+    const token = this.token();
+    this.events = new EventSource(this.baseUrl + '/events' + (token ? '?token=' + encodeURIComponent(token) : ''));
+    this.events.onmessage = (e) => {
+      const change = JSON.parse(e.data);
+      if (change.source === this.CLIENT_ID) return;
+
+      if (change.type === 'event') {
+        this.store.emit(change.message.events);
+        return;
+      }
+
+      if (change.type === 'setting') {
+        this.request('GET', '/settings/' + encodeURIComponent(change.name))
+          .then(value => { this.settings[change.name] = value; })
+          .catch(err => console.warn('Could not refresh setting', change.name, err));
+        return;
+      }
+
+      if (!this.store.COLLECTIONS[change.name]) return;
+
+      const before = this.getAll(change.name);
+      this.refresh(change.name)
+        .then(() => this.store.emit(this.store.changeEvents(change.name, before, this.getAll(change.name))))
+        .catch(err => console.warn('Could not refresh collection', change.name, err));
+    };
+  },
+
+  // Reload one collection from the server. Ones this session cannot read
+  // (RentariumPermissions.READS) only hold the records it added itself
+  refresh(name) {
+    if (!this.readable[name]) return Promise.resolve();
+    return this.request('GET', '/' + encodeURIComponent(name)).then(records => {
+      this.cache[name] = JSON.stringify(records);
+      this.written[name] = true;
+    });
+  },
+
+  // Resolves once the latest save of a collection has reached the server
+  flushed(name) {
+    return this.pending[name] || Promise.resolve();
+  },
+
+  /**
+   * Run an action on the server (RentariumStore.remote())
+   * @param {string} action - e.g. 'auth.login'
+   * @param {Array} args - passed to the action as they are
+   * @returns {Promise} the action's result
+   */
+  runAction(action, args) {
+    const token = this.token();
+    return this.store.flushed()
+      .then(() => this.request('POST', '/_action/' + encodeURIComponent(action), { args }, token))
+      .then(answer => answer.result);
+  },
+
+  // Relay a domain event to every other client through the server
+  publish(message) {
+    this.store.flushed()
+      .then(() => this.request('POST', '/events', message))
+      .catch(err => console.error('API event publish error', err));
+  },
+
+  // ========== BACKEND API ==========
+
+  exists(name) {
+    return !!this.written[name];
+  },
+
+  getAll(name) {
+    return JSON.parse(this.cache[name] ?? JSON.stringify(this.store.emptyValue(name)));
+  },
+
+  // Send only the added, changed and removed records. Lists whose records
+  // lack unique ids are replaced whole
+  saveAll(name, data) {
+    const collection = this.store.getCollection(name);
+    const json = JSON.stringify(data);
+    if (this.cache[name] === json && this.written[name]) return true;
+
+    const previous = this.getAll(name);
+    this.cache[name] = json;
+    this.written[name] = true;
+
+    const change = this.diff(collection, previous, data);
+    const send = change
+      ? () => this.request('PATCH', '/' + name, change)
+      : () => this.request('PUT', '/' + name, data);
+
+    // Keep writes to one collection in order
+    this.pending[name] = (this.pending[name] || Promise.resolve())
+      .then(send)
+      .catch(err => console.error('API save error', name, err));
+
+    return true;
+  },
+
+  /**
+   * Save several collections in one server request that applies all of
+   * them or none; the in-memory copies are rolled back on failure
+   * @param {object} changes - collection name -> whole new data
+   * @returns {Promise} resolves once the server has saved
+   */
+  saveMany(changes) {
+    const body = {};
+    const undo = {};
+
+    Object.entries(changes).forEach(([name, data]) => {
+      const collection = this.store.getCollection(name);
+      const json = JSON.stringify(data);
+      if (this.cache[name] === json && this.written[name]) return;
+
+      const previous = this.getAll(name);
+      undo[name] = { cache: this.cache[name], written: this.written[name], json };
+      this.cache[name] = json;
+      this.written[name] = true;
+      body[name] = this.diff(collection, previous, data) || { replace: data };
+    });
+
+    const names = Object.keys(body);
+    if (names.length === 0) return Promise.resolve();
+
+    const write = Promise.all(names.map(name => this.flushed(name)))
+      .then(() => this.request('POST', '/_transaction', { changes: body }))
+      .catch(err => {
+        names.forEach(name => {
+          if (this.cache[name] === undo[name].json) {
+            this.cache[name] = undo[name].cache;
+            this.written[name] = undo[name].written;
+          }
+        });
+        console.error('API transaction error', names, err);
+        throw err;
+      });
+
+    names.forEach(name => { this.pending[name] = write.catch(() => {}); });
+    return write;
+  },
+
+  // { upserts, deletes } between two versions, or null when ids are not unique
+  diff(collection, previous, next) {
+    const keyed = (data) => {
+      if (collection.type === 'map') return new Map(Object.entries(data || {}));
+      const entries = new Map();
+      for (const record of data || []) {
+        const id = record ? record[collection.idField] : undefined;
+        if (id === undefined || id === null || entries.has(String(id))) return null;
+        entries.set(String(id), record);
+      }
+      return entries;
+    };
+
+    const before = keyed(previous);
+    const after = keyed(next);
+    if (!before || !after) return null;
+
+    const upserts = [];
+    after.forEach((record, id) => {
+      if (!before.has(id) || JSON.stringify(before.get(id)) !== JSON.stringify(record)) {
+        upserts.push({ id, record });
+      }
+    });
+    const deletes = [...before.keys()].filter(id => !after.has(id));
+
+    return { upserts, deletes };
+  },
+
+  // Records whose indexed field equals value, filtered by the server
+  queryIndex(name, indexName, value) {
+    const collection = this.store.getCollection(name);
+    if (collection.type === 'map') {
+      return Promise.resolve(this.store.findBy(name, indexName, value));
+    }
+
+    const field = collection.indexes[indexName];
+    const query = `?${encodeURIComponent(field)}=${encodeURIComponent(value)}`;
+    return (this.pending[name] || Promise.resolve())
+      .then(() => this.request('GET', '/' + encodeURIComponent(name) + query));
+  },
+
+  // ========== SETTINGS ==========
+
+  getSetting(key, fallback) {
+    return this.settings[key] ?? fallback;
+  },
+
+  saveSetting(key, value) {
+    this.settings[key] = value;
+    this.request('PUT', '/settings/' + encodeURIComponent(key), value)
+      .catch(err => console.error('API setting save error', key, err));
+    return true;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumApi;
+}
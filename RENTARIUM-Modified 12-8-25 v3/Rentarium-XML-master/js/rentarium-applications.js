@@ -0,0 +1,357 @@
+/**
+ * RENTARIUM RENTAL APPLICATIONS
+ * Prospective tenants apply for a Vacant unit from Users/Rental-Application.html;
+ * staff review them on ADMIN/Applications.html
+ *
+ * submit() saves the application (personal details, employment and ID
+ * uploads) in the 'applications' collection and creates the applicant's
+ * tenant account with status 'pending', so login() already turns them away
+ * until a decision is made. The unit stays Vacant while applications are
+ * pending; several people may apply for the same one.
+ *
+ * A unit held for someone from its waitlist (js/rentarium-waitlist.js) can
+ * only be applied for by that person, and stays held for their application.
+ *
+ * approve() activates the tenant account and marks the unit Reserved for
+ * them; any other pending application for that unit can then only be
+ * rejected. reject() removes the pending account so the username and email
+ * can be used again, and passes a held unit to the next person waiting.
+ * The applicant is mailed at every step (js/rentarium-mail.js).
+ * The form is public, so every uploaded document must pass
+ * RentariumUploads.problem(), here and on the API server.
+ * Load after rentarium-uploads.js, rentarium-credentials.js, rentarium-mail.js
+ * and rentarium-waitlist.js.
+ */
+
+const RentariumApplications = {
+  STATUSES: ['pending', 'approved', 'rejected'],
+
+  EMPLOYMENT: ['Employed', 'Self-employed', 'Student', 'Unemployed', 'Retired'],
+
+  ID_TYPES: ['Passport', "Driver's License", 'National ID', 'UMID', 'Postal ID', 'Student ID', 'Other'],
+
+  LEASE_MONTHS: [6, 12, 24],
+
+  // At least one and at most this many ID uploads per application
+  MAX_DOCUMENTS: 3,
+
+  key(value) {
+    return String(value || '').trim().toLowerCase();
+  },
+
+  vacantUnits() {
+    return Object.entries(RentariumStore.getAll('units'))
+      .filter(([, unit]) => unit.status === 'Vacant')
+      .map(([unitNumber, unit]) => ({ unitNumber, ...unit }));
+  },
+
+  /**
+   * Whether a unit can be applied for (or approved) for this applicant
+   * @param {object} who - { email } or { applicationId }, for held units
+   */
+  isOpen(unit, who) {
+    return !!unit && (unit.status === 'Vacant' || RentariumWaitlist.isHeldFor(unit, who));
+  },
+
+  // Lease end for a start date and a number of months, as YYYY-MM-DD
+  leaseEnd(leaseStart, months) {
+    const end = new Date(leaseStart + 'T00:00:00');
+    end.setMonth(end.getMonth() + Number(months));
+    end.setDate(end.getDate() - 1);
+    return `${end.getFullYear()}-${String(end.getMonth() + 1).padStart(2, '0')}-${String(end.getDate()).padStart(2, '0')}`;
+  },
+
+  // First problem with the form, or null
+  validate(data) {
+    if (!data.name || data.name.trim().length < 2) return 'Full name is required (minimum 2 characters)';
+    if (!data.email || !/^\S+@\S+\.\S+$/.test(data.email)) return 'A valid email is required';
+    if (!data.phone || data.phone.trim().length < 10) return 'A valid phone number is required';
+    if (!data.unitNumber) return 'Please choose a unit';
+    if (!data.moveInDate) return 'Please choose a move-in date';
+    if (data.moveInDate < new Date().toISOString().slice(0, 10)) return 'The move-in date cannot be in the past';
+    if (!this.LEASE_MONTHS.includes(Number(data.leaseMonths))) return 'Please choose a lease length';
+    if (!this.EMPLOYMENT.includes(data.employmentStatus)) return 'Please choose your employment status';
+    if (!(Number(data.monthlyIncome) >= 0)) return 'Monthly income must be a number';
+    if (!this.ID_TYPES.includes(data.idType) || !data.idNumber) return 'ID type and number are required';
+    if (!Array.isArray(data.documents) || data.documents.length === 0) return 'Upload a photo or scan of your ID';
+    if (data.documents.length > this.MAX_DOCUMENTS) return `Upload at most ${this.MAX_DOCUMENTS} files`;
+    const badDocument = data.documents.map(doc => RentariumUploads.problem(doc)).find(Boolean);
+    if (badDocument) return badDocument;
+    if (!data.username || data.username.trim().length < 4) return 'Username must be at least 4 characters';
+    const passwordProblems = RentariumCredentials.passwordProblems(data.password || '', data.username);
+    if (passwordProblems.length > 0) return 'Password needs: ' + passwordProblems.join(', ');
+    return null;
+  },
+
+  // Mail the applicant; a failed send never undoes the decision
+  notify(application, subject, lines) {
+    return RentariumMail.send({
+      to: application.email,
+      subject,
+      text: [`Hello ${application.name},`, '', ...lines, '', 'Rentarium'].join('\n')
+    }).catch(err => console.error(`Could not mail ${application.email}`, err));
+  },
+
+  // ========== APPLY ==========
+
+  /**
+   * Save an application and its pending tenant account
+   * @param {object} data - form fields, documents from RentariumUploads.read()
+   *   and the password the applicant chose
+   * @returns {Promise<object>} the saved application
+   */
+  submit(data) {
+    const problem = this.validate(data);
+    if (problem) return Promise.reject(new Error(problem));
+
+    // The API server checks usernames against accounts the browser is not sent
+    const remote = RentariumStore.remote('applications.submit', data);
+    if (remote) return remote;
+
+    const { password, ...fields } = data;
+
+    return RentariumCredentials.hashPassword(password)
+      .then(passwordHash => RentariumStore.transaction(
+        ['applications', 'tenants', 'units', 'users', 'waitlist', 'sequences', 'activityLog'],
+        // Nobody is logged in on the public form
+        (store) => store.asSystem(() => {
+          const tenants = store.getAll('tenants');
+          const username = fields.username.trim();
+          const email = fields.email.trim();
+
+          if (tenants.some(t => this.key(t.username) === this.key(username)) ||
+              store.getAll('users').some(u => this.key(u.username) === this.key(username))) {
+            throw new Error('That username is already taken');
+          }
+          if (tenants.some(t => this.key(t.email) === this.key(email))) {
+            throw new Error('An account with this email already exists');
+          }
+
+          const units = store.getAll('units');
+          const unit = units[fields.unitNumber];
+          if (!this.isOpen(unit, { email })) {
+            throw new Error(`Unit ${fields.unitNumber} is no longer available. Please choose another.`);
+          }
+
+          const now = new Date().toISOString();
+          const application = {
+            id: RentariumIds.next('application'),
+            status: 'pending',
+            unitNumber: fields.unitNumber,
+            moveInDate: fields.moveInDate,
+            leaseMonths: Number(fields.leaseMonths),
+            name: fields.name.trim(),
+            email,
+            phone: fields.phone.trim(),
+            birthDate: fields.birthDate || '',
+            currentAddress: (fields.currentAddress || '').trim(),
+            occupants: Number(fields.occupants) || 1,
+            employmentStatus: fields.employmentStatus,
+            employer: (fields.employer || '').trim(),
+            jobTitle: (fields.jobTitle || '').trim(),
+            monthlyIncome: Number(fields.monthlyIncome) || 0,
+            idType: fields.idType,
+            idNumber: fields.idNumber.trim(),
+            documents: fields.documents.map(doc => RentariumUploads.clean(doc)),
+            message: (fields.message || '').trim(),
+            username,
+            tenantId: RentariumIds.next('tenant'),
+            submittedAt: now,
+            reviewedAt: null,
+            reviewedBy: null,
+            decisionNote: ''
+          };
+
+          // The unit is only filled in once the application is approved
+          tenants.push({
+            tenantId: application.tenantId,
+            name: application.name,
+            username,
+            email,
+            passwordHash,
+            phone: application.phone,
+            unitAssigned: '',
+            leaseStart: '',
+            leaseEnd: '',
+            status: 'pending',
+            notes: `Rental application ${application.id} for unit ${application.unitNumber}`,
+            deposit: 0,
+            rentAmount: unit.price || 0,
+            applicationId: application.id,
+            dateCreated: now
+          });
+          store.saveAll('tenants', tenants);
+          store.save('applications', application);
+
+          // The hold now lasts until the application is decided
+          if (unit.status === 'Reserved') {
+            unit.reservedFor.applicationId = application.id;
+            store.saveAll('units', units);
+
+            const entry = store.getById('waitlist', unit.reservedFor.waitlistId);
+            if (entry) store.save('waitlist', { ...entry, status: 'applied', applicationId: application.id });
+          }
+
+          store.logActivity(`Rental application ${application.id} received for unit ${application.unitNumber}`, {
+            applicationId: application.id,
+            tenantId: application.tenantId,
+            name: application.name,
+            unit: application.unitNumber
+          });
+
+          return application;
+        })
+      ))
+      .then(application => {
+        this.notify(application, `We received your application (${application.id})`, [
+          `Thank you for applying for unit ${application.unitNumber}.`,
+          'We will review your application and email you once a decision has been made.',
+          `You can sign in as ${application.username} after it is approved.`
+        ]);
+        return application;
+      });
+  },
+
+  // ========== REVIEW ==========
+
+  reviewer() {
+    const session = RentariumStore.getSession();
+    return session ? session.username : null;
+  },
+
+  /**
+   * Accept an application: the tenant account becomes active and the unit
+   * is Reserved for it
+   * @param {object} lease - { leaseStart, leaseEnd } as YYYY-MM-DD
+   * @returns {Promise<object>} the application
+   */
+  approve(id, { leaseStart, leaseEnd }) {
+    if (!leaseStart || !leaseEnd) return Promise.reject(new Error('Lease start and end dates are required'));
+    if (leaseEnd <= leaseStart) return Promise.reject(new Error('Lease end must be after lease start'));
+
+    const reviewedBy = this.reviewer();
+
+    return RentariumStore.transaction(['applications', 'tenants', 'units', 'activityLog'], (store) => {
+      RentariumPermissions.assert('applications.review');
+      const application = store.getById('applications', id);
+      if (!application) throw new Error(`Application ${id} not found`);
+      if (application.status !== 'pending') throw new Error(`Application ${id} is already ${application.status}`);
+
+      const units = store.getAll('units');
+      const unit = units[application.unitNumber];
+      if (!this.isOpen(unit, { applicationId: id })) {
+        throw new Error(`Unit ${application.unitNumber} is no longer vacant. Reject this application or ask the applicant to choose another unit.`);
+      }
+
+      const tenant = store.getById('tenants', application.tenantId);
+      if (!tenant) throw new Error(`The account created for this application (${application.tenantId}) no longer exists`);
+
+      Object.assign(tenant, {
+        status: 'active',
+        unitAssigned: application.unitNumber,
+        leaseStart,
+        leaseEnd,
+        rentAmount: unit.price || 0,
+        deposit: unit.price || 0
+      });
+      store.save('tenants', tenant);
+
+      RentariumWaitlist.clearHold(unit);
+      Object.assign(unit, {
+        status: 'Reserved',
+        tenantId: tenant.tenantId,
+        tenantName: tenant.name,
+        moveInDate: leaseStart
+      });
+      store.saveAll('units', units);
+
+      Object.assign(application, {
+        status: 'approved',
+        leaseStart,
+        leaseEnd,
+        reviewedAt: new Date().toISOString(),
+        reviewedBy
+      });
+      store.save('applications', application);
+
+      store.logActivity(`Rental application ${id} approved; unit ${application.unitNumber} reserved for ${tenant.name}`, {
+        applicationId: id,
+        tenantId: tenant.tenantId,
+        unit: application.unitNumber,
+        by: reviewedBy
+      });
+
+      return application;
+    }).then(application => {
+      this.notify(application, `Your application ${application.id} was approved`, [
+        `Good news: your application for unit ${application.unitNumber} was approved and the unit is reserved for you.`,
+        `Your lease runs from ${application.leaseStart} to ${application.leaseEnd}.`,
+        `You can now sign in as ${application.username} with the password you chose.`
+      ]);
+      return application;
+    });
+  },
+
+  /**
+   * Turn an application down and remove its pending tenant account. A unit
+   * held for the applicant goes to the next person on its waitlist
+   * @param {string} reason - mailed to the applicant
+   * @returns {Promise<object>} the application
+   */
+  reject(id, reason) {
+    if (!reason || !reason.trim()) return Promise.reject(new Error('Give a reason for the applicant'));
+
+    const reviewedBy = this.reviewer();
+    let offers = [];
+
+    return RentariumStore.transaction(['applications', 'tenants', 'units', 'waitlist', 'activityLog'], (store) => {
+      RentariumPermissions.assert('applications.review');
+      const application = store.getById('applications', id);
+      if (!application) throw new Error(`Application ${id} not found`);
+      if (application.status !== 'pending') throw new Error(`Application ${id} is already ${application.status}`);
+
+      const tenant = store.getById('tenants', application.tenantId);
+      if (tenant && tenant.status === 'pending') store.remove('tenants', tenant.tenantId);
+
+      Object.assign(application, {
+        status: 'rejected',
+        decisionNote: reason.trim(),
+        reviewedAt: new Date().toISOString(),
+        reviewedBy
+      });
+      store.save('applications', application);
+
+      store.logActivity(`Rental application ${id} rejected`, {
+        applicationId: id,
+        unit: application.unitNumber,
+        reason: application.decisionNote,
+        by: reviewedBy
+      });
+
+      const unit = store.getById('units', application.unitNumber);
+      if (RentariumWaitlist.isHeldFor(unit, { applicationId: id })) {
+        // The reviewer may not manage waitlists; this only follows the decision
+        store.asSystem(() => {
+          const entry = store.getById('waitlist', unit.reservedFor.waitlistId);
+          if (entry) store.save('waitlist', { ...entry, status: 'removed', closedAt: application.reviewedAt });
+          offers = RentariumWaitlist.releaseAndOffer(store, application.unitNumber);
+        });
+      }
+
+      return application;
+    }).then(application => {
+      RentariumWaitlist.notifyOffers(offers);
+      this.notify(application, `Your application ${application.id} was not approved`, [
+        `We are sorry, your application for unit ${application.unitNumber} was not approved.`,
+        `Reason: ${application.decisionNote}`,
+        'You are welcome to apply again for another unit.'
+      ]);
+      return application;
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumApplications;
+}
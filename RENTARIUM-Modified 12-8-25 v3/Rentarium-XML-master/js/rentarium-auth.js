@@ -0,0 +1,213 @@
+/**
+ * RENTARIUM AUTHENTICATION
+ * Checks a username and password, and the authenticator code when
+ * two-factor is on, for Users/Login-Form.html
+ *
+ * Staff accounts are looked up first, then tenants, by username whatever
+ * its case. Lockouts and every
+ * attempt go through js/rentarium-lockout.js, and plaintext or outdated
+ * password hashes are replaced once the password is known to be right.
+ * Nothing here starts the session: the login page does that with the
+ * user it gets back.
+ *
+ * With the API backend the browser is never sent password hashes, so
+ * login() and verifyTwoFactor() run on the server (server/rentarium-server.js),
+ * which adds the session's apiToken to the user.
+ * Load after rentarium-credentials.js, rentarium-lockout.js and rentarium-totp.js.
+ */
+
+const RentariumAuth = {
+  // How long the authenticator code may take after the password was accepted
+  TWO_FACTOR_MINUTES: 5,
+
+  TENANT_STATUS_ERRORS: {
+    pending: 'Your account is pending approval.',
+    expired: 'Your account has expired.',
+    inactive: 'Your account is inactive.'
+  },
+
+  // Admin-chosen passwords, and plaintext ones left by older builds, must be
+  // replaced before the user gets any further than Change-Password.html
+  mustChangePassword(account) {
+    return !!account.mustChangePassword || typeof account.password === 'string';
+  },
+
+  // Replace a plaintext or outdated hash once the password is known to be right
+  upgradePassword(collection, id, account, password) {
+    if (!RentariumCredentials.needsRehash(account)) return;
+    const options = { system: true };
+    if (typeof account.password === 'string') options.mustChange = true;
+    RentariumCredentials.setPassword(collection, id, password, options)
+      .then(() => console.log(`🔐 Password for ${account.username} upgraded to ${RentariumCredentials.ALGORITHM}`))
+      .catch(err => console.error('Password upgrade failed', err));
+  },
+
+  // Remember when staff last logged in (shown on ADMIN/Staff-Accounts.html)
+  recordLogin(user) {
+    return RentariumStore.transaction(['users'], (store) => store.asSystem(() =>
+      store.update('users', user.id, { lastLogin: new Date().toISOString() })
+    )).catch(err => console.error('Could not record last login', err));
+  },
+
+  // Usernames match whatever their case and surrounding spaces, as the
+  // lockout counts them (RentariumLockout.key()); an exact match comes first
+  findAccount(accounts, username) {
+    const key = RentariumLockout.key(username);
+    return accounts.find(a => a.username === username) ||
+      accounts.find(a => RentariumLockout.key(a.username) === key);
+  },
+
+  // Right password, but the account itself may not log in
+  deny(username, role, error) {
+    return RentariumLockout.recordSuccess(username, 'LOGIN_DENIED', { role, reason: error })
+      .catch(err => console.error('Could not record login attempt', err))
+      .then(() => ({ success: false, error }));
+  },
+
+  // Clear failed attempts and log the login
+  started(user) {
+    return RentariumLockout.recordSuccess(user.username, 'LOGIN_SUCCESS', { role: user.role })
+      .catch(err => console.error('Could not record login attempt', err))
+      .then(() => ({ success: true, user }));
+  },
+
+  // ========== LOGIN ==========
+
+  /**
+   * Check a username and password against staff accounts, then tenants
+   * @returns {Promise<object>} { success: true, user } with the fields for
+   *   RentariumSession.start(), { success: false, twoFactor: true, pending }
+   *   when an authenticator code is still needed, or { success: false, error }
+   */
+  login(username, password) {
+    const remote = RentariumStore.remote('auth.login', username, password);
+    if (remote) return remote;
+
+    // Locked, or still waiting after recent failures: the password is not even checked
+    const blocked = RentariumLockout.check(username);
+    if (blocked) {
+      return RentariumLockout.recordBlocked(username, blocked)
+        .catch(err => console.error('Could not record login attempt', err))
+        .then(() => ({ success: false, error: blocked }));
+    }
+
+    const user = this.findAccount(RentariumStore.getAll('users'), username);
+
+    return RentariumCredentials.verifyPassword(password, user).then(userMatches => {
+      if (userMatches) {
+        if (user.status === 'disabled') {
+          return this.deny(username, user.role, 'This account has been disabled. Contact your administrator.');
+        }
+
+        this.upgradePassword('users', user.id, user, password);
+
+        // Password is right; the session waits for the authenticator code
+        if (RentariumTotp.isEnabled(user)) {
+          return {
+            success: false,
+            twoFactor: true,
+            pending: {
+              userId: user.id,
+              username: user.username,
+              expiresAt: Date.now() + this.TWO_FACTOR_MINUTES * 60 * 1000
+            }
+          };
+        }
+
+        return this.startStaff(user);
+      }
+
+      const tenant = this.findAccount(RentariumStore.getAll('tenants'), username);
+      // A name with no account is hashed all the same, so the time taken
+      // does not show which names exist
+      const checked = tenant || user
+        ? RentariumCredentials.verifyPassword(password, tenant)
+        : RentariumCredentials.verifyMissing(password);
+
+      return checked.then(tenantMatches => {
+        if (!tenantMatches) {
+          return RentariumLockout.recordFailure(username)
+            .catch(err => {
+              console.error('Could not record login attempt', err);
+              return 'Invalid username or password';
+            })
+            .then(error => ({ success: false, error }));
+        }
+
+        this.upgradePassword('tenants', tenant.tenantId, tenant, password);
+
+        const status = String(tenant.status).toLowerCase();
+        if (status !== 'active') {
+          return this.deny(username, 'tenant', this.TENANT_STATUS_ERRORS[status] || `Cannot login: ${tenant.status}`);
+        }
+
+        return this.started({
+          userId: tenant.tenantId,
+          username: tenant.username,
+          fullName: tenant.name,
+          email: tenant.email,
+          role: 'tenant',
+          tenantId: tenant.tenantId,
+          unitAssigned: tenant.unitAssigned,
+          mustChangePassword: this.mustChangePassword(tenant)
+        });
+      });
+    });
+  },
+
+  // Staff whose password (and code, with two-factor on) were accepted
+  startStaff(user) {
+    return this.recordLogin(user).then(() => this.started({
+      userId: user.id,
+      username: user.username,
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      mustChangePassword: this.mustChangePassword(user)
+    }));
+  },
+
+  /**
+   * Second step for accounts with two-factor on: an authenticator or recovery code
+   * @param {object} pending - from login()
+   * @returns {Promise<object>} like login(); restart: true means the password
+   *   must be entered again. recoveryCodesLeft is set when a recovery code was used
+   */
+  verifyTwoFactor(pending, code) {
+    const remote = RentariumStore.remote('auth.verifyTwoFactor', pending, code);
+    if (remote) return remote;
+
+    if (!pending || Date.now() > pending.expiresAt) {
+      return Promise.resolve({ success: false, restart: true, error: 'The sign-in took too long. Enter your password again.' });
+    }
+
+    const blocked = RentariumLockout.check(pending.username);
+    if (blocked) {
+      return RentariumLockout.recordBlocked(pending.username, blocked)
+        .catch(err => console.error('Could not record login attempt', err))
+        .then(() => ({ success: false, restart: true, error: blocked }));
+    }
+
+    return RentariumTotp.verify(pending.userId, code).then(method => {
+      if (!method) {
+        return RentariumLockout.recordFailure(pending.username, { reason: 'two-factor code', error: 'Invalid authentication code' })
+          .catch(err => {
+            console.error('Could not record login attempt', err);
+            return 'Invalid authentication code';
+          })
+          // A lockout sends the user back to the password step
+          .then(error => ({ success: false, restart: !!RentariumLockout.check(pending.username), error }));
+      }
+
+      const user = RentariumStore.getById('users', pending.userId);
+      return this.startStaff(user).then(result => method === 'recovery'
+        ? { ...result, recoveryCodesLeft: RentariumTotp.recoveryCodesLeft(user) }
+        : result);
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumAuth;
+}
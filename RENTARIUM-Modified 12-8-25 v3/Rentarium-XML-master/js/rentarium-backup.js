@@ -0,0 +1,401 @@
+/**
+ * RENTARIUM BACKUP AND RESTORE
+ * Exports every RentariumStore collection and setting to one versioned
+ * archive file, and restores from one after validating it.
+ *
+ * Archive layout (FORMAT_VERSION 1):
+ *   { format: 'rentarium-backup', version, schemaVersion, createdAt,
+ *     createdBy, note, collections: { tenants: [...], units: {...}, ... },
+ *     settings: { utilityRates: {...} } }
+ *
+ * Archives leave out password hashes (each collection's secretFields),
+ * private collections such as two-factor secrets, the mail outbox with its
+ * reset codes, and the data of uploaded files (each collection's
+ * fileField) - only their name, type and size are kept. Restoring keeps
+ * what the stored records already have of those. Receipts and ledger entries are never deleted or
+ * changed by a restore, in either mode: backup entries missing here are added.
+ *
+ * Archives from older builds are upgraded by RentariumSchema after restore.
+ * snapshot() keeps the last MAX_SNAPSHOTS archives inside the app so
+ * destructive resets and restores can be undone.
+ */
+
+const RentariumBackup = {
+  FORMAT: 'rentarium-backup',
+  FORMAT_VERSION: 1,
+  MAX_SNAPSHOTS: 5,
+
+  // Snapshots, login lockouts and the mail outbox are not part of archives,
+  // nor are private collections, and these settings describe the data
+  // rather than being data
+  SKIP_COLLECTIONS: ['snapshots', 'loginAttempts', 'mailOutbox'],
+  SKIP_SETTINGS: ['schemaVersion', 'migrationReport'],
+
+
+  // Official records a restore only ever adds to
+  APPEND_ONLY: ['receipts', 'ledger'],
+
+  // ========== ARCHIVES ==========
+
+  collectionNames() {
+    return Object.keys(RentariumStore.COLLECTIONS)
+      .filter(name => !this.SKIP_COLLECTIONS.includes(name) && !RentariumStore.COLLECTIONS[name].private);
+  },
+
+  // A record as archives carry it: no password hashes, no file data
+  strip(name, record) {
+    const secretFields = RentariumStore.getCollection(name).secretFields || [];
+    const files = RentariumStore.getCollection(name).fileField;
+    if (!record || typeof record !== 'object' || (secretFields.length === 0 && !files)) return record;
+
+    const copy = { ...record };
+    secretFields.forEach(field => delete copy[field]);
+    if (files && Array.isArray(copy[files])) {
+      copy[files] = copy[files].map(({ dataUrl, ...file }) => file);
+    }
+    return copy;
+  },
+
+  // An archived record with what archives leave out put back from the
+  // record stored under the same id, where there is one
+  withStored(name, record, stored) {
+    const secretFields = RentariumStore.getCollection(name).secretFields || [];
+    const files = RentariumStore.getCollection(name).fileField;
+    const copy = { ...record };
+
+    secretFields.forEach(field => {
+      if (stored && stored[field] !== undefined) copy[field] = stored[field];
+    });
+    // Two-factor needs the secret kept in totpSecrets, which archives lack
+    if (name === 'users') {
+      if (stored && stored.totp) copy.totp = stored.totp;
+      else if (copy.totp && !copy.totp.secret) delete copy.totp;
+    }
+    if (files && Array.isArray(copy[files])) {
+      const storedFiles = (stored && stored[files]) || [];
+      copy[files] = copy[files].map(file => {
+        if (file.dataUrl) return file;
+        const same = storedFiles.find(f => f.name === file.name && f.uploadedAt === file.uploadedAt);
+        return same && same.dataUrl ? { ...file, dataUrl: same.dataUrl } : file;
+      });
+    }
+    return copy;
+  },
+
+  settingNames() {
+    return Object.keys(RentariumStore.SETTINGS)
+      .filter(name => !this.SKIP_SETTINGS.includes(name));
+  },
+
+  /**
+   * Copy of the whole dataset
+   * @param {string} note - optional label stored with the archive
+   * @returns {object} archive
+   */
+  createArchive(note = '') {
+    const session = RentariumStore.getSession();
+    const archive = {
+      format: this.FORMAT,
+      version: this.FORMAT_VERSION,
+      schemaVersion: typeof RentariumSchema !== 'undefined' ? RentariumSchema.getVersion(RentariumStore) : 0,
+      createdAt: new Date().toISOString(),
+      createdBy: session ? session.username : 'unknown',
+      note,
+      collections: {},
+      settings: {}
+    };
+
+    this.collectionNames().forEach(name => {
+      const data = RentariumStore.getAll(name);
+      archive.collections[name] = Array.isArray(data)
+        ? data.map(record => this.strip(name, record))
+        : Object.fromEntries(Object.entries(data).map(([id, record]) => [id, this.strip(name, record)]));
+    });
+    this.settingNames().forEach(name => {
+      const value = RentariumStore.getSetting(name);
+      if (value !== null) archive.settings[name] = value;
+    });
+
+    return archive;
+  },
+
+  // Number of records per collection, e.g. { tenants: 4, units: 6 }
+  countRecords(archive) {
+    const counts = {};
+    Object.entries(archive.collections || {}).forEach(([name, data]) => {
+      counts[name] = Array.isArray(data) ? data.length : Object.keys(data || {}).length;
+    });
+    return counts;
+  },
+
+  fileName(archive) {
+    const stamp = archive.createdAt.slice(0, 16).replace('T', '-').replace(':', '');
+    return `rentarium-backup-${stamp}.json`;
+  },
+
+  // Save an archive as a .json file
+  download(archive) {
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = this.fileName(archive);
+    a.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Read a chosen file into an archive object
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          resolve(JSON.parse(e.target.result));
+        } catch (err) {
+          reject(new Error('The file is not valid JSON'));
+        }
+      };
+      reader.onerror = () => reject(new Error('The file could not be read'));
+      reader.readAsText(file);
+    });
+  },
+
+  // ========== VALIDATION ==========
+
+  /**
+   * Check an archive before restoring it
+   * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+   */
+  validate(archive) {
+    const errors = [];
+    const warnings = [];
+
+    if (!archive || typeof archive !== 'object' || archive.format !== this.FORMAT) {
+      return { valid: false, errors: ['The file is not a Rentarium backup'], warnings };
+    }
+    if (typeof archive.version !== 'number' || archive.version > this.FORMAT_VERSION) {
+      errors.push(`Backup format v${archive.version} is not supported by this version of Rentarium`);
+    }
+
+    const currentSchema = typeof RentariumSchema !== 'undefined' ? RentariumSchema.CURRENT_VERSION : 0;
+    if (typeof archive.schemaVersion !== 'number') {
+      errors.push('Backup has no schema version');
+    } else if (archive.schemaVersion > currentSchema) {
+      errors.push(`Backup was made by a newer Rentarium (schema v${archive.schemaVersion})`);
+    } else if (archive.schemaVersion < currentSchema) {
+      warnings.push(`Records will be upgraded from schema v${archive.schemaVersion} to v${currentSchema}`);
+    }
+
+    const collections = archive.collections;
+    if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+      errors.push('Backup has no collections');
+      return { valid: false, errors, warnings };
+    }
+
+    Object.entries(collections).forEach(([name, data]) => {
+      const collection = RentariumStore.COLLECTIONS[name];
+      if (!collection) {
+        warnings.push(`Unknown collection '${name}' will be ignored`);
+        return;
+      }
+      if (!this.collectionNames().includes(name)) {
+        warnings.push(`${name} is never restored from a backup and will be ignored`);
+        return;
+      }
+
+      if (collection.type === 'map') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          errors.push(`${name} should be an object keyed by id`);
+        }
+        return;
+      }
+
+      if (!Array.isArray(data)) {
+        errors.push(`${name} should be a list`);
+        return;
+      }
+      if (data.some(record => !record || typeof record !== 'object')) {
+        errors.push(`${name} contains entries that are not records`);
+        return;
+      }
+      const missingIds = data.filter(record => record[collection.idField] === undefined).length;
+      if (missingIds > 0) {
+        warnings.push(`${missingIds} ${name} record(s) have no ${collection.idField}`);
+      }
+    });
+
+    this.collectionNames()
+      .filter(name => !(name in collections))
+      .forEach(name => warnings.push(`Backup has no ${name}; current ${name} are kept`));
+
+    return { valid: errors.length === 0, errors, warnings };
+  },
+
+  // ========== RESTORE ==========
+
+  /**
+   * Data a collection would hold after restoring
+   * merge   - backup records are added, or replace records with the same id
+   * replace - the collection becomes exactly the backup's copy
+   * ID counters only ever move forward so numbers are never reused, and
+   * APPEND_ONLY collections keep every entry they have
+   */
+  combine(name, current, incoming, mode) {
+    const collection = RentariumStore.getCollection(name);
+
+    if (name === 'sequences') {
+      const counters = { ...current };
+      Object.entries(incoming).forEach(([type, counter]) => {
+        if (!counters[type] || counter.value > counters[type].value) counters[type] = counter;
+      });
+      return counters;
+    }
+
+    if (collection.type === 'map') {
+      const restored = Object.fromEntries(Object.entries(incoming)
+        .map(([id, record]) => [id, this.withStored(name, record, current[id])]));
+      return mode === 'replace' ? restored : { ...current, ...restored };
+    }
+
+    const idOf = record => record[collection.idField];
+    const storedRecord = record => idOf(record) === undefined ? null : current.find(r => idOf(r) === idOf(record));
+
+    if (this.APPEND_ONLY.includes(name)) {
+      return current.concat(incoming.filter(record => idOf(record) !== undefined && !storedRecord(record)));
+    }
+
+    const restored = incoming.map(record => this.withStored(name, record, storedRecord(record)));
+    if (mode === 'replace') return restored;
+
+    const merged = current.slice();
+    restored.forEach(record => {
+      const id = idOf(record);
+      const index = id === undefined ? -1 : merged.findIndex(r => idOf(r) === id);
+      if (index !== -1) {
+        merged[index] = record;
+      } else if (!merged.some(r => JSON.stringify(r) === JSON.stringify(record))) {
+        merged.push(record);
+      }
+    });
+    return merged;
+  },
+
+  // Restorable collection names in an archive
+  archiveCollections(archive) {
+    return this.collectionNames().filter(name => name in archive.collections);
+  },
+
+  /**
+   * What restoring would change, per collection
+   * @returns {Array<{name, current, incoming, added, updated, removed}>}
+   */
+  preview(archive, mode) {
+    return this.archiveCollections(archive).map(name => {
+      const current = RentariumStore.getAll(name);
+      const incoming = archive.collections[name];
+      const events = RentariumStore.changeEvents(name, current, this.combine(name, current, incoming, mode));
+      const count = suffix => events.filter(e => e.type.endsWith(suffix)).length;
+
+      return {
+        name,
+        current: Array.isArray(current) ? current.length : Object.keys(current).length,
+        incoming: Array.isArray(incoming) ? incoming.length : Object.keys(incoming).length,
+        added: count('.created'),
+        updated: count('.updated') + count('.changed'),
+        removed: count('.deleted')
+      };
+    });
+  },
+
+  /**
+   * Restore an archive. A snapshot of the current data is taken first, and
+   * every collection is written in one transaction
+   * @param {object} archive
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<object>} the snapshot taken before restoring
+   */
+  restore(archive, mode = 'merge') {
+    const check = this.validate(archive);
+    if (!check.valid) {
+      return Promise.reject(new Error(check.errors.join('\n')));
+    }
+
+    const names = this.archiveCollections(archive);
+    const before = this.snapshot(`Before ${mode} restore of backup from ${archive.createdAt.slice(0, 10)}`);
+
+    return RentariumStore.transaction(names, (store) => {
+      names.forEach(name => {
+        store.saveAll(name, this.combine(name, store.getAll(name), archive.collections[name], mode));
+      });
+    }).then(() => {
+      Object.entries(archive.settings || {}).forEach(([name, value]) => {
+        if (RentariumStore.SETTINGS[name] && !this.SKIP_SETTINGS.includes(name)) {
+          RentariumStore.saveSetting(name, value);
+        }
+      });
+
+      // Bring records from an older build up to the current layout
+      if (typeof RentariumSchema !== 'undefined' && archive.schemaVersion < RentariumSchema.CURRENT_VERSION) {
+        RentariumStore.saveSetting('schemaVersion', archive.schemaVersion);
+        RentariumSchema.migrate(RentariumStore);
+      }
+
+      RentariumStore.logActivity(`Backup from ${archive.createdAt} restored (${mode})`, {
+        mode,
+        collections: names,
+        snapshotId: before.id
+      });
+      return before;
+    });
+  },
+
+  // ========== SNAPSHOTS ==========
+
+  /**
+   * Keep a copy of the current data inside the app
+   * @param {string} reason - e.g. 'Before tenant reset'
+   * @returns {object} the snapshot { id, reason, createdAt, counts, archive }
+   */
+  snapshot(reason) {
+    const archive = this.createArchive(reason);
+    const snapshot = {
+      id: 'SNAP' + Date.now(),
+      reason,
+      createdAt: archive.createdAt,
+      counts: this.countRecords(archive),
+      archive
+    };
+
+    // localStorage holds a few MB at most: when the snapshots do not fit,
+    // the oldest are dropped until they do. Snapshots are taken before
+    // risky changes by whoever makes them, not only backup.manage
+    const save = (records) => RentariumStore.asSystem(() => RentariumStore.saveAll('snapshots', records));
+    let kept = RentariumStore.getAll('snapshots').concat(snapshot).slice(-this.MAX_SNAPSHOTS);
+    let saved = save(kept);
+    while (saved === false && kept.length > 1) {
+      kept = kept.slice(1);
+      saved = save(kept);
+    }
+    if (saved === false) console.warn(`Snapshot not saved, storage is full: ${reason}`);
+    else console.log(`💾 Snapshot taken: ${reason}`);
+    return snapshot;
+  },
+
+  // Newest first
+  listSnapshots() {
+    return RentariumStore.getAll('snapshots').slice().reverse();
+  },
+
+  getSnapshot(id) {
+    return RentariumStore.getById('snapshots', id);
+  },
+
+  deleteSnapshot(id) {
+    return RentariumStore.remove('snapshots', id);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumBackup;
+}
@@ -0,0 +1,258 @@
+/**
+ * RENTARIUM BILLING RUN
+ * Posts each active tenant's rent to their ledger, one charge per month of
+ * the lease, so a month is billed whether or not anyone looks at it.
+ *
+ * run() bills every month from leaseStart, or from the month after the
+ * last one billed for the tenant, up to the current month, or leaseEnd if
+ * that comes first. Months missed while nobody opened the app are billed on
+ * the next run. A month's rent status (RENT-xxxx) records that it was
+ * billed, so running again - in another tab, or after the app was closed
+ * for a few months - only posts the months still missing. Pages run it when
+ * they load; with the API server it runs there (server/rentarium-server.js).
+ *
+ * The 'billing' setting, changed on ADMIN/Payments-Section.html:
+ * - dueDay: day of the month rent falls due (1-28)
+ * - prorate: charge a partly covered first or last month by the day
+ * - startMonth: optional first month billed (YYYY-MM); no month before it
+ *   is charged, whatever the lease says
+ * Changes apply to months billed afterwards; posted charges stay as they are.
+ * Load after rentarium-store.js, rentarium-ids.js and rentarium-ledger.js.
+ */
+
+const RentariumBilling = {
+  DEFAULTS: { dueDay: 1, prorate: true, startMonth: null, lastRunAt: null },
+
+  // Every month has this many days, so the due day never moves
+  MAX_DUE_DAY: 28,
+
+  COLLECTIONS: ['tenants', 'rentStatus', 'ledger', 'sequences', 'activityLog'],
+
+  // ========== SETTINGS ==========
+
+  getSettings() {
+    return { ...this.DEFAULTS, ...(RentariumStore.getSetting('billing', null) || {}) };
+  },
+
+  // First problem with billing settings, or null
+  validate(settings) {
+    const dueDay = Number(settings.dueDay);
+    if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > this.MAX_DUE_DAY) {
+      return `Due day must be between 1 and ${this.MAX_DUE_DAY}`;
+    }
+    if (settings.startMonth && !/^\d{4}-\d{2}$/.test(settings.startMonth)) return 'Billing start must be YYYY-MM';
+    return null;
+  },
+
+  /**
+   * Change the due day, proration or billing start (billing.manage)
+   * @param {object} changes - any of dueDay, prorate, startMonth
+   * @returns {object} the saved settings
+   */
+  saveSettings(changes) {
+    RentariumPermissions.assert('billing.manage');
+
+    const settings = { ...this.getSettings(), ...changes };
+    settings.dueDay = Number(settings.dueDay);
+    settings.prorate = Boolean(settings.prorate);
+    const problem = this.validate(settings);
+    if (problem) throw new Error(problem);
+
+    RentariumStore.saveSetting('billing', settings);
+    RentariumStore.logActivity('Billing settings updated', {
+      dueDay: settings.dueDay,
+      prorate: settings.prorate,
+      startMonth: settings.startMonth
+    });
+    return settings;
+  },
+
+  // ========== MONTHS ==========
+
+  currentMonth() {
+    return RentariumLedger.today().slice(0, 7);
+  },
+
+  // YYYY-MM-DD of a lease date, or null when there is none
+  day(value) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return String(value).slice(0, 10);
+    const date = new Date(value);
+    return isNaN(date) ? null : RentariumLedger.dateOf(date);
+  },
+
+  nextMonth(month) {
+    const [year, m] = month.split('-').map(Number);
+    return m === 12 ? `${year + 1}-01` : `${year}-${String(m + 1).padStart(2, '0')}`;
+  },
+
+  daysInMonth(month) {
+    const [year, m] = month.split('-').map(Number);
+    return new Date(year, m, 0).getDate();
+  },
+
+  // When a month's rent falls due under the current settings
+  dueDate(month, settings = this.getSettings()) {
+    return `${month}-${String(settings.dueDay).padStart(2, '0')}`;
+  },
+
+  // ========== LEASES ==========
+
+  // An active tenant's lease and rent, or null if they are not billed
+  lease(tenant) {
+    const start = this.day(tenant.leaseStart);
+    const rent = parseFloat(tenant.rentAmount) || 0;
+    if (tenant.status !== 'active' || !tenant.username || !start || !(rent > 0)) return null;
+    return { start, end: this.day(tenant.leaseEnd), rent };
+  },
+
+  // Months of a lease the run bills, oldest first. lastBilled is the
+  // tenant's latest billed month; earlier ones are never looked at again
+  months(lease, settings, current = this.currentMonth(), lastBilled = null) {
+    const first = [
+      lease.start.slice(0, 7),
+      settings.startMonth,
+      lastBilled && this.nextMonth(lastBilled)
+    ].filter(Boolean).sort().pop();
+    const last = lease.end && lease.end.slice(0, 7) < current ? lease.end.slice(0, 7) : current;
+
+    const months = [];
+    for (let month = first; month <= last; month = this.nextMonth(month)) months.push(month);
+    return months;
+  },
+
+  /**
+   * Rent for one month of a lease
+   * @returns {{ amount, from, to, days, daysInMonth, prorated, dueDate }}
+   *   from/to are the days of the month the lease covers; days is 0 or less
+   *   when it covers none
+   */
+  charge(lease, month, settings) {
+    const daysInMonth = this.daysInMonth(month);
+    const monthStart = `${month}-01`;
+    const monthEnd = `${month}-${daysInMonth}`;
+    const from = lease.start > monthStart ? lease.start : monthStart;
+    const to = lease.end && lease.end < monthEnd ? lease.end : monthEnd;
+    const days = Number(to.slice(8)) - Number(from.slice(8)) + 1;
+    const prorated = settings.prorate && days < daysInMonth;
+
+    // Due on the due day, but never before the lease starts or after it ends
+    const due = this.dueDate(month, settings);
+    const dueDate = due < from ? from : due > to ? to : due;
+
+    return {
+      amount: prorated ? RentariumLedger.round(lease.rent * days / daysInMonth) : lease.rent,
+      from,
+      to,
+      days,
+      daysInMonth,
+      prorated,
+      dueDate
+    };
+  },
+
+  // A month counts as billed once it has a rent status, or when the ledger
+  // was opened with rent already settled for it
+  isBilled(tenantId, month, rentStatus, ledger) {
+    return rentStatus.some(s => s.tenantId === tenantId && s.month === month) ||
+      RentariumLedger.inEffect(RentariumLedger.forTenant(tenantId, ledger)).some(e =>
+        e.sourceType === 'opening' && e.category === 'rent' && e.period === month
+      );
+  },
+
+  // Latest month billed for a tenant, or null before their first charge
+  lastBilled(tenantId, rentStatus, ledger) {
+    const months = rentStatus.filter(s => s.tenantId === tenantId).map(s => s.month)
+      .concat(RentariumLedger.inEffect(RentariumLedger.forTenant(tenantId, ledger))
+        .filter(e => e.sourceType === 'opening' && e.category === 'rent')
+        .map(e => e.period));
+    return months.sort().pop() || null;
+  },
+
+  // ========== RUN ==========
+
+  /**
+   * Post rent for every month each active tenant has not been billed for
+   * yet. Safe to run any number of times
+   * @returns {Promise<object[]>} the rent statuses created
+   */
+  run() {
+    // The API server only takes upkeep writes it makes itself. It bills on
+    // its own every hour; pages only ask for a run with billing.manage
+    if (RentariumStore.isRemote()) {
+      return RentariumPermissions.can('billing.manage') ? RentariumStore.remote('billing.run') : Promise.resolve([]);
+    }
+
+    const settings = this.getSettings();
+    const current = this.currentMonth();
+
+    return RentariumStore.transaction(this.COLLECTIONS, (store) =>
+      // Upkeep run on page load, by staff or by the tenant
+      store.asSystem(() => {
+        const rentStatus = store.getAll('rentStatus');
+        const ledger = store.getAll('ledger');
+        const billed = [];
+
+        store.getAll('tenants').forEach(tenant => {
+          const lease = this.lease(tenant);
+          if (!lease) return;
+
+          const lastBilled = this.lastBilled(tenant.username, rentStatus, ledger);
+          this.months(lease, settings, current, lastBilled).forEach(month => {
+            if (this.isBilled(tenant.username, month, rentStatus, ledger)) return;
+            const rent = this.charge(lease, month, settings);
+            if (rent.days <= 0) return;
+
+            const status = store.save('rentStatus', {
+              id: RentariumIds.next('rentStatus'),
+              tenantId: tenant.username,
+              month,
+              required_amount: rent.amount,
+              monthlyRent: lease.rent,
+              periodStart: rent.from,
+              periodEnd: rent.to,
+              prorated: rent.prorated,
+              createdDate: new Date().toISOString(),
+              dueDate: rent.dueDate
+            });
+
+            RentariumLedger.post({
+              tenantId: tenant.username,
+              unitNumber: tenant.unitAssigned || '',
+              type: 'charge',
+              category: 'rent',
+              amount: rent.amount,
+              date: rent.dueDate,
+              period: month,
+              description: rent.prorated
+                ? `Rent for ${month}, ${rent.from} to ${rent.to} (${rent.days} of ${rent.daysInMonth} days)`
+                : `Rent for ${month}`,
+              sourceType: 'rentStatus',
+              sourceId: status.id
+            });
+            billed.push(status);
+          });
+        });
+
+        if (billed.length > 0) {
+          const total = RentariumLedger.round(billed.reduce((sum, s) => sum + s.required_amount, 0));
+          store.logActivity(`Billing run posted ${billed.length} rent charge${billed.length === 1 ? '' : 's'} (₱${total.toLocaleString()})`, {
+            months: [...new Set(billed.map(s => s.month))].sort(),
+            tenants: [...new Set(billed.map(s => s.tenantId))]
+          });
+        }
+        return billed;
+      })
+    ).then(billed => {
+      const saved = this.getSettings();
+      RentariumStore.saveSetting('billing', { ...saved, lastRunAt: new Date().toISOString() });
+      if (billed.length > 0) console.log(`🧾 Billing run posted ${billed.length} rent charge(s)`);
+      return billed;
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumBilling;
+}
@@ -0,0 +1,244 @@
+/**
+ * RENTARIUM CREDENTIALS
+ * Password hashing for admin users and tenants with PBKDF2 (WebCrypto).
+ *
+ * Accounts keep passwordHash: { algorithm, iterations, salt, hash } with
+ * salt and hash base64-encoded, never the password itself. Accounts saved
+ * by older builds still have a plaintext `password`; verifyPassword()
+ * accepts it once and the login page replaces it with a hash.
+ *
+ * Passwords an admin hands out (temporary, or typed on Create Tenant) set
+ * mustChangePassword; the session then only reaches
+ * Users/Change-Password.html until the user picks their own.
+ *
+ * WebCrypto only exists in secure contexts: https, localhost or file://.
+ */
+
+const RentariumCredentials = {
+  ALGORITHM: 'PBKDF2-SHA256',
+  ITERATIONS: 600000,
+  SALT_BYTES: 16,
+  HASH_BITS: 256,
+
+  // Every password a user chooses must pass these
+  RULES: [
+    { label: 'At least 8 characters', test: p => p.length >= 8 },
+    { label: 'An uppercase letter',   test: p => /[A-Z]/.test(p) },
+    { label: 'A lowercase letter',    test: p => /[a-z]/.test(p) },
+    { label: 'A number',              test: p => /\d/.test(p) }
+  ],
+  USERNAME_RULE: 'Must not contain the username',
+
+  // Temporary passwords avoid look-alike characters (0/O, 1/l/I)
+  TEMP_ALPHABETS: ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnpqrstuvwxyz', '23456789'],
+
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  },
+
+  requireSupport() {
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('Password hashing needs a secure page (https, localhost or a local file)'));
+    }
+    return Promise.resolve();
+  },
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  },
+
+  derive(password, salt, iterations) {
+    return crypto.subtle
+      .importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+      .then(key => crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        this.HASH_BITS
+      ));
+  },
+
+  /**
+   * Salted hash of a password
+   * @returns {Promise<object>} { algorithm, iterations, salt, hash }
+   */
+  hashPassword(password) {
+    return this.requireSupport().then(() => {
+      const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+      return this.derive(password, salt, this.ITERATIONS).then(bits => ({
+        algorithm: this.ALGORITHM,
+        iterations: this.ITERATIONS,
+        salt: this.toBase64(salt),
+        hash: this.toBase64(bits)
+      }));
+    });
+  },
+
+  /**
+   * Check a password against an account (admin user or tenant)
+   * @returns {Promise<boolean>}
+   */
+  verifyPassword(password, account) {
+    if (!account) return Promise.resolve(false);
+
+    const stored = account.passwordHash;
+    if (!stored) {
+      // Plaintext left by an older build
+      return Promise.resolve(typeof account.password === 'string' && account.password === password);
+    }
+    if (stored.algorithm !== this.ALGORITHM) {
+      return Promise.reject(new Error(`Unknown password algorithm: ${stored.algorithm}`));
+    }
+
+    return this.requireSupport()
+      .then(() => this.derive(password, this.fromBase64(stored.salt), stored.iterations))
+      .then(bits => this.constantTimeEqual(new Uint8Array(bits), this.fromBase64(stored.hash)));
+  },
+
+  /**
+   * Take as long as verifyPassword() does on a hashed password, for a name
+   * with no account, so the time taken does not show which names exist
+   * @returns {Promise<boolean>} always false
+   */
+  verifyMissing(password) {
+    return this.requireSupport()
+      .then(() => this.derive(String(password), new Uint8Array(this.SALT_BYTES), this.ITERATIONS))
+      .then(() => false);
+  },
+
+  // Compare every byte so timing does not reveal where they differ
+  constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+  },
+
+  // True when the account still has plaintext or a weaker hash
+  needsRehash(account) {
+    const stored = account.passwordHash;
+    return !stored || stored.algorithm !== this.ALGORITHM || stored.iterations < this.ITERATIONS;
+  },
+
+  /**
+   * Hash a new password and save it on an account, dropping any plaintext
+   * @param {string} collection - 'users' or 'tenants'
+   * @param {string|number} id - the account's id in that collection
+   * @param {object} [options] - system: true skips the staff permission
+   *   check, for upkeep such as upgrading a hash at login or changing your
+   *   own password. mustChange: true or false sets or clears
+   *   mustChangePassword; omitted leaves it as it is
+   * @returns {Promise<object>} the saved account
+   */
+  setPassword(collection, id, password, { system = false, mustChange } = {}) {
+    return this.hashPassword(password).then(passwordHash =>
+      RentariumStore.transaction([collection], (store) => {
+        const apply = () => {
+          const account = store.getById(collection, id);
+          if (!account) throw new Error(`Account ${id} not found`);
+          delete account.password;
+          account.passwordHash = passwordHash;
+          account.passwordChangedAt = new Date().toISOString();
+          if (mustChange === true) account.mustChangePassword = true;
+          if (mustChange === false) delete account.mustChangePassword;
+          return store.save(collection, account);
+        };
+        return system ? store.asSystem(apply) : apply();
+      })
+    );
+  },
+
+  // ========== PASSWORD RULES ==========
+
+  /**
+   * Rules a new password fails
+   * @param {string} [username] - the password may not contain it
+   * @returns {string[]} labels of the failed rules, empty when it is fine
+   */
+  passwordProblems(password, username = '') {
+    const problems = this.RULES.filter(rule => !rule.test(password)).map(rule => rule.label);
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+      problems.push(this.USERNAME_RULE);
+    }
+    return problems;
+  },
+
+  // 'weak', 'medium' or 'strong', for strength bars
+  strength(password) {
+    let score = this.RULES.filter(rule => rule.test(password)).length;
+    if (password.length >= 12) score++;
+    if (/[^A-Za-z0-9]/.test(password)) score++;
+    return score >= 5 ? 'strong' : score >= 3 ? 'medium' : 'weak';
+  },
+
+  // Where a session's account is kept: tenants by tenantId, staff in users
+  accountOf(session) {
+    return session.tenantId
+      ? { collection: 'tenants', id: session.tenantId }
+      : { collection: 'users', id: session.userId };
+  },
+
+  /**
+   * Change the logged-in user's own password
+   * @param {object} session - from RentariumSession
+   * @returns {Promise<object>} the saved account
+   */
+  changePassword(session, currentPassword, newPassword) {
+    // The API server holds the hash, and uses the session behind its token
+    const remote = RentariumStore.remote('credentials.changePassword', currentPassword, newPassword);
+    if (remote) return remote;
+
+    const { collection, id } = this.accountOf(session);
+    const problems = this.passwordProblems(newPassword, session.username);
+    if (problems.length > 0) {
+      return Promise.reject(new Error('The new password needs: ' + problems.join(', ')));
+    }
+    if (newPassword === currentPassword) {
+      return Promise.reject(new Error('The new password must be different from the current one'));
+    }
+
+    return this.verifyPassword(currentPassword, RentariumStore.getById(collection, id)).then(matches => {
+      if (!matches) {
+        const err = new Error('Current password is incorrect');
+        err.code = 'WRONG_PASSWORD';
+        throw err;
+      }
+      // Your own account, so no staff permission is needed
+      return this.setPassword(collection, id, newPassword, { system: true, mustChange: false });
+    });
+  },
+
+  // Random password with upper and lower case letters and digits
+  generateTemporaryPassword(length = 10) {
+    const all = this.TEMP_ALPHABETS.join('');
+    const random = crypto.getRandomValues(new Uint32Array(length));
+    const chars = Array.from(random, n => all[n % all.length]);
+
+    // One character from each alphabet so it meets the password rules,
+    // then shuffle so they are not always first
+    this.TEMP_ALPHABETS.forEach((alphabet, i) => {
+      chars[i] = alphabet[random[i] % alphabet.length];
+    });
+    const swaps = crypto.getRandomValues(new Uint32Array(length));
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = swaps[i] % (i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+
+    return chars.join('');
+  },
+
+  // Copy of an account without password fields, for exports and display
+  withoutSecrets(account) {
+    const { password, passwordHash, ...rest } = account;
+    return rest;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumCredentials;
+}
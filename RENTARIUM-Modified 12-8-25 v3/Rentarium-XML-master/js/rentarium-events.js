@@ -0,0 +1,91 @@
+/**
+ * RENTARIUM EVENT BUS
+ * Carries typed change events between open tabs so pages re-render only
+ * when something they show has changed, instead of polling storage.
+ *
+ * Events look like { type: 'tenant.updated', id: 'TEN001' }.
+ * RentariumStore publishes <entity>.created / .updated / .deleted for every
+ * save, plus domain events such as 'contract.terminated'.
+ *
+ * Uses BroadcastChannel, or storage events on a single localStorage key
+ * in browsers without it. Messages never echo back to the sending tab.
+ */
+
+const RentariumEvents = {
+  CHANNEL_NAME: 'rentarium',
+  FALLBACK_KEY: 'rentarium_event',
+
+  channel: null,
+  receiver: null,
+  handlers: [],   // { patterns, handler }
+
+  // Start listening to other tabs. receiver(message) gets every message
+  start(receiver) {
+    if (this.receiver) return;
+    this.receiver = receiver;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.onmessage = (e) => this.receiver(e.data);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.FALLBACK_KEY && e.newValue) {
+          this.receiver(JSON.parse(e.newValue).message);
+        }
+      });
+    }
+  },
+
+  // Send a message ({ collection, events }) to every other tab
+  publish(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.FALLBACK_KEY, JSON.stringify({
+        message,
+        nonce: Date.now() + Math.random()
+      }));
+    } catch (e) {
+      console.warn('Could not publish Rentarium event', e);
+    }
+  },
+
+  /**
+   * Subscribe to events in this tab
+   * @param {string|string[]} types - 'tenant.updated', 'tenant.*' or '*'
+   * @param {function} handler - called with the event
+   * @returns {function} unsubscribe
+   */
+  on(types, handler) {
+    const entry = { patterns: [].concat(types), handler };
+    this.handlers.push(entry);
+    return () => {
+      this.handlers = this.handlers.filter(h => h !== entry);
+    };
+  },
+
+  matches(pattern, type) {
+    if (pattern === '*' || pattern === type) return true;
+    return pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1));
+  },
+
+  // Hand an event to this tab's subscribers
+  emit(event) {
+    this.handlers.forEach(({ patterns, handler }) => {
+      if (!patterns.some(p => this.matches(p, event.type))) return;
+      try {
+        handler(event);
+      } catch (e) {
+        console.error('Rentarium event handler failed', event.type, e);
+      }
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumEvents;
+}
@@ -0,0 +1,410 @@
+/**
+ * RENTARIUM DATA HEALTH
+ * Scans tenants, units, contracts, payments, bills and rent status for
+ * records that contradict each other, explains each problem and repairs
+ * the ones that have a safe fix.
+ *
+ * Each check's scan(data) returns issues:
+ *   { recordId, collection, message, fixLabel, fix() }
+ * where fix() changes data in place. Checks without a safe fix leave
+ * fixLabel and fix null so the admin corrects them by hand.
+ * Repairs run in one transaction after a snapshot (js/rentarium-backup.js)
+ * and every repair is written to the activity log.
+ */
+
+const RentariumHealth = {
+  // Collections the checks read and the repairs may write
+  COLLECTIONS: ['tenants', 'units', 'contracts', 'payments', 'bills', 'rentStatus'],
+
+  // ========== HELPERS ==========
+
+  // Free a unit the way contract termination does
+  vacate(unit) {
+    unit.status = 'Vacant';
+    unit.tenantId = null;
+    unit.tenantName = '';
+    unit.moveInDate = '';
+  },
+
+  link(unit, tenant) {
+    unit.status = 'Occupied';
+    unit.tenantId = tenant.tenantId;
+    unit.tenantName = tenant.name;
+    unit.moveInDate = unit.moveInDate || tenant.leaseStart || '';
+  },
+
+  isActive(tenant) {
+    return tenant.status !== 'terminated' && tenant.status !== 'inactive';
+  },
+
+  // Lookups shared by the checks
+  index(data) {
+    const tenantsById = new Map();
+    const usernames = new Set();
+    data.tenants.forEach(t => {
+      if (!tenantsById.has(t.tenantId)) tenantsById.set(t.tenantId, t);
+      if (t.username) usernames.add(t.username);
+    });
+    return { tenantsById, usernames };
+  },
+
+  // Issues for records whose tenantId (a username) matches no tenant
+  orphanedRecords(data, name, describe) {
+    const { usernames } = this.index(data);
+    return data[name]
+      .filter(record => record.tenantId && !usernames.has(record.tenantId))
+      .map(record => ({
+        recordId: record.id,
+        collection: name,
+        message: `${describe(record)} belongs to '${record.tenantId}', who is no longer a tenant.`,
+        fixLabel: 'Delete record',
+        fix: () => {
+          data[name] = data[name].filter(r => r !== record);
+        }
+      }));
+  },
+
+  // Issues for the second and later records sharing one id
+  duplicateIds(data, name, idField, sequence) {
+    const seen = new Map();
+    const issues = [];
+
+    data[name].forEach(record => {
+      const id = record[idField];
+      if (id === undefined || id === null) return;
+      const count = (seen.get(id) || 0) + 1;
+      seen.set(id, count);
+      if (count === 1) return;
+
+      issues.push({
+        recordId: `${id}#${count}`,
+        collection: name,
+        message: `${count} ${name} records share the ID ${id}, so only one of them can be opened or updated.`,
+        fixLabel: 'Give this copy a new ID',
+        fix: () => {
+          record[idField] = RentariumIds.next(sequence);
+          return `new ID ${record[idField]}`;
+        }
+      });
+    });
+
+    return issues;
+  },
+
+  // ========== CHECKS ==========
+
+  CHECKS: [
+    {
+      id: 'unit-missing-tenant',
+      severity: 'error',
+      title: 'Units linked to deleted tenants',
+      explanation: 'The unit shows as taken by someone who is no longer in Tenants Management, so it cannot be rented out.',
+      scan(data) {
+        const { tenantsById } = RentariumHealth.index(data);
+        return Object.entries(data.units)
+          .filter(([, unit]) => unit.tenantId && !tenantsById.has(unit.tenantId))
+          .map(([unitId, unit]) => ({
+            recordId: unitId,
+            collection: 'units',
+            message: `Unit ${unitId} is linked to tenant ${unit.tenantId}${unit.tenantName ? ` (${unit.tenantName})` : ''}, who no longer exists.`,
+            fixLabel: 'Mark unit Vacant',
+            fix: () => RentariumHealth.vacate(unit)
+          }));
+      }
+    },
+    {
+      id: 'unit-terminated-tenant',
+      severity: 'error',
+      title: 'Units held by terminated tenants',
+      explanation: 'The tenant\'s contract has ended but the unit was never freed.',
+      scan(data) {
+        const { tenantsById } = RentariumHealth.index(data);
+        return Object.entries(data.units)
+          .filter(([, unit]) => {
+            const tenant = unit.tenantId && tenantsById.get(unit.tenantId);
+            return tenant && tenant.status === 'terminated' && unit.status !== 'Vacant';
+          })
+          .map(([unitId, unit]) => ({
+            recordId: unitId,
+            collection: 'units',
+            message: `Unit ${unitId} is still ${unit.status} by ${unit.tenantName || unit.tenantId}, whose tenancy was terminated.`,
+            fixLabel: 'Mark unit Vacant',
+            fix: () => RentariumHealth.vacate(unit)
+          }));
+      }
+    },
+    {
+      id: 'unit-occupied-without-tenant',
+      severity: 'error',
+      title: 'Occupied units with no tenant',
+      explanation: 'The unit is marked Occupied but no tenant is linked to it, so rent and bills cannot be tracked for it.',
+      scan(data) {
+        return Object.entries(data.units)
+          .filter(([, unit]) => unit.status === 'Occupied' && !unit.tenantId)
+          .map(([unitId, unit]) => {
+            const claimant = data.tenants.find(t => t.unitAssigned === unitId && RentariumHealth.isActive(t));
+            return {
+              recordId: unitId,
+              collection: 'units',
+              message: `Unit ${unitId} is Occupied but has no tenant linked.` +
+                (claimant ? ` ${claimant.name} is assigned to it.` : ' No active tenant is assigned to it.'),
+              fixLabel: claimant ? `Link to ${claimant.name}` : 'Mark unit Vacant',
+              fix: () => (claimant ? RentariumHealth.link(unit, claimant) : RentariumHealth.vacate(unit))
+            };
+          });
+      }
+    },
+    {
+      id: 'tenant-missing-unit',
+      severity: 'error',
+      title: 'Tenants assigned to units that do not exist',
+      explanation: 'The tenant\'s unit number is not in Units Management, often because of a different numbering scheme (e.g. U001 vs A-101).',
+      scan(data) {
+        return data.tenants
+          .filter(t => t.unitAssigned && RentariumHealth.isActive(t) && !data.units[t.unitAssigned])
+          .map(tenant => {
+            // A unit that already points at this tenant is the one they meant
+            const match = Object.entries(data.units).find(([, unit]) => unit.tenantId === tenant.tenantId);
+            return {
+              recordId: tenant.tenantId,
+              collection: 'tenants',
+              message: `${tenant.name} is assigned to unit ${tenant.unitAssigned}, which does not exist.` +
+                (match ? ` Unit ${match[0]} is linked to them.` : ''),
+              fixLabel: match ? `Assign to unit ${match[0]}` : 'Clear unit assignment',
+              fix: () => { tenant.unitAssigned = match ? match[0] : ''; }
+            };
+          });
+      }
+    },
+    {
+      id: 'tenant-unit-not-linked',
+      severity: 'warning',
+      title: 'Tenants whose unit does not list them',
+      explanation: 'The tenant is assigned to a unit, but the unit is vacant or lists someone else, so it may be rented out twice.',
+      scan(data) {
+        const { tenantsById } = RentariumHealth.index(data);
+        return data.tenants
+          .filter(t => RentariumHealth.isActive(t) && data.units[t.unitAssigned] && data.units[t.unitAssigned].tenantId !== t.tenantId)
+          .map(tenant => {
+            const unit = data.units[tenant.unitAssigned];
+            const holder = unit.tenantId && tenantsById.get(unit.tenantId);
+            const contested = holder && RentariumHealth.isActive(holder) && holder.unitAssigned === tenant.unitAssigned;
+
+            return {
+              recordId: tenant.tenantId,
+              collection: 'tenants',
+              message: contested
+                ? `${tenant.name} and ${holder.name} are both assigned to unit ${tenant.unitAssigned}. Reassign one of them in Tenants Management.`
+                : `${tenant.name} is assigned to unit ${tenant.unitAssigned}, but the unit is ${unit.tenantId ? `linked to ${unit.tenantName || unit.tenantId}` : unit.status}.`,
+              fixLabel: contested ? null : 'Link unit to tenant',
+              fix: contested ? null : () => RentariumHealth.link(unit, tenant)
+            };
+          });
+      }
+    },
+    {
+      id: 'unit-name-mismatch',
+      severity: 'warning',
+      title: 'Unit tenant names out of date',
+      explanation: 'The name shown on the unit differs from the tenant\'s current name.',
+      scan(data) {
+        const { tenantsById } = RentariumHealth.index(data);
+        return Object.entries(data.units)
+          .filter(([, unit]) => {
+            const tenant = unit.tenantId && tenantsById.get(unit.tenantId);
+            return tenant && tenant.name && unit.tenantName !== tenant.name;
+          })
+          .map(([unitId, unit]) => {
+            const tenant = tenantsById.get(unit.tenantId);
+            return {
+              recordId: unitId,
+              collection: 'units',
+              message: `Unit ${unitId} shows '${unit.tenantName || '(blank)'}' but tenant ${tenant.tenantId} is named '${tenant.name}'.`,
+              fixLabel: 'Update name on unit',
+              fix: () => { unit.tenantName = tenant.name; }
+            };
+          });
+      }
+    },
+    {
+      id: 'contract-terminated-tenant-active',
+      severity: 'error',
+      title: 'Terminated contracts with active tenants',
+      explanation: 'The rental contract was terminated but the tenant is still active and keeps the unit.',
+      scan(data) {
+        return data.tenants
+          .filter(t => t.status !== 'terminated' && data.contracts[t.username] && data.contracts[t.username].terminated)
+          .map(tenant => {
+            const contract = data.contracts[tenant.username];
+            return {
+              recordId: tenant.tenantId,
+              collection: 'tenants',
+              message: `${tenant.name}'s contract was terminated${contract.terminatedDate ? ` on ${contract.terminatedDate.slice(0, 10)}` : ''} but they are still ${tenant.status}.`,
+              fixLabel: 'Terminate tenant and free unit',
+              fix: () => {
+                tenant.status = 'terminated';
+                tenant.terminationDate = contract.terminatedDate;
+                tenant.terminatedBy = contract.terminatedBy;
+                tenant.terminationReason = contract.terminationReason;
+                const unit = data.units[tenant.unitAssigned];
+                if (unit && (!unit.tenantId || unit.tenantId === tenant.tenantId)) {
+                  RentariumHealth.vacate(unit);
+                }
+              }
+            };
+          });
+      }
+    },
+    {
+      id: 'payment-missing-tenant',
+      severity: 'warning',
+      title: 'Payments from deleted tenants',
+      explanation: 'Payments that belong to nobody still count in totals and reports.',
+      scan(data) {
+        return RentariumHealth.orphanedRecords(data, 'payments', p => `Payment ${p.id} (₱${p.amount})`);
+      }
+    },
+    {
+      id: 'bill-missing-tenant',
+      severity: 'warning',
+      title: 'Utility bills for deleted tenants',
+      explanation: 'Bills that belong to nobody show up as unpaid forever.',
+      scan(data) {
+        return RentariumHealth.orphanedRecords(data, 'bills', b => `Bill ${b.id} for ${b.month}`);
+      }
+    },
+    {
+      id: 'rent-status-missing-tenant',
+      severity: 'warning',
+      title: 'Rent status for deleted tenants',
+      explanation: 'Rent tracking for someone who is no longer a tenant shows up as unpaid rent.',
+      scan(data) {
+        return RentariumHealth.orphanedRecords(data, 'rentStatus', r => `Rent status ${r.id} for ${r.month}`);
+      }
+    },
+    {
+      id: 'duplicate-ids',
+      severity: 'error',
+      title: 'Records sharing one ID',
+      explanation: 'Two records with the same ID overwrite each other when either is edited.',
+      scan(data) {
+        return [
+          ...RentariumHealth.duplicateIds(data, 'tenants', 'tenantId', 'tenant'),
+          ...RentariumHealth.duplicateIds(data, 'payments', 'id', 'payment'),
+          ...RentariumHealth.duplicateIds(data, 'bills', 'id', 'bill'),
+          ...RentariumHealth.duplicateIds(data, 'rentStatus', 'id', 'rentStatus')
+        ];
+      }
+    },
+    {
+      id: 'duplicate-usernames',
+      severity: 'error',
+      title: 'Tenants sharing one username',
+      explanation: 'Only one of them can log in, and payments cannot tell them apart. Change one username in Tenants Management.',
+      scan(data) {
+        const seen = new Map();
+        return data.tenants
+          .filter(t => {
+            if (!t.username) return false;
+            const duplicate = seen.has(t.username);
+            if (!duplicate) seen.set(t.username, t);
+            return duplicate;
+          })
+          .map(tenant => ({
+            recordId: tenant.tenantId,
+            collection: 'tenants',
+            message: `${tenant.name} (${tenant.tenantId}) has the username '${tenant.username}', already used by ${seen.get(tenant.username).name}.`,
+            fixLabel: null,
+            fix: null
+          }));
+      }
+    }
+  ],
+
+  // ========== SCAN ==========
+
+  load(store) {
+    const data = {};
+    this.COLLECTIONS.forEach(name => { data[name] = store.getAll(name); });
+    return data;
+  },
+
+  // Run every check on data, giving each issue a stable key
+  runChecks(data) {
+    const issues = [];
+    this.CHECKS.forEach(check => {
+      check.scan(data).forEach(issue => {
+        issues.push({
+          ...issue,
+          key: `${check.id}:${issue.collection}:${issue.recordId}`,
+          checkId: check.id,
+          severity: check.severity
+        });
+      });
+    });
+    return issues;
+  },
+
+  /**
+   * Every problem in the current data
+   * @returns {Array} issues with key, checkId, severity, message, fixLabel
+   */
+  scan() {
+    return this.runChecks(this.load(RentariumStore));
+  },
+
+  getCheck(id) {
+    return this.CHECKS.find(c => c.id === id);
+  },
+
+  // ========== REPAIR ==========
+
+  /**
+   * Apply the fixes for the given issue keys. The data is scanned again
+   * inside the transaction, so issues another tab already fixed are skipped
+   * @param {string[]} keys - issue keys from scan()
+   * @returns {Promise<{repaired: Array, skipped: string[]}>}
+   */
+  repair(keys) {
+    if (typeof RentariumBackup !== 'undefined') {
+      RentariumBackup.snapshot('Before Data Health repair');
+    }
+
+    const names = [...this.COLLECTIONS, 'sequences', 'activityLog'];
+
+    return RentariumStore.transaction(names, (store) => {
+      const data = this.load(store);
+      const before = JSON.stringify(data);
+      const issues = new Map(this.runChecks(data).map(issue => [issue.key, issue]));
+      const repaired = [];
+      const skipped = [];
+
+      keys.forEach(key => {
+        const issue = issues.get(key);
+        if (!issue || !issue.fix) {
+          skipped.push(key);
+          return;
+        }
+
+        const detail = issue.fix();
+        repaired.push({ key, message: issue.message, fixLabel: issue.fixLabel });
+        store.logActivity(`Data Health repair: ${issue.fixLabel}${detail ? ` (${detail})` : ''} - ${issue.message}`, {
+          check: issue.checkId,
+          collection: issue.collection,
+          recordId: issue.recordId
+        });
+      });
+
+      if (JSON.stringify(data) !== before) {
+        this.COLLECTIONS.forEach(name => store.saveAll(name, data[name]));
+      }
+
+      return { repaired, skipped };
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumHealth;
+}
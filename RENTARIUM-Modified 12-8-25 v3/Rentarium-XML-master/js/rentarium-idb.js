@@ -0,0 +1,320 @@
+/**
+ * RENTARIUM INDEXEDDB BACKEND
+ * Keeps every RentariumStore collection in IndexedDB instead of localStorage
+ * so payments, bills and proof images are not limited by the ~5 MB quota.
+ *
+ * Collections are loaded into memory once on open, so RentariumStore keeps
+ * its synchronous API. Saves only write the records that actually changed.
+ * Existing localStorage data is moved over the first time the app opens.
+ */
+
+const RentariumIndexedDB = {
+  DB_NAME: 'rentarium',
+  DB_VERSION: 10,  // raise when a collection is added so its object store is created
+  META_STORE: '_meta',
+  MIGRATED_FLAG: 'rentarium_idb_migrated',
+
+  db: null,
+  store: null,
+  cache: {},     // collection name -> Map(key -> { seq, json })
+  written: {},   // collection name -> true once saved at least once
+  nextSeq: {},   // collection name -> next insertion sequence
+  pending: {},   // collection name -> promise for its latest write
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  // Open the database, load every collection and migrate old localStorage data
+  init(store) {
+    this.store = store;
+
+    return this.openDatabase()
+      .then(db => {
+        this.db = db;
+        return this.loadAll();
+      })
+      .then(() => this.migrateFromLocalStorage())
+      .then(() => console.log('✅ IndexedDB backend ready'));
+  },
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(this.META_STORE)) {
+          db.createObjectStore(this.META_STORE, { keyPath: 'name' });
+        }
+
+        // One object store per collection. Records are wrapped as
+        // { key, seq, data } so indexes point inside data
+        for (const [name, collection] of Object.entries(this.store.COLLECTIONS)) {
+          if (db.objectStoreNames.contains(name)) continue;
+
+          const objectStore = db.createObjectStore(name, { keyPath: 'key' });
+          for (const [indexName, field] of Object.entries(collection.indexes || {})) {
+            objectStore.createIndex(indexName, 'data.' + field, { unique: false });
+          }
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+    });
+  },
+
+  // Wrap a request in a promise
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Resolve when a transaction commits
+  complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  },
+
+  // ========== LOADING ==========
+
+  loadAll() {
+    const names = Object.keys(this.store.COLLECTIONS);
+    const tx = this.db.transaction([this.META_STORE, ...names], 'readonly');
+
+    const metaLoad = this.promisify(tx.objectStore(this.META_STORE).getAll())
+      .then(rows => {
+        this.written = {};
+        rows.forEach(row => { this.written[row.name] = !!row.written; });
+      });
+
+    const collectionLoads = names.map(name =>
+      this.promisify(tx.objectStore(name).getAll())
+        .then(rows => this.fillCache(name, rows))
+    );
+
+    return Promise.all([metaLoad, ...collectionLoads]);
+  },
+
+  // Rebuild the in-memory copy of a collection from stored rows
+  fillCache(name, rows) {
+    rows.sort((a, b) => a.seq - b.seq);
+
+    const entries = new Map();
+    rows.forEach(row => {
+      entries.set(row.key, { seq: row.seq, json: JSON.stringify(row.data) });
+    });
+
+    this.cache[name] = entries;
+    this.nextSeq[name] = rows.length > 0 ? rows[rows.length - 1].seq + 1 : 0;
+  },
+
+  // Another tab saved this collection: reload it from the database
+  refresh(name) {
+    return this.reloadCollection(name);
+  },
+
+  reloadCollection(name) {
+    const tx = this.db.transaction([this.META_STORE, name], 'readonly');
+    const metaLoad = this.promisify(tx.objectStore(this.META_STORE).get(name))
+      .then(row => { this.written[name] = !!(row && row.written); });
+    const rowsLoad = this.promisify(tx.objectStore(name).getAll())
+      .then(rows => this.fillCache(name, rows));
+    return Promise.all([metaLoad, rowsLoad]);
+  },
+
+  // ========== BACKEND API ==========
+
+  exists(name) {
+    return !!this.written[name];
+  },
+
+  getAll(name) {
+    const collection = this.store.getCollection(name);
+    const entries = this.cache[name] || new Map();
+
+    if (collection.type === 'map') {
+      const data = {};
+      entries.forEach((entry, key) => { data[key] = JSON.parse(entry.json); });
+      return data;
+    }
+
+    return Array.from(entries.values(), entry => JSON.parse(entry.json));
+  },
+
+  // Store key for each record: the map key, the record id, or its sequence
+  entriesFor(name, data) {
+    const collection = this.store.getCollection(name);
+
+    if (collection.type === 'map') {
+      return Object.entries(data || {}).map(([key, record]) => ({ key, record }));
+    }
+
+    const used = new Set();
+    return (Array.isArray(data) ? data : []).map(record => {
+      const id = collection.idField && record ? record[collection.idField] : undefined;
+      let key = id !== undefined && id !== null ? String(id) : null;
+      if (key === null || used.has(key)) key = null;
+      if (key !== null) used.add(key);
+      return { key, record };
+    });
+  },
+
+  saveAll(name, data) {
+    // saveMany already logs failures
+    this.saveMany({ [name]: data }).catch(() => {});
+    return true;
+  },
+
+  // Work out which records of one collection must be written or deleted
+  diffCollection(name, data) {
+    const previous = this.cache[name] || new Map();
+    const next = new Map();
+    const puts = [];
+    let nextSeq = this.nextSeq[name] || 0;
+
+    // Records without an id are matched to their previous copy by content,
+    // so appending to a log does not rewrite every earlier entry
+    const unkeyed = new Map();
+    previous.forEach((entry, key) => {
+      if (!key.startsWith('#')) return;
+      if (!unkeyed.has(entry.json)) unkeyed.set(entry.json, []);
+      unkeyed.get(entry.json).push(key);
+    });
+
+    this.entriesFor(name, data).forEach(({ key, record }) => {
+      const json = JSON.stringify(record);
+      const reusedKey = key === null && unkeyed.has(json) ? unkeyed.get(json).shift() : null;
+      const existing = previous.get(key !== null ? key : reusedKey) || null;
+      const seq = existing ? existing.seq : nextSeq++;
+      const storeKey = key !== null ? key : (reusedKey || '#' + seq);
+
+      next.set(storeKey, { seq, json });
+      if (!existing || existing.json !== json) {
+        puts.push({ key: storeKey, seq, data: JSON.parse(json) });
+      }
+    });
+
+    const deletes = [];
+    previous.forEach((entry, key) => {
+      if (!next.has(key)) deletes.push(key);
+    });
+
+    return { name, next, nextSeq, puts, deletes };
+  },
+
+  /**
+   * Save several collections in one IndexedDB transaction: either every
+   * change commits or none does, and the in-memory copies are rolled back
+   * @param {object} changes - collection name -> whole new data
+   * @returns {Promise} resolves once committed
+   */
+  saveMany(changes) {
+    const diffs = Object.entries(changes)
+      .map(([name, data]) => this.diffCollection(name, data))
+      .filter(diff => diff.puts.length > 0 || diff.deletes.length > 0 || !this.written[diff.name]);
+
+    if (diffs.length === 0) return Promise.resolve();
+
+    // Apply to memory now so reads stay synchronous; undo if the write fails
+    const undo = diffs.map(({ name }) => ({
+      name,
+      cache: this.cache[name],
+      nextSeq: this.nextSeq[name],
+      written: this.written[name]
+    }));
+    diffs.forEach(({ name, next, nextSeq }) => {
+      this.cache[name] = next;
+      this.nextSeq[name] = nextSeq;
+      this.written[name] = true;
+    });
+
+    const names = diffs.map(diff => diff.name);
+    const tx = this.db.transaction([...names, this.META_STORE], 'readwrite');
+    const meta = tx.objectStore(this.META_STORE);
+    diffs.forEach(({ name, puts, deletes }) => {
+      const objectStore = tx.objectStore(name);
+      puts.forEach(row => objectStore.put(row));
+      deletes.forEach(key => objectStore.delete(key));
+      meta.put({ name, written: true });
+    });
+
+    const write = this.complete(tx).catch(err => {
+      undo.forEach(({ name, cache, nextSeq, written }) => {
+        // Only roll back if nothing newer has replaced our copy
+        if (this.cache[name] === diffs.find(d => d.name === name).next) {
+          this.cache[name] = cache;
+          this.nextSeq[name] = nextSeq;
+          this.written[name] = written;
+        }
+      });
+      console.error('IndexedDB save error', names, err);
+      throw err;
+    });
+
+    names.forEach(name => { this.pending[name] = write; });
+    return write;
+  },
+
+  // Resolves once the latest save of a collection has committed
+  flushed(name) {
+    return (this.pending[name] || Promise.resolve()).catch(() => {});
+  },
+
+  // Records whose indexed field equals value, read straight from IndexedDB
+  queryIndex(name, indexName, value) {
+    const tx = this.db.transaction(name, 'readonly');
+    const index = tx.objectStore(name).index(indexName);
+    return this.promisify(index.getAll(value))
+      .then(rows => rows.sort((a, b) => a.seq - b.seq).map(row => row.data));
+  },
+
+  // ========== MIGRATION ==========
+
+  // Copy the old localStorage blobs into IndexedDB once, then free the quota
+  migrateFromLocalStorage() {
+    if (localStorage.getItem(this.MIGRATED_FLAG)) return Promise.resolve();
+
+    const migrated = [];
+    for (const [name, collection] of Object.entries(this.store.COLLECTIONS)) {
+      const raw = localStorage.getItem(collection.key);
+      if (raw === null || this.exists(name)) continue;
+
+      try {
+        this.saveAll(name, JSON.parse(raw));
+        migrated.push(name);
+      } catch (e) {
+        console.warn('Skipping unreadable localStorage data during migration', collection.key, e);
+      }
+    }
+
+    if (migrated.length === 0) {
+      localStorage.setItem(this.MIGRATED_FLAG, new Date().toISOString());
+      return Promise.resolve();
+    }
+
+    // Only remove the originals once every copy has committed
+    return Promise.all(migrated.map(name => this.pending[name]))
+      .then(() => {
+        migrated.forEach(name => localStorage.removeItem(this.store.COLLECTIONS[name].key));
+        localStorage.setItem(this.MIGRATED_FLAG, new Date().toISOString());
+        console.log(`📦 Migrated ${migrated.length} collection(s) from localStorage to IndexedDB:`, migrated);
+      })
+      .catch(err => {
+        console.error('Migration to IndexedDB failed, localStorage data kept', err);
+      });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumIndexedDB;
+}
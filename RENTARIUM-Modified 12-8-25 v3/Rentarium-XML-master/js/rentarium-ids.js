@@ -0,0 +1,83 @@
+/**
+ * RENTARIUM ID SEQUENCES
+ * Hands out record IDs such as PAY-2026-00012 or TEN004 from a persistent
+ * counter per entity type (the 'sequences' collection), so a number is
+ * never used twice, even after records are deleted or cleared.
+ *
+ * The counter never resets; yearly sequences only add the current year to
+ * the ID. Call next() inside RentariumStore.transaction() with 'sequences'
+ * among its collections so two tabs can never take the same number.
+ */
+
+const RentariumIds = {
+  // prefix    - text before the number
+  // separator - between prefix, year and number
+  // digits    - zero padding of the number
+  // yearly    - put the current year before the number
+  // collection/idField - where existing IDs live, so the counter starts
+  //                      above any ID created before sequences existed
+  SEQUENCES: {
+    payment:     { prefix: 'PAY',  separator: '-', digits: 5, yearly: true,  collection: 'payments',     idField: 'id' },
+    bill:        { prefix: 'BILL', separator: '-', digits: 5, yearly: true,  collection: 'bills',        idField: 'id' },
+    rentStatus:  { prefix: 'RENT', separator: '-', digits: 5, yearly: true,  collection: 'rentStatus',   idField: 'id' },
+    ledger:      { prefix: 'LED',  separator: '-', digits: 5, yearly: true,  collection: 'ledger',       idField: 'id' },
+    receipt:     { prefix: 'OR',   separator: '-', digits: 6, yearly: false, collection: 'receipts',     idField: 'id' },
+    tenant:      { prefix: 'TEN',  separator: '',  digits: 3, yearly: false, collection: 'tenants',      idField: 'tenantId' },
+    mail:        { prefix: 'MAIL', separator: '-', digits: 5, yearly: true,  collection: 'mailOutbox',   idField: 'id' },
+    application: { prefix: 'APP',  separator: '-', digits: 5, yearly: true,  collection: 'applications', idField: 'id' },
+    waitlist:    { prefix: 'WAIT', separator: '-', digits: 5, yearly: true,  collection: 'waitlist',     idField: 'id' }
+  },
+
+  getSequence(type) {
+    const sequence = this.SEQUENCES[type];
+    if (!sequence) {
+      throw new Error(`Unknown ID sequence: ${type}`);
+    }
+    return sequence;
+  },
+
+  /**
+   * Take the next ID of a sequence and save the counter
+   * @param {string} type - 'payment', 'bill', 'rentStatus', 'ledger', 'receipt', 'tenant', 'mail', 'application'
+   *   or 'waitlist'
+   * @returns {string} e.g. 'PAY-2026-00012'
+   */
+  next(type) {
+    const sequence = this.getSequence(type);
+    const counters = RentariumStore.getAll('sequences');
+    const last = Math.max(counters[type]?.value || 0, this.highestInUse(sequence));
+    const value = last + 1;
+
+    counters[type] = { value, updatedAt: new Date().toISOString() };
+    RentariumStore.saveAll('sequences', counters);
+
+    return this.format(sequence, value);
+  },
+
+  // Last number handed out, without taking a new one
+  current(type) {
+    const sequence = this.getSequence(type);
+    const counter = RentariumStore.getById('sequences', type);
+    return Math.max(counter ? counter.value : 0, this.highestInUse(sequence));
+  },
+
+  format(sequence, value, date = new Date()) {
+    const parts = [sequence.prefix];
+    if (sequence.yearly) parts.push(date.getFullYear());
+    parts.push(String(value).padStart(sequence.digits, '0'));
+    return parts.join(sequence.separator);
+  },
+
+  // Highest number among existing IDs, e.g. 7 for PAY-0007 or PAY-2026-00007
+  highestInUse(sequence) {
+    return RentariumStore.getAll(sequence.collection).reduce((max, record) => {
+      const match = String(record[sequence.idField] ?? '').match(/(\d+)$/);
+      return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumIds;
+}
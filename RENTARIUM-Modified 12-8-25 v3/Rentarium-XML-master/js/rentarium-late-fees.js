@@ -0,0 +1,239 @@
+/**
+ * RENTARIUM LATE FEES
+ * Posts penalty charges to a tenant's ledger when rent or a utility bill is
+ * still unpaid after its due date and grace days.
+ *
+ * One rule per kind of charge, kept in the 'lateFees' setting and changed on
+ * ADMIN/Payments-Section.html:
+ * - type 'flat' (₱ amount) or 'percent' (of what is still unpaid)
+ * - graceDays after the due date before the charge counts as late
+ * - daily: charge the fee again every day it stays late, up to cap (₱, 0
+ *   for no cap); otherwise it is charged once
+ * - compound: daily percentages also apply to late fees already charged
+ * A rule only charges for days from when it was switched on (activeFrom),
+ * so turning it on does not back-date fees on old arrears.
+ *
+ * assess() works out what each late charge should carry by today and posts
+ * the difference, so running it again the same day posts nothing. Waived
+ * fees are reversed on the ledger but still count as charged, so they are
+ * not charged again.
+ * Load after rentarium-store.js, rentarium-ids.js and rentarium-ledger.js.
+ */
+
+const RentariumLateFees = {
+  // Ledger categories that can fall late
+  KINDS: {
+    rent: 'Rent',
+    utilities: 'Utility bills'
+  },
+
+  DEFAULT_RULE: { enabled: false, type: 'percent', amount: 5, graceDays: 4, daily: false, cap: 0, compound: false, activeFrom: null },
+
+  COLLECTIONS: ['ledger', 'tenants', 'sequences', 'activityLog'],
+
+  // ========== RULES ==========
+
+  getRules() {
+    const saved = RentariumStore.getSetting('lateFees', null) || {};
+    const rules = {};
+    Object.keys(this.KINDS).forEach(kind => {
+      rules[kind] = { ...this.DEFAULT_RULE, ...(saved[kind] || {}) };
+    });
+    return rules;
+  },
+
+  // First problem with a rule, or null
+  validate(rule) {
+    if (!['flat', 'percent'].includes(rule.type)) return "Fee type must be 'flat' or 'percent'";
+    if (!(Number(rule.amount) > 0)) return 'Fee amount must be more than zero';
+    if (rule.type === 'percent' && Number(rule.amount) > 100) return 'A percentage fee cannot be over 100%';
+    if (!Number.isInteger(Number(rule.graceDays)) || Number(rule.graceDays) < 0) return 'Grace days must be a whole number, 0 or more';
+    if (!(Number(rule.cap) >= 0)) return 'Cap must be 0 (no cap) or more';
+    return null;
+  },
+
+  /**
+   * Change the late-fee rules (billing.manage)
+   * @param {object} changes - { rent: {...}, utilities: {...} }, any fields of a rule
+   * @returns {object} the saved rules
+   */
+  saveRules(changes) {
+    RentariumPermissions.assert('billing.manage');
+
+    const current = this.getRules();
+    const rules = {};
+    Object.keys(this.KINDS).forEach(kind => {
+      const rule = { ...current[kind], ...(changes[kind] || {}) };
+      rule.enabled = Boolean(rule.enabled);
+      rule.daily = Boolean(rule.daily);
+      rule.compound = Boolean(rule.compound);
+      rule.amount = Number(rule.amount);
+      rule.graceDays = Number(rule.graceDays);
+      rule.cap = Number(rule.cap) || 0;
+
+      const problem = this.validate(rule);
+      if (problem) throw new Error(`${this.KINDS[kind]}: ${problem}`);
+
+      // Fees count from the day a rule is switched on
+      if (rule.enabled && !current[kind].enabled) rule.activeFrom = RentariumLedger.today();
+      if (!rule.enabled) rule.activeFrom = null;
+      rules[kind] = rule;
+    });
+
+    RentariumStore.saveSetting('lateFees', rules);
+    RentariumStore.logActivity('Late fee rules updated', { rules });
+    return rules;
+  },
+
+  // One line describing a rule, for the admin page
+  describe(rule) {
+    if (!rule.enabled) return 'Off';
+    const fee = rule.type === 'flat' ? `₱${rule.amount.toLocaleString()}` : `${rule.amount}% of the unpaid amount`;
+    return `${fee} ${rule.daily ? `a day${rule.compound ? ', compounding' : ''}` : 'once'}` +
+      ` after ${rule.graceDays} grace day${rule.graceDays === 1 ? '' : 's'}` +
+      (rule.cap > 0 ? `, at most ₱${rule.cap.toLocaleString()}` : '');
+  },
+
+  // ========== ASSESSMENT ==========
+
+  // YYYY-MM-DD a number of days after another
+  addDays(date, days) {
+    const d = new Date(`${date}T00:00:00`);
+    d.setDate(d.getDate() + days);
+    return RentariumLedger.dateOf(d);
+  },
+
+  daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000);
+  },
+
+  // Days a charge has been late under a rule by asOf (0 when it is not late)
+  daysLate(charge, rule, asOf) {
+    let lateFrom = this.addDays(charge.date, rule.graceDays + 1);
+    if (rule.activeFrom && rule.activeFrom > lateFrom) lateFrom = rule.activeFrom;
+    return Math.max(0, this.daysBetween(lateFrom, asOf) + 1);
+  },
+
+  /**
+   * Total late fee a charge should carry
+   * @param {number} outstanding - what is still unpaid of the charge
+   * @param {number} days - days late
+   */
+  feeFor(rule, outstanding, days) {
+    if (days <= 0 || outstanding <= 0) return 0;
+    const fee = base => rule.type === 'flat' ? rule.amount : base * rule.amount / 100;
+    const capped = total => rule.cap > 0 ? Math.min(total, rule.cap) : total;
+
+    if (!rule.daily) return RentariumLedger.round(capped(fee(outstanding)));
+
+    let total = 0;
+    for (let day = 1; day <= days; day++) {
+      total = capped(total + fee(rule.compound ? outstanding + total : outstanding));
+      if (rule.cap > 0 && total >= rule.cap) break;
+    }
+    return RentariumLedger.round(total);
+  },
+
+  // Late fees posted for a charge, waived ones included
+  charged(chargeId, ledger) {
+    return RentariumLedger.round(ledger
+      .filter(e => e.sourceType === 'lateFee' && e.sourceId === chargeId && !e.reverses)
+      .reduce((sum, e) => sum + e.amount, 0));
+  },
+
+  /**
+   * Post the late fees every overdue rent and bill charge has built up
+   * since the last assessment. Safe to run any number of times
+   * @returns {Promise<object[]>} the penalty entries posted
+   */
+  assess() {
+    // Run by the API server itself, like RentariumBilling.run()
+    if (RentariumStore.isRemote()) {
+      return RentariumPermissions.can('billing.manage') ? RentariumStore.remote('lateFees.assess') : Promise.resolve([]);
+    }
+
+    const rules = this.getRules();
+    if (!Object.values(rules).some(rule => rule.enabled)) return Promise.resolve([]);
+    const today = RentariumLedger.today();
+
+    return RentariumStore.transaction(this.COLLECTIONS, (store) =>
+      // Upkeep run on page load, by staff or by the tenant
+      store.asSystem(() => {
+        const ledger = store.getAll('ledger');
+        const tenants = [...new Set(ledger.map(e => e.tenantId))];
+        const posted = [];
+
+        tenants.forEach(tenantId => {
+          RentariumLedger.openCharges(tenantId, ledger).forEach(({ charge, outstanding }) => {
+            const rule = rules[charge.category];
+            if (!rule || !rule.enabled) return;
+
+            const days = this.daysLate(charge, rule, today);
+            const due = this.feeFor(rule, outstanding, days);
+            const amount = RentariumLedger.round(due - this.charged(charge.id, ledger));
+            if (amount <= 0) return;
+
+            posted.push(RentariumLedger.post({
+              tenantId,
+              unitNumber: charge.unitNumber,
+              type: 'charge',
+              category: 'penalty',
+              amount,
+              date: today,
+              period: charge.period,
+              description: `Late fee on ${charge.description}, ${days} day${days === 1 ? '' : 's'} overdue`,
+              sourceType: 'lateFee',
+              sourceId: charge.id
+            }));
+          });
+        });
+
+        if (posted.length > 0) {
+          const total = RentariumLedger.round(posted.reduce((sum, e) => sum + e.amount, 0));
+          store.logActivity(`Late fees posted: ${posted.length} charge${posted.length === 1 ? '' : 's'} (₱${total.toLocaleString()})`, {
+            entries: posted.map(e => e.id),
+            tenants: [...new Set(posted.map(e => e.tenantId))]
+          });
+        }
+        return posted;
+      })
+    ).then(posted => {
+      if (posted.length > 0) console.log(`⏰ Posted ${posted.length} late fee(s)`);
+      return posted;
+    });
+  },
+
+  // ========== WAIVERS ==========
+
+  /**
+   * Waive a late fee: reverse it on the ledger and record why (latefees.waive)
+   * @returns {Promise<object>} the reversing entry
+   */
+  waive(entryId, reason) {
+    if (!String(reason || '').trim()) return Promise.reject(new Error('A reason is required'));
+
+    return RentariumStore.transaction(this.COLLECTIONS, (store) => {
+      RentariumPermissions.assert('latefees.waive');
+      const entry = store.getById('ledger', entryId);
+      if (!entry || entry.sourceType !== 'lateFee') throw new Error(`${entryId} is not a late fee`);
+
+      const tenant = store.findOne('tenants', t => t.username === entry.tenantId);
+      const reversal = RentariumLedger.reverse(entryId, `waived: ${reason.trim()}`);
+      store.logActivity(`Late fee ${entryId} of ₱${entry.amount.toLocaleString()} waived for ${tenant ? tenant.name : entry.tenantId}`, {
+        entryId,
+        reversalId: reversal.id,
+        chargeId: entry.sourceId,
+        tenantId: entry.tenantId,
+        amount: entry.amount,
+        reason: reason.trim(),
+        by: reversal.postedBy
+      });
+      return reversal;
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumLateFees;
+}
@@ -0,0 +1,351 @@
+/**
+ * RENTARIUM TENANT LEDGER
+ * One account per tenant: charges (rent, utilities, deposits, fees, late
+ * fees) raise what the tenant owes, credits (verified payments,
+ * adjustments, refunds) lower it. Every balance, statement and dashboard
+ * figure is computed from the 'ledger' collection.
+ *
+ * This is single-entry bookkeeping, not double-entry: an entry is posted
+ * to the tenant's account only, with no balancing entry in a cash or
+ * income account, because Rentarium only reports what tenants owe. A
+ * credit names the charge it settles (chargeId) instead.
+ *
+ * Entries are never edited or deleted. A mistake is undone by reverse(),
+ * which posts the opposite entry, so a rejected or corrected payment shows
+ * up on the statement as well as in the balance.
+ * Entries belong to tenants by username, like payments and bills.
+ * Call post() and reverse() inside RentariumStore.transaction() with
+ * 'ledger' and 'sequences' among its collections.
+ * Load after rentarium-store.js and rentarium-ids.js.
+ */
+
+const RentariumLedger = {
+  // Categories each side of the account may use
+  CATEGORIES: {
+    charge: ['rent', 'utilities', 'deposit', 'fee', 'penalty'],
+    credit: ['payment', 'adjustment', 'refund']
+  },
+
+  CATEGORY_LABELS: {
+    rent: 'Rent',
+    utilities: 'Utilities',
+    deposit: 'Deposit',
+    fee: 'Fee',
+    penalty: 'Late Fee',
+    payment: 'Payment',
+    adjustment: 'Adjustment',
+    refund: 'Refund'
+  },
+
+  round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  },
+
+  // Local date as YYYY-MM-DD of a Date or ISO timestamp
+  dateOf(value) {
+    const d = new Date(value);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
+
+  today() {
+    return this.dateOf(new Date());
+  },
+
+  // What an entry does to the balance: charges add, credits subtract
+  signed(entry) {
+    return entry.type === 'charge' ? entry.amount : -entry.amount;
+  },
+
+  // Oldest first; entries on one day keep the order they were posted in
+  compare(a, b) {
+    return String(a.date).localeCompare(String(b.date)) ||
+      String(a.postedAt).localeCompare(String(b.postedAt)) ||
+      String(a.id).localeCompare(String(b.id));
+  },
+
+  poster() {
+    const session = RentariumStore.getSession();
+    return session ? session.username : 'system';
+  },
+
+  // ========== POSTING ==========
+
+  // First problem with an entry, or null
+  validate(data) {
+    if (!data.tenantId) return 'A tenant is required';
+    if (!this.CATEGORIES[data.type]) return "Entry type must be 'charge' or 'credit'";
+    if (!this.CATEGORIES[data.type].includes(data.category)) {
+      return `A ${data.type} cannot be in category '${data.category}'`;
+    }
+    if (!(Number(data.amount) > 0)) return 'Amount must be more than zero';
+    if (data.date && !/^\d{4}-\d{2}-\d{2}$/.test(data.date)) return 'Date must be YYYY-MM-DD';
+    if (!String(data.description || '').trim()) return 'A description is required';
+    return null;
+  },
+
+  /**
+   * Add an entry to a tenant's account
+   * @param {object} data - tenantId, type ('charge' | 'credit'), category,
+   *   amount (positive), description, and optionally unitNumber, date
+   *   (YYYY-MM-DD, the due date of a charge), period (YYYY-MM),
+   *   sourceType/sourceId (the record it came from) and chargeId (the
+   *   charge a credit settles)
+   * @returns {object} the saved entry
+   */
+  post(data) {
+    const problem = this.validate(data);
+    if (problem) throw new Error(problem);
+    return this.record(data);
+  },
+
+  // Save an entry without checking it; reversals keep the original's category
+  record(data) {
+    const date = data.date || this.today();
+    const entry = {
+      id: RentariumIds.next('ledger'),
+      tenantId: data.tenantId,
+      unitNumber: data.unitNumber || '',
+      type: data.type,
+      category: data.category,
+      amount: this.round(data.amount),
+      date,
+      period: data.period || date.slice(0, 7),
+      description: data.description.trim(),
+      sourceType: data.sourceType || 'manual',
+      sourceId: data.sourceId || null,
+      chargeId: data.chargeId || null,
+      reverses: data.reverses || null,
+      postedBy: this.poster(),
+      postedAt: new Date().toISOString()
+    };
+
+    RentariumStore.save('ledger', entry);
+    return entry;
+  },
+
+  /**
+   * Cancel an entry by posting its opposite
+   * @returns {object} the reversing entry
+   */
+  reverse(entryId, reason) {
+    const ledger = RentariumStore.getAll('ledger');
+    const entry = ledger.find(e => e.id === entryId);
+    if (!entry) throw new Error(`Ledger entry ${entryId} not found`);
+    if (entry.reverses) throw new Error(`${entryId} is itself a reversal`);
+    if (ledger.some(e => e.reverses === entryId)) throw new Error(`${entryId} has already been reversed`);
+
+    return this.record({
+      tenantId: entry.tenantId,
+      unitNumber: entry.unitNumber,
+      type: entry.type === 'charge' ? 'credit' : 'charge',
+      category: entry.category,
+      amount: entry.amount,
+      date: this.today(),
+      period: entry.period,
+      description: `Reversal of ${entry.id}${reason ? `: ${reason}` : ''}`,
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      chargeId: entry.chargeId,
+      reverses: entry.id
+    });
+  },
+
+  /**
+   * Make a record's entry match its current amount: post it if missing,
+   * reverse and repost it if the amount changed, reverse it when the
+   * amount is 0 (a rejected payment, a cancelled bill)
+   * @param {object} data - as for post(), with sourceType and sourceId
+   * @param {string} [reason] - why an existing entry is reversed
+   * @returns {object|null} the entry now in effect
+   */
+  syncSource(data, reason) {
+    const current = this.forSource(data.sourceType, data.sourceId)[0] || null;
+    const amount = this.round(data.amount);
+
+    if (current && current.amount === amount && current.type === data.type) return current;
+    if (current) this.reverse(current.id, reason);
+    return amount > 0 ? this.post({ ...data, amount }) : null;
+  },
+
+  // ========== LOOKUPS ==========
+
+  forTenant(tenantId, ledger = RentariumStore.getAll('ledger')) {
+    return ledger.filter(e => e.tenantId === tenantId);
+  },
+
+  // Drop reversed entries and the reversals that cancel them
+  inEffect(entries) {
+    const reversed = new Set(entries.filter(e => e.reverses).map(e => e.reverses));
+    return entries.filter(e => !e.reverses && !reversed.has(e.id));
+  },
+
+  // Entries in effect that came from one record, e.g. ('payment', 'PAY-2026-00012')
+  forSource(sourceType, sourceId, ledger = RentariumStore.getAll('ledger')) {
+    return this.inEffect(ledger).filter(e => e.sourceType === sourceType && e.sourceId === sourceId);
+  },
+
+  // ========== BALANCES ==========
+
+  // What the tenant owes; negative when they are in credit
+  balance(tenantId, ledger) {
+    return this.round(this.forTenant(tenantId, ledger).reduce((sum, e) => sum + this.signed(e), 0));
+  },
+
+  /**
+   * How much of each charge has been paid. Credits aimed at a charge
+   * (chargeId) settle it first; every other credit, and anything left over,
+   * settles the oldest charges still open
+   * @returns {{ charges: Array<{charge, paid, outstanding}>, unapplied: number }}
+   */
+  allocate(tenantId, ledger) {
+    const entries = this.inEffect(this.forTenant(tenantId, ledger)).sort((a, b) => this.compare(a, b));
+    const charges = entries
+      .filter(e => e.type === 'charge')
+      .map(charge => ({ charge, paid: 0, outstanding: charge.amount }));
+    const byId = new Map(charges.map(c => [c.charge.id, c]));
+
+    const apply = (line, amount) => {
+      const applied = Math.min(amount, line.outstanding);
+      line.paid = this.round(line.paid + applied);
+      line.outstanding = this.round(line.outstanding - applied);
+      return this.round(amount - applied);
+    };
+
+    let pool = 0;
+    entries.filter(e => e.type === 'credit').forEach(credit => {
+      const target = credit.chargeId && byId.get(credit.chargeId);
+      pool = this.round(pool + (target ? apply(target, credit.amount) : credit.amount));
+    });
+    charges.forEach(line => {
+      if (pool > 0) pool = apply(line, pool);
+    });
+
+    return { charges, unapplied: pool };
+  },
+
+  // Paid and outstanding amounts of one charge, or null if it is not in effect
+  chargeStatus(chargeId, ledger = RentariumStore.getAll('ledger')) {
+    const charge = ledger.find(e => e.id === chargeId);
+    if (!charge) return null;
+    return this.allocate(charge.tenantId, ledger).charges.find(c => c.charge.id === chargeId) || null;
+  },
+
+  // Charges not fully paid, earliest due first
+  openCharges(tenantId, ledger) {
+    return this.allocate(tenantId, ledger).charges.filter(c => c.outstanding > 0);
+  },
+
+  /**
+   * Entries with a running balance, for a statement of account
+   * @param {object} [range] - { from, to } as YYYY-MM-DD, both inclusive
+   * @returns {{ opening, closing, charges, credits, entries }}
+   */
+  statement(tenantId, { from = '', to = '' } = {}, ledger) {
+    const entries = this.forTenant(tenantId, ledger).sort((a, b) => this.compare(a, b));
+    let running = 0;
+    let opening = 0;
+    const lines = [];
+
+    entries.forEach(entry => {
+      if (to && entry.date > to) return;
+      running = this.round(running + this.signed(entry));
+      if (from && entry.date < from) {
+        opening = running;
+        return;
+      }
+      lines.push({ ...entry, balance: running });
+    });
+
+    const total = type => this.round(lines.filter(e => e.type === type).reduce((sum, e) => sum + e.amount, 0));
+    return {
+      opening,
+      closing: running,
+      charges: total('charge'),
+      credits: total('credit'),
+      entries: lines
+    };
+  },
+
+  /**
+   * Balances across every tenant, for dashboards
+   * @returns {{ owed, credit, tenantsOwing, balances }} balances maps username to balance
+   */
+  totals(ledger = RentariumStore.getAll('ledger')) {
+    const balances = {};
+    ledger.forEach(e => {
+      balances[e.tenantId] = this.round((balances[e.tenantId] || 0) + this.signed(e));
+    });
+
+    const values = Object.values(balances);
+    return {
+      owed: this.round(values.filter(v => v > 0).reduce((sum, v) => sum + v, 0)),
+      credit: this.round(-values.filter(v => v < 0).reduce((sum, v) => sum + v, 0)),
+      tenantsOwing: values.filter(v => v > 0).length,
+      balances
+    };
+  },
+
+  // ========== STAFF ENTRIES ==========
+
+  /**
+   * Post a charge or credit by hand (deposit, fee, adjustment, refund)
+   * @param {object} data - as for post()
+   * @returns {Promise<object>} the entry
+   */
+  postManual(data) {
+    const problem = this.validate(data);
+    if (problem) return Promise.reject(new Error(problem));
+
+    return RentariumStore.transaction(['ledger', 'tenants', 'sequences', 'activityLog'], (store) => {
+      RentariumPermissions.assert('payments.record');
+      const tenant = store.findOne('tenants', t => t.username === data.tenantId);
+      if (!tenant) throw new Error(`Tenant ${data.tenantId} not found`);
+
+      const entry = this.post({
+        ...data,
+        unitNumber: data.unitNumber || tenant.unitAssigned || '',
+        sourceType: 'manual',
+        sourceId: null
+      });
+      store.logActivity(`${this.CATEGORY_LABELS[entry.category]} ${entry.type} of ₱${entry.amount.toLocaleString()} posted to ${tenant.name}'s ledger`, {
+        entryId: entry.id,
+        tenantId: entry.tenantId,
+        by: entry.postedBy
+      });
+      return entry;
+    });
+  },
+
+  /**
+   * Reverse an entry by hand
+   * @returns {Promise<object>} the reversing entry
+   */
+  reverseManual(entryId, reason) {
+    if (!String(reason || '').trim()) return Promise.reject(new Error('A reason is required'));
+
+    return RentariumStore.transaction(['ledger', 'sequences', 'activityLog'], (store) => {
+      RentariumPermissions.assert('payments.record');
+      const entry = store.getById('ledger', entryId);
+      if (entry && entry.sourceType === 'payment') {
+        throw new Error(`${entryId} follows payment ${entry.sourceId}; reject or correct the payment instead`);
+      }
+      if (entry && entry.sourceType === 'lateFee') {
+        throw new Error(`${entryId} is a late fee; waive it instead`);
+      }
+
+      const reversal = this.reverse(entryId, reason.trim());
+      store.logActivity(`Ledger entry ${entryId} reversed`, {
+        entryId: reversal.id,
+        tenantId: reversal.tenantId,
+        reason: reason.trim(),
+        by: reversal.postedBy
+      });
+      return reversal;
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumLedger;
+}
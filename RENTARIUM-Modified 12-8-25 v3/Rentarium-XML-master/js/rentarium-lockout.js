@@ -0,0 +1,187 @@
+/**
+ * RENTARIUM LOGIN LOCKOUT
+ * Slows down and then blocks password guessing on the login form
+ *
+ * Failed attempts are counted per username (the 'loginAttempts' collection,
+ * keyed by the lowercased name, whether or not such an account exists).
+ * From the second failure each new attempt must wait a little longer, and
+ * MAX_FAILURES in a row lock the username for LOCK_MINUTES. Every lockout
+ * after that doubles, up to MAX_LOCK_MINUTES. A successful login or an
+ * admin unlock (ADMIN/Staff-Accounts.html) clears the count.
+ *
+ * Every attempt is written to security_logs. With the API server, only
+ * its own logins, unlocks and password resets change loginAttempts.
+ * Load after rentarium-store.js and rentarium-permissions.js.
+ */
+
+const RentariumLockout = {
+  MAX_FAILURES: 5,
+  LOCK_MINUTES: 15,
+  MAX_LOCK_MINUTES: 24 * 60,
+  MAX_DELAY_SECONDS: 30,
+
+  // Failures this long ago no longer count towards a lockout
+  FORGET_AFTER_MINUTES: 30,
+
+  LOGIN_PAGE: 'Login-Form.html',
+
+  key(username) {
+    return String(username || '').trim().toLowerCase();
+  },
+
+  get(username) {
+    return RentariumStore.getById('loginAttempts', this.key(username));
+  },
+
+  // Seconds to wait after the given number of failures in a row: 0, 0, 2, 4, 8...
+  delaySeconds(failures) {
+    if (failures < 2) return 0;
+    return Math.min(2 ** (failures - 1), this.MAX_DELAY_SECONDS);
+  },
+
+  // Milliseconds before the username may try again (0 = now)
+  waitMs(record, now = Date.now()) {
+    if (!record) return 0;
+    const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    const lastFailure = record.lastFailureAt ? new Date(record.lastFailureAt).getTime() : 0;
+    const delayUntil = lastFailure + this.delaySeconds(record.failures || 0) * 1000;
+    return Math.max(0, lockedUntil - now, delayUntil - now);
+  },
+
+  isLocked(record, now = Date.now()) {
+    return !!record && !!record.lockedUntil && new Date(record.lockedUntil).getTime() > now;
+  },
+
+  describeWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  },
+
+  /**
+   * Whether the username may try a password right now
+   * @returns {string|null} the message to show, or null when allowed
+   */
+  check(username) {
+    const record = this.get(username);
+    const ms = this.waitMs(record);
+    if (ms <= 0) return null;
+
+    return this.isLocked(record)
+      ? `Too many failed attempts. This account is locked for ${this.describeWait(ms)}.`
+      : `Too many attempts. Try again in ${this.describeWait(ms)}.`;
+  },
+
+  // ========== RECORDING ==========
+
+  log(store, eventType, username, details = {}) {
+    store.logSecurityEvent(eventType, {
+      username: this.key(username),
+      page: this.LOGIN_PAGE,
+      ...details
+    });
+  },
+
+  /**
+   * An attempt refused by check() before any password was tried
+   * @returns {Promise}
+   */
+  recordBlocked(username, message) {
+    return RentariumStore.transaction(['securityLogs'], (store) => {
+      this.log(store, 'LOGIN_BLOCKED', username, { reason: message });
+    });
+  },
+
+  /**
+   * Count a wrong username or password, locking the username once it
+   * reaches MAX_FAILURES
+   * @param {object} [options] - reason: logged with the failure (e.g. a
+   *   wrong two-factor code); error: the message when not locked
+   * @returns {Promise<string>} the message to show
+   */
+  recordFailure(username, { reason, error = 'Invalid username or password' } = {}) {
+    const key = this.key(username);
+
+    return RentariumStore.transaction(['loginAttempts', 'securityLogs'], (store) => {
+      const now = new Date();
+      const record = store.getById('loginAttempts', key) || { username: key, failures: 0, lockCount: 0 };
+
+      const lastFailure = record.lastFailureAt ? new Date(record.lastFailureAt).getTime() : 0;
+      if (now.getTime() - lastFailure > this.FORGET_AFTER_MINUTES * 60 * 1000) record.failures = 0;
+
+      record.failures += 1;
+      record.lastFailureAt = now.toISOString();
+      this.log(store, 'LOGIN_FAILED', key, reason ? { failures: record.failures, reason } : { failures: record.failures });
+
+      let message = error;
+      if (record.failures >= this.MAX_FAILURES) {
+        const minutes = Math.min(this.LOCK_MINUTES * 2 ** (record.lockCount || 0), this.MAX_LOCK_MINUTES);
+        record.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+        record.lockCount = (record.lockCount || 0) + 1;
+        record.failures = 0;
+        this.log(store, 'ACCOUNT_LOCKED', key, { lockedUntil: record.lockedUntil, minutes });
+        message = `Too many failed attempts. This account is locked for ${this.describeWait(minutes * 60 * 1000)}.`;
+      } else if (this.MAX_FAILURES - record.failures <= 2) {
+        const left = this.MAX_FAILURES - record.failures;
+        message += `. ${left} attempt${left === 1 ? '' : 's'} left before the account is locked.`;
+      }
+
+      store.save('loginAttempts', record, key);
+      return message;
+    });
+  },
+
+  /**
+   * Right password: clear the count and log the outcome
+   * @param {string} eventType - 'LOGIN_SUCCESS', or 'LOGIN_DENIED' when the
+   *   account itself may not log in (disabled, pending...)
+   * @returns {Promise}
+   */
+  recordSuccess(username, eventType = 'LOGIN_SUCCESS', details = {}) {
+    const key = this.key(username);
+
+    return RentariumStore.transaction(['loginAttempts', 'securityLogs'], (store) => {
+      if (store.getById('loginAttempts', key)) store.remove('loginAttempts', key);
+      this.log(store, eventType, key, details);
+    });
+  },
+
+  // ========== ADMIN ==========
+
+  // Usernames that are locked or have recent failures, most recent first
+  list() {
+    const now = Date.now();
+    return RentariumStore.find('loginAttempts', record =>
+      this.isLocked(record, now) || (record.failures || 0) > 0
+    ).sort((a, b) => String(b.lastFailureAt || '').localeCompare(String(a.lastFailureAt || '')));
+  },
+
+  /**
+   * Clear a lockout and its failure count (needs users.manage)
+   * @param {object} [session] - who asks, when not the logged-in user
+   * @returns {Promise}
+   */
+  unlock(username, session = RentariumStore.getSession()) {
+    // The API server keeps loginAttempts to itself
+    const remote = RentariumStore.remote('lockout.unlock', username);
+    if (remote) return remote;
+
+    const key = this.key(username);
+
+    return RentariumStore.transaction(['loginAttempts', 'securityLogs'], (store) => {
+      RentariumPermissions.assert('users.manage', session);
+      if (!store.getById('loginAttempts', key)) throw new Error(`${key} is not locked`);
+      store.remove('loginAttempts', key);
+      store.logSecurityEvent('ACCOUNT_UNLOCKED', {
+        username: key,
+        by: session ? session.username : null
+      });
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumLockout;
+}
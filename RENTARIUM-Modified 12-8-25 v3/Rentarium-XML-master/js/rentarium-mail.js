@@ -0,0 +1,80 @@
+/**
+ * RENTARIUM MAIL
+ * Sends mail (password reset codes...) through a pluggable transport
+ *
+ * Rentarium has no mail server, so the built-in transports only deliver
+ * locally:
+ *   'outbox' - saved in the mailOutbox collection, read on ADMIN/Mail-Outbox.html
+ *   'file'   - written as a text file by the local server (BACKEND 'api'),
+ *              into server/data/outbox/; from the browser, staff only
+ * A real transport (SMTP relay, mail API...) only needs a send(message)
+ * that returns a promise; register it with addTransport() and set TRANSPORT.
+ * Load after rentarium-store.js and rentarium-ids.js.
+ */
+
+const RentariumMail = {
+  TRANSPORT: 'outbox',
+
+  // Oldest messages are dropped from the outbox beyond this
+  MAX_OUTBOX: 500,
+
+  transports: {
+    outbox: {
+      send(message) {
+        return RentariumStore.transaction(['mailOutbox'], (store) => {
+          const outbox = store.getAll('mailOutbox');
+          outbox.push(message);
+          // Dropping the oldest is upkeep, whoever sends the message
+          store.asSystem(() => store.saveAll('mailOutbox', outbox.slice(-RentariumMail.MAX_OUTBOX)));
+          return message;
+        });
+      }
+    },
+
+    // Sent with the staff member's session token, which the server checks
+    file: {
+      send(message) {
+        if (!RentariumStore.isRemote()) {
+          return Promise.reject(new Error("The 'file' mail transport needs the API server (BACKEND 'api')"));
+        }
+        return RentariumStore.backend.request('POST', '/_mail', message).then(() => message);
+      }
+    }
+  },
+
+  /**
+   * Make a transport available by name
+   * @param {string} name - set TRANSPORT to it to use it
+   * @param {object} transport - { send(message) => Promise }
+   */
+  addTransport(name, transport) {
+    this.transports[name] = transport;
+  },
+
+  /**
+   * Send a plain text message
+   * @param {object} mail - { to, subject, text }
+   * @returns {Promise<object>} the message as sent, with id and sentAt
+   */
+  send({ to, subject, text }) {
+    const transport = this.transports[this.TRANSPORT];
+    if (!transport) return Promise.reject(new Error(`Unknown mail transport: ${this.TRANSPORT}`));
+    if (!to) return Promise.reject(new Error('The message has no recipient'));
+
+    // The ID is taken first so every transport sees the same message
+    return RentariumStore.transaction(['sequences'], () => RentariumIds.next('mail'))
+      .then(id => transport.send({
+        id,
+        to,
+        subject,
+        text,
+        transport: this.TRANSPORT,
+        sentAt: new Date().toISOString()
+      }));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumMail;
+}
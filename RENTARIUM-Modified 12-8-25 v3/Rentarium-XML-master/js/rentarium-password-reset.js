@@ -0,0 +1,246 @@
+/**
+ * RENTARIUM PASSWORD RESET
+ * "Forgot password?" with one-time codes sent by mail
+ *
+ * request() looks the account up by username or email (tenants first, then
+ * staff), keeps a hash of a random CODE_DIGITS code in the 'resetCodes'
+ * collection (keyed by the lowercased username) and mails the code with
+ * RentariumMail. The code expires after CODE_MINUTES and is thrown away
+ * after MAX_ATTEMPTS wrong tries. redeem() checks it, saves the new
+ * password, clears any login lockout and ends the account's sessions.
+ *
+ * The page never says whether an account exists. Only real accounts get a
+ * code, made and mailed after request() has answered, so the answer and the
+ * time it takes are the same either way; redeem() gives one answer to every
+ * wrong, expired or unknown code, after the same amount of hashing. Expired
+ * codes are dropped whenever a new one is asked for. Every step is written
+ * to security_logs.
+ * With the API backend both steps run on the server, which keeps the codes
+ * and limits how often each name and each address may ask for one.
+ * Load after rentarium-credentials.js and rentarium-mail.js.
+ */
+
+const RentariumPasswordReset = {
+  CODE_DIGITS: 6,
+  CODE_MINUTES: 15,
+  MAX_ATTEMPTS: 5,
+
+  // A new code cannot be requested sooner than this after the last one
+  RESEND_SECONDS: 60,
+
+  PAGE: 'Forgot-Password.html',
+
+  key(username) {
+    return String(username || '').trim().toLowerCase();
+  },
+
+  /**
+   * Account matching a username or email
+   * @returns {object|null} { collection, id, account }
+   */
+  findAccount(identifier) {
+    const value = this.key(identifier);
+    if (!value) return null;
+    const matches = a => this.key(a.username) === value || this.key(a.email) === value;
+
+    const tenant = RentariumStore.getAll('tenants').find(matches);
+    if (tenant) return { collection: 'tenants', id: tenant.tenantId, account: tenant };
+
+    const user = RentariumStore.getAll('users').find(matches);
+    if (user) return { collection: 'users', id: user.id, account: user };
+
+    return null;
+  },
+
+  // Staff accounts that are disabled cannot get back in with a code
+  canReset(found) {
+    return !!found && !!found.account.email &&
+      !(found.collection === 'users' && found.account.status === 'disabled');
+  },
+
+  /**
+   * Where the code for an identifier is kept: under the account's username,
+   * so either name redeems it. Without an account a code can be sent for,
+   * the identifier itself, which never has a code
+   * @returns {object} { key, found, sent }
+   */
+  lookup(identifier) {
+    const found = this.findAccount(identifier);
+    const sent = this.canReset(found);
+    return { key: this.key(sent ? found.account.username : identifier), found, sent };
+  },
+
+  generateCode() {
+    const random = crypto.getRandomValues(new Uint32Array(1))[0];
+    return String(random % 10 ** this.CODE_DIGITS).padStart(this.CODE_DIGITS, '0');
+  },
+
+  log(store, eventType, username, details = {}) {
+    store.logSecurityEvent(eventType, {
+      username: this.key(username),
+      page: this.PAGE,
+      ...details
+    });
+  },
+
+  // ========== REQUEST ==========
+
+  /**
+   * Mail a reset code to the account's email
+   * @param {string} identifier - username or email
+   * @returns {Promise} resolves the same way whether or not a code was sent
+   */
+  request(identifier) {
+    const remote = RentariumStore.remote('passwordReset.request', identifier);
+    if (remote) return remote;
+
+    // Only accounts have codes; the API server makes every name wait alike
+    const { key, found, sent } = this.lookup(identifier);
+    const previous = RentariumStore.getById('resetCodes', key);
+    if (previous && Date.now() - new Date(previous.createdAt).getTime() < this.RESEND_SECONDS * 1000) {
+      return Promise.reject(new Error(`A code was just sent. Wait ${this.RESEND_SECONDS} seconds before asking again.`));
+    }
+
+    return RentariumStore.transaction(['resetCodes', 'securityLogs'], (store) => store.asSystem(() => {
+      this.pruneExpired(store);
+      this.log(store, 'PASSWORD_RESET_REQUESTED', key, { sent });
+    }))
+      .then(() => {
+        // Not waited for, so hashing the code and a slow mail server do not
+        // show that the account exists
+        if (sent) this.sendCode(key, found).catch(err => console.error('Could not send the reset code', err));
+      });
+  },
+
+  // Keep a hash of a new code for the account and mail it the code
+  sendCode(key, found) {
+    const code = this.generateCode();
+    const now = new Date();
+
+    return RentariumCredentials.hashPassword(code)
+      .then(codeHash => RentariumStore.transaction(['resetCodes'], (store) => store.asSystem(() => {
+        store.save('resetCodes', {
+          username: key,
+          collection: found.collection,
+          accountId: found.id,
+          codeHash,
+          attempts: 0,
+          createdAt: now.toISOString(),
+          expiresAt: new Date(now.getTime() + this.CODE_MINUTES * 60 * 1000).toISOString()
+        }, key);
+      })))
+      .then(() => {
+        const { account } = found;
+        return RentariumMail.send({
+          to: account.email,
+          subject: 'Your Rentarium password reset code',
+          text: [
+            `Hello ${account.fullName || account.name || account.username},`,
+            '',
+            `Your password reset code is ${code}.`,
+            `It expires in ${this.CODE_MINUTES} minutes and can only be used once.`,
+            '',
+            'If you did not ask to reset your password, ignore this message.'
+          ].join('\n')
+        });
+      });
+  },
+
+  // Drop every code past its expiry
+  pruneExpired(store) {
+    const now = Date.now();
+    Object.entries(store.getAll('resetCodes')).forEach(([key, record]) => {
+      if (!record || new Date(record.expiresAt).getTime() <= now) store.remove('resetCodes', key);
+    });
+  },
+
+  // ========== REDEEM ==========
+
+  /**
+   * Check a code and set the new password
+   * @param {string} identifier - username or email, as given to request()
+   * @returns {Promise<object>} the saved account
+   */
+  redeem(identifier, code, newPassword) {
+    const remote = RentariumStore.remote('passwordReset.redeem', identifier, code, newPassword);
+    if (remote) return remote;
+
+    const { key } = this.lookup(identifier);
+    const record = RentariumStore.getById('resetCodes', key);
+    const invalid = () => {
+      const err = new Error('The code is invalid or has expired. Request a new one.');
+      err.code = 'INVALID_CODE';
+      return err;
+    };
+
+    // Hashed either way, and answered alike, so neither shows whether the
+    // name has an account or a code
+    const current = !!record && new Date(record.expiresAt).getTime() > Date.now();
+    const check = current
+      ? RentariumCredentials.verifyPassword(String(code).trim(), { passwordHash: record.codeHash })
+      : RentariumCredentials.verifyMissing(String(code).trim());
+
+    return check
+      .then(matches => {
+        // Codes kept for unknown names by older builds were never sent
+        if (!matches || !record.accountId) {
+          return this.fail(key, current ? 'wrong code' : 'expired').then(() => { throw invalid(); });
+        }
+        // Checked once the code is right, against the account's own username
+        const problems = RentariumCredentials.passwordProblems(newPassword, key);
+        if (problems.length > 0) {
+          throw new Error('The new password needs: ' + problems.join(', '));
+        }
+        return RentariumCredentials.hashPassword(newPassword);
+      })
+      .then(passwordHash => RentariumStore.transaction(
+        [record.collection, 'resetCodes', 'loginAttempts', 'securityLogs'],
+        (store) => store.asSystem(() => {
+          const account = store.getById(record.collection, record.accountId);
+          if (!account) throw invalid();
+
+          const now = new Date().toISOString();
+          delete account.password;
+          delete account.mustChangePassword;
+          account.passwordHash = passwordHash;
+          account.passwordChangedAt = now;
+          // Whoever knew the old password is logged out
+          account.sessionsRevokedAt = now;
+          store.save(record.collection, account);
+
+          store.remove('resetCodes', key);
+          if (store.getById('loginAttempts', key)) store.remove('loginAttempts', key);
+          this.log(store, 'PASSWORD_RESET_COMPLETED', key);
+          return account;
+        })
+      ));
+  },
+
+  /**
+   * Count a failed redeem, dropping the code once MAX_ATTEMPTS is reached
+   * @returns {Promise<number>} attempts left
+   */
+  fail(key, reason) {
+    return RentariumStore.transaction(['resetCodes', 'securityLogs'], (store) => store.asSystem(() => {
+      const record = store.getById('resetCodes', key);
+      let left = 0;
+
+      if (record && reason !== 'expired') {
+        record.attempts = (record.attempts || 0) + 1;
+        left = this.MAX_ATTEMPTS - record.attempts;
+        if (left > 0) store.save('resetCodes', record, key);
+        else store.remove('resetCodes', key);
+      } else if (record) {
+        store.remove('resetCodes', key);
+      }
+
+      this.log(store, 'PASSWORD_RESET_FAILED', key, { reason });
+      return left;
+    }));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumPasswordReset;
+}
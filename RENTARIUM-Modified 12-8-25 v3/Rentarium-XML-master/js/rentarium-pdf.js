@@ -0,0 +1,104 @@
+/**
+ * RENTARIUM PDF
+ * Writes simple one-page A4 PDFs (text and lines) without a library, for
+ * documents tenants download such as official receipts.
+ *
+ * Items are placed in points from the top-left corner of the page:
+ *   { text, x, y, size, bold, center }  - center ignores x
+ *   { line: [x1, y1, x2, y2], width }
+ * Text uses the standard Helvetica fonts, which only cover Latin-1, so the
+ * peso sign is written as "PHP" and other characters as "?".
+ */
+
+const RentariumPdf = {
+  PAGE_WIDTH: 595,
+  PAGE_HEIGHT: 842,
+
+  // Helvetica averages about half an em per character; close enough to centre a line
+  textWidth(text, size) {
+    return text.length * size * 0.5;
+  },
+
+  clean(text) {
+    return String(text ?? '')
+      .replace(/₱\s?/g, 'PHP ')
+      .replace(/[–—]/g, '-')
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  },
+
+  // Text as a PDF string literal
+  literal(text) {
+    return `(${this.clean(text).replace(/[\\()]/g, m => '\\' + m)})`;
+  },
+
+  // Page content stream for a list of items
+  content(items) {
+    const round = n => Math.round(n * 100) / 100;
+    return items.map(item => {
+      if (item.line) {
+        const [x1, y1, x2, y2] = item.line;
+        return `${item.width || 0.5} w ${round(x1)} ${round(this.PAGE_HEIGHT - y1)} m ${round(x2)} ${round(this.PAGE_HEIGHT - y2)} l S`;
+      }
+      const size = item.size || 11;
+      const text = this.clean(item.text);
+      const x = item.center ? (this.PAGE_WIDTH - this.textWidth(text, size)) / 2 : item.x;
+      return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${round(x)} ${round(this.PAGE_HEIGHT - item.y)} Td ${this.literal(text)} Tj ET`;
+    }).join('\n');
+  },
+
+  /**
+   * Build the PDF file
+   * @param {object[]} items - see the header comment
+   * @param {object} [info] - { title }
+   * @returns {string} the file, one character per byte
+   */
+  build(items, info = {}) {
+    const stream = this.content(items);
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.PAGE_WIDTH} ${this.PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+      `<< /Title ${this.literal(info.title || 'Rentarium')} /Producer (Rentarium) >>`
+    ];
+
+    let file = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = file.length;
+      file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = file.length;
+    file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return file;
+  },
+
+  // Save the PDF through the browser's download prompt
+  download(items, filename, info = {}) {
+    const file = this.build(items, info);
+    const bytes = new Uint8Array(file.length);
+    for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i);
+
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumPdf;
+}
@@ -0,0 +1,414 @@
+/**
+ * RENTARIUM PERMISSIONS
+ * Staff roles and what each one may do on the admin side
+ *
+ * The role -> permissions matrix is kept in the 'permissions' setting and
+ * edited on ADMIN/Roles-Permissions.html. The Super Admin role ('admin')
+ * always has every permission, so nobody can lock themselves out.
+ *
+ * Enforced in four places:
+ * - RentariumSession.guard('admin') keeps roles off pages they cannot open
+ * - RentariumStore.saveAll() refuses writes a staff role is not allowed,
+ *   and tenant writes to anything but their own records (TENANT_WRITES)
+ * - elements marked data-permission="tenants.manage" are hidden without it
+ * - the API server (server/rentarium-server.js) applies WRITES, READS and
+ *   SETTING_WRITES to every request, with the session behind its token
+ * Load after rentarium-store.js.
+ */
+
+const RentariumPermissions = {
+  SUPER_ADMIN: 'admin',
+
+  ROLES: {
+    admin:       { label: 'Super Admin',       description: 'Every permission, including editing this matrix' },
+    owner:       { label: 'Owner',             description: 'Read-only access to reports, units, tenants and payments' },
+    manager:     { label: 'Property Manager',  description: 'Runs day-to-day tenants, units, payments and contracts' },
+    cashier:     { label: 'Cashier',           description: 'Records and verifies payments' },
+    maintenance: { label: 'Maintenance Staff', description: 'Sees units' }
+  },
+
+  // superAdminOnly permissions cannot be handed to other roles
+  PERMISSIONS: {
+    'dashboard.view':       { group: 'Dashboard',     label: 'View dashboard and reports' },
+    'units.view':           { group: 'Units',         label: 'View units' },
+    'units.manage':         { group: 'Units',         label: 'Add, edit, import and delete units' },
+    'waitlist.manage':      { group: 'Units',         label: 'Manage unit waitlists and holds' },
+    'tenants.view':         { group: 'Tenants',       label: 'View tenants' },
+    'tenants.manage':       { group: 'Tenants',       label: 'Create, edit and import tenants' },
+    'tenants.delete':       { group: 'Tenants',       label: 'Delete tenants and reset sample data' },
+    'applications.review':  { group: 'Tenants',       label: 'Approve and reject rental applications' },
+    'payments.view':        { group: 'Payments',      label: 'View payments' },
+    'payments.record':      { group: 'Payments',      label: 'Record payments' },
+    'payments.verify':      { group: 'Payments',      label: 'Approve and reject payments' },
+    'billing.manage':       { group: 'Payments',      label: 'Set the rent due day, proration and late-fee rules, run billing' },
+    'latefees.waive':       { group: 'Payments',      label: 'Waive late fees' },
+    'announcements.manage': { group: 'Announcements', label: 'Post, edit and delete announcements' },
+    'contracts.view':       { group: 'Contracts',     label: 'View rental contracts' },
+    'contracts.manage':     { group: 'Contracts',     label: 'Generate rental contracts' },
+    'contracts.terminate':  { group: 'Contracts',     label: 'Terminate rental contracts' },
+    'health.manage':        { group: 'System',        label: 'Scan and repair data (Data Health)' },
+    'backup.manage':        { group: 'System',        label: 'Backup, restore and snapshots' },
+    'users.manage':         { group: 'System',        label: 'Create, disable and reset staff accounts', superAdminOnly: true },
+    'mail.view':            { group: 'System',        label: 'Read the mail outbox (holds reset codes)', superAdminOnly: true },
+    'security.view':        { group: 'System',        label: 'View and export the security log' },
+    'security.manage':      { group: 'System',        label: 'Change how long the security log is kept', superAdminOnly: true },
+    'permissions.manage':   { group: 'System',        label: 'Edit roles and permissions', superAdminOnly: true }
+  },
+
+  DEFAULT_MATRIX: {
+    owner: ['dashboard.view', 'units.view', 'tenants.view', 'payments.view', 'contracts.view'],
+    manager: [
+      'dashboard.view', 'units.view', 'units.manage', 'waitlist.manage', 'tenants.view', 'tenants.manage',
+      'tenants.delete', 'applications.review', 'payments.view', 'payments.record', 'payments.verify',
+      'billing.manage', 'latefees.waive', 'announcements.manage', 'contracts.view', 'contracts.manage',
+      'contracts.terminate', 'health.manage'
+    ],
+    cashier: ['payments.view', 'payments.record', 'payments.verify'],
+    maintenance: ['units.view']
+  },
+
+  // Admin pages in sidebar order and the permission each needs
+  PAGES: {
+    'Admin-Dashboard.html':       'dashboard.view',
+    'Unit-Management.html':       'units.view',
+    'Tenants-Section.html':       'tenants.view',
+    'CreateTenantAccount.html':   'tenants.manage',
+    'Applications.html':          'applications.review',
+    'Payments-Section.html':      'payments.view',
+    'Announcements-Section.html': 'announcements.manage',
+    'Rental-Contract-Admin.html': 'contracts.view',
+    'Staff-Accounts.html':        'users.manage',
+    'Mail-Outbox.html':           'mail.view',
+    'Roles-Permissions.html':     'permissions.manage',
+    'Security-Log.html':          'security.view',
+    'Data-Health.html':           'health.manage',
+    'Backup-Restore.html':        'backup.manage'
+  },
+
+  // Collections staff may only change with one of these permissions.
+  // Logs, mail, snapshots and ID sequences also take the changes GROWS
+  // allows from any session
+  WRITES: {
+    units:                    ['units.manage', 'tenants.manage', 'tenants.delete', 'applications.review'],
+    rooms:                    ['units.manage'],
+    waitlist:                 ['waitlist.manage'],
+    tenants:                  ['tenants.manage', 'tenants.delete', 'applications.review'],
+    applications:             ['applications.review'],
+    payments:                 ['payments.record', 'payments.verify'],
+    bills:                    ['payments.record', 'payments.verify'],
+    rentStatus:               ['payments.record', 'payments.verify'],
+    ledger:                   ['payments.record', 'payments.verify', 'latefees.waive'],
+    receipts:                 ['payments.verify'],
+    announcements:            ['announcements.manage'],
+    contracts:                ['contracts.manage', 'contracts.terminate'],
+    terminationNotifications: ['contracts.terminate'],
+    contractNotifications:    ['contracts.view'],
+    users:                    ['users.manage'],
+    activityLog:              ['backup.manage'],
+    securityLogs:             ['security.manage'],
+    mailOutbox:               ['mail.view'],
+    snapshots:                ['backup.manage'],
+    sequences:                []
+  },
+
+  // Collections every action adds to, whatever the role: any session may
+  // make changes passing test(change, session), which add entries or move
+  // an ID counter forward. Removing or rewriting them needs WRITES, and ID
+  // counters never move back. Only staff take snapshots, as they can be
+  // restored
+  GROWS: {
+    activityLog:  ({ before }) => !before,
+    securityLogs: ({ before }) => !before,
+    mailOutbox:   ({ before }) => !before,
+    snapshots:    ({ before }, session) => !before && RentariumPermissions.isStaff(session.role),
+    sequences:    ({ before, after }) => !!after && Number.isFinite(after.value) && (!before || after.value >= before.value)
+  },
+
+  // The WRITES collections a tenant may change: every record a write adds,
+  // changes or removes must pass the test, as it was and as it will be.
+  // The rest of WRITES is staff only
+  TENANT_WRITES: {
+    payments:                 (record, session) => record.tenantId === session.username && record.status === 'pending',
+    applications:             (record, session) => record.username === session.username && record.status === 'pending',
+    contracts:                (record, session, id) => id === session.username,
+    terminationNotifications: (record, session) => record.tenantUsername === session.username,
+    contractNotifications:    (record, session) => record.tenantUsername === session.username
+  },
+
+  // Domain events (RentariumStore.publish()) the API server relays, and
+  // the staff permissions needed to send each. 'tenant': tenants may send
+  // it about their own contract (the event id is their username)
+  EVENTS: {
+    'tenant.terminated':   ['tenants.view'],
+    'contract.signed':     ['tenant'],
+    'contract.terminated': ['contracts.terminate', 'tenant']
+  },
+
+  // Settings staff may change through the API server, and the permissions
+  // needed. The schema version is only changed by the server itself
+  SETTING_WRITES: {
+    migrationReport:      ['dashboard.view'],
+    permissions:          ['permissions.manage'],
+    securityLogRetention: ['security.manage'],
+    billing:              ['billing.manage'],
+    lateFees:             ['billing.manage'],
+    utilityRates:         ['payments.record', 'billing.manage']
+  },
+
+  // Collections the API server sends before anyone logs in, for the login,
+  // forgot password and rental application pages
+  PUBLIC_READS: ['units', 'rooms', 'announcements'],
+
+  // Collections the API server sends to staff with one of these
+  // permissions; 'staff' means any staff role. A collection missing here
+  // and from PUBLIC_READS is sent to no staff member. Sessions that cannot
+  // read a collection may still add records to it (log entries, mail) but
+  // not change or remove any
+  READS: {
+    tenants:                  ['staff'],
+    payments:                 ['staff'],
+    bills:                    ['staff'],
+    rentStatus:               ['staff'],
+    ledger:                   ['staff'],
+    receipts:                 ['staff'],
+    contracts:                ['staff'],
+    activityLog:              ['staff'],
+    applications:             ['staff'],
+    waitlist:                 ['staff'],
+    contractNotifications:    ['staff'],
+    terminationNotifications: ['staff'],
+    sequences:                ['staff'],
+    users:                    ['staff'],
+    loginAttempts:            ['users.manage'],
+    mailOutbox:               ['mail.view'],
+    securityLogs:             ['security.view'],
+    snapshots:                ['backup.manage']
+  },
+
+  // What a tenant is sent of each collection: the records passing the test.
+  // Collections missing here are not sent to tenants at all. Every ID
+  // sequence is sent, as ids are taken in the browser (js/rentarium-ids.js)
+  TENANT_READS: {
+    tenants:                  (record, session) => record.username === session.username,
+    payments:                 (record, session) => record.tenantId === session.username,
+    bills:                    (record, session) => record.tenantId === session.username,
+    rentStatus:               (record, session) => record.tenantId === session.username,
+    ledger:                   (record, session) => record.tenantId === session.username,
+    receipts:                 (record, session) => record.tenantId === session.username,
+    contracts:                (record, session, id) => id === session.username,
+    applications:             (record, session) => record.username === session.username,
+    contractNotifications:    (record, session) => record.tenantUsername === session.username,
+    terminationNotifications: (record, session) => record.tenantUsername === session.username,
+    sequences:                () => true
+  },
+
+  // Settings the API server sends before login, and to tenants as well as
+  // staff. Staff are sent every setting
+  PUBLIC_SETTINGS: ['schemaVersion'],
+  TENANT_SETTINGS: ['schemaVersion', 'utilityRates', 'billing', 'lateFees'],
+
+  // ========== MATRIX ==========
+
+  getMatrix() {
+    const saved = RentariumStore.getSetting('permissions', null);
+    return { ...this.DEFAULT_MATRIX, ...(saved || {}) };
+  },
+
+  /**
+   * Save the role -> permissions matrix (Super Admin only)
+   * @param {object} matrix - { role: [permission, ...] } for every role but admin
+   */
+  saveMatrix(matrix) {
+    this.assert('permissions.manage');
+
+    const clean = {};
+    Object.keys(this.ROLES).forEach(role => {
+      if (role === this.SUPER_ADMIN) return;
+      clean[role] = (matrix[role] || []).filter(p => this.PERMISSIONS[p] && !this.PERMISSIONS[p].superAdminOnly);
+    });
+
+    RentariumStore.saveSetting('permissions', clean);
+    RentariumStore.logActivity('Roles and permissions updated', { matrix: clean });
+    return clean;
+  },
+
+  resetMatrix() {
+    return this.saveMatrix(this.DEFAULT_MATRIX);
+  },
+
+  // ========== CHECKS ==========
+
+  isStaff(role) {
+    return Object.prototype.hasOwnProperty.call(this.ROLES, role);
+  },
+
+  roleLabel(role) {
+    return this.ROLES[role] ? this.ROLES[role].label : role;
+  },
+
+  // The logged-in user's session, expired or not; the role is what counts here
+  session() {
+    return RentariumStore.read(RentariumStore.SESSION_KEY, null);
+  },
+
+  permissionsFor(role) {
+    if (role === this.SUPER_ADMIN) return Object.keys(this.PERMISSIONS);
+    return this.getMatrix()[role] || [];
+  },
+
+  /**
+   * Whether the logged-in staff member (or the given session) has a permission
+   * @returns {boolean}
+   */
+  can(permission, session = this.session()) {
+    if (!session || !this.isStaff(session.role)) return false;
+    return this.permissionsFor(session.role).includes(permission);
+  },
+
+  // Throw when the logged-in staff member lacks the permission. Tenants
+  // have none: what they may do runs through asSystem() or TENANT_WRITES
+  assert(permission, session = this.session()) {
+    if (!this.can(permission, session)) {
+      const label = this.PERMISSIONS[permission] ? this.PERMISSIONS[permission].label : permission;
+      throw new Error(`Your role (${this.roleLabel(session ? session.role : 'none')}) cannot: ${label}`);
+    }
+  },
+
+  // For button handlers: true when allowed, otherwise explain and return false
+  check(permission) {
+    try {
+      this.assert(permission);
+      return true;
+    } catch (err) {
+      alert('⛔ ' + err.message);
+      return false;
+    }
+  },
+
+  /**
+   * Called by RentariumStore.saveAll() before every write, and by the API
+   * server with the session behind the request. Writes without a session
+   * (demo data, the public forms) are left to the server's own checks
+   * @param {function} [changes] - returns the write's records as
+   *   RentariumStore.changedRecords() does; only needed for tenants and
+   *   GROWS collections
+   */
+  assertCanWrite(name, session = this.session(), changes = () => null) {
+    const needed = this.WRITES[name];
+    if (!needed || !session) return;
+    if (this.GROWS[name]) {
+      const changed = changes();
+      if (changed && changed.every(change => this.GROWS[name](change, session))) return;
+    }
+    if (!this.isStaff(session.role)) return this.assertTenantWrite(name, session, changes());
+
+    if (!needed.some(permission => this.can(permission, session))) {
+      throw new Error(`Your role (${this.roleLabel(session.role)}) cannot change ${name}`);
+    }
+  },
+
+  // Tenants change only their own records, in TENANT_WRITES collections
+  assertTenantWrite(name, session, changes) {
+    if (changes && changes.length === 0) return;
+
+    const owns = this.TENANT_WRITES[name];
+    const allowed = owns && changes && changes.every(({ id, before, after }) =>
+      [before, after].every(record => !record || owns(record, session, id))
+    );
+    if (!allowed) throw new Error(`Tenants cannot change ${name}`);
+  },
+
+  // Throw unless the session may send every event in a message the API
+  // server is asked to relay
+  assertCanPublish(events, session) {
+    events.forEach(event => {
+      const type = event && event.type;
+      const senders = Object.prototype.hasOwnProperty.call(this.EVENTS, type) ? this.EVENTS[type] : [];
+      const allowed = this.isStaff(session.role)
+        ? senders.some(permission => permission !== 'tenant' && this.can(permission, session))
+        : senders.includes('tenant') && event.id === session.username;
+      if (!allowed) throw new Error(`Your role (${this.roleLabel(session.role)}) cannot send ${type} events`);
+    });
+  },
+
+  // Whether the API server may send a collection, or for tenants their own
+  // records in it (readableRecords()), to a session (null before login)
+  canRead(name, session) {
+    if (this.PUBLIC_READS.includes(name)) return true;
+    if (!session) return false;
+    if (!this.isStaff(session.role)) return !!this.TENANT_READS[name];
+    return (this.READS[name] || []).some(permission => permission === 'staff'
+      ? this.isStaff(session.role)
+      : this.can(permission, session));
+  },
+
+  /**
+   * The part of a collection a session may read: all of it, or a tenant's
+   * own records. Check canRead() first
+   * @param {object|object[]} records - a whole map or list collection
+   */
+  readableRecords(name, records, session) {
+    const owns = session && !this.isStaff(session.role) && !this.PUBLIC_READS.includes(name)
+      ? this.TENANT_READS[name]
+      : null;
+    if (!owns) return records;
+    if (Array.isArray(records)) return records.filter(record => record && owns(record, session));
+    return Object.fromEntries(Object.entries(records).filter(([id, record]) => record && owns(record, session, id)));
+  },
+
+  // Whether the API server may send a setting to a session (null before login)
+  canReadSetting(name, session) {
+    if (this.PUBLIC_SETTINGS.includes(name)) return true;
+    if (!session) return false;
+    return this.isStaff(session.role) || this.TENANT_SETTINGS.includes(name);
+  },
+
+  // Throw unless the session may change a setting (API server only)
+  assertCanSaveSetting(name, session) {
+    const needed = this.SETTING_WRITES[name] || [];
+    if (!session || !needed.some(permission => this.can(permission, session))) {
+      throw new Error(`Your role (${this.roleLabel(session ? session.role : 'none')}) cannot change the ${name} setting`);
+    }
+  },
+
+  // ========== PAGES ==========
+
+  canOpen(page, session = this.session()) {
+    const permission = this.PAGES[page];
+    return !permission || this.can(permission, session);
+  },
+
+  // First admin page the role can open, or null when there is none
+  firstPage(session = this.session()) {
+    return Object.keys(this.PAGES).find(page => this.can(this.PAGES[page], session)) || null;
+  },
+
+  /**
+   * Hide sidebar links to pages the role cannot open and every element
+   * whose data-permission the role lacks, including ones rendered later
+   */
+  applyToPage(session = this.session()) {
+    document.querySelectorAll('.nav-menu a[href]').forEach(link => {
+      const page = link.getAttribute('href').split('/').pop();
+      if (!this.canOpen(page, session)) {
+        (link.closest('li') || link).style.display = 'none';
+      }
+    });
+
+    const denied = Object.keys(this.PERMISSIONS).filter(p => !this.can(p, session));
+    let style = document.getElementById('rentarium-permissions-style');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'rentarium-permissions-style';
+      document.head.appendChild(style);
+    }
+    style.textContent = denied
+      .map(p => `[data-permission="${p}"] { display: none !important; }`)
+      .join('\n');
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumPermissions;
+}
@@ -0,0 +1,352 @@
+/**
+ * RENTARIUM QR CODES
+ * Draws QR codes in the browser, with no outside service
+ *
+ * Only what Rentarium needs: byte mode, error correction level M and
+ * versions 1-10 (up to 213 bytes), which covers otpauth:// links for
+ * authenticator apps. Follows ISO/IEC 18004; the mask with the lowest
+ * penalty score is chosen as the standard asks.
+ */
+
+const RentariumQr = {
+  // Per version (index 0 = version 1), level M: error correction codewords
+  // per block and the data codewords of each block
+  BLOCKS: [
+    { ecc: 10, data: [16] },
+    { ecc: 16, data: [28] },
+    { ecc: 26, data: [44] },
+    { ecc: 18, data: [32, 32] },
+    { ecc: 24, data: [43, 43] },
+    { ecc: 16, data: [27, 27, 27, 27] },
+    { ecc: 18, data: [31, 31, 31, 31] },
+    { ecc: 22, data: [38, 38, 39, 39] },
+    { ecc: 22, data: [36, 36, 36, 37, 37] },
+    { ecc: 26, data: [43, 43, 43, 43, 44] }
+  ],
+
+  // Alignment pattern centres per version
+  ALIGNMENT: [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]],
+
+  // Format bits of error correction level M
+  LEVEL_M: 0,
+
+  MASKS: [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ],
+
+  /**
+   * Module grid for a piece of text
+   * @returns {boolean[][]} rows of modules, true = dark
+   */
+  encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = this.pickVersion(bytes.length);
+    const codewords = this.addErrorCorrection(this.dataCodewords(bytes, version), version);
+
+    const size = version * 4 + 17;
+    const grid = {
+      size,
+      modules: Array.from({ length: size }, () => Array(size).fill(false)),
+      reserved: Array.from({ length: size }, () => Array(size).fill(false))
+    };
+
+    this.drawFunctionPatterns(grid, version);
+    this.drawCodewords(grid, codewords);
+
+    // Try every mask and keep the one with the lowest penalty
+    let best = null;
+    this.MASKS.forEach((mask, index) => {
+      this.applyMask(grid, mask);
+      this.drawFormatBits(grid, index);
+      const score = this.penalty(grid.modules);
+      if (!best || score < best.score) best = { index, score };
+      this.applyMask(grid, mask);
+    });
+
+    this.applyMask(grid, this.MASKS[best.index]);
+    this.drawFormatBits(grid, best.index);
+    return grid.modules;
+  },
+
+  /**
+   * QR code as SVG markup
+   * @param {object} [options] - scale: pixels per module, margin: quiet
+   *   zone in modules (4 is the minimum scanners expect)
+   * @returns {string}
+   */
+  toSvg(text, { scale = 4, margin = 4 } = {}) {
+    const modules = this.encode(text);
+    const size = modules.length + margin * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }));
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * scale}" height="${size * scale}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  },
+
+  // ========== DATA ==========
+
+  capacity(version) {
+    return this.BLOCKS[version - 1].data.reduce((sum, n) => sum + n, 0);
+  },
+
+  countBits(version) {
+    return version < 10 ? 8 : 16;
+  },
+
+  pickVersion(length) {
+    for (let version = 1; version <= this.BLOCKS.length; version++) {
+      if (4 + this.countBits(version) + length * 8 <= this.capacity(version) * 8) return version;
+    }
+    throw new Error(`Text too long for a QR code (${length} bytes)`);
+  },
+
+  // Mode, length, the bytes, terminator and padding
+  dataCodewords(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    push(0b0100, 4);
+    push(bytes.length, this.countBits(version));
+    bytes.forEach(b => push(b, 8));
+
+    const capacityBits = this.capacity(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((value, bit) => (value << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < this.capacity(version); pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  },
+
+  // Split into blocks, add Reed-Solomon codewords and interleave
+  addErrorCorrection(data, version) {
+    const { ecc, data: lengths } = this.BLOCKS[version - 1];
+    const divisor = this.rsDivisor(ecc);
+
+    let offset = 0;
+    const blocks = lengths.map(length => {
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      return { data: block, ecc: this.rsRemainder(block, divisor) };
+    });
+
+    const result = [];
+    const longest = Math.max(...lengths);
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < ecc; i++) {
+      blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+  },
+
+  // ========== REED-SOLOMON ==========
+
+  gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+
+  rsDivisor(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.gfMultiply(root, 0x02);
+    }
+    return result;
+  },
+
+  rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => { result[i] ^= this.gfMultiply(coefficient, factor); });
+    });
+    return result;
+  },
+
+  // ========== DRAWING ==========
+
+  setFunction(grid, x, y, dark) {
+    grid.modules[y][x] = dark;
+    grid.reserved[y][x] = true;
+  },
+
+  drawFunctionPatterns(grid, version) {
+    const size = grid.size;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(grid, 6, i, i % 2 === 0);
+      this.setFunction(grid, i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this.setFunction(grid, x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, except where they would cover a finder
+    const positions = this.ALIGNMENT[version - 1];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas; the real bits are drawn once the mask is known
+    this.drawFormatBits(grid, 0);
+
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = version << 12 | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.setFunction(grid, a, b, dark);
+        this.setFunction(grid, b, a, dark);
+      }
+    }
+  },
+
+  drawFormatBits(grid, mask) {
+    const size = grid.size;
+    const data = this.LEVEL_M << 3 | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = (data << 10 | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunction(grid, 8, i, bit(i));
+    this.setFunction(grid, 8, 7, bit(6));
+    this.setFunction(grid, 8, 8, bit(7));
+    this.setFunction(grid, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunction(grid, 14 - i, 8, bit(i));
+
+    // Copy split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunction(grid, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunction(grid, 8, size - 15 + i, bit(i));
+    this.setFunction(grid, 8, size - 8, true);
+  },
+
+  // Zigzag up and down two-module columns from the bottom right
+  drawCodewords(grid, codewords) {
+    const size = grid.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!grid.reserved[y][x] && i < codewords.length * 8) {
+            grid.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  },
+
+  // XOR twice to undo
+  applyMask(grid, mask) {
+    for (let y = 0; y < grid.size; y++) {
+      for (let x = 0; x < grid.size; x++) {
+        if (!grid.reserved[y][x] && mask(x, y)) grid.modules[y][x] = !grid.modules[y][x];
+      }
+    }
+  },
+
+  // ========== MASK PENALTY ==========
+
+  penalty(modules) {
+    const size = modules.length;
+    const columns = modules.map((row, x) => modules.map(r => r[x]));
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    let score = 0;
+
+    [...modules, ...columns].forEach(line => {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      // Patterns that look like a finder
+      for (let i = 0; i + 11 <= size; i++) {
+        finderLike.forEach(pattern => {
+          if (pattern.every((dark, k) => line[i + k] === (dark === 1))) score += 40;
+        });
+      }
+    });
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    // Balance of dark and light
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumQr;
+}
@@ -0,0 +1,306 @@
+/**
+ * RENTARIUM OFFICIAL RECEIPTS
+ * Issues a numbered official receipt (OR-000001, from the 'receipt'
+ * sequence) when a payment is verified, and prints or downloads it as PDF
+ * for the admin and the tenant.
+ *
+ * A receipt is a copy of the payment as it was verified: tenant, unit,
+ * period covered, amount in figures and words, method, reference and the
+ * admin who verified it. Receipts are never deleted. One that no longer
+ * matches its payment is voided, keeping its number, and the payment gets
+ * a new one:
+ * - rejecting or deleting a verified payment voids its receipt
+ * - correcting the amount voids it and issues a new receipt
+ * Staff can also void a receipt by hand and issue a new one.
+ * Call sync() inside RentariumStore.transaction() with 'receipts',
+ * 'sequences' and 'activityLog' among its collections.
+ * Load after rentarium-store.js and rentarium-ids.js; printing and PDF
+ * need rentarium-pdf.js.
+ */
+
+const RentariumReceipts = {
+  ONES: ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'],
+  TENS: ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'],
+  SCALES: ['', 'Thousand', 'Million', 'Billion'],
+
+  METHODS: { cash: 'Cash', gcash: 'GCash', bpi: 'BPI Bank Transfer' },
+
+  // ========== AMOUNTS ==========
+
+  // Words for 1-999
+  hundreds(n) {
+    const words = [];
+    if (n >= 100) words.push(this.ONES[Math.floor(n / 100)], 'Hundred');
+    const rest = n % 100;
+    if (rest >= 20) {
+      words.push(this.TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${this.ONES[rest % 10]}` : ''));
+    } else if (rest > 0) {
+      words.push(this.ONES[rest]);
+    }
+    return words.join(' ');
+  },
+
+  /**
+   * Amount in words as written on a receipt
+   * @example amountInWords(8500.5) // 'Eight Thousand Five Hundred Pesos and 50/100 Only'
+   */
+  amountInWords(amount) {
+    const centavos = Math.round((Number(amount) || 0) * 100);
+    let pesos = Math.floor(centavos / 100);
+    const cents = centavos % 100;
+
+    const groups = [];
+    for (let scale = 0; pesos > 0; scale++, pesos = Math.floor(pesos / 1000)) {
+      const group = pesos % 1000;
+      if (group > 0) groups.unshift(`${this.hundreds(group)}${this.SCALES[scale] ? ` ${this.SCALES[scale]}` : ''}`);
+    }
+
+    const words = groups.length > 0 ? groups.join(' ') : 'Zero';
+    const peso = words === 'One' ? 'Peso' : 'Pesos';
+    return `${words} ${peso}${cents > 0 ? ` and ${String(cents).padStart(2, '0')}/100` : ''} Only`;
+  },
+
+  money(amount) {
+    return `₱${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  },
+
+  // 'October 2026' for '2026-10'
+  monthLabel(month) {
+    const [year, m] = String(month).split('-').map(Number);
+    if (!year || !m) return month || '';
+    return new Date(year, m - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  },
+
+  // ========== LOOKUPS ==========
+
+  forPayment(paymentId, receipts = RentariumStore.getAll('receipts')) {
+    return receipts
+      .filter(r => r.paymentId === paymentId)
+      .sort((a, b) => String(b.issuedAt).localeCompare(String(a.issuedAt)));
+  },
+
+  // The receipt in force for a payment, or null
+  current(paymentId, receipts) {
+    return this.forPayment(paymentId, receipts).find(r => r.status === 'issued') || null;
+  },
+
+  // Staff member acting now, for "verified by"
+  staff() {
+    const session = RentariumStore.getSession() || {};
+    const account = session.userId ? RentariumStore.getById('users', session.userId) : null;
+    return {
+      username: session.username || 'system',
+      name: (account && account.fullName) || session.name || session.username || 'System'
+    };
+  },
+
+  // ========== ISSUING AND VOIDING ==========
+
+  /**
+   * Issue a receipt for a verified payment
+   * @param {string} period - month the payment covers (YYYY-MM)
+   */
+  issue(payment, period) {
+    const receipt = {
+      id: RentariumIds.next('receipt'),
+      paymentId: payment.id,
+      tenantId: payment.tenantId,
+      tenantName: payment.tenantName,
+      unitNumber: payment.unitNumber,
+      paymentType: payment.paymentType || 'Monthly Rent',
+      period,
+      periodLabel: this.monthLabel(period),
+      amount: payment.amount,
+      amountInWords: this.amountInWords(payment.amount),
+      method: payment.method,
+      reference: payment.reference || '',
+      paidDate: payment.paidDate || payment.submittedDate || null,
+      verifiedBy: this.staff(),
+      issuedAt: new Date().toISOString(),
+      status: 'issued',
+      voidedAt: null,
+      voidedBy: null,
+      voidReason: null
+    };
+
+    RentariumStore.save('receipts', receipt);
+    RentariumStore.logActivity(`Official receipt ${receipt.id} issued for payment ${payment.id}`, {
+      receiptId: receipt.id,
+      paymentId: payment.id,
+      amount: receipt.amount
+    });
+    return receipt;
+  },
+
+  void(receipt, reason) {
+    Object.assign(receipt, {
+      status: 'void',
+      voidedAt: new Date().toISOString(),
+      voidedBy: this.staff(),
+      voidReason: reason
+    });
+    RentariumStore.save('receipts', receipt);
+    RentariumStore.logActivity(`Official receipt ${receipt.id} voided`, {
+      receiptId: receipt.id,
+      paymentId: receipt.paymentId,
+      reason
+    });
+    return receipt;
+  },
+
+  /**
+   * Bring a payment's receipt in line with it: issue one when it is
+   * verified, void it when it no longer is or its amount changed
+   * @param {boolean} verified - whether the payment now counts as paid
+   * @param {string} period - month the payment covers
+   * @param {string} [reason] - noted on a voided receipt
+   * @returns {object|null} the receipt in force
+   */
+  sync(payment, verified, period, reason) {
+    const current = this.current(payment.id);
+
+    if (current && (!verified || current.amount !== payment.amount)) {
+      this.void(current, reason || `payment ${payment.id} changed`);
+    } else if (current) {
+      return current;
+    }
+    return verified ? this.issue(payment, period) : null;
+  },
+
+  /**
+   * Void a receipt by hand (payments.verify)
+   * @returns {Promise<object>} the voided receipt
+   */
+  voidReceipt(receiptId, reason) {
+    if (!String(reason || '').trim()) return Promise.reject(new Error('A reason is required'));
+
+    return RentariumStore.transaction(['receipts', 'activityLog'], (store) => {
+      RentariumPermissions.assert('payments.verify');
+      const receipt = store.getById('receipts', receiptId);
+      if (!receipt) throw new Error(`Receipt ${receiptId} not found`);
+      if (receipt.status === 'void') throw new Error(`${receiptId} is already void`);
+      return this.void(receipt, reason.trim());
+    });
+  },
+
+  // ========== OUTPUT ==========
+
+  // Label/value rows shown on a receipt
+  rows(receipt) {
+    return [
+      ['Received from', receipt.tenantName],
+      ['Unit', receipt.unitNumber || '-'],
+      ['Payment for', receipt.paymentType],
+      ['Period covered', receipt.periodLabel],
+      ['Amount', this.money(receipt.amount)],
+      ['Amount in words', receipt.amountInWords],
+      ['Payment method', this.METHODS[receipt.method] || receipt.method],
+      ['Reference no.', receipt.reference || '-'],
+      ['Payment ID', receipt.paymentId],
+      ['Verified by', receipt.verifiedBy ? receipt.verifiedBy.name : '-']
+    ];
+  },
+
+  dateLabel(iso) {
+    return iso ? new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
+  },
+
+  escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m]));
+  },
+
+  // Printable page for a receipt
+  html(receipt) {
+    const esc = s => this.escapeHtml(s);
+    const voided = receipt.status === 'void';
+    return `<!DOCTYPE html>
+      <html><head><title>Official Receipt ${esc(receipt.id)}</title>
+      <style>
+        body { font-family: 'Segoe UI', Arial, sans-serif; color: #1e293b; padding: 40px; }
+        .receipt { position: relative; max-width: 640px; margin: 0 auto; border: 2px solid #1e293b; padding: 30px 36px; }
+        h1 { font-size: 22px; margin: 0; letter-spacing: 0.08em; }
+        h2 { font-size: 15px; margin: 4px 0 0; font-weight: 600; color: #475569; text-transform: uppercase; }
+        .head { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 1px solid #cbd5e1; padding-bottom: 14px; margin-bottom: 18px; }
+        .number { text-align: right; font-size: 13px; }
+        .number strong { display: block; font-size: 18px; color: #b91c1c; }
+        table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        td { padding: 7px 0; border-bottom: 1px dotted #cbd5e1; vertical-align: top; }
+        td:first-child { width: 38%; color: #64748b; }
+        .sign { margin-top: 40px; text-align: right; font-size: 13px; }
+        .sign span { display: inline-block; border-top: 1px solid #1e293b; padding-top: 4px; min-width: 220px; text-align: center; }
+        .void { position: absolute; top: 38%; left: 0; right: 0; text-align: center; font-size: 96px; font-weight: 800; color: rgba(220, 38, 38, 0.25); transform: rotate(-18deg); }
+        .void-note { margin-top: 16px; color: #b91c1c; font-size: 13px; }
+        @media print { body { padding: 0; } }
+      </style></head><body>
+      <div class="receipt">
+        ${voided ? '<div class="void">VOID</div>' : ''}
+        <div class="head">
+          <div><h1>RENTARIUM</h1><h2>Official Receipt</h2></div>
+          <div class="number">OR No.<strong>${esc(receipt.id)}</strong>${esc(this.dateLabel(receipt.issuedAt))}</div>
+        </div>
+        <table>
+          ${this.rows(receipt).map(([label, value]) => `<tr><td>${esc(label)}</td><td>${esc(value)}</td></tr>`).join('')}
+        </table>
+        ${voided ? `<p class="void-note">Voided ${esc(this.dateLabel(receipt.voidedAt))}: ${esc(receipt.voidReason)}</p>` : ''}
+        <div class="sign"><span>${esc(receipt.verifiedBy ? receipt.verifiedBy.name : '')}<br>Authorized Signature</span></div>
+      </div>
+      </body></html>`;
+  },
+
+  print(receipt) {
+    const win = window.open('', '_blank');
+    if (!win) return alert('Allow pop-ups to print the receipt');
+    win.document.write(this.html(receipt));
+    win.document.close();
+    win.focus();
+    win.print();
+  },
+
+  // Same layout as html(), as PDF items (js/rentarium-pdf.js)
+  pdfItems(receipt) {
+    const left = 60;
+    const right = RentariumPdf.PAGE_WIDTH - 60;
+    const items = [
+      { line: [left, 50, right, 50], width: 1.5 },
+      { text: 'RENTARIUM', x: left + 16, y: 84, size: 20, bold: true },
+      { text: 'OFFICIAL RECEIPT', x: left + 16, y: 104, size: 11 },
+      { text: 'OR No.', x: right - 150, y: 80, size: 10 },
+      { text: receipt.id, x: right - 150, y: 98, size: 15, bold: true },
+      { text: this.dateLabel(receipt.issuedAt), x: right - 150, y: 114, size: 10 },
+      { line: [left, 128, right, 128] }
+    ];
+
+    let y = 156;
+    this.rows(receipt).forEach(([label, value]) => {
+      items.push({ text: label, x: left + 16, y, size: 10 });
+      items.push({ text: value, x: left + 160, y, size: 11, bold: label === 'Amount' });
+      items.push({ line: [left + 16, y + 8, right - 16, y + 8], width: 0.25 });
+      y += 26;
+    });
+
+    if (receipt.status === 'void') {
+      items.push({ text: 'VOID', y: y + 30, size: 48, bold: true, center: true });
+      items.push({ text: `Voided ${this.dateLabel(receipt.voidedAt)}: ${receipt.voidReason}`, x: left + 16, y: y + 60, size: 10 });
+      y += 60;
+    }
+
+    y += 60;
+    items.push({ line: [right - 200, y, right - 16, y] });
+    items.push({ text: receipt.verifiedBy ? receipt.verifiedBy.name : '', x: right - 200, y: y + 14, size: 10 });
+    items.push({ text: 'Authorized Signature', x: right - 200, y: y + 28, size: 9 });
+    items.push({ line: [left, y + 48, right, y + 48], width: 1.5 });
+    items.push({ line: [left, 50, left, y + 48], width: 1.5 });
+    items.push({ line: [right, 50, right, y + 48], width: 1.5 });
+    return items;
+  },
+
+  downloadPdf(receipt) {
+    RentariumPdf.download(this.pdfItems(receipt), `${receipt.id}.pdf`, { title: `Official Receipt ${receipt.id}` });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumReceipts;
+}
@@ -0,0 +1,393 @@
+/**
+ * RENTARIUM SCHEMA MIGRATIONS
+ * Upgrades records saved by older builds to the current field layout.
+ * RentariumStore runs this once its backend is open; each step runs only
+ * when the stored schema version is below the step's version.
+ *
+ * Current layout:
+ *   tenants  - phone, rentAmount (number), deposit (number), lowercase status
+ *   units    - price (number), Capitalized status, tenantId/tenantName/moveInDate
+ *   payments - paymentType 'Monthly Rent' | 'Utility Bills', amount (number)
+ *   users    - status 'active' | 'disabled'; two-factor secrets in totpSecrets
+ *   securityLogs - unique id (several entries can share a timestamp)
+ *   bills, rentStatus - what is owed only; paid amounts come from the ledger
+ */
+
+const RentariumSchema = {
+  CURRENT_VERSION: 7,
+
+  // Older payment_type values and the paymentType they became
+  PAYMENT_TYPES: {
+    rent: 'Monthly Rent',
+    bill: 'Utility Bills'
+  },
+
+  // Ordered upgrade steps. Each returns a list of { collection, id, change }
+  MIGRATIONS: [
+    {
+      version: 1,
+      description: 'Tenants: contactNumber -> phone, monthlyRent -> rentAmount, numeric amounts, lowercase status',
+      up(store) {
+        const changes = [];
+        const tenants = store.getAll('tenants');
+
+        tenants.forEach(tenant => {
+          const note = change => changes.push({ collection: 'tenants', id: tenant.tenantId || tenant.username, change });
+
+          if (tenant.contactNumber !== undefined) {
+            if (!tenant.phone) {
+              tenant.phone = tenant.contactNumber;
+              note('contactNumber renamed to phone');
+            } else {
+              note('duplicate contactNumber removed');
+            }
+            delete tenant.contactNumber;
+          }
+
+          if (tenant.monthlyRent !== undefined) {
+            if (tenant.rentAmount === undefined || tenant.rentAmount === '') {
+              tenant.rentAmount = tenant.monthlyRent;
+              note('monthlyRent renamed to rentAmount');
+            }
+            delete tenant.monthlyRent;
+          }
+
+          ['rentAmount', 'deposit'].forEach(field => {
+            if (tenant[field] !== undefined && typeof tenant[field] !== 'number') {
+              tenant[field] = parseFloat(tenant[field]) || 0;
+              note(`${field} converted to a number`);
+            }
+          });
+
+          const status = (tenant.status || 'active').toString().toLowerCase();
+          if (tenant.status !== status) {
+            tenant.status = status;
+            note(`status set to '${status}'`);
+          }
+        });
+
+        if (changes.length > 0) store.saveAll('tenants', tenants);
+        return changes;
+      }
+    },
+    {
+      version: 2,
+      description: 'Units: numeric price, Capitalized status, tenant fields always present',
+      up(store) {
+        const changes = [];
+        const units = store.getAll('units');
+
+        Object.entries(units).forEach(([unitNumber, unit]) => {
+          const note = change => changes.push({ collection: 'units', id: unitNumber, change });
+
+          if (unit.price === undefined && (unit.rent !== undefined || unit.monthlyRent !== undefined)) {
+            unit.price = unit.rent ?? unit.monthlyRent;
+            delete unit.rent;
+            delete unit.monthlyRent;
+            note('rent renamed to price');
+          }
+          if (unit.price !== undefined && typeof unit.price !== 'number') {
+            unit.price = parseFloat(unit.price) || 0;
+            note('price converted to a number');
+          }
+
+          const raw = (unit.status || 'Vacant').toString();
+          const status = raw.charAt(0).toUpperCase() + raw.slice(1).toLowerCase();
+          if (unit.status !== status) {
+            unit.status = status;
+            note(`status set to '${status}'`);
+          }
+
+          if (unit.tenantId === undefined) { unit.tenantId = null; note('tenantId added'); }
+          if (unit.tenantName === undefined) { unit.tenantName = ''; note('tenantName added'); }
+          if (unit.moveInDate === undefined) { unit.moveInDate = ''; note('moveInDate added'); }
+        });
+
+        if (changes.length > 0) store.saveAll('units', units);
+        return changes;
+      }
+    },
+    {
+      version: 3,
+      description: "Payments: payment_type 'rent'/'bill' -> paymentType, numeric amount",
+      up(store) {
+        const changes = [];
+        const payments = store.getAll('payments');
+        const types = RentariumSchema.PAYMENT_TYPES;
+
+        payments.forEach(payment => {
+          const note = change => changes.push({ collection: 'payments', id: payment.id, change });
+
+          if (payment.payment_type !== undefined) {
+            const paymentType = types[payment.payment_type] || payment.paymentType || 'Monthly Rent';
+            if (!payment.paymentType) {
+              payment.paymentType = paymentType;
+              note(`payment_type '${payment.payment_type}' became paymentType '${paymentType}'`);
+            } else {
+              note('duplicate payment_type removed');
+            }
+            delete payment.payment_type;
+          } else if (!payment.paymentType) {
+            payment.paymentType = 'Monthly Rent';
+            note("missing paymentType set to 'Monthly Rent'");
+          }
+
+          if (typeof payment.amount !== 'number') {
+            payment.amount = parseFloat(payment.amount) || 0;
+            note('amount converted to a number');
+          }
+        });
+
+        if (changes.length > 0) store.saveAll('payments', payments);
+        return changes;
+      }
+    },
+    {
+      version: 4,
+      description: "Users: status 'active' on every account",
+      up(store) {
+        const changes = [];
+        const users = store.getAll('users');
+
+        users.forEach(user => {
+          if (!user.status) {
+            user.status = 'active';
+            changes.push({ collection: 'users', id: user.id, change: "status set to 'active'" });
+          }
+        });
+
+        if (changes.length > 0) store.saveAll('users', users);
+        return changes;
+      }
+    },
+    {
+      version: 5,
+      description: 'Security log: an id on every entry',
+      up(store) {
+        const logs = store.getAll('securityLogs');
+        let added = 0;
+
+        logs.forEach((entry, index) => {
+          if (!entry.id) {
+            entry.id = `SEC-${new Date(entry.timestamp).getTime() || 0}-m${index}`;
+            added++;
+          }
+        });
+
+        // One line in the report rather than one per log entry
+        if (added === 0) return [];
+        store.saveAll('securityLogs', logs);
+        return [{ collection: 'securityLogs', id: null, change: `id added to ${added} entries` }];
+      }
+    },
+    {
+      version: 6,
+      description: 'Tenant ledger: opened from rent status, bills and verified payments; paid counters removed',
+      up(store) {
+        const changes = [];
+        const rentStatus = store.getAll('rentStatus');
+        const bills = store.getAll('bills');
+        const payments = store.getAll('payments');
+        const ledger = store.getAll('ledger');
+        const tenants = store.getAll('tenants');
+        const unitOf = username => (tenants.find(t => t.username === username) || {}).unitAssigned || '';
+        const day = iso => String(iso || '').slice(0, 10) || new Date().toISOString().slice(0, 10);
+
+        // Same fields as RentariumLedger.record(), which not every page loads
+        const post = (data) => {
+          const entry = {
+            id: RentariumIds.next('ledger'),
+            tenantId: data.tenantId,
+            unitNumber: data.unitNumber || unitOf(data.tenantId),
+            type: data.type,
+            category: data.category,
+            amount: Math.round((Number(data.amount) || 0) * 100) / 100,
+            date: data.date,
+            period: data.period || data.date.slice(0, 7),
+            description: data.description,
+            sourceType: data.sourceType,
+            sourceId: data.sourceId,
+            chargeId: data.chargeId || null,
+            reverses: null,
+            postedBy: 'system',
+            postedAt: new Date().toISOString()
+          };
+          ledger.push(entry);
+          return entry;
+        };
+
+        // Only open the ledger once; a restored backup may already have one
+        if (ledger.length === 0) {
+          const rentCharges = new Map();
+          const billCharges = new Map();
+
+          rentStatus.forEach(rs => {
+            if (!(Number(rs.required_amount) > 0)) return;
+            rentCharges.set(`${rs.tenantId}|${rs.month}`, post({
+              tenantId: rs.tenantId, type: 'charge', category: 'rent', amount: rs.required_amount,
+              date: rs.dueDate || `${rs.month}-01`, period: rs.month,
+              description: `Rent for ${rs.month}`, sourceType: 'rentStatus', sourceId: rs.id
+            }));
+          });
+
+          bills.forEach(bill => {
+            if (!(Number(bill.total_amount) > 0)) return;
+            billCharges.set(bill.id, post({
+              tenantId: bill.tenantId, type: 'charge', category: 'utilities', amount: bill.total_amount,
+              date: bill.dueDate || `${bill.month}-15`, period: bill.month,
+              description: `Utility bill for ${bill.month}`, sourceType: 'bill', sourceId: bill.id
+            }));
+          });
+
+          payments
+            .filter(p => (p.status === 'verified' || p.status === 'completed') && Number(p.amount) > 0)
+            .forEach(p => {
+              const date = day(p.paidDate || p.submittedDate);
+              const period = p.month || String(p.dueDate || '').slice(0, 7) || date.slice(0, 7);
+              const isBill = p.paymentType === 'Utility Bills';
+              let charge = isBill ? billCharges.get(p.billId) : rentCharges.get(`${p.tenantId}|${period}`);
+
+              // Payments made before bills and rent were tracked settled a
+              // charge nobody recorded; record it so the balance stays even
+              if (!charge) {
+                charge = post({
+                  tenantId: p.tenantId, unitNumber: p.unitNumber, type: 'charge',
+                  category: isBill ? 'utilities' : 'rent', amount: p.amount,
+                  date: day(p.dueDate || p.submittedDate), period,
+                  description: `${isBill ? 'Utilities' : 'Rent'} for ${period} (settled by ${p.id} before the ledger)`,
+                  sourceType: 'opening', sourceId: p.id
+                });
+              }
+
+              post({
+                tenantId: p.tenantId, unitNumber: p.unitNumber, type: 'credit', category: 'payment', amount: p.amount,
+                date, period, chargeId: charge.id,
+                description: `${p.paymentType || 'Monthly Rent'} payment ${p.id} (${p.method || 'unknown method'})`,
+                sourceType: 'payment', sourceId: p.id
+              });
+            });
+
+          if (ledger.length > 0) {
+            store.saveAll('ledger', ledger);
+            changes.push({ collection: 'ledger', id: null, change: `${ledger.length} entries posted` });
+          }
+        }
+
+        // Paid amounts and statuses are worked out from the ledger now
+        const counters = ['paid_amount', 'remaining_amount', 'status', 'payments'];
+        [['rentStatus', rentStatus], ['bills', bills]].forEach(([name, records]) => {
+          let stripped = 0;
+          records.forEach(record => {
+            if (counters.some(field => field in record)) {
+              counters.forEach(field => delete record[field]);
+              stripped++;
+            }
+          });
+          if (stripped === 0) return;
+          store.saveAll(name, records);
+          changes.push({ collection: name, id: null, change: `paid counters removed from ${stripped} records` });
+        });
+
+        return changes;
+      }
+    },
+    {
+      version: 7,
+      description: 'Two-factor: secrets and recovery code hashes moved off user records',
+      up(store) {
+        const changes = [];
+        const users = store.getAll('users');
+        const secrets = store.getAll('totpSecrets');
+
+        users.forEach(user => {
+          if (!user.totp || !user.totp.secret) return;
+          const { secret, lastUsedStep, recoveryCodes = [], enabledAt } = user.totp;
+          secrets[String(user.id)] = { userId: user.id, secret, lastUsedStep: lastUsedStep ?? -1, recoveryCodes };
+          user.totp = { enabledAt, recoveryCodesLeft: recoveryCodes.length };
+          changes.push({ collection: 'users', id: user.id, change: 'two-factor secret moved to totpSecrets' });
+        });
+
+        if (changes.length > 0) {
+          store.saveAll('totpSecrets', secrets);
+          store.saveAll('users', users);
+        }
+        return changes;
+      }
+    }
+  ],
+
+  getVersion(store) {
+    return store.getSetting('schemaVersion', 0);
+  },
+
+  // Run every step above the stored version, in order, and save a report
+  migrate(store) {
+    const fromVersion = this.getVersion(store);
+    if (fromVersion >= this.CURRENT_VERSION) return null;
+
+    const report = {
+      fromVersion,
+      toVersion: fromVersion,
+      ranAt: new Date().toISOString(),
+      seen: false,
+      steps: []
+    };
+
+    for (const step of this.MIGRATIONS) {
+      if (step.version <= fromVersion) continue;
+
+      try {
+        const changes = step.up(store);
+        report.steps.push({ version: step.version, description: step.description, changes });
+        report.toVersion = step.version;
+        store.saveSetting('schemaVersion', step.version);
+      } catch (e) {
+        // Stop here so the failed step runs again next load
+        console.error(`Schema migration to v${step.version} failed`, e);
+        report.error = `v${step.version}: ${e.message}`;
+        break;
+      }
+    }
+
+    const total = this.countChanges(report);
+    store.saveSetting('migrationReport', report);
+
+    if (total > 0 || report.error) {
+      store.logActivity(`Data upgraded from schema v${fromVersion} to v${report.toVersion}`, {
+        recordsChanged: total,
+        error: report.error || null
+      });
+      console.log(`🔧 Schema upgraded v${fromVersion} -> v${report.toVersion}, ${total} change(s)`);
+      report.steps.forEach(step => {
+        if (step.changes.length > 0) console.table(step.changes);
+      });
+    }
+
+    return report;
+  },
+
+  countChanges(report) {
+    return report.steps.reduce((sum, step) => sum + step.changes.length, 0);
+  },
+
+  // Latest migration report, or null if none has run
+  getReport(store) {
+    return store.getSetting('migrationReport', null);
+  },
+
+  // One-line summary per collection, e.g. "tenants: 3 change(s)"
+  summarize(report) {
+    const perCollection = {};
+    report.steps.forEach(step => {
+      step.changes.forEach(c => {
+        perCollection[c.collection] = (perCollection[c.collection] || 0) + 1;
+      });
+    });
+    return Object.entries(perCollection).map(([name, count]) => `${name}: ${count} change(s)`);
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumSchema;
+}
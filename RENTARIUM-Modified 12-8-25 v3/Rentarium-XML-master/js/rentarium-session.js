@@ -0,0 +1,392 @@
+/**
+ * RENTARIUM SESSION
+ * One login session shared by every admin and tenant page
+ *
+ * The session is kept in localStorage (rentarium_session) so all tabs share
+ * it. It ends after its idle timeout without activity, or its absolute
+ * timeout after login, whichever comes first. Activity in any tab renews
+ * the idle timer, and a warning appears shortly before the session ends.
+ *
+ * Staff sessions also end once their account is disabled, or an admin
+ * signs it out, on ADMIN/Staff-Accounts.html.
+ *
+ * Each page declares who may open it instead of checking the session itself:
+ *   RentariumSession.guard('admin');
+ *   RentariumSession.guard('tenant');
+ *   RentariumSession.guard(['admin', 'tenant']);
+ * While the session has mustChangePassword, every guarded page sends the
+ * user to CHANGE_PASSWORD_PAGE instead.
+ * Load after rentarium-store.js.
+ */
+
+const RentariumSession = {
+  KEY: 'rentarium_session',
+
+  // Every guarded page sits one folder deep (ADMIN/ or Users/)
+  LOGIN_PAGE: '../Users/Login-Form.html',
+  CHANGE_PASSWORD_PAGE: '../Users/Change-Password.html',
+  HOME_PAGES: {
+    admin: '../ADMIN/Admin-Dashboard.html',
+    tenant: '../Users/User-Dashboard.html'
+  },
+
+  // Roles allowed into each area a page can be guarded for.
+  // What each staff role may do there is in js/rentarium-permissions.js
+  AREAS: {
+    admin: ['admin', 'owner', 'manager', 'cashier', 'maintenance'],
+    tenant: ['tenant']
+  },
+
+  // Timeouts per area in minutes. Copied onto the session at login,
+  // so changing them here applies from the next login
+  TIMEOUTS: {
+    admin:  { idle: 15, absolute: 8 * 60 },
+    tenant: { idle: 30, absolute: 12 * 60 }
+  },
+
+  WARNING_BEFORE: 2 * 60 * 1000,   // show the warning this long before expiry
+  TOUCH_INTERVAL: 30 * 1000,       // save activity at most this often
+  CHECK_INTERVAL: 5 * 1000,
+
+  ACTIVITY_EVENTS: ['click', 'keydown', 'mousemove', 'scroll', 'touchstart'],
+
+  // Security log event for each way a session ends
+  END_EVENTS: {
+    logout: 'LOGOUT',
+    expired: 'SESSION_EXPIRED',
+    revoked: 'SESSION_REVOKED'
+  },
+
+  monitoring: false,
+  warningEl: null,
+
+  // ========== SESSION ==========
+
+  /**
+   * Start a session for someone who just logged in
+   * @param {object} user - userId, username, fullName, email, role and any
+   *   role-specific fields (tenantId, unitAssigned, apiToken)
+   * @returns {object} the saved session
+   */
+  start(user) {
+    const session = this.create(user);
+    this.write(session);
+    return session;
+  },
+
+  // Session for a user with its timeouts, not yet saved. The API server
+  // keeps the same for the token it hands out
+  create(user) {
+    const timeouts = this.TIMEOUTS[this.areaOf(user.role)];
+    const now = Date.now();
+    return {
+      ...user,
+      loginTime: new Date(now).toISOString(),
+      lastActivity: now,
+      idleTimeout: timeouts.idle * 60 * 1000,
+      expiresAt: now + timeouts.absolute * 60 * 1000
+    };
+  },
+
+  read() {
+    if (typeof localStorage === 'undefined') return null;
+    try {
+      return JSON.parse(localStorage.getItem(this.KEY));
+    } catch (e) {
+      console.warn('Discarding unreadable session', e);
+      return null;
+    }
+  },
+
+  write(session) {
+    localStorage.setItem(this.KEY, JSON.stringify(session));
+  },
+
+  // Milliseconds until the session ends, and whether idling or the
+  // absolute limit ends it. Sessions from older builds only have loginTime
+  remaining(session, now = Date.now()) {
+    const timeouts = this.TIMEOUTS[this.areaOf(session.role)];
+    const loginTime = new Date(session.loginTime).getTime() || 0;
+    const lastActivity = session.lastActivity || loginTime;
+    const idleEnd = lastActivity + (session.idleTimeout || timeouts.idle * 60 * 1000);
+    const absoluteEnd = session.expiresAt || loginTime + timeouts.absolute * 60 * 1000;
+
+    return idleEnd < absoluteEnd
+      ? { ms: idleEnd - now, reason: 'idle' }
+      : { ms: absoluteEnd - now, reason: 'absolute' };
+  },
+
+  // The session if one exists and has not run out, otherwise null
+  current() {
+    const session = this.read();
+    if (!session || this.remaining(session).ms <= 0) return null;
+    return session;
+  },
+
+  // Record activity. Writes are throttled; other tabs pick them up
+  // because they read the same key
+  touch(force = false) {
+    const session = this.current();
+    if (!session) return;
+    const now = Date.now();
+    if (force || now - (session.lastActivity || 0) >= this.TOUCH_INTERVAL) {
+      session.lastActivity = now;
+      this.write(session);
+    }
+  },
+
+  /**
+   * End the session
+   * @param {string} reason - 'logout', 'expired' or 'revoked'
+   */
+  end(reason = 'logout') {
+    const session = this.read();
+    // With the API backend the server forgets the token and logs the end
+    // itself. The request takes the token before it is removed here
+    const remote = session && session.apiToken && RentariumStore.isReady()
+      ? RentariumStore.remote('auth.logout', reason)
+      : null;
+    localStorage.removeItem(this.KEY);
+    if (!session) return;
+
+    if (remote) remote.catch(err => console.warn('Could not end the server session', err));
+    else this.logEvent(this.END_EVENTS[reason] || 'LOGOUT', session);
+  },
+
+  // Security log entry for this session, once the store can take it
+  logEvent(eventType, session, details = {}) {
+    const log = () => RentariumStore.logSecurityEvent(eventType, {
+      username: session.username,
+      role: session.role,
+      page: window.location.pathname.split('/').pop(),
+      ...details
+    });
+    if (RentariumStore.isReady()) log();
+    else RentariumStore.whenReady(log);
+  },
+
+  // True when the account behind the session was disabled, signed out by an
+  // admin or had its password reset after the session started. Needs the store loaded
+  isRevoked(session) {
+    if (!RentariumStore.isReady()) return false;
+    const staff = this.areaOf(session.role) === 'admin';
+    const account = staff
+      ? RentariumStore.getById('users', session.userId)
+      : RentariumStore.getById('tenants', session.tenantId);
+    if (!account) return false;
+    if (staff && account.status === 'disabled') return true;
+    return new Date(account.sessionsRevokedAt || 0).getTime() > new Date(session.loginTime).getTime();
+  },
+
+  areaOf(role) {
+    return Object.keys(this.AREAS).find(name => this.AREAS[name].includes(role)) || 'tenant';
+  },
+
+  // Where a signed-in user belongs, e.g. after visiting the login page.
+  // Staff go to the first admin page their role can open
+  homePage(session) {
+    if (session.mustChangePassword) return this.CHANGE_PASSWORD_PAGE;
+    const area = this.areaOf(session.role);
+    if (area === 'admin' && typeof RentariumPermissions !== 'undefined') {
+      const page = RentariumPermissions.firstPage(session);
+      return page ? '../ADMIN/' + page : this.LOGIN_PAGE;
+    }
+    return this.HOME_PAGES[area];
+  },
+
+  // ========== ROUTE GUARD ==========
+
+  /**
+   * Let only the given area's roles stay on this page. Sends everyone
+   * else to the login page, then keeps watching for expiry
+   * @param {string|string[]} area - a key of AREAS, e.g. 'admin' or
+   *   'tenant', or several of them
+   * @returns {object|null} the session, or null when redirecting
+   */
+  guard(area) {
+    const areas = [].concat(area);
+    const session = this.read();
+
+    if (!session) {
+      alert('Please login to access this page');
+      return this.leave();
+    }
+
+    if (!areas.some(name => (this.AREAS[name] || []).includes(session.role))) {
+      this.logEvent('ACCESS_DENIED', session, { reason: `not allowed in the ${areas.join('/')} area` });
+      alert(areas.includes('admin')
+        ? 'Access denied. Admin privileges required.'
+        : 'Access denied. This is a tenant-only page.');
+      return this.leave();
+    }
+
+    if (this.remaining(session).ms <= 0) {
+      this.end('expired');
+      alert('Your session has expired. Please login again.');
+      return this.leave();
+    }
+
+    // A password handed out by an admin has to be replaced first
+    if (session.mustChangePassword && !this.onPage(this.CHANGE_PASSWORD_PAGE)) {
+      window.location.href = this.CHANGE_PASSWORD_PAGE;
+      return null;
+    }
+
+    this.touch(true);
+    this.monitor();
+
+    // The staff account may have been disabled, and the role may lack this
+    // page's permission. Both live in the store, so wait for it
+    if (this.areaOf(session.role) === 'admin') {
+      RentariumStore.whenReady(() => {
+        if (this.checkAccount(session) && typeof RentariumPermissions !== 'undefined') {
+          this.checkPage(session);
+        }
+      });
+    }
+    return session;
+  },
+
+  // Send the user away when their account no longer allows this session
+  checkAccount(session) {
+    if (!this.isRevoked(session)) return true;
+    this.end('revoked');
+    alert('You were signed out: the account was disabled, signed out by an administrator or had its password reset.');
+    this.leave();
+    return false;
+  },
+
+  checkPage(session) {
+    const page = window.location.pathname.split('/').pop();
+    if (!RentariumPermissions.canOpen(page, session)) {
+      this.logEvent('ACCESS_DENIED', session, { reason: `missing ${RentariumPermissions.PAGES[page]}` });
+      const home = this.homePage(session);
+      alert('Access denied. Your role cannot open this page.');
+      if (home === this.LOGIN_PAGE) this.end('logout');
+      window.location.href = home;
+      return;
+    }
+    RentariumPermissions.applyToPage(session);
+  },
+
+  onPage(path) {
+    return window.location.pathname.split('/').pop() === path.split('/').pop();
+  },
+
+  // Drop mustChangePassword from the session once the user has a new password
+  passwordChanged() {
+    const session = this.read();
+    if (!session) return null;
+    delete session.mustChangePassword;
+    this.write(session);
+    return session;
+  },
+
+  leave() {
+    window.location.href = this.LOGIN_PAGE;
+    return null;
+  },
+
+  // Ask, then log out and go to the login page
+  logout() {
+    if (!confirm('Are you sure you want to logout?')) return;
+    this.end('logout');
+    this.leave();
+  },
+
+  // Renew on activity, check expiry on a timer and when the tab is shown,
+  // and follow logouts made in other tabs
+  monitor() {
+    if (this.monitoring) return;
+    this.monitoring = true;
+
+    const onActivity = () => {
+      // While the warning shows, only its button renews the session
+      if (!this.warningEl) this.touch();
+    };
+    this.ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, onActivity, { passive: true });
+    });
+
+    setInterval(() => this.check(), this.CHECK_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.check();
+    });
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.KEY) this.check();
+    });
+
+    this.bindLogoutLinks();
+  },
+
+  check() {
+    const session = this.read();
+    if (!session) return this.leave();
+
+    const { ms, reason } = this.remaining(session);
+    if (ms <= 0) {
+      this.end('expired');
+      alert('Your session has expired. Please login again.');
+      return this.leave();
+    }
+    if (!this.checkAccount(session)) return;
+
+    if (ms <= this.WARNING_BEFORE) this.showWarning(ms, reason);
+    else this.hideWarning();
+  },
+
+  // Sidebar logout links point at the login page; log out properly instead
+  bindLogoutLinks() {
+    const bind = () => {
+      document.querySelectorAll('a[href*="Login-Form"], #logoutBtn, a[href="#logout"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.logout();
+        });
+      });
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', bind);
+    else bind();
+  },
+
+  // ========== EXPIRY WARNING ==========
+
+  showWarning(ms, reason) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    const time = seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} seconds`;
+
+    if (!this.warningEl) {
+      this.warningEl = document.createElement('div');
+      this.warningEl.setAttribute('role', 'alert');
+      this.warningEl.style.cssText = 'position:fixed;bottom:20px;right:20px;z-index:10000;max-width:340px;' +
+        'padding:16px 18px;border-radius:10px;background:#fff7ed;border:2px solid #f59e0b;' +
+        'box-shadow:0 10px 25px rgba(0,0,0,0.15);font-family:inherit;color:#7c2d12;font-size:14px;';
+      document.body.appendChild(this.warningEl);
+    }
+
+    // Activity cannot extend the absolute limit, so only offer renewal for idling
+    this.warningEl.innerHTML = reason === 'idle'
+      ? `<strong>⏳ Still there?</strong><p style="margin:6px 0 12px">You will be logged out in ${time} for inactivity.</p>
+         <button type="button" style="padding:8px 14px;border:none;border-radius:6px;background:#f59e0b;color:#fff;font-weight:600;cursor:pointer">Stay logged in</button>`
+      : `<strong>⏳ Session ending</strong><p style="margin:6px 0 0">Your session ends in ${time}. Save your work and login again.</p>`;
+
+    const button = this.warningEl.querySelector('button');
+    if (button) {
+      button.addEventListener('click', () => {
+        this.touch(true);
+        this.hideWarning();
+      });
+    }
+  },
+
+  hideWarning() {
+    if (!this.warningEl) return;
+    this.warningEl.remove();
+    this.warningEl = null;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumSession;
+}
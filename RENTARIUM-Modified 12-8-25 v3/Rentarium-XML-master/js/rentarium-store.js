@@ -0,0 +1,735 @@
+/**
+ * RENTARIUM DATA STORE
+ * Single data-access layer shared by every admin and tenant page
+ * Owns tenants, units, payments, receipts, bills, rent status, the tenant ledger, contracts,
+ * announcements and logs. Collections live in IndexedDB when the browser
+ * supports it (js/rentarium-idb.js), otherwise in localStorage, or on the
+ * local Rentarium server (js/rentarium-api.js) when BACKEND is 'api'.
+ * Every save is announced to other tabs as typed events (js/rentarium-events.js).
+ * Load order: rentarium-idb.js, rentarium-api.js, rentarium-events.js,
+ * rentarium-schema.js, rentarium-ids.js, rentarium-store.js
+ */
+
+const RentariumStore = {
+  SESSION_KEY: 'rentarium_session',
+
+  // Where collections are kept:
+  // 'indexeddb' - this browser (falls back to 'local' when unavailable)
+  // 'local'     - this browser's localStorage
+  // 'api'       - the local Rentarium server, shared by every machine
+  BACKEND: 'indexeddb',
+
+  // Base URL of the server API when BACKEND is 'api'
+  API_URL: '/api',
+
+  backend: null,
+  readyPromise: null,
+  activeTransaction: null,
+
+  // Set by asSystem() so upkeep writes skip the staff permission check
+  systemWrite: false,
+
+  // Every entity the app persists.
+  // type 'list' = array of records found by idField
+  // type 'map'  = object keyed by id (units by unit number, contracts by username)
+  // entity names the change events, e.g. 'tenant.updated'
+  // indexes name the fields IndexedDB can look records up by
+  // secretFields are left out of records the API server sends (password hashes)
+  // private collections never leave the API server at all
+  // serverOnly collections are sent as usual but only the API server's own
+  // actions change them (login lockouts)
+  // fileField names a list of uploads (js/rentarium-uploads.js), checked on every write
+  COLLECTIONS: {
+    tenants:                  { key: 'tenants',                   type: 'list', idField: 'tenantId', entity: 'tenant',
+                                indexes: { unit: 'unitAssigned', status: 'status' },
+                                secretFields: ['password', 'passwordHash'] },
+    units:                    { key: 'units',                     type: 'map',                       entity: 'unit',
+                                indexes: { tenantId: 'tenantId', status: 'status' } },
+    payments:                 { key: 'rentarium_payments',        type: 'list', idField: 'id',       entity: 'payment',
+                                indexes: { tenantId: 'tenantId', unit: 'unitNumber', month: 'month', status: 'status' },
+                                fileField: 'proofs' },
+    bills:                    { key: 'rentarium_bills',           type: 'list', idField: 'id',       entity: 'bill',
+                                indexes: { tenantId: 'tenantId', month: 'month', status: 'status' } },
+    rentStatus:               { key: 'rentarium_rent_status',     type: 'list', idField: 'id',       entity: 'rentStatus',
+                                indexes: { tenantId: 'tenantId', month: 'month', status: 'status' } },
+    ledger:                   { key: 'rentarium_ledger',          type: 'list', idField: 'id',       entity: 'ledgerEntry',
+                                indexes: { tenantId: 'tenantId', period: 'period', type: 'type' } },
+    receipts:                 { key: 'rentarium_receipts',        type: 'list', idField: 'id',       entity: 'receipt',
+                                indexes: { paymentId: 'paymentId', tenantId: 'tenantId' } },
+    contracts:                { key: 'rental_contracts',          type: 'map',                       entity: 'contract',
+                                indexes: { unit: 'unitNumber' } },
+    announcements:            { key: 'announcements',             type: 'list', idField: 'id',        entity: 'announcement' },
+    activityLog:              { key: 'activityLog',               type: 'list', idField: 'id',        entity: 'activity' },
+    securityLogs:             { key: 'security_logs',             type: 'list', idField: 'id',        entity: 'securityLog' },
+    loginAttempts:            { key: 'rentarium_login_attempts',  type: 'map',                        entity: 'loginAttempt',
+                                serverOnly: true },
+    resetCodes:               { key: 'rentarium_reset_codes',     type: 'map',                        entity: 'resetCode',
+                                private: true },
+    totpSecrets:              { key: 'rentarium_totp_secrets',    type: 'map',                        entity: 'totpSecret',
+                                private: true },
+    mailOutbox:               { key: 'rentarium_mail_outbox',     type: 'list', idField: 'id',        entity: 'mail' },
+    applications:             { key: 'rentarium_applications',    type: 'list', idField: 'id',        entity: 'application',
+                                indexes: { unit: 'unitNumber', status: 'status' },
+                                fileField: 'documents' },
+    waitlist:                 { key: 'rentarium_waitlist',        type: 'list', idField: 'id',        entity: 'waitlist',
+                                indexes: { unit: 'unitNumber', status: 'status' } },
+    users:                    { key: 'rentarium_users',           type: 'list', idField: 'id',        entity: 'user',
+                                secretFields: ['password', 'passwordHash'] },
+    rooms:                    { key: 'rentarium_rooms',           type: 'list', idField: 'id',        entity: 'room' },
+    contractNotifications:    { key: 'contract_notifications',    type: 'list', idField: 'id',        entity: 'contractNotification' },
+    terminationNotifications: { key: 'termination_notifications', type: 'list', idField: 'id',        entity: 'terminationNotification' },
+    sequences:                { key: 'rentarium_sequences',       type: 'map',                        entity: 'sequence' },
+    snapshots:                { key: 'rentarium_snapshots',       type: 'list', idField: 'id',        entity: 'snapshot' }
+  },
+
+  // Single-value settings that are not collections
+  SETTINGS: {
+    utilityRates: 'rentarium_utility_rates',
+    schemaVersion: 'rentarium_schema_version',
+    migrationReport: 'rentarium_migration_report',
+    permissions: 'rentarium_permissions',
+    securityLogRetention: 'rentarium_security_log_retention',
+    billing: 'rentarium_billing',
+    lateFees: 'rentarium_late_fees'
+  },
+
+  // Security log entries older than maxDays, or beyond the newest
+  // maxEntries, are dropped as new ones are written.
+  // Changed on ADMIN/Security-Log.html (the securityLogRetention setting)
+  SECURITY_LOG_RETENTION: { maxEntries: 5000, maxDays: 180 },
+
+  // ========== BACKEND ==========
+
+  // Backend that keeps each collection as one JSON blob in localStorage
+  localBackend: {
+    store: null,
+
+    init(store) {
+      this.store = store;
+      return Promise.resolve();
+    },
+
+    exists(name) {
+      return localStorage.getItem(this.store.getCollection(name).key) !== null;
+    },
+
+    getAll(name) {
+      return this.store.read(this.store.getCollection(name).key, this.store.emptyValue(name));
+    },
+
+    saveAll(name, data) {
+      return this.store.write(this.store.getCollection(name).key, data);
+    },
+
+    // Write several keys; if one fails (e.g. quota), put the others back
+    saveMany(changes) {
+      const written = [];
+      for (const [name, data] of Object.entries(changes)) {
+        const key = this.store.getCollection(name).key;
+        written.push({ key, previous: localStorage.getItem(key) });
+        try {
+          localStorage.setItem(key, JSON.stringify(data));
+        } catch (e) {
+          written.reverse().forEach(({ key: k, previous }) => {
+            if (previous === null) localStorage.removeItem(k);
+            else localStorage.setItem(k, previous);
+          });
+          return Promise.reject(e);
+        }
+      }
+      return Promise.resolve();
+    },
+
+    queryIndex(name, indexName, value) {
+      return Promise.resolve(this.store.findBy(name, indexName, value));
+    }
+  },
+
+  // Open the configured backend and upgrade old records
+  // (js/rentarium-schema.js). Resolves once every collection is readable
+  init() {
+    if (this.readyPromise) return this.readyPromise;
+
+    const preferred = this.pickBackend();
+
+    this.readyPromise = preferred.init(this)
+      .then(() => preferred)
+      .catch(err => {
+        console.warn(`'${this.BACKEND}' backend unavailable, falling back to localStorage`, err);
+        return this.localBackend.init(this).then(() => this.localBackend);
+      })
+      .then(backend => {
+        this.backend = backend;
+        if (typeof RentariumEvents !== 'undefined') {
+          RentariumEvents.start(message => this.receive(message));
+        }
+        // The API server upgrades its own data when it starts
+        if (typeof RentariumSchema !== 'undefined' && !this.isRemote()) {
+          this.asSystem(() => RentariumSchema.migrate(this));
+        }
+        return this;
+      });
+
+    return this.readyPromise;
+  },
+
+  // Open a backend BACKEND cannot name, such as the API server's own data
+  // file (server/rentarium-server.js). Used instead of init()
+  useBackend(backend) {
+    this.readyPromise = backend.init(this).then(() => {
+      this.backend = backend;
+      return this;
+    });
+    return this.readyPromise;
+  },
+
+  // Backend named by BACKEND, if its script is loaded and the browser supports it
+  pickBackend() {
+    const backends = {
+      indexeddb: typeof RentariumIndexedDB !== 'undefined' ? RentariumIndexedDB : null,
+      api: typeof RentariumApi !== 'undefined' ? RentariumApi : null
+    };
+    const backend = backends[this.BACKEND];
+    return backend && backend.isSupported() ? backend : this.localBackend;
+  },
+
+  isReady() {
+    return this.backend !== null;
+  },
+
+  // Run callback once both the DOM and the store are ready
+  whenReady(callback) {
+    const domReady = new Promise(resolve => {
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', resolve, { once: true });
+      } else {
+        resolve();
+      }
+    });
+
+    return Promise.all([domReady, this.init()])
+      .then(() => callback(this))
+      .catch(err => console.error('RentariumStore ready callback failed', err));
+  },
+
+  requireBackend() {
+    if (!this.backend) {
+      throw new Error('RentariumStore is not ready yet - wrap page start-up in RentariumStore.whenReady()');
+    }
+    return this.backend;
+  },
+
+  // ========== RAW KEY ACCESS ==========
+
+  read(key, fallback) {
+    // Outside a browser (the API server) there is nothing to read
+    if (typeof localStorage === 'undefined') return fallback;
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch (e) {
+      console.warn('RentariumStore read error', key, e);
+      return fallback;
+    }
+  },
+
+  write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.error('RentariumStore write error', key, e);
+      return false;
+    }
+  },
+
+  removeKey(key) {
+    localStorage.removeItem(key);
+  },
+
+  // ========== COLLECTIONS ==========
+
+  getCollection(name) {
+    const collection = this.COLLECTIONS[name];
+    if (!collection) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+    return collection;
+  },
+
+  emptyValue(name) {
+    return this.getCollection(name).type === 'map' ? {} : [];
+  },
+
+  // True once the collection has been written at least once
+  exists(name) {
+    this.getCollection(name);
+    return this.requireBackend().exists(name);
+  },
+
+  // Seed a collection only when it has never been written
+  ensure(name, defaults) {
+    if (!this.exists(name)) {
+      this.asSystem(() => this.saveAll(name, defaults ?? this.emptyValue(name)));
+    }
+  },
+
+  // Whole collection: array for lists, object for maps
+  getAll(name) {
+    const collection = this.getCollection(name);
+    const tx = this.activeTransaction;
+    const data = tx && tx.staged[name] !== undefined
+      ? JSON.parse(JSON.stringify(tx.staged[name]))
+      : this.requireBackend().getAll(name);
+    if (collection.type === 'map') {
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    }
+    return Array.isArray(data) ? data : [];
+  },
+
+  saveAll(name, data) {
+    this.getCollection(name);
+    const backend = this.requireBackend();
+    this.authorizeWrite(name, data);
+    this.checkFiles(name, data);
+
+    // Inside transaction() writes are held until the work succeeds
+    if (this.activeTransaction) {
+      this.activeTransaction.staged[name] = JSON.parse(JSON.stringify(data));
+      return true;
+    }
+
+    const before = backend.getAll(name);
+    const saved = backend.saveAll(name, data);
+
+    // The API backend hears about its own saves from the server instead
+    if (!backend.notifiesChanges) {
+      const events = this.changeEvents(name, before, data);
+      if (events.length > 0) this.broadcast({ collection: name, events });
+    }
+
+    return saved;
+  },
+
+  getById(name, id) {
+    const collection = this.getCollection(name);
+    const data = this.getAll(name);
+    if (collection.type === 'map') {
+      return data[id] || null;
+    }
+    return data.find(r => r[collection.idField] === id) || null;
+  },
+
+  // Records matching predicate(record, id)
+  find(name, predicate = () => true) {
+    const collection = this.getCollection(name);
+    const data = this.getAll(name);
+    if (collection.type === 'map') {
+      return Object.entries(data)
+        .filter(([id, record]) => predicate(record, id))
+        .map(([, record]) => record);
+    }
+    return data.filter(r => predicate(r, r[collection.idField]));
+  },
+
+  // Records whose indexed field equals value (see COLLECTIONS indexes)
+  findBy(name, indexName, value) {
+    const field = (this.getCollection(name).indexes || {})[indexName];
+    if (!field) throw new Error(`Unknown index ${indexName} on ${name}`);
+    return this.find(name, record => record[field] === value);
+  },
+
+  // Same as findBy but answered by the backend (IndexedDB index lookups)
+  queryIndex(name, indexName, value) {
+    return this.init().then(() => this.backend.queryIndex(name, indexName, value));
+  },
+
+  findOne(name, predicate) {
+    return this.find(name, predicate)[0] || null;
+  },
+
+  count(name, predicate) {
+    return this.find(name, predicate).length;
+  },
+
+  // Add a record, or replace the one with the same id
+  save(name, record, id = null) {
+    const collection = this.getCollection(name);
+    const data = this.getAll(name);
+
+    if (collection.type === 'map') {
+      if (id === null) throw new Error(`An id is required to save into ${name}`);
+      data[id] = record;
+    } else {
+      const recordId = id ?? record[collection.idField];
+      const index = data.findIndex(r => r[collection.idField] === recordId);
+      if (index !== -1) {
+        data[index] = record;
+      } else {
+        data.push(record);
+      }
+    }
+
+    this.saveAll(name, data);
+    return record;
+  },
+
+  // Merge changes into an existing record
+  update(name, id, changes) {
+    const existing = this.getById(name, id);
+    if (!existing) return null;
+    return this.save(name, { ...existing, ...changes }, id);
+  },
+
+  remove(name, id) {
+    const collection = this.getCollection(name);
+    const data = this.getAll(name);
+    let removed = false;
+
+    if (collection.type === 'map') {
+      removed = Object.prototype.hasOwnProperty.call(data, id);
+      delete data[id];
+      this.saveAll(name, data);
+    } else {
+      const remaining = data.filter(r => r[collection.idField] !== id);
+      removed = remaining.length !== data.length;
+      this.saveAll(name, remaining);
+    }
+
+    return removed;
+  },
+
+  clear(name) {
+    this.saveAll(name, this.emptyValue(name));
+  },
+
+  // ========== TRANSACTIONS ==========
+
+  /**
+   * Apply a group of changes all-or-nothing.
+   * Only one transaction runs at a time across every open tab. The named
+   * collections are re-read first, so work sees other tabs' latest saves.
+   * work(store) must be synchronous: every saveAll/save/update/remove it
+   * makes is held back and written together once it returns. If it throws,
+   * or the backend cannot write, nothing is saved.
+   * @param {string[]} names - collections the work reads and writes
+   * @param {function} work - (store) => result
+   * @returns {Promise} resolves with work's result after the commit
+   */
+  transaction(names, work) {
+    return this.init().then(() => this.withLock(() => this.runTransaction(names, work)));
+  },
+
+  // Serialize transactions across tabs with the Web Locks API when available
+  withLock(callback) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request('rentarium-transaction', callback);
+    }
+    return callback();
+  },
+
+  runTransaction(names, work) {
+    const backend = this.backend;
+    names.forEach(name => this.getCollection(name));
+
+    return this.flushed()
+      .then(() => Promise.all(names.map(name => backend.refresh ? backend.refresh(name) : null)))
+      .then(() => {
+        if (this.activeTransaction) {
+          throw new Error('RentariumStore transactions cannot be nested');
+        }
+
+        const tx = { staged: {} };
+        this.activeTransaction = tx;
+        let result;
+        try {
+          result = work(this);
+        } finally {
+          this.activeTransaction = null;
+        }
+        if (result && typeof result.then === 'function') {
+          throw new Error('RentariumStore transaction work must be synchronous');
+        }
+
+        const before = {};
+        Object.keys(tx.staged).forEach(name => { before[name] = backend.getAll(name); });
+
+        return backend.saveMany(tx.staged).then(() => {
+          if (!backend.notifiesChanges) {
+            Object.entries(tx.staged).forEach(([name, data]) => {
+              const events = this.changeEvents(name, before[name], data);
+              if (events.length > 0) this.broadcast({ collection: name, events });
+            });
+          }
+          return result;
+        });
+      });
+  },
+
+  // ========== CHANGE EVENTS ==========
+
+  // Subscribe to changes made in other tabs, e.g. on('tenant.*', handler)
+  on(types, handler) {
+    if (typeof RentariumEvents === 'undefined') return () => {};
+    return RentariumEvents.on(types, handler);
+  },
+
+  // Publish a domain event such as 'contract.terminated' to other tabs
+  publish(type, data = {}) {
+    const message = { collection: null, events: [{ type, ...data }] };
+    if (this.requireBackend().publish) {
+      this.backend.publish(message);
+    } else {
+      this.broadcast(message);
+    }
+  },
+
+  // Send a message once every pending write has reached the backend,
+  // so the receiving tab reloads data that already includes it
+  broadcast(message) {
+    if (typeof RentariumEvents === 'undefined') return;
+    this.flushed().then(() => RentariumEvents.publish(message));
+  },
+
+  flushed() {
+    const backend = this.requireBackend();
+    if (!backend.flushed) return Promise.resolve();
+    return Promise.all(Object.keys(this.COLLECTIONS).map(name => backend.flushed(name)));
+  },
+
+  // A message from another tab: reload the collection it touched, then
+  // hand its events to this tab's subscribers
+  receive(message) {
+    const reload = message.collection && this.backend.refresh
+      ? this.backend.refresh(message.collection)
+      : Promise.resolve();
+
+    return reload
+      .then(() => this.emit(message.events))
+      .catch(err => console.error('RentariumStore could not apply remote change', err));
+  },
+
+  emit(events) {
+    if (typeof RentariumEvents === 'undefined') return;
+    events.forEach(event => RentariumEvents.emit(event));
+  },
+
+  // <entity>.created / .updated / .deleted events between two versions of
+  // a collection, or one <entity>.changed when records have no unique ids
+  changeEvents(name, before, after) {
+    const collection = this.getCollection(name);
+    const changes = this.changedRecords(name, before, after);
+    if (!changes) {
+      return JSON.stringify(before) === JSON.stringify(after)
+        ? []
+        : [{ type: `${collection.entity}.changed`, collection: name }];
+    }
+
+    return changes.map(change => ({
+      type: `${collection.entity}.${!change.before ? 'created' : !change.after ? 'deleted' : 'updated'}`,
+      collection: name,
+      id: change.id
+    }));
+  },
+
+  // Records added, changed or removed between two versions of a collection
+  // as { id, before, after }, with null for the side it is missing from.
+  // null when records have no unique ids
+  changedRecords(name, before, after) {
+    const collection = this.getCollection(name);
+    const keyed = (data) => {
+      if (collection.type === 'map') return new Map(Object.entries(data || {}));
+      const entries = new Map();
+      for (const record of Array.isArray(data) ? data : []) {
+        const id = record ? record[collection.idField] : undefined;
+        if (id === undefined || id === null || entries.has(String(id))) return null;
+        entries.set(String(id), record);
+      }
+      return entries;
+    };
+
+    const previous = keyed(before);
+    const next = keyed(after);
+    if (!previous || !next) return null;
+
+    const changes = [];
+    next.forEach((record, id) => {
+      const old = previous.has(id) ? previous.get(id) : null;
+      if (!old || JSON.stringify(old) !== JSON.stringify(record)) changes.push({ id, before: old, after: record });
+    });
+    previous.forEach((record, id) => {
+      if (!next.has(id)) changes.push({ id, before: record, after: null });
+    });
+    return changes;
+  },
+
+  // ========== SETTINGS ==========
+
+  // Settings follow the backend when it keeps its own (the API server)
+  getSetting(name, fallback = null) {
+    if (this.backend && this.backend.getSetting) {
+      return this.backend.getSetting(this.SETTINGS[name], fallback);
+    }
+    return this.read(this.SETTINGS[name], fallback);
+  },
+
+  saveSetting(name, value) {
+    if (this.backend && this.backend.saveSetting) {
+      return this.backend.saveSetting(this.SETTINGS[name], value);
+    }
+    return this.write(this.SETTINGS[name], value);
+  },
+
+  // ========== PERMISSIONS ==========
+
+  // Staff may only change what their role allows, tenants only their own
+  // records (js/rentarium-permissions.js). Throws, which also rolls back a
+  // surrounding transaction
+  authorizeWrite(name, data) {
+    if (this.systemWrite || typeof RentariumPermissions === 'undefined') return;
+    RentariumPermissions.assertCanWrite(name, RentariumPermissions.session(), () => this.changedRecords(name, this.getAll(name), data));
+  },
+
+  // Uploads are shown on the admin pages, so new ones must pass
+  // RentariumUploads.problem(). Skipped on pages that do not load it; the
+  // API server always checks
+  checkFiles(name, data) {
+    if (!this.getCollection(name).fileField || typeof RentariumUploads === 'undefined') return;
+    const changes = this.changedRecords(name, this.getAll(name), data) ||
+      Object.values(data || {}).map(after => ({ before: null, after }));
+    const problem = this.fileProblem(name, changes);
+    if (problem) throw new Error(problem);
+  },
+
+  /**
+   * First problem with the uploads a write adds, or null. Uploads the record
+   * already had are left alone, as are ones restored from a backup without
+   * their data (js/rentarium-backup.js)
+   * @param {object[]} changes - as changedRecords() returns them
+   * @returns {string|null}
+   */
+  fileProblem(name, changes) {
+    const field = this.getCollection(name).fileField;
+    if (!field) return null;
+
+    for (const { before, after } of changes) {
+      if (!after || after[field] === undefined) continue;
+      if (!Array.isArray(after[field])) return `${field} in ${name} must be a list of files`;
+
+      const had = new Set((before && Array.isArray(before[field]) ? before[field] : []).map(file => JSON.stringify(file)));
+      const problem = after[field]
+        .filter(file => !had.has(JSON.stringify(file)))
+        .filter(file => !(file && typeof file === 'object' && file.dataUrl === undefined))
+        .map(file => RentariumUploads.problem(file))
+        .find(Boolean);
+      if (problem) return problem;
+    }
+    return null;
+  },
+
+  // Run writes that keep data consistent for everyone (seeding, migrations,
+  // automatic syncs) without the logged-in role's permission check
+  asSystem(callback) {
+    const previous = this.systemWrite;
+    this.systemWrite = true;
+    try {
+      return callback();
+    } finally {
+      this.systemWrite = previous;
+    }
+  },
+
+  // ========== SERVER ACTIONS ==========
+
+  // True when the API server keeps password hashes and reset codes to
+  // itself (js/rentarium-api.js), so work that needs them runs there
+  isRemote() {
+    return !!(this.backend && this.backend.runAction);
+  },
+
+  /**
+   * Have the API server run an action (ACTIONS in server/rentarium-server.js)
+   * with the logged-in user's rights, e.g. remote('auth.login', username, password)
+   * @returns {Promise|null} the server's answer, or null when the caller
+   *   should do the work itself (every other backend)
+   */
+  remote(action, ...args) {
+    return this.isRemote() ? this.backend.runAction(action, args) : null;
+  },
+
+  // ========== SESSION ==========
+
+  // Expired sessions count as logged out when js/rentarium-session.js is loaded
+  getSession() {
+    if (typeof RentariumSession !== 'undefined') return RentariumSession.current();
+    return this.read(this.SESSION_KEY, null);
+  },
+
+  // Tenant record belonging to the logged-in user
+  getSessionTenant() {
+    const session = this.getSession();
+    if (!session) return null;
+    return this.findOne('tenants', t => t.username === session.username);
+  },
+
+  // ========== LOGS ==========
+
+  // Bulk actions log several entries in the same millisecond, so the id
+  // carries a random suffix as well as the time
+  logActivity(message, data = {}) {
+    const now = new Date();
+    const entry = {
+      id: `ACT-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+      message,
+      data,
+      timestamp: now.toISOString()
+    };
+    const log = this.getAll('activityLog');
+    log.push(entry);
+    this.saveAll('activityLog', log);
+    return entry;
+  },
+
+  /**
+   * Record an authentication or account event (shown on ADMIN/Security-Log.html)
+   * @param {string} eventType - e.g. 'LOGIN_SUCCESS', 'LOGIN_FAILED'
+   * @param {object} [details] - username, role and anything else worth
+   *   keeping; page defaults to the current page
+   */
+  logSecurityEvent(eventType, details = {}) {
+    const now = new Date();
+    const entry = {
+      id: `SEC-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: now.toISOString(),
+      eventType,
+      page: typeof window !== 'undefined' ? window.location.pathname.split('/').pop() : null,
+      ...details
+    };
+    const logs = this.getAll('securityLogs');
+    logs.push(entry);
+    // Pruning is upkeep, whoever's event it is. The API server only takes
+    // new entries from its clients and prunes the log as it logs its own
+    if (this.isRemote()) this.saveAll('securityLogs', logs);
+    else this.asSystem(() => this.saveAll('securityLogs', this.pruneSecurityLogs(logs)));
+    return entry;
+  },
+
+  getSecurityLogRetention() {
+    return { ...this.SECURITY_LOG_RETENTION, ...(this.getSetting('securityLogRetention', null) || {}) };
+  },
+
+  // Entries the retention limit keeps, oldest first
+  pruneSecurityLogs(logs, retention = this.getSecurityLogRetention()) {
+    const cutoff = Date.now() - retention.maxDays * 24 * 60 * 60 * 1000;
+    const kept = logs.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    return kept.slice(-retention.maxEntries);
+  }
+};
+
+// Open the backend as soon as the script loads in a browser; the API
+// server opens its own with useBackend()
+if (typeof window !== 'undefined') RentariumStore.init();
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumStore;
+}
@@ -0,0 +1,323 @@
+/**
+ * RENTARIUM TWO-FACTOR AUTHENTICATION
+ * Optional authenticator-app codes (TOTP, RFC 6238) for staff accounts
+ *
+ * Enrolling (ADMIN/Two-Factor.html) shows a QR code of an otpauth:// link,
+ * checks one code from the app, then saves
+ *   on the user record:   totp: { enabledAt, recoveryCodesLeft }
+ *   in 'totpSecrets':     { userId, secret, lastUsedStep, recoveryCodes: [sha256, ...] }
+ * 'totpSecrets' is private: the API server never sends it and backups
+ * leave it out, so with the API backend every step below runs on the
+ * server. The secret stays base32 because every login needs it; recovery
+ * codes are shown once and only their hashes are kept. Each recovery code
+ * works once. A code already used cannot be replayed (lastUsedStep).
+ *
+ * Everything is computed with WebCrypto; no outside service is involved.
+ * Load after rentarium-credentials.js.
+ */
+
+const RentariumTotp = {
+  ISSUER: 'Rentarium',
+  DIGITS: 6,
+  PERIOD: 30,
+
+  // Steps either side of now that are still accepted (clock drift)
+  WINDOW: 1,
+
+  SECRET_BYTES: 20,
+  RECOVERY_CODES: 8,
+  BASE32: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+
+  // ========== CODES ==========
+
+  base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    bytes.forEach(byte => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += this.BASE32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) output += this.BASE32[(value << (5 - bits)) & 31];
+    return output;
+  },
+
+  base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+      const index = this.BASE32.indexOf(char);
+      if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  },
+
+  generateSecret() {
+    return this.base32Encode(crypto.getRandomValues(new Uint8Array(this.SECRET_BYTES)));
+  },
+
+  // Secret in groups of four, for typing into an app by hand
+  formatSecret(secret) {
+    return secret.match(/.{1,4}/g).join(' ');
+  },
+
+  // Link authenticator apps read from the QR code
+  provisioningUri(username, secret) {
+    const label = encodeURIComponent(`${this.ISSUER}:${username}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.ISSUER,
+      digits: String(this.DIGITS),
+      period: String(this.PERIOD)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  },
+
+  step(time = Date.now()) {
+    return Math.floor(time / 1000 / this.PERIOD);
+  },
+
+  /**
+   * The code for one time step (HMAC-SHA1, dynamic truncation)
+   * @returns {Promise<string>}
+   */
+  codeAt(secret, step) {
+    const counter = new Uint8Array(8);
+    let rest = step;
+    for (let i = 7; i >= 0; i--) {
+      counter[i] = rest & 255;
+      rest = Math.floor(rest / 256);
+    }
+
+    return RentariumCredentials.requireSupport()
+      .then(() => crypto.subtle.importKey('raw', this.base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']))
+      .then(key => crypto.subtle.sign('HMAC', key, counter))
+      .then(signature => {
+        const hmac = new Uint8Array(signature);
+        const offset = hmac[hmac.length - 1] & 15;
+        const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+        return String(binary % 10 ** this.DIGITS).padStart(this.DIGITS, '0');
+      });
+  },
+
+  /**
+   * Time step a code belongs to, within WINDOW of now
+   * @param {number} [lastUsedStep] - steps up to this one are refused
+   * @returns {Promise<number|null>} the step, or null when it does not match
+   */
+  matchStep(secret, code, lastUsedStep = -1) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.DIGITS}}$`).test(clean)) return Promise.resolve(null);
+
+    const now = this.step();
+    const steps = [];
+    for (let s = now - this.WINDOW; s <= now + this.WINDOW; s++) {
+      if (s > lastUsedStep) steps.push(s);
+    }
+
+    return Promise.all(steps.map(s => this.codeAt(secret, s)))
+      .then(codes => {
+        const index = codes.indexOf(clean);
+        return index === -1 ? null : steps[index];
+      });
+  },
+
+  // ========== RECOVERY CODES ==========
+
+  // XXXXX-XXXXX from the base32 alphabet
+  generateRecoveryCodes() {
+    return Array.from({ length: this.RECOVERY_CODES }, () => {
+      const chars = Array.from(crypto.getRandomValues(new Uint8Array(10)), n => this.BASE32[n & 31]).join('');
+      return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+    });
+  },
+
+  // Hex SHA-256 of the code without dashes, spaces or case
+  hashRecoveryCode(code) {
+    const clean = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    return RentariumCredentials.requireSupport()
+      .then(() => crypto.subtle.digest('SHA-256', new TextEncoder().encode(clean)))
+      .then(hash => Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join(''));
+  },
+
+  // ========== ACCOUNTS ==========
+
+  isEnabled(user) {
+    return !!(user && user.totp && user.totp.enabledAt);
+  },
+
+  recoveryCodesLeft(user) {
+    return this.isEnabled(user) ? user.totp.recoveryCodesLeft || 0 : 0;
+  },
+
+  // The user's secret, last used step and recovery code hashes
+  secretOf(userId) {
+    return RentariumStore.getById('totpSecrets', String(userId));
+  },
+
+  /**
+   * Turn two-factor on for your own account once the app shows the right code
+   * @param {string} secret - from generateSecret(), shown as a QR code
+   * @returns {Promise<string[]>} recovery codes, to show the user once
+   */
+  enable(userId, secret, code) {
+    const remote = RentariumStore.remote('totp.enable', secret, code);
+    if (remote) return remote;
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    return this.matchStep(secret, code).then(step => {
+      if (step === null) throw new Error('That code does not match. Check the time on your phone and try again.');
+      return Promise.all(recoveryCodes.map(c => this.hashRecoveryCode(c))).then(hashes =>
+        RentariumStore.transaction(['users', 'totpSecrets', 'securityLogs'], (store) => store.asSystem(() => {
+          const user = store.getById('users', userId);
+          if (!user) throw new Error(`User ${userId} not found`);
+          store.save('totpSecrets', { userId, secret, lastUsedStep: step, recoveryCodes: hashes }, String(userId));
+          user.totp = { enabledAt: new Date().toISOString(), recoveryCodesLeft: hashes.length };
+          store.save('users', user);
+          store.logSecurityEvent('TWO_FACTOR_ENABLED', { username: user.username, role: user.role });
+        }))
+      );
+    }).then(() => recoveryCodes);
+  },
+
+  /**
+   * Check an authenticator code, or use up a recovery code
+   * @returns {Promise<string|null>} 'totp', 'recovery', or null when wrong
+   */
+  verify(userId, code) {
+    const user = RentariumStore.getById('users', userId);
+    const stored = this.secretOf(userId);
+    if (!this.isEnabled(user) || !stored) return Promise.resolve(null);
+
+    return this.matchStep(stored.secret, code, stored.lastUsedStep).then(step => {
+      if (step !== null) {
+        return this.updateTotp(userId, totp => {
+          if (step <= totp.lastUsedStep) return false;
+          totp.lastUsedStep = step;
+        }).then(used => used ? 'totp' : null);
+      }
+
+      return this.hashRecoveryCode(code).then(hash => {
+        if (!(stored.recoveryCodes || []).includes(hash)) return null;
+        return this.updateTotp(userId, (totp, store, account) => {
+          if (!totp.recoveryCodes.includes(hash)) return false;
+          totp.recoveryCodes = totp.recoveryCodes.filter(h => h !== hash);
+          store.logSecurityEvent('TWO_FACTOR_RECOVERY_USED', {
+            username: account.username,
+            role: account.role,
+            recoveryCodesLeft: totp.recoveryCodes.length
+          });
+        }).then(used => used ? 'recovery' : null);
+      });
+    });
+  },
+
+  /**
+   * Change a user's secret record; login and self-service writes need no
+   * permission. The codes were checked before the transaction, so change()
+   * checks again against the stored record and returns false when another
+   * tab used the same code meanwhile
+   * @returns {Promise<boolean>} false when change() refused
+   */
+  updateTotp(userId, change) {
+    return RentariumStore.transaction(['users', 'totpSecrets', 'securityLogs'], (store) => store.asSystem(() => {
+      const user = store.getById('users', userId);
+      const totp = store.getById('totpSecrets', String(userId));
+      if (!this.isEnabled(user) || !totp) throw new Error('Two-factor authentication is not enabled');
+      if (change(totp, store, user) === false) return false;
+
+      store.save('totpSecrets', totp, String(userId));
+      user.totp = { ...user.totp, recoveryCodesLeft: totp.recoveryCodes.length };
+      store.save('users', user);
+      return true;
+    }));
+  },
+
+  /**
+   * Replace the recovery codes after checking a current authenticator code
+   * @returns {Promise<string[]>} the new codes
+   */
+  regenerateRecoveryCodes(userId, code) {
+    const remote = RentariumStore.remote('totp.regenerateRecoveryCodes', code);
+    if (remote) return remote;
+
+    const user = RentariumStore.getById('users', userId);
+    const stored = this.secretOf(userId);
+    if (!this.isEnabled(user) || !stored) return Promise.reject(new Error('Two-factor authentication is not enabled'));
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    return this.matchStep(stored.secret, code, stored.lastUsedStep).then(step => {
+      if (step === null) throw new Error('Incorrect authentication code');
+      return Promise.all(recoveryCodes.map(c => this.hashRecoveryCode(c))).then(hashes =>
+        this.updateTotp(userId, (totp, store, account) => {
+          if (step <= totp.lastUsedStep) return false;
+          totp.lastUsedStep = step;
+          totp.recoveryCodes = hashes;
+          store.logSecurityEvent('TWO_FACTOR_CODES_REGENERATED', { username: account.username, role: account.role });
+        }));
+    }).then(done => {
+      if (!done) throw new Error('Incorrect authentication code');
+      return recoveryCodes;
+    });
+  },
+
+  /**
+   * Turn two-factor off for your own account with an authenticator or recovery code
+   * @returns {Promise}
+   */
+  turnOff(userId, code) {
+    const remote = RentariumStore.remote('totp.turnOff', code);
+    if (remote) return remote;
+
+    return this.verify(userId, code).then(method => {
+      if (!method) throw new Error('Incorrect authentication code');
+      return this.disable(userId, { system: true });
+    });
+  },
+
+  /**
+   * Turn two-factor off
+   * @param {object} [options] - system: true for your own account (already
+   *   checked with a code); otherwise it is an admin reset and needs
+   *   users.manage. session is who asks, when not the logged-in user
+   * @returns {Promise}
+   */
+  disable(userId, { system = false, session = RentariumStore.getSession() } = {}) {
+    const remote = system ? null : RentariumStore.remote('totp.disable', userId);
+    if (remote) return remote;
+
+    return RentariumStore.transaction(['users', 'totpSecrets', 'securityLogs'], (store) => {
+      if (!system) RentariumPermissions.assert('users.manage', session);
+      store.asSystem(() => {
+        const user = store.getById('users', userId);
+        if (!user) throw new Error(`User ${userId} not found`);
+        delete user.totp;
+        store.save('users', user);
+        if (store.getById('totpSecrets', String(userId))) store.remove('totpSecrets', String(userId));
+        store.logSecurityEvent(system ? 'TWO_FACTOR_DISABLED' : 'TWO_FACTOR_RESET', {
+          username: user.username,
+          role: user.role,
+          by: session ? session.username : null
+        });
+      });
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumTotp;
+}
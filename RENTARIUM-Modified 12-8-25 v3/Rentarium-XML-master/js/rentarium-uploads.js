@@ -0,0 +1,162 @@
+/**
+ * RENTARIUM UPLOADS
+ * Turns files picked in the browser (ID scans, proof of payment...) into
+ * records that can be saved with the rest of the data:
+ *   { name, type, size, dataUrl, uploadedAt }
+ *
+ * Photos are scaled down to MAX_DIMENSION and re-encoded as JPEG so a
+ * phone picture does not fill the browser's storage; PDFs are kept as they
+ * are. Anything still larger than MAX_BYTES afterwards is refused.
+ *
+ * Uploads are shown on the admin pages, so a record is only trusted once
+ * problem() finds nothing wrong with it: one of TYPES, with a base64
+ * data: URL of that same type and no more than MAX_BYTES. The API server
+ * checks the public application form with it too.
+ */
+
+const RentariumUploads = {
+  MAX_BYTES: 1024 * 1024,
+  MAX_DIMENSION: 1600,
+  JPEG_QUALITY: 0.8,
+
+  TYPES: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+
+  // A base64 data: URL of one of TYPES: [, type, data]
+  DATA_URL: /^data:(image\/jpeg|image\/png|image\/webp|application\/pdf);base64,([A-Za-z0-9+/]*={0,2})$/,
+
+  // Value for an <input type="file" accept="...">
+  accept() {
+    return this.TYPES.join(',');
+  },
+
+  // Images shown inline; files restored from a backup have no data to show
+  isImage(upload) {
+    return !!upload.dataUrl && /^image\//.test(upload.type || '') && !this.problem(upload);
+  },
+
+  // Bytes behind a base64 data: URL
+  decodedSize(data) {
+    const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+    return Math.floor(data.length * 3 / 4) - padding;
+  },
+
+  /**
+   * First problem with an upload record, or null
+   * @param {object} [options] - maxBytes
+   * @returns {string|null}
+   */
+  problem(upload, { maxBytes = this.MAX_BYTES } = {}) {
+    if (!upload || typeof upload !== 'object' || Array.isArray(upload)) return 'Every file must be an object';
+    if (typeof upload.name !== 'string' || !upload.name) return 'Every file needs a name';
+    if (!this.TYPES.includes(upload.type)) {
+      return `${upload.name}: only JPEG, PNG, WebP images or PDF files can be uploaded`;
+    }
+
+    const match = typeof upload.dataUrl === 'string' ? this.DATA_URL.exec(upload.dataUrl) : null;
+    if (!match || match[1] !== upload.type) return `${upload.name}: the file's data does not match its type (${upload.type})`;
+
+    const size = this.decodedSize(match[2]);
+    if (size > maxBytes) return `${upload.name} is ${this.formatSize(size)}; the limit is ${this.formatSize(maxBytes)}`;
+    return null;
+  },
+
+  // Only the fields read() sets, with the size worked out from the data.
+  // Check problem() first
+  clean(upload) {
+    return {
+      name: upload.name,
+      type: upload.type,
+      size: this.decodedSize(this.DATA_URL.exec(upload.dataUrl)[2]),
+      dataUrl: upload.dataUrl,
+      uploadedAt: typeof upload.uploadedAt === 'string' ? upload.uploadedAt : new Date().toISOString()
+    };
+  },
+
+  // The file as a Blob, e.g. to open it in a new tab. Its type is one of
+  // the few DATA_URL allows, never whatever the upload says it is
+  toBlob(upload) {
+    if (!upload.dataUrl) {
+      return Promise.reject(new Error('The file was left out of the backup this data was restored from'));
+    }
+    const problem = this.problem(upload);
+    if (problem) return Promise.reject(new Error(problem));
+
+    const [, type, data] = this.DATA_URL.exec(upload.dataUrl);
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return Promise.resolve(new Blob([bytes], { type }));
+  },
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  },
+
+  readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('The file could not be read'));
+      reader.readAsDataURL(blob);
+    });
+  },
+
+  // Draw the image no larger than maxDimension and re-encode it as JPEG
+  compressImage(file, maxDimension = this.MAX_DIMENSION, quality = this.JPEG_QUALITY) {
+    return this.readAsDataUrl(file).then(src => new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(1, maxDimension / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+
+        const ctx = canvas.getContext('2d');
+        // Transparent PNGs would turn black as JPEG
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The image could not be compressed'))), 'image/jpeg', quality);
+      };
+      img.onerror = () => reject(new Error('The file is not a readable image'));
+      img.src = src;
+    }));
+  },
+
+  /**
+   * Check, compress and read one file
+   * @param {File} file
+   * @param {object} [options] - maxBytes, maxDimension
+   * @returns {Promise<object>} { name, type, size, dataUrl, uploadedAt }
+   */
+  read(file, { maxBytes = this.MAX_BYTES, maxDimension = this.MAX_DIMENSION } = {}) {
+    if (!file) return Promise.reject(new Error('No file chosen'));
+    if (!this.TYPES.includes(file.type)) {
+      return Promise.reject(new Error(`${file.name}: only JPEG, PNG, WebP images or PDF files can be uploaded`));
+    }
+
+    const prepared = /^image\//.test(file.type)
+      ? this.compressImage(file, maxDimension).then(blob => (blob.size < file.size ? blob : file))
+      : Promise.resolve(file);
+
+    return prepared.then(blob => {
+      if (blob.size > maxBytes) {
+        throw new Error(`${file.name} is ${this.formatSize(blob.size)}; the limit is ${this.formatSize(maxBytes)}`);
+      }
+      return this.readAsDataUrl(blob).then(dataUrl => ({
+        name: file.name,
+        type: blob.type || file.type,
+        size: blob.size,
+        dataUrl,
+        uploadedAt: new Date().toISOString()
+      }));
+    });
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumUploads;
+}
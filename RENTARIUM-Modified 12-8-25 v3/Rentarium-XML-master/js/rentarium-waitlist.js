@@ -0,0 +1,347 @@
+/**
+ * RENTARIUM UNIT WAITLIST
+ * Prospects queue for a unit that is Occupied, under Maintenance or Reserved
+ *
+ * Entries live in the 'waitlist' collection and are served by priority
+ * (1 first); staff reorder them on ADMIN/Unit-Management.html. When a unit
+ * is freed, offer() holds it for the first person waiting: the unit becomes
+ * Reserved with reservedUntil (YYYY-MM-DD, the last day of the hold) and
+ * reservedFor, and only that person may apply for it until the hold lapses.
+ * Once they apply the hold lasts until the application is decided.
+ * expireHolds() releases lapsed holds and offers the unit to the next person.
+ * Staff can also hold a unit by hand: Reserved with a "reserved until" date.
+ * Load after rentarium-store.js, rentarium-ids.js and rentarium-mail.js.
+ */
+
+const RentariumWaitlist = {
+  // waiting -> offered -> applied, or expired / removed
+  STATUSES: ['waiting', 'offered', 'applied', 'expired', 'removed'],
+
+  // Days a freed unit is held for the first person on its waitlist
+  HOLD_DAYS: 3,
+
+  key(value) {
+    return String(value || '').trim().toLowerCase();
+  },
+
+  // Local date as YYYY-MM-DD, days from today
+  dateString(days = 0) {
+    const d = new Date();
+    d.setDate(d.getDate() + days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
+
+  // ========== QUEUE ==========
+
+  // Entries still waiting for a unit, first in line first
+  queue(unitNumber, waitlist = RentariumStore.getAll('waitlist')) {
+    return waitlist
+      .filter(e => e.unitNumber === unitNumber && e.status === 'waiting')
+      .sort((a, b) => a.priority - b.priority || String(a.addedAt).localeCompare(String(b.addedAt)));
+  },
+
+  // Entries staff still act on (waiting or holding the unit), in line order
+  active(unitNumber, waitlist = RentariumStore.getAll('waitlist')) {
+    const holding = waitlist.filter(e => e.unitNumber === unitNumber && (e.status === 'offered' || e.status === 'applied'));
+    return holding.concat(this.queue(unitNumber, waitlist));
+  },
+
+  count(unitNumber, waitlist) {
+    return this.queue(unitNumber, waitlist).length;
+  },
+
+  /**
+   * Whether a Reserved unit is held for this person
+   * @param {object} who - { email } before applying, { applicationId } after
+   */
+  isHeldFor(unit, { email, applicationId } = {}) {
+    const hold = unit && unit.status === 'Reserved' && !unit.tenantId && unit.reservedFor;
+    if (!hold) return false;
+    if (hold.applicationId) return !!applicationId && hold.applicationId === applicationId;
+    return !this.isLapsed(unit) && !!email && this.key(hold.email) === this.key(email);
+  },
+
+  isLapsed(unit) {
+    return !!unit.reservedUntil && unit.reservedUntil < this.dateString();
+  },
+
+  // First problem with the form, or null
+  validate(data) {
+    if (!data.unitNumber) return 'Please choose a unit';
+    if (!data.name || data.name.trim().length < 2) return 'Full name is required (minimum 2 characters)';
+    if (!data.email || !/^\S+@\S+\.\S+$/.test(data.email)) return 'A valid email is required';
+    if (!data.phone || data.phone.trim().length < 10) return 'A valid phone number is required';
+    return null;
+  },
+
+  // Mail the person; a failed send never undoes the change
+  notify(entry, subject, lines) {
+    return RentariumMail.send({
+      to: entry.email,
+      subject,
+      text: [`Hello ${entry.name},`, '', ...lines, '', 'Rentarium'].join('\n')
+    }).catch(err => console.error(`Could not mail ${entry.email}`, err));
+  },
+
+  // ========== JOIN / REORDER / REMOVE ==========
+
+  /**
+   * Put a prospect on a unit's waitlist, last in line
+   * @param {object} data - { unitNumber, name, email, phone, note }
+   * @returns {Promise<object>} the entry, with position (1 = next in line)
+   */
+  join(data) {
+    const problem = this.validate(data);
+    if (problem) return Promise.reject(new Error(problem));
+
+    const session = RentariumStore.getSession();
+    // Visitors cannot write the waitlist through the API server, so it adds them
+    const remote = session ? null : RentariumStore.remote('waitlist.join', data);
+    if (remote) return remote;
+
+    return RentariumStore.transaction(['waitlist', 'units', 'sequences', 'activityLog'], (store) =>
+      // Prospects join from the public form, where nobody is logged in
+      store.asSystem(() => {
+        const unit = store.getById('units', data.unitNumber);
+        if (!unit) throw new Error(`Unit ${data.unitNumber} not found`);
+        if (unit.status === 'Vacant') {
+          throw new Error(`Unit ${data.unitNumber} is available now, so you can apply for it straight away`);
+        }
+
+        const waitlist = store.getAll('waitlist');
+        const email = data.email.trim();
+        if (this.active(data.unitNumber, waitlist).some(e => this.key(e.email) === this.key(email))) {
+          throw new Error(`${email} is already on the waitlist for unit ${data.unitNumber}`);
+        }
+
+        const queue = this.queue(data.unitNumber, waitlist);
+        const entry = {
+          id: RentariumIds.next('waitlist'),
+          unitNumber: data.unitNumber,
+          name: data.name.trim(),
+          email,
+          phone: data.phone.trim(),
+          note: (data.note || '').trim(),
+          priority: queue.length ? queue[queue.length - 1].priority + 1 : 1,
+          status: 'waiting',
+          addedAt: new Date().toISOString(),
+          addedBy: session ? session.username : 'self',
+          offeredAt: null,
+          holdUntil: null,
+          applicationId: null,
+          closedAt: null
+        };
+        store.save('waitlist', entry);
+
+        store.logActivity(`${entry.name} joined the waitlist for unit ${entry.unitNumber}`, {
+          waitlistId: entry.id,
+          unit: entry.unitNumber,
+          by: entry.addedBy
+        });
+
+        return { ...entry, position: queue.length + 1 };
+      })
+    ).then(entry => {
+      this.notify(entry, `You are on the waitlist for unit ${entry.unitNumber}`, [
+        `You are number ${entry.position} in line for unit ${entry.unitNumber}.`,
+        `When it becomes available it will be held for the person at the top of the list for ${this.HOLD_DAYS} days, and we will email you when it is your turn.`
+      ]);
+      return entry;
+    });
+  },
+
+  /**
+   * Move a waiting entry up (negative) or down (positive) the line
+   * @returns {Promise<object>} the entry
+   */
+  move(id, offset) {
+    return RentariumStore.transaction(['waitlist', 'activityLog'], (store) => {
+      RentariumPermissions.assert('waitlist.manage');
+      const waitlist = store.getAll('waitlist');
+      const entry = waitlist.find(e => e.id === id);
+      if (!entry || entry.status !== 'waiting') throw new Error(`Waitlist entry ${id} is no longer waiting`);
+
+      const queue = this.queue(entry.unitNumber, waitlist);
+      const from = queue.indexOf(entry);
+      const to = Math.max(0, Math.min(queue.length - 1, from + offset));
+      if (from === to) return entry;
+
+      queue.splice(to, 0, queue.splice(from, 1)[0]);
+      queue.forEach((e, index) => { e.priority = index + 1; });
+      store.saveAll('waitlist', waitlist);
+
+      store.logActivity(`${entry.name} moved to number ${to + 1} on the waitlist for unit ${entry.unitNumber}`, {
+        waitlistId: id,
+        unit: entry.unitNumber
+      });
+      return entry;
+    });
+  },
+
+  /**
+   * Take someone off a waitlist. If the unit was held for them the hold is
+   * released and offered to the next person
+   * @returns {Promise<object[]>} offers made as a result
+   */
+  remove(id) {
+    return RentariumStore.transaction(['waitlist', 'units', 'activityLog'], (store) => {
+      RentariumPermissions.assert('waitlist.manage');
+      const entry = store.getById('waitlist', id);
+      if (!entry || !['waiting', 'offered'].includes(entry.status)) {
+        throw new Error(`Waitlist entry ${id} can no longer be removed`);
+      }
+
+      Object.assign(entry, { status: 'removed', closedAt: new Date().toISOString() });
+      store.save('waitlist', entry);
+      store.logActivity(`${entry.name} removed from the waitlist for unit ${entry.unitNumber}`, {
+        waitlistId: id,
+        unit: entry.unitNumber
+      });
+
+      const unit = store.getById('units', entry.unitNumber);
+      if (!unit || !unit.reservedFor || unit.reservedFor.waitlistId !== id) return [];
+      return this.releaseAndOffer(store, entry.unitNumber);
+    }).then(offers => this.notifyOffers(offers));
+  },
+
+  // ========== HOLDS ==========
+
+  /**
+   * Hold a Vacant unit for the first person on its waitlist. Call inside a
+   * transaction over 'units', 'waitlist' and 'activityLog', after the unit
+   * has been saved Vacant; mail the result with notifyOffers() once the
+   * transaction has committed
+   * @returns {object|null} { unitNumber, holdUntil, entry }
+   */
+  offer(store, unitNumber) {
+    const units = store.getAll('units');
+    const unit = units[unitNumber];
+    if (!unit || unit.status !== 'Vacant') return null;
+
+    const waitlist = store.getAll('waitlist');
+    const entry = this.queue(unitNumber, waitlist)[0];
+    if (!entry) return null;
+
+    const holdUntil = this.dateString(this.HOLD_DAYS);
+    Object.assign(entry, { status: 'offered', offeredAt: new Date().toISOString(), holdUntil });
+    Object.assign(unit, {
+      status: 'Reserved',
+      reservedUntil: holdUntil,
+      reservedFor: { waitlistId: entry.id, name: entry.name, email: entry.email, applicationId: null }
+    });
+
+    // Follows from the unit being freed, so any staff role (or none) may save it
+    store.asSystem(() => {
+      store.saveAll('units', units);
+      store.saveAll('waitlist', waitlist);
+    });
+
+    store.logActivity(`Unit ${unitNumber} held for ${entry.name} from the waitlist until ${holdUntil}`, {
+      unit: unitNumber,
+      waitlistId: entry.id,
+      holdUntil
+    });
+
+    return { unitNumber, holdUntil, entry };
+  },
+
+  // Make a held unit Vacant again and offer it to the next person in line
+  releaseAndOffer(store, unitNumber) {
+    const units = store.getAll('units');
+    this.clearHold(units[unitNumber]);
+    units[unitNumber].status = 'Vacant';
+    store.asSystem(() => store.saveAll('units', units));
+
+    const offer = this.offer(store, unitNumber);
+    return offer ? [offer] : [];
+  },
+
+  clearHold(unit) {
+    unit.reservedUntil = null;
+    unit.reservedFor = null;
+  },
+
+  // Staff took a unit off hold by hand; the person keeps their place in line
+  cancelHold(store, unit) {
+    const hold = unit.reservedFor;
+    this.clearHold(unit);
+
+    const entry = hold && store.getById('waitlist', hold.waitlistId);
+    if (entry && entry.status === 'offered') {
+      store.asSystem(() => store.save('waitlist', { ...entry, status: 'waiting', offeredAt: null, holdUntil: null }));
+    }
+  },
+
+  /**
+   * Hold a Vacant unit for the first person on its waitlist now, e.g. after
+   * staff set it Vacant by hand
+   * @returns {Promise<object|null>} the offer, or null if nobody is waiting
+   */
+  offerNext(unitNumber) {
+    return RentariumStore.transaction(['units', 'waitlist', 'activityLog'], (store) => {
+      RentariumPermissions.assert('waitlist.manage');
+      const unit = store.getById('units', unitNumber);
+      if (!unit || unit.status !== 'Vacant') throw new Error(`Unit ${unitNumber} is not vacant`);
+      return this.offer(store, unitNumber);
+    }).then(offer => {
+      this.notifyOffers(offer ? [offer] : []);
+      return offer;
+    });
+  },
+
+  /**
+   * Release holds whose date has passed. The person loses their turn and the
+   * unit goes to the next one on the waitlist
+   * @returns {Promise<object[]>} offers made as a result
+   */
+  expireHolds() {
+    const remote = RentariumStore.remote('waitlist.expireHolds');
+    if (remote) return remote;
+
+    return RentariumStore.transaction(['units', 'waitlist', 'activityLog'], (store) =>
+      // Upkeep run on page load, by staff or by the public form
+      store.asSystem(() => {
+        const units = store.getAll('units');
+        const lapsed = Object.keys(units).filter(n =>
+          units[n].status === 'Reserved' && !units[n].tenantId && this.isLapsed(units[n]) &&
+          !(units[n].reservedFor && units[n].reservedFor.applicationId)
+        );
+        if (lapsed.length === 0) return [];
+
+        const waitlist = store.getAll('waitlist');
+        lapsed.forEach(unitNumber => {
+          const hold = units[unitNumber].reservedFor;
+          const entry = hold && waitlist.find(e => e.id === hold.waitlistId);
+          if (entry && entry.status === 'offered') {
+            Object.assign(entry, { status: 'expired', closedAt: new Date().toISOString() });
+          }
+          store.logActivity(`Hold on unit ${unitNumber} expired${hold ? ` (${hold.name})` : ''}`, {
+            unit: unitNumber,
+            waitlistId: hold ? hold.waitlistId : null,
+            reservedUntil: units[unitNumber].reservedUntil
+          });
+        });
+        store.saveAll('waitlist', waitlist);
+
+        return lapsed.flatMap(unitNumber => this.releaseAndOffer(store, unitNumber));
+      })
+    ).then(offers => this.notifyOffers(offers));
+  },
+
+  // Tell each person a unit is now held for them
+  notifyOffers(offers) {
+    offers.forEach(({ unitNumber, holdUntil, entry }) => {
+      this.notify(entry, `Unit ${unitNumber} is available and held for you`, [
+        `Good news: unit ${unitNumber} is now available and we are holding it for you until the end of ${holdUntil}.`,
+        `To take it, fill in the rental application (Users/Rental-Application.html?unit=${encodeURIComponent(unitNumber)}) using this email address.`,
+        'If you do not apply by then, the unit goes to the next person on the waitlist.'
+      ]);
+    });
+    return offers;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RentariumWaitlist;
+}
@@ -0,0 +1,150 @@
+/* roles-permissions.js - Roles & Permissions page (uses js/rentarium-permissions.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let matrix = {};
+  let dirty = false;
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function roles() {
+    return Object.keys(RentariumPermissions.ROLES);
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function renderSummary() {
+    const total = Object.keys(RentariumPermissions.PERMISSIONS).length;
+    refs.rolesSummary.innerHTML = roles().map(role => {
+      const count = role === RentariumPermissions.SUPER_ADMIN ? total : (matrix[role] || []).length;
+      return `
+        <div class="stat-card" title="${escapeHtml(RentariumPermissions.ROLES[role].description)}">
+          <div class="stat-value">${count}/${total}</div>
+          <div class="stat-label">${escapeHtml(RentariumPermissions.roleLabel(role))}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderMatrix() {
+    refs.matrixHead.innerHTML = `
+      <tr>
+        <th>Permission</th>
+        ${roles().map(role => `<th title="${escapeHtml(RentariumPermissions.ROLES[role].description)}">${escapeHtml(RentariumPermissions.roleLabel(role))}</th>`).join('')}
+      </tr>
+    `;
+
+    let lastGroup = null;
+    refs.matrixBody.innerHTML = Object.entries(RentariumPermissions.PERMISSIONS).map(([permission, info]) => {
+      const groupRow = info.group !== lastGroup
+        ? `<tr class="group-row"><td colspan="${roles().length + 1}">${escapeHtml(info.group)}</td></tr>`
+        : '';
+      lastGroup = info.group;
+
+      const cells = roles().map(role => {
+        const superAdmin = role === RentariumPermissions.SUPER_ADMIN;
+        const checked = superAdmin || (matrix[role] || []).includes(permission);
+        const locked = superAdmin || info.superAdminOnly;
+        return `
+          <td>
+            <input type="checkbox" class="perm-toggle" data-role="${role}" data-permission-id="${permission}"
+              ${checked ? 'checked' : ''} ${locked ? 'disabled' : ''}>
+          </td>
+        `;
+      }).join('');
+
+      return `${groupRow}<tr><td><code>${escapeHtml(permission)}</code><div class="perm-label">${escapeHtml(info.label)}</div></td>${cells}</tr>`;
+    }).join('');
+  }
+
+  function render() {
+    renderSummary();
+    renderMatrix();
+    refs.unsavedNote.style.display = dirty ? 'inline-block' : 'none';
+  }
+
+  /* ---------------------------
+     Editing
+  --------------------------- */
+  function togglePermission(e) {
+    const box = e.target;
+    if (!box.classList.contains('perm-toggle')) return;
+
+    const role = box.dataset.role;
+    const permission = box.dataset.permissionId;
+    const granted = new Set(matrix[role] || []);
+    if (box.checked) granted.add(permission);
+    else granted.delete(permission);
+    matrix[role] = Object.keys(RentariumPermissions.PERMISSIONS).filter(p => granted.has(p));
+
+    dirty = true;
+    render();
+  }
+
+  function save() {
+    try {
+      matrix = RentariumPermissions.saveMatrix(matrix);
+      dirty = false;
+      render();
+      alert('✅ Permissions saved. Staff see the change on their next page load.');
+    } catch (err) {
+      alert('Could not save permissions: ' + err.message);
+    }
+  }
+
+  function resetDefaults() {
+    if (!confirm('Restore the default permissions for every role?')) return;
+    try {
+      matrix = RentariumPermissions.resetMatrix();
+      dirty = false;
+      render();
+    } catch (err) {
+      alert('Could not restore defaults: ' + err.message);
+    }
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      rolesSummary: document.getElementById('rolesSummary'),
+      matrixHead: document.getElementById('matrixHead'),
+      matrixBody: document.getElementById('matrixBody'),
+      unsavedNote: document.getElementById('unsavedNote'),
+      saveBtn: document.getElementById('savePermissionsBtn'),
+      resetBtn: document.getElementById('resetDefaultsBtn')
+    };
+
+    matrix = RentariumPermissions.getMatrix();
+
+    refs.matrixBody.addEventListener('change', togglePermission);
+    refs.saveBtn.addEventListener('click', save);
+    refs.resetBtn.addEventListener('click', resetDefaults);
+
+    window.addEventListener('beforeunload', (e) => {
+      if (dirty) e.preventDefault();
+    });
+
+    render();
+    console.log('✅ Roles & Permissions initialized:', { roles: roles().length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -0,0 +1,317 @@
+/* security-log.js - Security Log page: filter, search and export security_logs, and set how long they are kept */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  const PAGE_SIZE = 50;
+
+  let refs = {};
+  let logs = [];
+  let filtered = [];
+  let page = 0;
+
+  // Fields every entry has; the rest are shown as details
+  const BASE_FIELDS = ['id', 'timestamp', 'eventType', 'username', 'role', 'page'];
+
+  const FAILURE_EVENTS = ['LOGIN_FAILED', 'LOGIN_BLOCKED', 'LOGIN_DENIED', 'ACCOUNT_LOCKED', 'ACCESS_DENIED',
+    'PASSWORD_CHANGE_FAILED', 'PASSWORD_RESET_FAILED', 'SESSION_REVOKED'];
+  const SUCCESS_EVENTS = ['LOGIN_SUCCESS', 'PASSWORD_CHANGED', 'PASSWORD_RESET_COMPLETED', 'TWO_FACTOR_ENABLED',
+    'ACCOUNT_ENABLED', 'ACCOUNT_UNLOCKED'];
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function formatDateTime(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleString();
+    } catch {
+      return d;
+    }
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  // LOGIN_FAILED -> Login Failed
+  function eventLabel(type) {
+    return String(type || '').toLowerCase().split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+  }
+
+  function eventClass(type) {
+    if (FAILURE_EVENTS.includes(type)) return 'failure';
+    if (SUCCESS_EVENTS.includes(type)) return 'success';
+    if (/DISABLED|RESET|EXPIRED/.test(type)) return 'warning';
+    return '';
+  }
+
+  function roleLabel(role) {
+    if (!role) return '';
+    return RentariumPermissions.ROLES[role] ? RentariumPermissions.roleLabel(role) : role.charAt(0).toUpperCase() + role.slice(1);
+  }
+
+  function details(entry) {
+    return Object.keys(entry)
+      .filter(key => !BASE_FIELDS.includes(key) && entry[key] !== null && entry[key] !== undefined && entry[key] !== '')
+      .map(key => [key, typeof entry[key] === 'object' ? JSON.stringify(entry[key]) : String(entry[key])]);
+  }
+
+  function withinLast(entry, ms) {
+    return Date.now() - new Date(entry.timestamp).getTime() <= ms;
+  }
+
+  /* ---------------------------
+     Data
+  --------------------------- */
+  function refresh() {
+    logs = RentariumStore.getAll('securityLogs')
+      .slice()
+      .sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+    populateFilters();
+    renderStats();
+    applyFilters(false);
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  // Keep the current choice when the options are rebuilt
+  function fillSelect(select, allLabel, values, label) {
+    const current = select.value;
+    select.innerHTML = `<option value="all">${allLabel}</option>` +
+      values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(label(v))}</option>`).join('');
+    select.value = values.includes(current) ? current : 'all';
+  }
+
+  function populateFilters() {
+    const types = [...new Set(logs.map(e => e.eventType).filter(Boolean))].sort();
+    const roles = [...new Set(logs.map(e => e.role).filter(Boolean))].sort();
+    fillSelect(refs.eventFilter, 'All Events', types, eventLabel);
+    fillSelect(refs.roleFilter, 'All Roles', roles, roleLabel);
+  }
+
+  function renderStats() {
+    const day = 24 * 60 * 60 * 1000;
+    const recent = logs.filter(e => withinLast(e, day));
+    const count = type => recent.filter(e => e.eventType === type).length;
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-value">${logs.length}</div>
+        <div class="stat-label">Entries Kept</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${count('LOGIN_SUCCESS')}</div>
+        <div class="stat-label">Logins (24h)</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${count('LOGIN_FAILED')}</div>
+        <div class="stat-label">Failed Logins (24h)</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${count('ACCOUNT_LOCKED') + count('ACCESS_DENIED')}</div>
+        <div class="stat-label">Lockouts &amp; Denials (24h)</div>
+      </div>
+    `;
+  }
+
+  function renderTable() {
+    const pages = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+    page = Math.min(page, pages - 1);
+    const start = page * PAGE_SIZE;
+    const rows = filtered.slice(start, start + PAGE_SIZE);
+
+    refs.listTitle.textContent = `Events (${filtered.length})`;
+    refs.pageInfo.textContent = filtered.length === 0 ? '' : `${start + 1}–${start + rows.length} of ${filtered.length}`;
+    refs.prevPageBtn.disabled = page === 0;
+    refs.nextPageBtn.disabled = page >= pages - 1;
+
+    if (rows.length === 0) {
+      refs.logTbody.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:40px;color:#94a3b8">No events found</td></tr>';
+      return;
+    }
+
+    refs.logTbody.innerHTML = rows.map(e => `
+      <tr>
+        <td>${escapeHtml(formatDateTime(e.timestamp))}</td>
+        <td><span class="event-badge ${eventClass(e.eventType)}">${escapeHtml(eventLabel(e.eventType))}</span></td>
+        <td>${escapeHtml(e.username)}</td>
+        <td>${escapeHtml(roleLabel(e.role))}</td>
+        <td>${escapeHtml(e.page)}</td>
+        <td class="log-details">${details(e).map(([key, value]) => `<strong>${escapeHtml(key)}:</strong> ${escapeHtml(value)}`).join('<br>')}</td>
+      </tr>
+    `).join('');
+  }
+
+  /* ---------------------------
+     Filtering
+  --------------------------- */
+  function applyFilters(resetPage = true) {
+    const q = refs.searchInput.value.trim().toLowerCase();
+    const type = refs.eventFilter.value;
+    const role = refs.roleFilter.value;
+    const from = refs.fromDate.value ? new Date(refs.fromDate.value + 'T00:00:00').getTime() : null;
+    const to = refs.toDate.value ? new Date(refs.toDate.value + 'T23:59:59.999').getTime() : null;
+
+    filtered = logs.filter(e => {
+      const time = new Date(e.timestamp).getTime();
+      if (type !== 'all' && e.eventType !== type) return false;
+      if (role !== 'all' && e.role !== role) return false;
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (!q) return true;
+      return [e.username, e.page, e.eventType, ...details(e).map(([, value]) => value)]
+        .some(v => String(v || '').toLowerCase().includes(q));
+    });
+
+    if (resetPage) page = 0;
+    renderTable();
+  }
+
+  function clearFilters() {
+    refs.searchInput.value = '';
+    refs.eventFilter.value = 'all';
+    refs.roleFilter.value = 'all';
+    refs.fromDate.value = '';
+    refs.toDate.value = '';
+    applyFilters();
+  }
+
+  function changePage(delta) {
+    page += delta;
+    renderTable();
+  }
+
+  /* ---------------------------
+     Export
+  --------------------------- */
+  function exportToCSV() {
+    if (filtered.length === 0) return alert('No events to export');
+
+    const csvCell = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const headers = ['Timestamp', 'Event', 'Username', 'Role', 'Page', 'Details'];
+    const rows = filtered.map(e => [
+      e.timestamp,
+      e.eventType,
+      e.username,
+      e.role,
+      e.page,
+      details(e).map(([key, value]) => `${key}=${value}`).join('; ')
+    ]);
+
+    const csv = [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `security-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    const session = RentariumStore.getSession() || {};
+    RentariumStore.transaction(['securityLogs'], (store) => {
+      store.logSecurityEvent('SECURITY_LOG_EXPORTED', { username: session.username, role: session.role, entries: filtered.length });
+    }).catch(err => console.error('Could not log the export', err));
+  }
+
+  /* ---------------------------
+     Retention
+  --------------------------- */
+  function renderRetention() {
+    const retention = RentariumStore.getSecurityLogRetention();
+    refs.maxEntries.value = retention.maxEntries;
+    refs.maxDays.value = retention.maxDays;
+  }
+
+  function saveRetention(e) {
+    e.preventDefault();
+
+    const retention = {
+      maxEntries: parseInt(refs.maxEntries.value, 10),
+      maxDays: parseInt(refs.maxDays.value, 10)
+    };
+    if (!(retention.maxEntries >= 100) || !(retention.maxDays >= 1)) {
+      return alert('Keep at least 100 entries and 1 day');
+    }
+
+    try {
+      RentariumPermissions.assert('security.manage');
+    } catch (err) {
+      return alert(err.message);
+    }
+
+    const before = logs.length;
+    const dropped = before - RentariumStore.pruneSecurityLogs(logs.slice().reverse(), retention).length;
+    if (dropped > 0 && !confirm(`${dropped} existing entries fall outside the new limit and will be deleted now. Continue?`)) return;
+
+    const session = RentariumStore.getSession() || {};
+    RentariumStore.saveSetting('securityLogRetention', retention);
+    RentariumStore.transaction(['securityLogs'], (store) => {
+      store.saveAll('securityLogs', store.pruneSecurityLogs(store.getAll('securityLogs'), retention));
+      store.logSecurityEvent('SECURITY_LOG_RETENTION_CHANGED', {
+        username: session.username,
+        role: session.role,
+        ...retention,
+        deleted: dropped
+      });
+    })
+      .then(() => {
+        refresh();
+        alert('Retention saved');
+      })
+      .catch(err => alert('Could not save retention: ' + err.message));
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      logTbody: document.getElementById('logTbody'),
+      listTitle: document.getElementById('listTitle'),
+      pageInfo: document.getElementById('pageInfo'),
+      prevPageBtn: document.getElementById('prevPageBtn'),
+      nextPageBtn: document.getElementById('nextPageBtn'),
+      searchInput: document.getElementById('searchInput'),
+      eventFilter: document.getElementById('eventFilter'),
+      roleFilter: document.getElementById('roleFilter'),
+      fromDate: document.getElementById('fromDate'),
+      toDate: document.getElementById('toDate'),
+      retentionForm: document.getElementById('retentionForm'),
+      maxEntries: document.getElementById('maxEntries'),
+      maxDays: document.getElementById('maxDays')
+    };
+
+    refs.searchInput.addEventListener('input', () => applyFilters());
+    [refs.eventFilter, refs.roleFilter, refs.fromDate, refs.toDate].forEach(el =>
+      el.addEventListener('change', () => applyFilters())
+    );
+    document.getElementById('clearFiltersBtn').addEventListener('click', clearFilters);
+    refs.prevPageBtn.addEventListener('click', () => changePage(-1));
+    refs.nextPageBtn.addEventListener('click', () => changePage(1));
+    document.getElementById('exportCsvBtn').addEventListener('click', exportToCSV);
+    refs.retentionForm.addEventListener('submit', saveRetention);
+
+    // Logins and logouts in other tabs appear as they happen
+    RentariumStore.on('securityLog.*', () => refresh());
+
+    renderRetention();
+    refresh();
+    console.log('✅ Security Log initialized:', { entries: logs.length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -0,0 +1,521 @@
+/* staff-accounts.js - Staff Accounts page: create, edit, disable and reset staff logins (rentarium_users),
+   reset two-factor (js/rentarium-totp.js) and unlock usernames locked by js/rentarium-lockout.js */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let staff = [];
+  let editingId = null;
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function formatDateTime(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleString();
+    } catch {
+      return d;
+    }
+  }
+
+  function getInitials(name) {
+    return (name || '').split(' ').map(p => p[0] || '').slice(0,2).join('').toUpperCase();
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function currentSession() {
+    return RentariumStore.getSession() || {};
+  }
+
+  function isSelf(user) {
+    return user.id === currentSession().userId;
+  }
+
+  function findStaff(id) {
+    return staff.find(u => u.id === id) || null;
+  }
+
+  // The last active Super Admin can be neither disabled nor given another role
+  function isLastSuperAdmin(user, users) {
+    if (user.role !== RentariumPermissions.SUPER_ADMIN || user.status === 'disabled') return false;
+    return users.filter(u => u.role === RentariumPermissions.SUPER_ADMIN && u.status !== 'disabled').length === 1;
+  }
+
+  /* ---------------------------
+     Data
+  --------------------------- */
+  // Only staff roles; the demo tenant login in rentarium_users is not staff
+  function loadStaff() {
+    staff = RentariumStore.getAll('users').filter(u => RentariumPermissions.isStaff(u.role));
+  }
+
+  function refresh() {
+    loadStaff();
+    renderStats();
+    filterStaff();
+    renderLockouts();
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function populateRoles() {
+    const options = Object.keys(RentariumPermissions.ROLES).map(role =>
+      `<option value="${role}">${escapeHtml(RentariumPermissions.roleLabel(role))}</option>`
+    ).join('');
+    refs.role.innerHTML = options;
+    refs.roleFilter.innerHTML = '<option value="all">All Roles</option>' + options;
+  }
+
+  function renderStats() {
+    const active = staff.filter(u => u.status !== 'disabled').length;
+    const disabled = staff.length - active;
+    const neverLoggedIn = staff.filter(u => !u.lastLogin).length;
+
+    refs.statsSummary.innerHTML = `
+      <div class="stat-card">
+        <div class="stat-value">${staff.length}</div>
+        <div class="stat-label">Staff Accounts</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${active}</div>
+        <div class="stat-label">Active</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${disabled}</div>
+        <div class="stat-label">Disabled</div>
+      </div>
+      <div class="stat-card">
+        <div class="stat-value">${neverLoggedIn}</div>
+        <div class="stat-label">Never Logged In</div>
+      </div>
+    `;
+  }
+
+  function renderTable(list) {
+    if (list.length === 0) {
+      refs.staffTbody.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:40px;color:#94a3b8">No staff accounts found</td></tr>';
+      return;
+    }
+
+    refs.staffTbody.innerHTML = list.map(u => {
+      const disabled = u.status === 'disabled';
+      const self = isSelf(u);
+      return `
+      <tr style="${disabled ? 'opacity: 0.7;' : ''}">
+        <td>
+          <div class="tenant-info">
+            <div class="tenant-avatar">${getInitials(u.fullName || u.username)}</div>
+            <div class="tenant-details">
+              <h4>${escapeHtml(u.fullName)}${self ? '<span class="you-tag">You</span>' : ''}</h4>
+              <p>${escapeHtml(u.email)}</p>
+            </div>
+          </div>
+        </td>
+        <td>${escapeHtml(u.username)}${RentariumTotp.isEnabled(u) ? '<span class="two-factor-tag" title="Two-factor authentication on">2FA</span>' : ''}</td>
+        <td>${escapeHtml(RentariumPermissions.roleLabel(u.role))}</td>
+        <td>
+          <span class="status-badge ${disabled ? 'disabled' : 'active'}">${disabled ? 'Disabled' : 'Active'}</span>
+          ${disabled && u.disabledBy ? `<br><small style="color: #64748b; font-size: 10px;">By: ${escapeHtml(u.disabledBy)}</small>` : ''}
+        </td>
+        <td>${u.lastLogin ? formatDateTime(u.lastLogin) : '<span class="never-logged-in">Never</span>'}</td>
+        <td>
+          <div class="action-btns">
+            <button class="action-btn edit" data-action="edit" data-id="${u.id}">Edit</button>
+            ${self ? '' : `
+              <button class="action-btn reset" data-action="reset" data-id="${u.id}">Reset Password</button>
+              ${RentariumTotp.isEnabled(u) ? `<button class="action-btn reset" data-action="reset2fa" data-id="${u.id}">Reset 2FA</button>` : ''}
+              <button class="action-btn ${disabled ? 'view' : 'delete'}" data-action="toggle" data-id="${u.id}">${disabled ? 'Enable' : 'Disable'}</button>
+            `}
+          </div>
+        </td>
+      </tr>
+    `}).join('');
+  }
+
+  function filterStaff() {
+    const q = refs.searchInput.value.trim().toLowerCase();
+    const role = refs.roleFilter.value;
+    const status = refs.statusFilter.value;
+
+    const list = staff.filter(u => {
+      const uStatus = u.status === 'disabled' ? 'disabled' : 'active';
+      if (role !== 'all' && u.role !== role) return false;
+      if (status !== 'all' && uStatus !== status) return false;
+      if (!q) return true;
+      return [u.fullName, u.username, u.email].some(v => (v || '').toLowerCase().includes(q));
+    });
+
+    renderTable(list);
+  }
+
+  // Which account a locked username belongs to, if any
+  function describeAccount(username) {
+    const key = RentariumLockout.key(username);
+    const user = RentariumStore.findOne('users', u => RentariumLockout.key(u.username) === key);
+    if (user) return escapeHtml(RentariumPermissions.roleLabel(user.role));
+    const tenant = RentariumStore.findOne('tenants', t => RentariumLockout.key(t.username) === key);
+    if (tenant) return `Tenant (${escapeHtml(tenant.name || tenant.tenantId)})`;
+    return '<span class="never-logged-in">No such account</span>';
+  }
+
+  function renderLockouts() {
+    const list = RentariumLockout.list();
+    if (list.length === 0) {
+      refs.lockoutTbody.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:40px;color:#94a3b8">No locked or failing logins</td></tr>';
+      return;
+    }
+
+    refs.lockoutTbody.innerHTML = list.map(r => {
+      const locked = RentariumLockout.isLocked(r);
+      return `
+      <tr>
+        <td>${escapeHtml(r.username)}</td>
+        <td>${describeAccount(r.username)}</td>
+        <td>${r.failures || 0}${r.lockCount ? ` <small style="color: #64748b;">(locked ${r.lockCount}×)</small>` : ''}</td>
+        <td>${formatDateTime(r.lastFailureAt)}</td>
+        <td>
+          ${locked
+            ? `<span class="status-badge locked">Locked</span><br><small style="color: #64748b; font-size: 10px;">Until ${formatDateTime(r.lockedUntil)}</small>`
+            : '<span class="status-badge pending">Failing</span>'}
+        </td>
+        <td>
+          <div class="action-btns">
+            <button class="action-btn view" data-action="unlock" data-username="${escapeHtml(r.username)}">Unlock</button>
+          </div>
+        </td>
+      </tr>
+    `}).join('');
+  }
+
+  function showRoleDescription() {
+    const role = RentariumPermissions.ROLES[refs.role.value];
+    refs.roleDescription.textContent = role ? role.description : '';
+  }
+
+  /* ---------------------------
+     Modal
+  --------------------------- */
+  function openAddModal() {
+    editingId = null;
+    refs.staffForm.reset();
+    refs.modalTitle.textContent = 'Add Staff Account';
+    refs.username.readOnly = false;
+    refs.role.disabled = false;
+    refs.role.value = 'manager';
+    refs.passwordNote.style.display = 'block';
+    showRoleDescription();
+    refs.staffModal.classList.add('show');
+  }
+
+  function openEditModal(id) {
+    const u = findStaff(id);
+    if (!u) return alert('Staff account not found');
+
+    editingId = id;
+    refs.modalTitle.textContent = 'Edit Staff Account';
+    refs.fullName.value = u.fullName || '';
+    refs.email.value = u.email || '';
+    refs.username.value = u.username || '';
+    refs.username.readOnly = true;
+    refs.role.value = u.role;
+    // Nobody changes their own role, so the Super Admin cannot lock themselves out
+    refs.role.disabled = isSelf(u);
+    refs.passwordNote.style.display = 'none';
+    showRoleDescription();
+    refs.staffModal.classList.add('show');
+  }
+
+  function closeModal() {
+    refs.staffModal.classList.remove('show');
+    editingId = null;
+  }
+
+  /* ---------------------------
+     Create / Edit
+  --------------------------- */
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!RentariumPermissions.check('users.manage')) return;
+
+    const fullName = refs.fullName.value.trim();
+    const email = refs.email.value.trim();
+    const username = refs.username.value.trim();
+    const role = refs.role.value;
+
+    if (!fullName) return alert('Full name is required');
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) return alert('Valid email required');
+    if (!RentariumPermissions.isStaff(role)) return alert('Choose a role');
+
+    if (editingId !== null) {
+      updateStaff(editingId, { fullName, email, role });
+      return;
+    }
+
+    if (!/^[a-z0-9._-]{3,}$/i.test(username)) {
+      return alert('Username must be at least 3 characters: letters, numbers, dots, dashes or underscores');
+    }
+    createStaff({ fullName, email, username, role });
+  }
+
+  function createStaff({ fullName, email, username, role }) {
+    const actor = currentSession().username;
+    const temporaryPassword = RentariumCredentials.generateTemporaryPassword();
+
+    RentariumCredentials.hashPassword(temporaryPassword)
+      .then(passwordHash => RentariumStore.transaction(['users', 'tenants', 'activityLog'], (store) => {
+        const users = store.getAll('users');
+        const taken = name => name && name.toLowerCase() === username.toLowerCase();
+
+        // Staff and tenants log in through the same form, so names must not clash
+        if (users.some(u => taken(u.username)) || store.getAll('tenants').some(t => taken(t.username))) {
+          throw new Error(`Username "${username}" is already in use`);
+        }
+
+        const id = users.reduce((max, u) => Math.max(max, Number(u.id) || 0), 0) + 1;
+        users.push({
+          id,
+          username,
+          fullName,
+          email,
+          role,
+          status: 'active',
+          passwordHash,
+          mustChangePassword: true,
+          createdAt: new Date().toISOString(),
+          createdBy: actor
+        });
+
+        store.saveAll('users', users);
+        store.logActivity(`Staff account ${username} (${RentariumPermissions.roleLabel(role)}) created by ${actor}`, { userId: id, username, role });
+      }))
+      .then(() => {
+        closeModal();
+        refresh();
+        alert(`Staff account created.\n\nUsername: ${username}\nTemporary password: ${temporaryPassword}\n\nGive these to ${fullName} now. The password is not shown again, and must be changed at first login.`);
+      })
+      .catch(err => alert('Could not create staff account: ' + err.message));
+  }
+
+  function updateStaff(id, changes) {
+    const actor = currentSession().username;
+
+    RentariumStore.transaction(['users', 'activityLog'], (store) => {
+      const users = store.getAll('users');
+      const u = users.find(x => x.id === id);
+      if (!u) throw new Error('Staff account not found');
+
+      const roleChanged = u.role !== changes.role;
+      if (roleChanged && isSelf(u)) throw new Error('You cannot change your own role');
+      if (roleChanged && isLastSuperAdmin(u, users)) {
+        throw new Error('This is the only active Super Admin. Make someone else Super Admin first.');
+      }
+
+      Object.assign(u, changes);
+      // The session keeps the role it logged in with, so sign the user out
+      if (roleChanged) u.sessionsRevokedAt = new Date().toISOString();
+
+      store.saveAll('users', users);
+      store.logActivity(`Staff account ${u.username} updated by ${actor}`, {
+        userId: id,
+        username: u.username,
+        role: u.role
+      });
+    })
+      .then(() => {
+        closeModal();
+        refresh();
+      })
+      .catch(err => alert('Could not update staff account: ' + err.message));
+  }
+
+  /* ---------------------------
+     Disable / Enable
+  --------------------------- */
+  function toggleDisabled(id) {
+    if (!RentariumPermissions.check('users.manage')) return;
+    const u = findStaff(id);
+    if (!u) return alert('Staff account not found');
+
+    const disabling = u.status !== 'disabled';
+    const question = disabling
+      ? `Disable ${u.username}? They are logged out everywhere and cannot log in until enabled again.`
+      : `Enable ${u.username}? They can log in again with their current password.`;
+    if (!confirm(question)) return;
+
+    const actor = currentSession().username;
+
+    RentariumStore.transaction(['users', 'securityLogs'], (store) => {
+      const users = store.getAll('users');
+      const target = users.find(x => x.id === id);
+      if (!target) throw new Error('Staff account not found');
+      if (isSelf(target)) throw new Error('You cannot disable your own account');
+
+      if (disabling) {
+        if (isLastSuperAdmin(target, users)) throw new Error('This is the only active Super Admin');
+        target.status = 'disabled';
+        target.disabledAt = new Date().toISOString();
+        target.disabledBy = actor;
+      } else {
+        target.status = 'active';
+        delete target.disabledAt;
+        delete target.disabledBy;
+      }
+
+      store.saveAll('users', users);
+      store.logSecurityEvent(disabling ? 'ACCOUNT_DISABLED' : 'ACCOUNT_ENABLED', {
+        username: target.username,
+        role: target.role,
+        by: actor,
+        page: 'Staff-Accounts.html'
+      });
+    })
+      .then(refresh)
+      .catch(err => alert('Could not change account status: ' + err.message));
+  }
+
+  /* ---------------------------
+     Reset Password
+  --------------------------- */
+  function resetPassword(id) {
+    if (!RentariumPermissions.check('users.manage')) return;
+    const u = findStaff(id);
+    if (!u) return alert('Staff account not found');
+    if (!confirm(`Reset the password for ${u.username}? Their current password stops working and they are logged out.`)) return;
+
+    const actor = currentSession().username;
+    const temporaryPassword = RentariumCredentials.generateTemporaryPassword();
+
+    RentariumCredentials.hashPassword(temporaryPassword)
+      .then(passwordHash => RentariumStore.transaction(['users', 'securityLogs'], (store) => {
+        const users = store.getAll('users');
+        const target = users.find(x => x.id === id);
+        if (!target) throw new Error('Staff account not found');
+
+        const now = new Date().toISOString();
+        delete target.password;
+        target.passwordHash = passwordHash;
+        target.passwordChangedAt = now;
+        target.mustChangePassword = true;
+        target.sessionsRevokedAt = now;
+
+        store.saveAll('users', users);
+        store.logSecurityEvent('PASSWORD_RESET', {
+          username: target.username,
+          role: target.role,
+          by: actor,
+          page: 'Staff-Accounts.html'
+        });
+      }))
+      .then(() => {
+        refresh();
+        alert(`Password reset for ${u.username}.\n\nTemporary password: ${temporaryPassword}\n\nGive it to ${u.fullName || u.username} now. It is not shown again.`);
+      })
+      .catch(err => alert('Could not reset password: ' + err.message));
+  }
+
+  // For staff who lost their phone and their recovery codes
+  function resetTwoFactor(id) {
+    if (!RentariumPermissions.check('users.manage')) return;
+    const u = findStaff(id);
+    if (!u) return alert('Staff account not found');
+    if (!confirm(`Turn off two-factor authentication for ${u.username}? They sign in with their password only until they set it up again.`)) return;
+
+    RentariumTotp.disable(id)
+      .then(() => {
+        refresh();
+        alert(`Two-factor authentication reset for ${u.username}.`);
+      })
+      .catch(err => alert('Could not reset two-factor: ' + err.message));
+  }
+
+  /* ---------------------------
+     Unlock
+  --------------------------- */
+  function unlockUsername(username) {
+    if (!RentariumPermissions.check('users.manage')) return;
+    if (!confirm(`Unlock ${username} and clear its failed attempts?`)) return;
+
+    RentariumLockout.unlock(username)
+      .then(refresh)
+      .catch(err => alert('Could not unlock: ' + err.message));
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    refs = {
+      statsSummary: document.getElementById('statsSummary'),
+      staffTbody: document.getElementById('staffTbody'),
+      lockoutTbody: document.getElementById('lockoutTbody'),
+      searchInput: document.getElementById('searchInput'),
+      roleFilter: document.getElementById('roleFilter'),
+      statusFilter: document.getElementById('statusFilter'),
+      staffModal: document.getElementById('staffModal'),
+      staffForm: document.getElementById('staffForm'),
+      modalTitle: document.getElementById('modalTitle'),
+      fullName: document.getElementById('fullName'),
+      email: document.getElementById('email'),
+      username: document.getElementById('username'),
+      role: document.getElementById('role'),
+      roleDescription: document.getElementById('roleDescription'),
+      passwordNote: document.getElementById('passwordNote')
+    };
+
+    populateRoles();
+
+    document.getElementById('addStaffBtn').addEventListener('click', openAddModal);
+    document.getElementById('closeModalBtn').addEventListener('click', closeModal);
+    document.getElementById('cancelBtn').addEventListener('click', closeModal);
+    refs.staffModal.addEventListener('click', (e) => {
+      if (e.target === refs.staffModal) closeModal();
+    });
+    refs.staffForm.addEventListener('submit', handleSubmit);
+    refs.role.addEventListener('change', showRoleDescription);
+
+    refs.searchInput.addEventListener('input', filterStaff);
+    refs.roleFilter.addEventListener('change', filterStaff);
+    refs.statusFilter.addEventListener('change', filterStaff);
+
+    // Table actions
+    refs.staffTbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const id = Number(btn.dataset.id);
+      if (btn.dataset.action === 'edit') openEditModal(id);
+      if (btn.dataset.action === 'reset') resetPassword(id);
+      if (btn.dataset.action === 'reset2fa') resetTwoFactor(id);
+      if (btn.dataset.action === 'toggle') toggleDisabled(id);
+    });
+
+    refs.lockoutTbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action="unlock"]');
+      if (btn) unlockUsername(btn.dataset.username);
+    });
+
+    // Logins in other tabs update Last Login and the lockouts
+    RentariumStore.on(['user.*', 'loginAttempt.*'], refresh);
+
+    refresh();
+    console.log('✅ Staff Accounts initialized:', { staff: staff.length });
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
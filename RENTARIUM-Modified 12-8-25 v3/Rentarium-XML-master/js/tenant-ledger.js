@@ -0,0 +1,293 @@
+/* tenant-ledger.js - Tenant Ledger on the Payments page: statement of account, manual charges and credits,
+   late fee waivers (uses js/rentarium-ledger.js and js/rentarium-late-fees.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let tenantId = null;
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function money(n) {
+    return Number(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function formatDate(d) {
+    if (!d) return '';
+    try {
+      return new Date(d + 'T00:00:00').toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    } catch {
+      return d;
+    }
+  }
+
+  // Tenants with a username, the key the ledger uses
+  function tenants() {
+    return RentariumStore.getAll('tenants')
+      .filter(t => t.username)
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  function range() {
+    return { from: refs.ledgerFrom.value, to: refs.ledgerTo.value };
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function populateTenants() {
+    const list = tenants();
+    const balances = RentariumLedger.totals().balances;
+
+    refs.ledgerTenant.innerHTML = list.length === 0
+      ? '<option value="">No tenants</option>'
+      : list.map(t => {
+        const balance = balances[t.username] || 0;
+        return `<option value="${escapeHtml(t.username)}">${escapeHtml(t.name)} (${escapeHtml(t.unitAssigned || 'no unit')}) - ₱${money(balance)}</option>`;
+      }).join('');
+
+    if (!list.some(t => t.username === tenantId)) tenantId = list.length ? list[0].username : null;
+    refs.ledgerTenant.value = tenantId || '';
+  }
+
+  function populateCategories() {
+    const type = refs.ledgerType.value;
+    refs.ledgerCategory.innerHTML = RentariumLedger.CATEGORIES[type]
+      .filter(c => c !== 'payment' && c !== 'penalty')   // posted by verifying payments and by the late-fee rules
+      .map(c => `<option value="${c}">${RentariumLedger.CATEGORY_LABELS[c]}</option>`)
+      .join('');
+  }
+
+  function renderStatement() {
+    if (!tenantId) {
+      refs.ledgerSummary.innerHTML = '';
+      refs.ledgerTbody.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:30px;color:#94a3b8">No tenant selected</td></tr>';
+      return;
+    }
+
+    const ledger = RentariumStore.getAll('ledger');
+    const statement = RentariumLedger.statement(tenantId, range(), ledger);
+    const reversed = new Set(ledger.filter(e => e.reverses).map(e => e.reverses));
+
+    refs.ledgerSummary.innerHTML = `
+      <div><small>Opening Balance</small><strong>₱${money(statement.opening)}</strong></div>
+      <div><small>Charges</small><strong>₱${money(statement.charges)}</strong></div>
+      <div><small>Credits</small><strong>₱${money(statement.credits)}</strong></div>
+      <div><small>${statement.closing < 0 ? 'In Credit' : 'Balance Due'}</small><strong>₱${money(Math.abs(statement.closing))}</strong></div>
+    `;
+
+    if (statement.entries.length === 0) {
+      refs.ledgerTbody.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:30px;color:#94a3b8">No entries in this period</td></tr>';
+      return;
+    }
+
+    refs.ledgerTbody.innerHTML = statement.entries.slice().reverse().map(e => {
+      const cancelled = e.reverses || reversed.has(e.id);
+      const canReverse = !cancelled && e.sourceType === 'manual';
+      const canWaive = !cancelled && e.sourceType === 'lateFee';
+      return `
+        <tr class="${cancelled ? 'ledger-reversed' : ''}">
+          <td style="font-size:13px">${escapeHtml(formatDate(e.date))}</td>
+          <td><span style="font-family:monospace;font-size:11px;color:#64748b">${escapeHtml(e.id)}</span></td>
+          <td>
+            <span class="payment-type-badge">${escapeHtml(RentariumLedger.CATEGORY_LABELS[e.category] || e.category)}</span>
+            ${escapeHtml(e.description)}
+          </td>
+          <td>${e.type === 'charge' ? money(e.amount) : ''}</td>
+          <td>${e.type === 'credit' ? money(e.amount) : ''}</td>
+          <td style="font-weight:700">${money(e.balance)}</td>
+          <td>
+            ${canReverse ? `<button class="action-btn reject" data-permission="payments.record" data-reverse="${escapeHtml(e.id)}">Reverse</button>` : ''}
+            ${canWaive ? `<button class="action-btn reject" data-permission="latefees.waive" data-waive="${escapeHtml(e.id)}">Waive</button>` : ''}
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  function refresh() {
+    if (!refs.ledgerModal.classList.contains('show')) return;
+    populateTenants();
+    renderStatement();
+  }
+
+  /* ---------------------------
+     Modal
+  --------------------------- */
+  function openLedger(id) {
+    if (id) tenantId = id;
+    refs.ledgerDate.value = RentariumLedger.today();
+    refs.ledgerModal.classList.add('show');
+    refresh();
+  }
+
+  function closeLedger() {
+    refs.ledgerModal.classList.remove('show');
+  }
+
+  /* ---------------------------
+     Actions
+  --------------------------- */
+  function handlePost(e) {
+    e.preventDefault();
+    if (!tenantId || !RentariumPermissions.check('payments.record')) return;
+
+    const data = {
+      tenantId,
+      type: refs.ledgerType.value,
+      category: refs.ledgerCategory.value,
+      amount: parseFloat(refs.ledgerAmount.value),
+      date: refs.ledgerDate.value,
+      description: refs.ledgerDescription.value
+    };
+    const problem = RentariumLedger.validate(data);
+    if (problem) return alert(problem);
+
+    refs.ledgerPostBtn.disabled = true;
+    RentariumLedger.postManual(data)
+      .then(entry => {
+        console.log('📒 Ledger entry posted:', entry.id);
+        refs.ledgerAmount.value = '';
+        refs.ledgerDescription.value = '';
+        refresh();
+      })
+      .catch(err => alert('Could not post the entry: ' + err.message))
+      .finally(() => {
+        refs.ledgerPostBtn.disabled = false;
+      });
+  }
+
+  function handleReverse(e) {
+    if (e.target.closest('[data-waive]')) return handleWaive(e);
+    const btn = e.target.closest('[data-reverse]');
+    if (!btn || !RentariumPermissions.check('payments.record')) return;
+
+    const reason = prompt(`Reason for reversing ${btn.dataset.reverse}:`);
+    if (!reason) return;
+
+    RentariumLedger.reverseManual(btn.dataset.reverse, reason)
+      .then(reversal => {
+        console.log('↩️ Ledger entry reversed:', reversal.reverses);
+        refresh();
+      })
+      .catch(err => alert('Could not reverse the entry: ' + err.message));
+  }
+
+  function handleWaive(e) {
+    const btn = e.target.closest('[data-waive]');
+    if (!RentariumPermissions.check('latefees.waive')) return;
+
+    const reason = prompt(`Reason for waiving late fee ${btn.dataset.waive}:`);
+    if (!reason) return;
+
+    RentariumLateFees.waive(btn.dataset.waive, reason)
+      .then(reversal => {
+        console.log('🙏 Late fee waived:', reversal.reverses);
+        refresh();
+      })
+      .catch(err => alert('Could not waive the late fee: ' + err.message));
+  }
+
+  // Printable statement of account in a new window
+  function printStatement() {
+    const tenant = tenants().find(t => t.username === tenantId);
+    if (!tenant) return;
+
+    const { from, to } = range();
+    const statement = RentariumLedger.statement(tenantId, { from, to });
+    const rows = statement.entries.map(e => `
+      <tr>
+        <td>${escapeHtml(formatDate(e.date))}</td>
+        <td>${escapeHtml(e.id)}</td>
+        <td>${escapeHtml(e.description)}</td>
+        <td class="num">${e.type === 'charge' ? money(e.amount) : ''}</td>
+        <td class="num">${e.type === 'credit' ? money(e.amount) : ''}</td>
+        <td class="num">${money(e.balance)}</td>
+      </tr>
+    `).join('');
+
+    const win = window.open('', '_blank');
+    if (!win) return alert('Allow pop-ups to print the statement');
+    win.document.write(`<!DOCTYPE html>
+      <html><head><title>Statement - ${escapeHtml(tenant.name)}</title>
+      <style>
+        body { font-family: 'Segoe UI', Arial, sans-serif; color: #1e293b; padding: 30px; }
+        h1 { font-size: 20px; margin-bottom: 4px; }
+        p { margin: 2px 0; font-size: 13px; color: #475569; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 12px; }
+        th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; text-align: left; }
+        .num { text-align: right; }
+        tfoot td { font-weight: 700; }
+      </style></head><body>
+      <h1>RENTARIUM - Statement of Account</h1>
+      <p>${escapeHtml(tenant.name)}, unit ${escapeHtml(tenant.unitAssigned || '-')}</p>
+      <p>Period: ${from ? escapeHtml(formatDate(from)) : 'start'} to ${to ? escapeHtml(formatDate(to)) : 'today'}</p>
+      <table>
+        <thead><tr><th>Date</th><th>Entry</th><th>Description</th><th class="num">Charge</th><th class="num">Credit</th><th class="num">Balance</th></tr></thead>
+        <tbody>
+          <tr><td></td><td></td><td>Opening balance</td><td></td><td></td><td class="num">${money(statement.opening)}</td></tr>
+          ${rows}
+        </tbody>
+        <tfoot><tr><td></td><td></td><td>Totals</td><td class="num">${money(statement.charges)}</td><td class="num">${money(statement.credits)}</td><td class="num">${money(statement.closing)}</td></tr></tfoot>
+      </table>
+      </body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    const ids = ['ledgerModal', 'ledgerTenant', 'ledgerFrom', 'ledgerTo', 'ledgerSummary', 'ledgerTbody',
+      'ledgerForm', 'ledgerType', 'ledgerCategory', 'ledgerAmount', 'ledgerDate', 'ledgerDescription', 'ledgerPostBtn'];
+    refs = {};
+    ids.forEach(id => { refs[id] = document.getElementById(id); });
+
+    populateCategories();
+
+    document.getElementById('ledgerBtn').addEventListener('click', () => openLedger());
+    document.getElementById('closeLedgerBtn').addEventListener('click', closeLedger);
+    document.getElementById('ledgerPrintBtn').addEventListener('click', printStatement);
+    refs.ledgerModal.addEventListener('click', (e) => {
+      if (e.target === refs.ledgerModal) closeLedger();
+    });
+    refs.ledgerTenant.addEventListener('change', () => {
+      tenantId = refs.ledgerTenant.value;
+      renderStatement();
+    });
+    refs.ledgerFrom.addEventListener('change', renderStatement);
+    refs.ledgerTo.addEventListener('change', renderStatement);
+    refs.ledgerType.addEventListener('change', populateCategories);
+    refs.ledgerForm.addEventListener('submit', handlePost);
+    refs.ledgerTbody.addEventListener('click', handleReverse);
+
+    // Payments verified in another tab show up straight away
+    RentariumStore.on(['ledgerEntry.*', 'tenant.*'], refresh);
+
+    console.log('✅ Tenant Ledger initialized');
+  }
+
+  // Opened from a payment's details too
+  window.openTenantLedger = openLedger;
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -3,25 +3,6 @@
 (function () {
   'use strict';
   
-  function readJSON(key, fallback) {
-    try { 
-      return JSON.parse(localStorage.getItem(key)) ?? fallback; 
-    }
-    catch (e) { 
-      console.warn('readJSON error', key, e); 
-      return fallback; 
-    }
-  }
-  
-  function writeJSON(key, value) {
-    try { 
-      localStorage.setItem(key, JSON.stringify(value)); 
-    }
-    catch (e) { 
-      console.error('writeJSON error', key, e); 
-    }
-  }
-
   /* ---------------------------
      Default sample data
   --------------------------- */
@@ -95,7 +76,7 @@
   let currentView = 'table';
   let editingId = null;
   let refs = {};
-  let syncCheckInterval = null;
+  let unsubscribeSync = null;
 
   /* ---------------------------
      Utilities
@@ -127,110 +108,111 @@
     }[m])); 
   }
 
-  function generateTenantId(tenants) {
-    if (!tenants || tenants.length === 0) return 'TEN001';
-    const nums = tenants
-      .map(t => (t.tenantId || '').match(/\d+$/))
-      .filter(m => m)
-      .map(m => parseInt(m[0], 10));
-    const next = (nums.length === 0) ? 1 : Math.max(...nums) + 1;
-    return 'TEN' + String(next).padStart(3, '0');
-  }
-
   /* ---------------------------
      Initialize storage
   --------------------------- */
   function ensureInitialData() {
-    if (!localStorage.getItem('tenants')) writeJSON('tenants', sampleTenants);
-    if (!localStorage.getItem('units')) writeJSON('units', sampleUnits);
-    if (!localStorage.getItem('activityLog')) writeJSON('activityLog', []);
-  }
-
-  /* ---------------------------
-     Activity Log
-  --------------------------- */
-  function appendActivity(message, data) {
-    const log = readJSON('activityLog', []);
-    log.push({
-      id: 'ACT' + Date.now(),
-      message, 
-      data, 
-      timestamp: new Date().toISOString()
-    });
-    writeJSON('activityLog', log);
+    RentariumStore.ensure('tenants', sampleTenants);
+    RentariumStore.ensure('units', sampleUnits);
+    RentariumStore.ensure('activityLog');
   }
 
   /* ---------------------------
      🔥 AUTOMATIC CONTRACT TERMINATION SYNC - CORE FUNCTION
   --------------------------- */
   function syncContractTerminations() {
-    const contracts = readJSON('rental_contracts', {});
-    let hasChanges = false;
-    let terminatedCount = 0;
+    // Tenant and unit changes commit together, so a unit is never left
+    // Occupied by a tenant whose contract has ended
+    let offers = [];
 
-    tenants = tenants.map(tenant => {
-      const contract = contracts[tenant.username];
-      
-      // Check if contract exists and is terminated
-      if (contract && contract.terminated) {
-        
-        // Only update if tenant is not already terminated
-        if (tenant.status !== 'terminated') {
-          console.log(`🔴 Auto-terminating tenant: ${tenant.name} (${tenant.username})`);
-          
-          // Update tenant status to terminated
-          tenant.status = 'terminated';
-          
-          // Store termination details
-          tenant.terminationDate = contract.terminatedDate;
-          tenant.terminatedBy = contract.terminatedBy;
-          tenant.terminationReason = contract.terminationReason;
-          
-          // Free up the unit
-          if (tenant.unitAssigned && units[tenant.unitAssigned]) {
-            units[tenant.unitAssigned].status = 'Vacant';
-            units[tenant.unitAssigned].tenantId = null;
-            units[tenant.unitAssigned].tenantName = '';
-            units[tenant.unitAssigned].moveInDate = '';
-            console.log(`🏠 Unit ${tenant.unitAssigned} set to Vacant`);
-          }
-          
-          hasChanges = true;
-          terminatedCount++;
-          
-          // Log the auto-termination
-          appendActivity(
-            `Auto-terminated tenant ${tenant.tenantId} - Contract terminated by ${contract.terminatedBy}`,
-            { 
-              tenantId: tenant.tenantId,
-              username: tenant.username,
-              terminatedBy: contract.terminatedBy,
-              terminationDate: contract.terminatedDate,
-              reason: contract.terminationReason
-            }
-          );
+    return RentariumStore.transaction(['tenants', 'units', 'contracts', 'waitlist', 'activityLog'], (store) => {
+      const contracts = store.getAll('contracts');
+      const allTenants = store.getAll('tenants');
+      const allUnits = store.getAll('units');
+      const terminated = [];
+
+      allTenants.forEach(tenant => {
+        const contract = contracts[tenant.username];
+
+        // Only update tenants whose contract is terminated but who are still active
+        if (!contract || !contract.terminated || tenant.status === 'terminated') return;
+
+        console.log(`🔴 Auto-terminating tenant: ${tenant.name} (${tenant.username})`);
+
+        // Update tenant status to terminated
+        tenant.status = 'terminated';
+
+        // Store termination details
+        tenant.terminationDate = contract.terminatedDate;
+        tenant.terminatedBy = contract.terminatedBy;
+        tenant.terminationReason = contract.terminationReason;
+
+        // Free up the unit
+        if (tenant.unitAssigned && allUnits[tenant.unitAssigned]) {
+          allUnits[tenant.unitAssigned].status = 'Vacant';
+          allUnits[tenant.unitAssigned].tenantId = null;
+          allUnits[tenant.unitAssigned].tenantName = '';
+          allUnits[tenant.unitAssigned].moveInDate = '';
+          console.log(`🏠 Unit ${tenant.unitAssigned} set to Vacant`);
         }
+
+        terminated.push(tenant);
+
+        // Log the auto-termination
+        store.logActivity(
+          `Auto-terminated tenant ${tenant.tenantId} - Contract terminated by ${contract.terminatedBy}`,
+          {
+            tenantId: tenant.tenantId,
+            username: tenant.username,
+            terminatedBy: contract.terminatedBy,
+            terminationDate: contract.terminatedDate,
+            reason: contract.terminationReason
+          }
+        );
+      });
+
+      // Save changes if any terminations occurred. This follows a termination
+      // already made on the contracts page, so any staff role may save it
+      if (terminated.length > 0) {
+        store.asSystem(() => {
+          store.saveAll('tenants', allTenants);
+          store.saveAll('units', allUnits);
+        });
+
+        // Freed units are held for the first person on their waitlist
+        offers = terminated
+          .map(t => t.unitAssigned && RentariumWaitlist.offer(store, t.unitAssigned))
+          .filter(Boolean);
       }
-      
-      return tenant;
-    });
 
-    // Save changes if any terminations occurred
-    if (hasChanges) {
-      writeJSON('tenants', tenants);
-      writeJSON('units', units);
-      console.log(`✅ Synced ${terminatedCount} terminated contract(s)`);
-      
-      // Refresh the UI
-      renderStats();
-      populateUnitFilter();
-      filterTenants();
-      
-      // Show notification
-      showSyncNotification(terminatedCount);
-    }
-    
-    return terminatedCount;
+      return terminated;
+    })
+      .then(terminated => {
+        tenants = RentariumStore.getAll('tenants');
+        units = RentariumStore.getAll('units');
+
+        if (terminated.length > 0) {
+          terminated.forEach(t => RentariumStore.publish('tenant.terminated', { id: t.tenantId, unit: t.unitAssigned }));
+          console.log(`✅ Synced ${terminated.length} terminated contract(s)`);
+
+          RentariumWaitlist.notifyOffers(offers);
+          offers.forEach(o => console.log(`📋 Unit ${o.unitNumber} held for ${o.entry.name} until ${o.holdUntil}`));
+
+          // Refresh the UI
+          renderStats();
+          populateUnitFilter();
+          filterTenants();
+
+          // Show notification
+          showSyncNotification(terminated.length);
+        }
+
+        return terminated.length;
+      })
+      .catch(err => {
+        console.error('Contract termination sync failed:', err);
+        return 0;
+      });
   }
 
   /* ---------------------------
@@ -293,27 +275,37 @@
   }
 
   /* ---------------------------
-     Start automatic sync checking
+     Start automatic sync - runs when another tab changes data
   --------------------------- */
   function startAutoSync() {
     // Run initial sync
     syncContractTerminations();
-    
-    // Set up interval to check every 3 seconds
-    syncCheckInterval = setInterval(() => {
-      syncContractTerminations();
-    }, 3000);
-    
-    console.log('✅ Auto-sync started - checking every 3 seconds');
+
+    unsubscribeSync = RentariumStore.on(['tenant.*', 'unit.*', 'contract.*'], (e) => {
+      tenants = RentariumStore.getAll('tenants');
+      units = RentariumStore.getAll('units');
+
+      if (e.type.startsWith('contract.')) {
+        syncContractTerminations();
+      }
+
+      renderStats();
+      populateUnitFilter();
+      populateUnitDropdown();
+      filterTenants();
+      console.log(`📡 Synced after ${e.type}`);
+    });
+
+    console.log('✅ Auto-sync started - listening for tenant, unit and contract changes');
   }
 
   /* ---------------------------
-     Stop automatic sync checking
+     Stop automatic sync
   --------------------------- */
   function stopAutoSync() {
-    if (syncCheckInterval) {
-      clearInterval(syncCheckInterval);
-      syncCheckInterval = null;
+    if (unsubscribeSync) {
+      unsubscribeSync();
+      unsubscribeSync = null;
       console.log('🛑 Auto-sync stopped');
     }
   }
@@ -386,8 +378,8 @@
           <div class="action-btns">
             <button class="action-btn view" data-id="${t.tenantId}">View</button>
             ${t.status !== 'terminated' ? `
-              <button class="action-btn edit" data-id="${t.tenantId}">Edit</button>
-              <button class="action-btn delete" data-id="${t.tenantId}">Delete</button>
+              <button class="action-btn edit" data-id="${t.tenantId}" data-permission="tenants.manage">Edit</button>
+              <button class="action-btn delete" data-id="${t.tenantId}" data-permission="tenants.delete">Delete</button>
             ` : '<span style="color: #94a3b8; font-size: 11px;">Terminated</span>'}
           </div>
         </td>
@@ -444,8 +436,8 @@
         <div class="action-btns">
           <button class="action-btn view" data-id="${t.tenantId}">View</button>
           ${t.status !== 'terminated' ? `
-            <button class="action-btn edit" data-id="${t.tenantId}">Edit</button>
-            <button class="action-btn delete" data-id="${t.tenantId}">Delete</button>
+            <button class="action-btn edit" data-id="${t.tenantId}" data-permission="tenants.manage">Edit</button>
+            <button class="action-btn delete" data-id="${t.tenantId}" data-permission="tenants.delete">Delete</button>
           ` : ''}
         </div>
       </div>
@@ -520,29 +512,39 @@
   };
 
   window.deleteTenant = function(tenantId) {
+    if (!RentariumPermissions.check('tenants.delete')) return;
     if (!confirm('Delete this tenant? This action cannot be undone.')) return;
-    
-    const t = tenants.find(x => x.tenantId === tenantId);
-    tenants = tenants.filter(x => x.tenantId !== tenantId);
-    writeJSON('tenants', tenants);
-
-    // Free up the unit
-    if (t && t.unitAssigned && units[t.unitAssigned]) {
-      units[t.unitAssigned].status = 'Vacant';
-      units[t.unitAssigned].tenantId = null;
-      units[t.unitAssigned].tenantName = '';
-      units[t.unitAssigned].moveInDate = '';
-      writeJSON('units', units);
-    }
 
-    appendActivity(`Tenant ${tenantId} deleted by Admin`, {tenantId});
-    
-    renderStats(); 
-    populateUnitFilter(); 
-    filterTenants();
+    RentariumStore.transaction(['tenants', 'units', 'activityLog'], (store) => {
+      const allTenants = store.getAll('tenants');
+      const allUnits = store.getAll('units');
+      const t = allTenants.find(x => x.tenantId === tenantId);
+
+      store.saveAll('tenants', allTenants.filter(x => x.tenantId !== tenantId));
+
+      // Free up the unit
+      if (t && t.unitAssigned && allUnits[t.unitAssigned]) {
+        allUnits[t.unitAssigned].status = 'Vacant';
+        allUnits[t.unitAssigned].tenantId = null;
+        allUnits[t.unitAssigned].tenantName = '';
+        allUnits[t.unitAssigned].moveInDate = '';
+        store.saveAll('units', allUnits);
+      }
+
+      store.logActivity(`Tenant ${tenantId} deleted by Admin`, {tenantId});
+    })
+      .then(() => {
+        tenants = RentariumStore.getAll('tenants');
+        units = RentariumStore.getAll('units');
+        renderStats();
+        populateUnitFilter();
+        filterTenants();
+      })
+      .catch(err => alert('Could not delete tenant: ' + err.message));
   };
 
   window.editTenant = function(tenantId) {
+    if (!RentariumPermissions.check('tenants.manage')) return;
     const t = tenants.find(x => x.tenantId === tenantId);
     if (!t) return alert('Tenant not found');
     
@@ -579,7 +581,7 @@
     if (!detailsContent) return;
     
     // Check for contract details
-    const contracts = readJSON('rental_contracts', {});
+    const contracts = RentariumStore.getAll('contracts');
     const contract = contracts[t.username];
     
     detailsContent.innerHTML = `
@@ -680,6 +682,7 @@
   --------------------------- */
   function handleTenantFormSubmit(e) {
     e.preventDefault();
+    if (!RentariumPermissions.check('tenants.manage')) return;
 
     const id = refs.tenantId?.value || '';
     const name = (refs.fullName?.value || '').trim();
@@ -698,103 +701,129 @@
     if (!unitAssigned) return alert('Unit is required');
     if (!leaseStart || !leaseEnd) return alert('Lease dates are required');
 
-    if (id) {
-      const idx = tenants.findIndex(t => t.tenantId === id);
-      if (idx === -1) return alert('Tenant not found');
+    // New tenants get a random temporary password; only its hash is stored
+    const temporaryPassword = id ? null : RentariumCredentials.generateTemporaryPassword();
+    const hashed = id ? Promise.resolve(null) : RentariumCredentials.hashPassword(temporaryPassword);
 
-      const oldUnit = tenants[idx].unitAssigned;
-      if (oldUnit && oldUnit !== unitAssigned && units[oldUnit]) {
-        units[oldUnit].status = 'Vacant';
-        units[oldUnit].tenantId = null;
-        units[oldUnit].tenantName = '';
-        units[oldUnit].moveInDate = '';
-      }
-      if (units[unitAssigned]) {
-        units[unitAssigned].status = 'Occupied';
-        units[unitAssigned].tenantId = id;
-        units[unitAssigned].tenantName = name;
-        units[unitAssigned].moveInDate = leaseStart;
-        units[unitAssigned].price = rentAmount;
+    // Tenant, old unit, new unit and activity log are saved together
+    hashed.then(passwordHash => RentariumStore.transaction(['tenants', 'units', 'sequences', 'activityLog'], (store) => {
+      const allTenants = store.getAll('tenants');
+      const allUnits = store.getAll('units');
+      const target = allUnits[unitAssigned];
+
+      // Another tab may have given the unit to someone else
+      if (target && target.status === 'Occupied' && target.tenantId && target.tenantId !== id) {
+        throw new Error(`Unit ${unitAssigned} is already occupied by ${target.tenantName || target.tenantId}`);
       }
 
-      tenants[idx] = { 
-        ...tenants[idx], 
-        name, 
-        email, 
-        phone, 
-        unitAssigned, 
-        rentAmount, 
-        leaseStart, 
-        leaseEnd, 
-        status, 
-        deposit, 
-        notes 
-      };
-      
-      writeJSON('tenants', tenants);
-      writeJSON('units', units);
-      appendActivity(`Tenant ${id} updated by Admin`, { tenantId: id });
+      if (id) {
+        const idx = allTenants.findIndex(t => t.tenantId === id);
+        if (idx === -1) throw new Error('Tenant not found');
 
-    } else {
-      const newId = generateTenantId(tenants);
-
-      let baseUsername = (email.split('@')[0] || name.split(' ')[0] || 'user')
-        .replace(/[^a-z0-9]/ig, '').toLowerCase();
-      let username = baseUsername || 'user' + Date.now();
-      let counter = 0;
-      while (tenants.some(t => t.username === username)) {
-        counter++;
-        username = baseUsername + counter;
-      }
+        const oldUnit = allTenants[idx].unitAssigned;
+        if (oldUnit && oldUnit !== unitAssigned && allUnits[oldUnit]) {
+          allUnits[oldUnit].status = 'Vacant';
+          allUnits[oldUnit].tenantId = null;
+          allUnits[oldUnit].tenantName = '';
+          allUnits[oldUnit].moveInDate = '';
+        }
+        if (target) {
+          target.status = 'Occupied';
+          target.tenantId = id;
+          target.tenantName = name;
+          target.moveInDate = leaseStart;
+          target.price = rentAmount;
+        }
+
+        allTenants[idx] = { 
+          ...allTenants[idx], 
+          name, 
+          email, 
+          phone, 
+          unitAssigned, 
+          rentAmount, 
+          leaseStart, 
+          leaseEnd, 
+          status, 
+          deposit, 
+          notes 
+        };
+        
+        store.saveAll('tenants', allTenants);
+        store.saveAll('units', allUnits);
+        store.logActivity(`Tenant ${id} updated by Admin`, { tenantId: id });
+
+      } else {
+        const newId = RentariumIds.next('tenant');
+
+        let baseUsername = (email.split('@')[0] || name.split(' ')[0] || 'user')
+          .replace(/[^a-z0-9]/ig, '').toLowerCase();
+        let username = baseUsername || 'user' + Date.now();
+        let counter = 0;
+        while (allTenants.some(t => t.username === username)) {
+          counter++;
+          username = baseUsername + counter;
+        }
+
+        const newTenant = {
+          tenantId: newId,
+          name,
+          username,
+          passwordHash,
+          mustChangePassword: true,
+          email,
+          phone,
+          unitAssigned,
+          rentAmount,
+          leaseStart,
+          leaseEnd,
+          status,
+          deposit,
+          notes,
+          dateCreated: new Date().toISOString()
+        };
 
-      const password = 'changeme123';
-
-      const newTenant = {
-        tenantId: newId,
-        name,
-        username,
-        password,
-        email,
-        phone,
-        unitAssigned,
-        rentAmount,
-        leaseStart,
-        leaseEnd,
-        status,
-        deposit,
-        notes,
-        dateCreated: new Date().toISOString()
-      };
-
-      tenants.push(newTenant);
-
-      if (units[unitAssigned]) {
-        units[unitAssigned].status = 'Occupied';
-        units[unitAssigned].tenantId = newId;
-        units[unitAssigned].tenantName = name;
-        units[unitAssigned].moveInDate = leaseStart;
-        units[unitAssigned].price = rentAmount;
+        allTenants.push(newTenant);
+
+        if (target) {
+          target.status = 'Occupied';
+          target.tenantId = newId;
+          target.tenantName = name;
+          target.moveInDate = leaseStart;
+          target.price = rentAmount;
+        }
+
+        store.saveAll('tenants', allTenants);
+        store.saveAll('units', allUnits);
+        store.logActivity(`New tenant ${newId} created by Admin`, { 
+          tenantId: newId, 
+          username 
+        });
+
+        return username;
       }
+    }))
+      .then((newUsername) => {
+        tenants = RentariumStore.getAll('tenants');
+        units = RentariumStore.getAll('units');
 
-      writeJSON('tenants', tenants);
-      writeJSON('units', units);
-      appendActivity(`New tenant ${newId} created by Admin`, { 
-        tenantId: newId, 
-        username 
-      });
-    }
+        if (newUsername) {
+          alert(`Tenant created.\n\nUsername: ${newUsername}\nTemporary password: ${temporaryPassword}\n\nGive these to the tenant now. The password is not shown again.`);
+        }
 
-    refs.tenantModal?.classList.remove('show');
-    editingId = null;
+        refs.tenantModal?.classList.remove('show');
+        editingId = null;
 
-    if (refs.statusFilter) refs.statusFilter.value = 'all';
-    if (refs.unitFilter) refs.unitFilter.value = 'all';
-    if (refs.searchInput) refs.searchInput.value = '';
+        if (refs.statusFilter) refs.statusFilter.value = 'all';
+        if (refs.unitFilter) refs.unitFilter.value = 'all';
+        if (refs.searchInput) refs.searchInput.value = '';
 
-    renderStats();
-    populateUnitFilter();
-    populateUnitDropdown();
-    filterTenants();
+        renderStats();
+        populateUnitFilter();
+        populateUnitDropdown();
+        filterTenants();
+      })
+      .catch(err => alert('Could not save tenant: ' + err.message));
   }
 
   /* ---------------------------
@@ -864,6 +893,7 @@
 
   function importXml(file) {
     if (!file) return;
+    if (!RentariumPermissions.check('tenants.manage')) return;
     const reader = new FileReader();
     reader.onload = function(e) {
       try {
@@ -878,7 +908,6 @@
             tenantId: node.querySelector('tenantId')?.textContent || '',
             name: node.querySelector('name')?.textContent || '',
             username: node.querySelector('username')?.textContent || '',
-            password: 'changeme123',
             email: node.querySelector('email')?.textContent || '',
             phone: node.querySelector('phone')?.textContent || '',
             unitAssigned: node.querySelector('unitAssigned')?.textContent || '',
@@ -894,13 +923,15 @@
         }
         
         if (imported.length > 0) {
-          tenants = [...tenants, ...imported];
-          writeJSON('tenants', tenants);
-          renderStats();
-          populateUnitFilter();
-          filterTenants();
-          appendActivity(`Imported ${imported.length} tenants via XML`, {});
-          alert(`Successfully imported ${imported.length} tenants`);
+          assignTemporaryPasswords(imported).then(passwords => {
+            tenants = [...tenants, ...imported];
+            RentariumStore.saveAll('tenants', tenants);
+            renderStats();
+            populateUnitFilter();
+            filterTenants();
+            RentariumStore.logActivity(`Imported ${imported.length} tenants via XML`, {});
+            alert(`Successfully imported ${imported.length} tenants.\n\nTemporary passwords (not shown again):\n${passwords.join('\n')}`);
+          }).catch(err => alert('Could not import tenants: ' + err.message));
         } else {
           alert('No valid tenant data found in XML');
         }
@@ -912,17 +943,32 @@
     reader.readAsText(file);
   }
 
+  // Give each imported tenant its own hashed temporary password.
+  // Resolves with "username: password" lines for the admin
+  function assignTemporaryPasswords(imported) {
+    return imported.reduce((chain, tenant) => chain.then(lines => {
+      const temporaryPassword = RentariumCredentials.generateTemporaryPassword();
+      return RentariumCredentials.hashPassword(temporaryPassword).then(passwordHash => {
+        tenant.passwordHash = passwordHash;
+        tenant.mustChangePassword = true;
+        return [...lines, `${tenant.username}: ${temporaryPassword}`];
+      });
+    }), Promise.resolve([]));
+  }
+
   function resetTenants() {
-    if (confirm('Reset tenants to default sample data? This will delete all current data.')) {
+    if (!RentariumPermissions.check('tenants.delete')) return;
+    if (confirm('Reset tenants to default sample data? This will delete all current data.\n\nA snapshot is kept under Backup & Restore.')) {
+      RentariumBackup.snapshot('Before tenant reset');
       tenants = JSON.parse(JSON.stringify(sampleTenants));
       units = JSON.parse(JSON.stringify(sampleUnits));
-      writeJSON('tenants', tenants);
-      writeJSON('units', units);
+      RentariumStore.saveAll('tenants', tenants);
+      RentariumStore.saveAll('units', units);
       renderStats();
       populateUnitFilter();
       populateUnitDropdown();
       filterTenants();
-      appendActivity('Tenant data reset to default', {});
+      RentariumStore.logActivity('Tenant data reset to default', {});
     }
   }
 
@@ -1075,8 +1121,8 @@
     };
 
     ensureInitialData();
-    tenants = readJSON('tenants', []);
-    units = readJSON('units', {});
+    tenants = RentariumStore.getAll('tenants');
+    units = RentariumStore.getAll('units');
     
     renderStats();
     populateUnitFilter();
@@ -1094,22 +1140,8 @@
     });
   }
 
-  // Initialize on DOM ready
-  document.addEventListener('DOMContentLoaded', init);
-
-  // Listen for storage changes
-  window.addEventListener('storage', (e) => {
-    if (e.key === 'tenants' || e.key === 'units' || e.key === 'rental_contracts') {
-      tenants = readJSON('tenants', []);
-      units = readJSON('units', {});
-      syncContractTerminations();
-      renderStats();
-      populateUnitFilter();
-      populateUnitDropdown();
-      filterTenants();
-      console.log('📡 Data synced from storage event');
-    }
-  });
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
 
   // Clean up on page unload
   window.addEventListener('beforeunload', () => {
@@ -0,0 +1,203 @@
+/* two-factor.js - Two-Factor Authentication page: enrol an authenticator app for your own staff account
+   (uses js/rentarium-totp.js and js/rentarium-qr.js) */
+
+(function () {
+  'use strict';
+
+  /* ---------------------------
+     State
+  --------------------------- */
+  let refs = {};
+  let session = null;
+  let pendingSecret = null;
+  let shownCodes = [];
+
+  /* ---------------------------
+     Helpers
+  --------------------------- */
+  function formatDateTime(d) {
+    if (!d) return '';
+    try {
+      return new Date(d).toLocaleString();
+    } catch {
+      return d;
+    }
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, m => ({
+      '&':'&amp;',
+      '<':'&lt;',
+      '>':'&gt;',
+      '"':'&quot;',
+      "'":'&#39;'
+    }[m]));
+  }
+
+  function currentUser() {
+    return RentariumStore.getById('users', session.userId);
+  }
+
+  /* ---------------------------
+     Rendering
+  --------------------------- */
+  function renderStatus() {
+    const user = currentUser();
+    const enabled = RentariumTotp.isEnabled(user);
+
+    if (enabled) {
+      const left = RentariumTotp.recoveryCodesLeft(user);
+      refs.statusText.innerHTML = `<span class="status-on">✅ On</span> since ${escapeHtml(formatDateTime(user.totp.enabledAt))}.
+        ${left} recovery code${left === 1 ? '' : 's'} left.`;
+    } else {
+      refs.statusText.innerHTML = '<span class="status-off">Off</span>. Only your password is needed to sign in.';
+    }
+
+    refs.setupBtn.style.display = enabled || pendingSecret ? 'none' : '';
+    refs.regenerateBtn.style.display = enabled ? '' : 'none';
+    refs.disableBtn.style.display = enabled ? '' : 'none';
+  }
+
+  function showRecoveryCodes(codes) {
+    shownCodes = codes;
+    refs.recoveryList.innerHTML = codes.map(c => `<li>${escapeHtml(c)}</li>`).join('');
+    refs.recoveryCard.style.display = 'block';
+    refs.recoveryCard.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  /* ---------------------------
+     Set up
+  --------------------------- */
+  function startSetup() {
+    pendingSecret = RentariumTotp.generateSecret();
+    const uri = RentariumTotp.provisioningUri(session.username, pendingSecret);
+
+    refs.qrCode.innerHTML = RentariumQr.toSvg(uri, { scale: 5 });
+    refs.secretKey.textContent = RentariumTotp.formatSecret(pendingSecret);
+    refs.setupCode.value = '';
+    refs.setupCard.style.display = 'block';
+    refs.setupCode.focus();
+    renderStatus();
+  }
+
+  function cancelSetup() {
+    pendingSecret = null;
+    refs.setupCard.style.display = 'none';
+    refs.qrCode.innerHTML = '';
+    refs.secretKey.textContent = '';
+    renderStatus();
+  }
+
+  function confirmSetup(e) {
+    e.preventDefault();
+
+    refs.confirmBtn.disabled = true;
+    RentariumTotp.enable(session.userId, pendingSecret, refs.setupCode.value)
+      .then(codes => {
+        cancelSetup();
+        showRecoveryCodes(codes);
+        console.log('🛡️ Two-factor authentication enabled');
+      })
+      .catch(err => alert(err.message))
+      .finally(() => { refs.confirmBtn.disabled = false; });
+  }
+
+  /* ---------------------------
+     Recovery codes
+  --------------------------- */
+  function regenerateCodes() {
+    const code = prompt('Enter the current code from your authenticator app to create new recovery codes.\nYour old recovery codes will stop working.');
+    if (code === null) return;
+
+    RentariumTotp.regenerateRecoveryCodes(session.userId, code)
+      .then(codes => {
+        renderStatus();
+        showRecoveryCodes(codes);
+      })
+      .catch(err => alert(err.message));
+  }
+
+  function codesText() {
+    return [`Rentarium recovery codes for ${session.username}`, `Created ${new Date().toLocaleString()}`, '', ...shownCodes].join('\n');
+  }
+
+  function downloadCodes() {
+    const blob = new Blob([codesText()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `rentarium-recovery-codes-${session.username}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function copyCodes() {
+    navigator.clipboard.writeText(codesText())
+      .then(() => alert('Recovery codes copied'))
+      .catch(() => alert('Could not copy. Select the codes and copy them by hand.'));
+  }
+
+  function hideCodes() {
+    shownCodes = [];
+    refs.recoveryList.innerHTML = '';
+    refs.recoveryCard.style.display = 'none';
+  }
+
+  /* ---------------------------
+     Turn off
+  --------------------------- */
+  function disableTwoFactor() {
+    const code = prompt('Enter a code from your authenticator app (or a recovery code) to turn two-factor authentication off.');
+    if (code === null) return;
+
+    RentariumTotp.turnOff(session.userId, code)
+      .then(() => {
+        hideCodes();
+        renderStatus();
+        alert('Two-factor authentication is off.');
+      })
+      .catch(err => alert(err.message));
+  }
+
+  /* ---------------------------
+     Initialization
+  --------------------------- */
+  function init() {
+    session = RentariumSession.current();
+    if (!session || !currentUser()) return;
+
+    refs = {
+      statusText: document.getElementById('statusText'),
+      setupBtn: document.getElementById('setupBtn'),
+      regenerateBtn: document.getElementById('regenerateBtn'),
+      disableBtn: document.getElementById('disableBtn'),
+      setupCard: document.getElementById('setupCard'),
+      qrCode: document.getElementById('qrCode'),
+      secretKey: document.getElementById('secretKey'),
+      confirmForm: document.getElementById('confirmForm'),
+      setupCode: document.getElementById('setupCode'),
+      confirmBtn: document.getElementById('confirmBtn'),
+      recoveryCard: document.getElementById('recoveryCard'),
+      recoveryList: document.getElementById('recoveryList')
+    };
+
+    refs.setupBtn.addEventListener('click', startSetup);
+    document.getElementById('cancelSetupBtn').addEventListener('click', cancelSetup);
+    refs.confirmForm.addEventListener('submit', confirmSetup);
+    refs.regenerateBtn.addEventListener('click', regenerateCodes);
+    refs.disableBtn.addEventListener('click', disableTwoFactor);
+    document.getElementById('downloadCodesBtn').addEventListener('click', downloadCodes);
+    document.getElementById('copyCodesBtn').addEventListener('click', copyCodes);
+    document.getElementById('doneCodesBtn').addEventListener('click', hideCodes);
+
+    // An admin may reset two-factor from Staff Accounts in another tab
+    RentariumStore.on('user.*', renderStatus);
+
+    renderStatus();
+    console.log('✅ Two-Factor initialized');
+  }
+
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
+
+})();
@@ -3,28 +3,6 @@
 (function() {
   'use strict';
 
-  /* ---------------------------
-     Storage helpers
-  --------------------------- */
-  function readJSON(key, fallback) {
-    try { 
-      return JSON.parse(localStorage.getItem(key)) ?? fallback; 
-    }
-    catch (e) { 
-      console.warn('readJSON error', key, e); 
-      return fallback; 
-    }
-  }
-  
-  function writeJSON(key, value) {
-    try { 
-      localStorage.setItem(key, JSON.stringify(value)); 
-    }
-    catch (e) { 
-      console.error('writeJSON error', key, e); 
-    }
-  }
-
   /* ---------------------------
      Default sample data - ALIGNED WITH TENANTS
   --------------------------- */
@@ -98,7 +76,8 @@
   let currentView = 'table';
   let editingId = null;
   let refs = {};
-  let syncCheckInterval = null;
+  let unsubscribeSync = null;
+  let waitlistUnitId = null;   // unit whose waitlist is open
 
   /* ---------------------------
      Utilities
@@ -158,95 +137,114 @@
     return types[type] || type;
   }
 
-  /* ---------------------------
-     Initialize storage
-  --------------------------- */
-  function ensureInitialData() {
-    if (!localStorage.getItem('units')) {
-      writeJSON('units', sampleUnits);
-    }
-    if (!localStorage.getItem('tenants')) {
-      writeJSON('tenants', sampleTenants);
-    }
-    if (!localStorage.getItem('activityLog')) {
-      writeJSON('activityLog', []);
+  // Who a Reserved unit without a tenant is held for, and until when
+  function holdNote(unit) {
+    if (unit.status !== 'Reserved' || unit.tenantId) return '';
+    const hold = unit.reservedFor;
+    if (hold && hold.applicationId) {
+      return `<small class="hold-note">Held for ${escapeHtml(hold.name)} - application ${escapeHtml(hold.applicationId)}</small>`;
     }
+    if (!unit.reservedUntil) return '';
+    return `<small class="hold-note">Held${hold ? ` for ${escapeHtml(hold.name)}` : ''} until ${formatDate(unit.reservedUntil + 'T00:00:00')}</small>`;
+  }
+
+  function waitlistButton(unitId, waitlist) {
+    const waiting = RentariumWaitlist.count(unitId, waitlist);
+    return `<button class="action-btn waitlist" data-id="${unitId}">Waitlist${waiting ? ` (${waiting})` : ''}</button>`;
   }
 
   /* ---------------------------
-     Activity Log
+     Initialize storage
   --------------------------- */
-  function appendActivity(message, data) {
-    const log = readJSON('activityLog', []);
-    log.push({
-      id: 'ACT' + Date.now(),
-      message, 
-      data, 
-      timestamp: new Date().toISOString()
-    });
-    writeJSON('activityLog', log);
+  function ensureInitialData() {
+    RentariumStore.ensure('units', sampleUnits);
+    RentariumStore.ensure('tenants', sampleTenants);
+    RentariumStore.ensure('activityLog');
   }
 
   /* ---------------------------
      🔥 AUTOMATIC TENANT TERMINATION SYNC - CORE FUNCTION
   --------------------------- */
   function syncTerminatedTenants() {
-    let hasChanges = false;
-    let vacatedUnits = [];
-
-    for (const [unitId, unit] of Object.entries(units)) {
-      if (!unit.tenantId || unit.status === 'Vacant') continue;
-
-      const tenant = tenants.find(t => 
-        t.tenantId === unit.tenantId || 
-        t.unitAssigned === unitId
-      );
+    // Units, waitlist holds and the activity log are saved together
+    return RentariumStore.transaction(['units', 'tenants', 'waitlist', 'activityLog'], (store) => {
+      const allUnits = store.getAll('units');
+      const allTenants = store.getAll('tenants');
+      const vacatedUnits = [];
+
+      for (const [unitId, unit] of Object.entries(allUnits)) {
+        if (!unit.tenantId || unit.status === 'Vacant') continue;
+
+        const tenant = allTenants.find(t => 
+          t.tenantId === unit.tenantId || 
+          t.unitAssigned === unitId
+        );
 
-      if (tenant && tenant.status === 'terminated') {
-        console.log(`🏠 Auto-vacating unit ${unitId} - Tenant ${tenant.name} terminated`);
-        
-        const previousStatus = unit.status;
-        const previousTenant = unit.tenantName;
-        
-        unit.status = 'Vacant';
-        unit.tenantId = null;
-        unit.tenantName = '';
-        unit.moveInDate = '';
-        
-        hasChanges = true;
-        vacatedUnits.push({
-          unitId,
-          previousTenant,
-          tenantId: tenant.tenantId,
-          terminatedBy: tenant.terminatedBy,
-          terminationDate: tenant.terminationDate
-        });
-
-        appendActivity(
-          `Unit ${unitId} auto-vacated - Tenant ${tenant.name} contract terminated`,
-          {
+        if (tenant && tenant.status === 'terminated') {
+          console.log(`🏠 Auto-vacating unit ${unitId} - Tenant ${tenant.name} terminated`);
+          
+          const previousStatus = unit.status;
+          const previousTenant = unit.tenantName;
+          
+          unit.status = 'Vacant';
+          unit.tenantId = null;
+          unit.tenantName = '';
+          unit.moveInDate = '';
+          
+          vacatedUnits.push({
             unitId,
+            previousTenant,
             tenantId: tenant.tenantId,
-            previousStatus,
             terminatedBy: tenant.terminatedBy,
-            terminationDate: tenant.terminationDate,
-            reason: tenant.terminationReason
-          }
-        );
+            terminationDate: tenant.terminationDate
+          });
+
+          store.logActivity(
+            `Unit ${unitId} auto-vacated - Tenant ${tenant.name} contract terminated`,
+            {
+              unitId,
+              tenantId: tenant.tenantId,
+              previousStatus,
+              terminatedBy: tenant.terminatedBy,
+              terminationDate: tenant.terminationDate,
+              reason: tenant.terminationReason
+            }
+          );
+        }
       }
-    }
 
-    if (hasChanges) {
-      writeJSON('units', units);
-      console.log(`✅ Auto-vacated ${vacatedUnits.length} unit(s)`);
-      
-      renderStats();
-      filterUnits();
-      
-      showVacationNotification(vacatedUnits);
-    }
-    
-    return vacatedUnits.length;
+      // Follows a termination already made elsewhere, so any staff role may save it
+      if (vacatedUnits.length > 0) {
+        store.asSystem(() => store.saveAll('units', allUnits));
+      }
+
+      // Freed units are held for the first person on their waitlist
+      vacatedUnits.forEach(v => {
+        v.offer = RentariumWaitlist.offer(store, v.unitId);
+      });
+
+      return vacatedUnits;
+    })
+      .then(vacatedUnits => {
+        units = RentariumStore.getAll('units');
+        tenants = RentariumStore.getAll('tenants');
+
+        if (vacatedUnits.length > 0) {
+          console.log(`✅ Auto-vacated ${vacatedUnits.length} unit(s)`);
+          RentariumWaitlist.notifyOffers(vacatedUnits.map(v => v.offer).filter(Boolean));
+          
+          renderStats();
+          filterUnits();
+          
+          showVacationNotification(vacatedUnits);
+        }
+        
+        return vacatedUnits.length;
+      })
+      .catch(err => {
+        console.error('Unit termination sync failed:', err);
+        return 0;
+      });
   }
 
   /* ---------------------------
@@ -294,6 +292,7 @@
       `<div style="font-size: 13px; margin-top: 8px; padding: 8px; background: rgba(255,255,255,0.15); border-radius: 4px;">
         <strong>Unit ${u.unitId}</strong> - ${u.previousTenant}<br>
         <span style="font-size: 11px; opacity: 0.9;">Terminated by: ${u.terminatedBy}</span>
+        ${u.offer ? `<br><span style="font-size: 11px; opacity: 0.9;">📋 Held for ${escapeHtml(u.offer.entry.name)} from the waitlist</span>` : ''}
       </div>`
     ).join('');
     
@@ -323,25 +322,36 @@
   }
 
   /* ---------------------------
-     Start automatic sync checking
+     Start automatic sync - runs when another tab changes data
   --------------------------- */
   function startAutoSync() {
     syncTerminatedTenants();
-    
-    syncCheckInterval = setInterval(() => {
-      syncTerminatedTenants();
-    }, 3000);
-    
-    console.log('✅ Unit auto-sync started - checking every 3 seconds');
+
+    unsubscribeSync = RentariumStore.on(['unit.*', 'tenant.*', 'waitlist.*'], (e) => {
+      units = RentariumStore.getAll('units');
+      tenants = RentariumStore.getAll('tenants');
+
+      if (e.type.startsWith('tenant.')) {
+        syncTerminatedTenants();
+        syncUnitsWithTenants();
+      }
+
+      renderStats();
+      filterUnits();
+      if (waitlistUnitId) renderWaitlistModal();
+      console.log(`📡 Synced after ${e.type}`);
+    });
+
+    console.log('✅ Unit auto-sync started - listening for unit, tenant and waitlist changes');
   }
 
   /* ---------------------------
-     Stop automatic sync checking
+     Stop automatic sync
   --------------------------- */
   function stopAutoSync() {
-    if (syncCheckInterval) {
-      clearInterval(syncCheckInterval);
-      syncCheckInterval = null;
+    if (unsubscribeSync) {
+      unsubscribeSync();
+      unsubscribeSync = null;
       console.log('🛑 Unit auto-sync stopped');
     }
   }
@@ -362,6 +372,8 @@
   }
 
   function syncUnitsWithTenants() {
+    const before = JSON.stringify(units);
+
     for (const [unitId, unit] of Object.entries(units)) {
       const tenant = getTenantForUnit(unitId);
       
@@ -378,7 +390,11 @@
       }
     }
     
-    writeJSON('units', units);
+    // Only write when something actually changed. Keeping units in step
+    // with tenants is upkeep, not an edit, so any staff role may save it
+    if (JSON.stringify(units) !== before) {
+      RentariumStore.asSystem(() => RentariumStore.saveAll('units', units));
+    }
   }
 
   /* ---------------------------
@@ -421,6 +437,7 @@
       return;
     }
 
+    const waitlist = RentariumStore.getAll('waitlist');
     refs.unitsTbody.innerHTML = data.map(([unitId, unit]) => {
       const tenant = tenants.find(t => t.tenantId === unit.tenantId);
       const isTerminated = tenant && tenant.status === 'terminated';
@@ -435,13 +452,14 @@
           ${isTerminated ? '<br><small style="color: #dc2626; font-weight: 600;">⚠️ Tenant Terminated</small>' : ''}
         </td>
         <td style="font-weight:600">₱${(unit.price || 0).toLocaleString()}</td>
-        <td><span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span></td>
+        <td><span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span>${holdNote(unit)}</td>
         <td>${formatDate(unit.moveInDate)}</td>
         <td>
           <div class="action-btns">
             <button class="action-btn view" data-id="${unitId}">View</button>
-            <button class="action-btn edit" data-id="${unitId}">Edit</button>
-            <button class="action-btn delete" data-id="${unitId}">Delete</button>
+            ${waitlistButton(unitId, waitlist)}
+            <button class="action-btn edit" data-id="${unitId}" data-permission="units.manage">Edit</button>
+            <button class="action-btn delete" data-id="${unitId}" data-permission="units.manage">Delete</button>
           </div>
         </td>
       </tr>
@@ -456,6 +474,7 @@
       return;
     }
 
+    const waitlist = RentariumStore.getAll('waitlist');
     refs.gridItems.innerHTML = data.map(([unitId, unit]) => {
       const tenant = tenants.find(t => t.tenantId === unit.tenantId);
       const isTerminated = tenant && tenant.status === 'terminated';
@@ -470,6 +489,7 @@
           </div>
           <span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span>
         </div>
+        ${holdNote(unit)}
         ${isTerminated ? `
         <div style="background: #fef3c7; border: 2px solid #f59e0b; padding: 8px; border-radius: 6px; margin: 12px 0; text-align: center;">
           <span style="color: #dc2626; font-weight: 600; font-size: 13px;">⚠️ Tenant Terminated - Will Auto-Vacate</span>
@@ -491,8 +511,9 @@
         </div>
         <div class="action-btns">
           <button class="action-btn view" data-id="${unitId}">View</button>
-          <button class="action-btn edit" data-id="${unitId}">Edit</button>
-          <button class="action-btn delete" data-id="${unitId}">Delete</button>
+          ${waitlistButton(unitId, waitlist)}
+          <button class="action-btn edit" data-id="${unitId}" data-permission="units.manage">Edit</button>
+          <button class="action-btn delete" data-id="${unitId}" data-permission="units.manage">Delete</button>
         </div>
       </div>
     `}).join('');
@@ -587,7 +608,7 @@
           </div>
           <div class="detail-row" style="border:none">
             <span class="detail-label">Status</span>
-            <span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span>
+            <span><span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span>${holdNote(unit)}</span>
           </div>
         </div>
         <div>
@@ -632,6 +653,7 @@
   };
 
   window.editUnit = function(unitId) {
+    if (!RentariumPermissions.check('units.manage')) return;
     const unit = units[unitId];
     if (!unit) return alert('Unit not found');
 
@@ -649,9 +671,12 @@
     if (refs.rentAmount) refs.rentAmount.value = unit.price || 0;
     if (refs.status) refs.status.value = unit.status.toLowerCase();
     if (refs.moveInDate) refs.moveInDate.value = unit.moveInDate || '';
+    if (refs.reservedUntil) refs.reservedUntil.value = unit.reservedUntil || '';
+    toggleReservedUntil();
   };
 
   window.deleteUnit = function(unitId) {
+    if (!RentariumPermissions.check('units.manage')) return;
     if (!confirm('Are you sure you want to delete this unit? This cannot be undone.')) return;
     
     const unit = units[unitId];
@@ -660,27 +685,199 @@
       if (!confirm('This unit has an assigned tenant. Deleting it will unassign the tenant. Continue?')) {
         return;
       }
-      
-      const tenantIdx = tenants.findIndex(t => t.tenantId === unit.tenantId);
-      if (tenantIdx !== -1) {
-        tenants[tenantIdx].unitAssigned = '';
-        writeJSON('tenants', tenants);
+    }
+
+    // Unit removal and tenant unassignment are saved together
+    RentariumStore.transaction(['units', 'tenants', 'activityLog'], (store) => {
+      const allUnits = store.getAll('units');
+      const allTenants = store.getAll('tenants');
+      const current = allUnits[unitId];
+      if (!current) throw new Error(`Unit ${unitId} no longer exists`);
+
+      if (current.tenantId) {
+        const tenantIdx = allTenants.findIndex(t => t.tenantId === current.tenantId);
+        if (tenantIdx !== -1) {
+          allTenants[tenantIdx].unitAssigned = '';
+          store.saveAll('tenants', allTenants);
+        }
       }
+      
+      delete allUnits[unitId];
+      store.saveAll('units', allUnits);
+      
+      store.logActivity(`Unit ${unitId} deleted by Admin`, { unitId });
+    })
+      .then(() => {
+        units = RentariumStore.getAll('units');
+        tenants = RentariumStore.getAll('tenants');
+        renderStats();
+        filterUnits();
+      })
+      .catch(err => alert('Could not delete unit: ' + err.message));
+  };
+
+  /* ---------------------------
+     Waitlist
+  --------------------------- */
+  function renderWaitlistModal() {
+    const unit = units[waitlistUnitId];
+    if (!unit) return closeWaitlist();
+
+    const waitlist = RentariumStore.getAll('waitlist');
+    const entries = RentariumWaitlist.active(waitlistUnitId, waitlist);
+    const waiting = RentariumWaitlist.count(waitlistUnitId, waitlist);
+    const labels = { waiting: 'Waiting', offered: 'Unit held', applied: 'Applied' };
+
+    const rows = entries.map(entry => {
+      const position = entry.status === 'waiting' ? RentariumWaitlist.queue(waitlistUnitId, waitlist).indexOf(entry) + 1 : '★';
+      return `
+      <tr>
+        <td style="font-weight:600">${position}</td>
+        <td>
+          ${escapeHtml(entry.name)}
+          ${entry.note ? `<br><small style="color:#64748b">${escapeHtml(entry.note)}</small>` : ''}
+        </td>
+        <td>${escapeHtml(entry.email)}<br><small style="color:#64748b">${escapeHtml(entry.phone)}</small></td>
+        <td>${formatDate(entry.addedAt)}<br><small style="color:#64748b">by ${escapeHtml(entry.addedBy)}</small></td>
+        <td><span class="status-badge ${entry.status === 'waiting' ? 'maintenance' : 'reserved'}">${labels[entry.status]}</span></td>
+        <td>
+          <div class="action-btns" data-permission="waitlist.manage">
+            ${entry.status === 'waiting' ? `
+            <button class="action-btn view" data-action="up" data-entry="${entry.id}" title="Move up" ${position === 1 ? 'disabled' : ''}>↑</button>
+            <button class="action-btn view" data-action="down" data-entry="${entry.id}" title="Move down" ${position === waiting ? 'disabled' : ''}>↓</button>
+            ` : ''}
+            ${entry.status !== 'applied' ? `<button class="action-btn delete" data-action="remove" data-entry="${entry.id}">Remove</button>` : ''}
+          </div>
+        </td>
+      </tr>
+    `}).join('');
+
+    const modal = document.getElementById('waitlistModal') || document.createElement('div');
+    modal.id = 'waitlistModal';
+    modal.className = 'modal-overlay show';
+    modal.innerHTML = `
+      <div class="modal modal-large" role="dialog" aria-modal="true">
+        <div class="modal-header">
+          <h3>Waitlist - ${escapeHtml(waitlistUnitId)} <span class="status-badge ${unit.status.toLowerCase()}">${capitalize(unit.status)}</span></h3>
+          <button class="link" data-action="close">Close</button>
+        </div>
+        <div style="padding:20px">
+          ${holdNote(unit) ? `<p class="hold-banner">${holdNote(unit)}</p>` : ''}
+          ${unit.status === 'Vacant' && waiting > 0 ? `
+          <p class="hold-banner" data-permission="waitlist.manage">
+            This unit is vacant and ${waiting} ${waiting === 1 ? 'person is' : 'people are'} waiting.
+            <button class="btn btn-primary" data-action="offer">Hold for next in line</button>
+          </p>` : ''}
+          <table class="units-table">
+            <thead>
+              <tr><th>#</th><th>Name</th><th>Contact</th><th>Added</th><th>Status</th><th></th></tr>
+            </thead>
+            <tbody>
+              ${rows || '<tr><td colspan="6" style="text-align:center;padding:24px;color:#94a3b8">Nobody is waiting for this unit</td></tr>'}
+            </tbody>
+          </table>
+
+          <form id="waitlistForm" data-permission="waitlist.manage" style="margin-top:24px">
+            <h4 style="color:#1e293b;margin-bottom:12px;font-size:16px">Add to waitlist</h4>
+            <div class="form-row">
+              <div class="col">
+                <label for="waitlistName">Name</label>
+                <input id="waitlistName" type="text" required>
+              </div>
+              <div class="col">
+                <label for="waitlistEmail">Email</label>
+                <input id="waitlistEmail" type="email" required>
+              </div>
+            </div>
+            <div class="form-row">
+              <div class="col">
+                <label for="waitlistPhone">Phone</label>
+                <input id="waitlistPhone" type="tel" required>
+              </div>
+              <div class="col">
+                <label for="waitlistNote">Note (optional)</label>
+                <input id="waitlistNote" type="text" placeholder="Walk-in, prefers move-in after June...">
+              </div>
+            </div>
+            <div class="modal-footer">
+              <button type="submit" class="btn btn-primary">Add to Waitlist</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `;
+
+    if (!modal.parentNode) {
+      document.body.appendChild(modal);
+      modal.addEventListener('click', handleWaitlistClick);
+      modal.addEventListener('submit', handleWaitlistAdd);
     }
-    
-    delete units[unitId];
-    writeJSON('units', units);
-    
-    appendActivity(`Unit ${unitId} deleted by Admin`, { unitId });
-    
-    renderStats();
-    filterUnits();
+  }
+
+  window.openWaitlist = function(unitId) {
+    waitlistUnitId = unitId;
+    renderWaitlistModal();
   };
 
+  function closeWaitlist() {
+    waitlistUnitId = null;
+    const modal = document.getElementById('waitlistModal');
+    if (modal) modal.remove();
+  }
+
+  function waitlistDone(promise) {
+    return promise
+      .then(() => {
+        units = RentariumStore.getAll('units');
+        renderStats();
+        filterUnits();
+        if (waitlistUnitId) renderWaitlistModal();
+      })
+      .catch(err => alert('Could not update the waitlist: ' + err.message));
+  }
+
+  function handleWaitlistClick(e) {
+    if (e.target.id === 'waitlistModal') return closeWaitlist();
+
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const action = btn.dataset.action;
+    const id = btn.dataset.entry;
+
+    if (action === 'close') return closeWaitlist();
+    if (!RentariumPermissions.check('waitlist.manage')) return;
+
+    if (action === 'up' || action === 'down') {
+      waitlistDone(RentariumWaitlist.move(id, action === 'up' ? -1 : 1));
+    } else if (action === 'remove') {
+      if (!confirm('Remove this person from the waitlist? If the unit is held for them it goes to the next person.')) return;
+      waitlistDone(RentariumWaitlist.remove(id));
+    } else if (action === 'offer') {
+      waitlistDone(RentariumWaitlist.offerNext(waitlistUnitId).then(offer => {
+        if (offer) alert(`Unit ${offer.unitNumber} is held for ${offer.entry.name} until ${offer.holdUntil}. They have been emailed.`);
+      }));
+    }
+  }
+
+  function handleWaitlistAdd(e) {
+    e.preventDefault();
+    if (!RentariumPermissions.check('waitlist.manage')) return;
+
+    const value = id => document.getElementById(id).value;
+    waitlistDone(RentariumWaitlist.join({
+      unitNumber: waitlistUnitId,
+      name: value('waitlistName'),
+      email: value('waitlistEmail'),
+      phone: value('waitlistPhone'),
+      note: value('waitlistNote')
+    }).then(entry => console.log(`📋 ${entry.name} added to the waitlist for ${entry.unitNumber} at number ${entry.position}`)));
+  }
+
   /* ---------------------------
      Modal Handling
   --------------------------- */
   function openAddModal() {
+    if (!RentariumPermissions.check('units.manage')) return;
     editingId = null;
     refs.unitModal?.classList.add('show');
     refs.unitForm?.reset();
@@ -688,6 +885,13 @@
     if (refs.modalTitle) refs.modalTitle.textContent = 'Add Unit';
     if (refs.unitId) refs.unitId.value = '';
     if (refs.unitNumber) refs.unitNumber.disabled = false;
+    toggleReservedUntil();
+  }
+
+  // "Reserved until" only applies to Reserved units
+  function toggleReservedUntil() {
+    if (!refs.reservedUntilRow) return;
+    refs.reservedUntilRow.style.display = refs.status?.value === 'reserved' ? 'flex' : 'none';
   }
 
   function closeModal() {
@@ -701,6 +905,7 @@
   --------------------------- */
   function handleFormSubmit(e) {
     e.preventDefault();
+    if (!RentariumPermissions.check('units.manage')) return;
 
     const unitNumber = (refs.unitNumber?.value || '').trim().toUpperCase();
     const type = (refs.unitType?.value || 'studio').toLowerCase();
@@ -708,6 +913,7 @@
     const rentAmount = parseInt(refs.rentAmount?.value || 0, 10);
     const status = (refs.status?.value || 'available').toLowerCase();
     const moveInDate = (refs.moveInDate?.value || '').trim();
+    const reservedUntil = status === 'reserved' ? (refs.reservedUntil?.value || '') : '';
 
     if (!unitNumber) return alert('Unit number is required');
     if (rentAmount < 0) return alert('Rent amount must be positive');
@@ -727,49 +933,69 @@
                            status === 'maintenance' ? 'Maintenance' :
                            status === 'reserved' ? 'Reserved' : 'Vacant';
 
-    if (editingId) {
-      const oldUnit = units[editingId];
-      
-      units[editingId] = {
-        ...oldUnit,
-        type: formattedType,
-        price: rentAmount,
-        status: formattedStatus,
-        tenantName: tenantName,
-        moveInDate: moveInDate
-      };
-      
-      if (editingId !== unitNumber && !units[unitNumber]) {
-        units[unitNumber] = units[editingId];
-        delete units[editingId];
+    // Unit changes, renames, the tenant they move and waitlist holds are saved together
+    RentariumStore.transaction(['units', 'tenants', 'waitlist', 'activityLog'], (store) => {
+      const allUnits = store.getAll('units');
+      const allTenants = store.getAll('tenants');
+
+      if (editingId) {
+        const oldUnit = allUnits[editingId];
+        if (!oldUnit) throw new Error(`Unit ${editingId} no longer exists`);
         
-        const affectedTenant = tenants.find(t => t.unitAssigned === editingId);
-        if (affectedTenant) {
-          affectedTenant.unitAssigned = unitNumber;
-          writeJSON('tenants', tenants);
+        allUnits[editingId] = {
+          ...oldUnit,
+          type: formattedType,
+          price: rentAmount,
+          status: formattedStatus,
+          tenantName: tenantName,
+          moveInDate: moveInDate,
+          reservedUntil: reservedUntil || null
+        };
+
+        // A waitlist hold ends when the unit stops being Reserved
+        if (formattedStatus !== 'Reserved' && oldUnit.reservedFor) {
+          RentariumWaitlist.cancelHold(store, allUnits[editingId]);
+        }
+        
+        if (editingId !== unitNumber && !allUnits[unitNumber]) {
+          allUnits[unitNumber] = allUnits[editingId];
+          delete allUnits[editingId];
+          
+          const affectedTenant = allTenants.find(t => t.unitAssigned === editingId);
+          if (affectedTenant) {
+            affectedTenant.unitAssigned = unitNumber;
+            store.saveAll('tenants', allTenants);
+          }
         }
+        
+        store.saveAll('units', allUnits);
+        store.logActivity(`Unit ${editingId} updated by Admin`, { unitId: editingId });
+        
+      } else {
+        if (allUnits[unitNumber]) throw new Error('Unit number already exists');
+
+        allUnits[unitNumber] = {
+          type: formattedType,
+          price: rentAmount,
+          status: formattedStatus,
+          tenantId: null,
+          tenantName: tenantName,
+          moveInDate: moveInDate,
+          reservedUntil: reservedUntil || null
+        };
+        
+        store.saveAll('units', allUnits);
+        store.logActivity(`New unit ${unitNumber} created by Admin`, { unitId: unitNumber });
       }
-      
-      writeJSON('units', units);
-      appendActivity(`Unit ${editingId} updated by Admin`, { unitId: editingId });
-      
-    } else {
-      units[unitNumber] = {
-        type: formattedType,
-        price: rentAmount,
-        status: formattedStatus,
-        tenantId: null,
-        tenantName: tenantName,
-        moveInDate: moveInDate
-      };
-      
-      writeJSON('units', units);
-      appendActivity(`New unit ${unitNumber} created by Admin`, { unitId: unitNumber });
-    }
-
-    closeModal();
-    renderStats();
-    filterUnits();
+    })
+      .then(() => {
+        units = RentariumStore.getAll('units');
+        tenants = RentariumStore.getAll('tenants');
+        closeModal();
+        renderStats();
+        filterUnits();
+      })
+      .catch(err => alert('Could not save unit: ' + err.message));
   }
 
 
@@ -848,6 +1074,10 @@
   function importFromXML(e) {
     const file = e.target.files[0];
     if (!file) return;
+    if (!RentariumPermissions.check('units.manage')) {
+      e.target.value = '';
+      return;
+    }
 
     const reader = new FileReader();
     reader.onload = (event) => {
@@ -871,10 +1101,10 @@
 
         if (Object.keys(imported).length > 0) {
           units = imported;
-          writeJSON('units', units);
+          RentariumStore.saveAll('units', units);
           renderStats();
           filterUnits();
-          appendActivity(`Imported ${Object.keys(imported).length} units via XML`, {});
+          RentariumStore.logActivity(`Imported ${Object.keys(imported).length} units via XML`, {});
           alert(`Successfully imported ${Object.keys(imported).length} units!`);
         }
       } catch (err) {
@@ -887,16 +1117,19 @@
   }
 
   function resetToSample() {
-    if (!confirm('Reset to sample data? This will restore default units and tenants.')) return;
+    // Resets tenants as well as units
+    if (!RentariumPermissions.check('units.manage') || !RentariumPermissions.check('tenants.delete')) return;
+    if (!confirm('Reset to sample data? This will restore default units and tenants.\n\nA snapshot is kept under Backup & Restore.')) return;
     
+    RentariumBackup.snapshot('Before unit reset');
     units = JSON.parse(JSON.stringify(sampleUnits));
     tenants = JSON.parse(JSON.stringify(sampleTenants));
-    writeJSON('units', units);
-    writeJSON('tenants', tenants);
+    RentariumStore.saveAll('units', units);
+    RentariumStore.saveAll('tenants', tenants);
     
     renderStats();
     filterUnits();
-    appendActivity('Unit data reset to default', {});
+    RentariumStore.logActivity('Unit data reset to default', {});
   }
 
   function downloadFile(content, filename, type) {
@@ -921,6 +1154,8 @@
     if (closeModalBtn) closeModalBtn.addEventListener('click', closeModal);
     if (cancelBtn) cancelBtn.addEventListener('click', closeModal);
     
+    if (refs.status) refs.status.addEventListener('change', toggleReservedUntil);
+
     if (refs.unitForm) {
       refs.unitForm.addEventListener('submit', handleFormSubmit);
     }
@@ -964,6 +1199,10 @@
         const id = e.target.getAttribute('data-id');
         if (id) window.deleteUnit(id);
       }
+      if (e.target.matches('.action-btn.waitlist')) {
+        const id = e.target.getAttribute('data-id');
+        if (id) window.openWaitlist(id);
+      }
     });
   }
 
@@ -987,12 +1226,14 @@
       tenantName: document.getElementById('tenantName'),
       rentAmount: document.getElementById('rentAmount'),
       status: document.getElementById('status'),
-      moveInDate: document.getElementById('moveInDate')
+      moveInDate: document.getElementById('moveInDate'),
+      reservedUntil: document.getElementById('reservedUntil'),
+      reservedUntilRow: document.getElementById('reservedUntilRow')
     };
 
     ensureInitialData();
-    units = readJSON('units', {});
-    tenants = readJSON('tenants', []);
+    units = RentariumStore.getAll('units');
+    tenants = RentariumStore.getAll('tenants');
     
     syncUnitsWithTenants();
     
@@ -1000,6 +1241,12 @@
     filterUnits();
     
     bindEvents();
+    startAutoSync();
+
+    // Lapsed holds go back to Vacant, or to the next person on the waitlist
+    RentariumWaitlist.expireHolds()
+      .then(offers => offers.forEach(o => console.log(`📋 Unit ${o.unitNumber} held for ${o.entry.name} until ${o.holdUntil}`)))
+      .catch(err => console.error('Could not expire unit holds:', err));
     
     console.log('Units Management initialized:', {
       unitsCount: Object.keys(units).length,
@@ -1007,19 +1254,12 @@
     });
   }
 
-  // Initialize on DOM ready
-  document.addEventListener('DOMContentLoaded', init);
+  // Initialize once the DOM and the store are ready
+  RentariumStore.whenReady(init);
 
-  // Listen for storage changes from other tabs/pages
-  window.addEventListener('storage', (e) => {
-    if (e.key === 'units' || e.key === 'tenants') {
-      units = readJSON('units', {});
-      tenants = readJSON('tenants', []);
-      syncUnitsWithTenants();
-      renderStats();
-      filterUnits();
-      console.log('Data synced from storage event');
-    }
+  // Clean up on page unload
+  window.addEventListener('beforeunload', () => {
+    stopAutoSync();
   });
 
 })();
\ No newline at end of file
@@ -1,14 +1,12 @@
 // USER ANNOUNCEMENTS DISPLAY
-// This script loads announcements from localStorage (created by Admin)
+// This script loads announcements from RentariumStore (created by Admin)
 // and displays only PUBLISHED announcements to users
 
-document.addEventListener('DOMContentLoaded', function() {
+RentariumStore.whenReady(function() {
     // Get logged-in user info
-    const session = localStorage.getItem('rentarium_session');
-    let currentUser = null;
-    
-    if (session) {
-        currentUser = JSON.parse(session);
+    const currentUser = RentariumStore.getSession();
+
+    if (currentUser) {
         updateUserProfile(currentUser);
     }
 
@@ -16,11 +14,7 @@ document.addEventListener('DOMContentLoaded', function() {
     loadAnnouncements();
     
     // Listen for real-time updates from Admin
-    window.addEventListener('storage', (e) => {
-        if (e.key === 'rentarium_announcements') {
-            loadAnnouncements();
-        }
-    });
+    RentariumStore.on('announcement.*', loadAnnouncements);
 });
 
 function updateUserProfile(user) {
@@ -47,9 +41,8 @@ function getInitials(name) {
 }
 
 function loadAnnouncements() {
-    // Get announcements from localStorage (created by Admin)
-    const stored = localStorage.getItem('rentarium_announcements');
-    let allAnnouncements = stored ? JSON.parse(stored) : [];
+    // Get announcements from the store (created by Admin)
+    let allAnnouncements = RentariumStore.getAll('announcements');
     
     // Filter: Only show PUBLISHED announcements
     let announcements = allAnnouncements.filter(a => a.status === 'published');
@@ -240,7 +233,7 @@ document.addEventListener('click', function(e) {
 //User Announcements
 
     function loadUserAnnouncements() {
-        const announcements = JSON.parse(localStorage.getItem('announcements')) || [];
+        const announcements = RentariumStore.getAll('announcements');
         const container = document.getElementById('userAnnouncements');
 
         if (announcements.length === 0) {
@@ -264,5 +257,5 @@ document.addEventListener('click', function(e) {
         `).join('');
     }
 
-    document.addEventListener('DOMContentLoaded', loadUserAnnouncements);
+    RentariumStore.whenReady(loadUserAnnouncements);
 
@@ -1,24 +1,34 @@
 // Initialize localStorage with demo data on first load
+// Demo passwords are hashed before they are saved (js/rentarium-credentials.js)
 function initializeData() {
-    if (!localStorage.getItem('rentarium_initialized')) {
-        const users = [
-            { id: 1, username: 'admin', password: 'admin123', fullName: 'System Administrator', email: 'admin@rentarium.com', role: 'admin' },
-            { id: 2, username: 'user', password: 'user123', fullName: 'System User', email: 'user@rentarium.com', role: 'tenant' }
-        ];
-
-        const rooms = [
-            { id: 1, roomNumber: '101', roomType: 'Studio Type', sizeSqm: 20, monthlyRent: 5000, amenities: 'WiFi, Water Included', status: 'available' }
-        ];
-
-        const announcements = [
-            { id: 1, title: 'Welcome to Rentarium', message: 'Thank you for choosing Rentarium as your rental home. Please read the house rules carefully.', priority: 'high', createdAt: '2024-12-01T10:00:00', status: 'active' }
-        ];
-
-        localStorage.setItem('rentarium_users', JSON.stringify(users));
-        localStorage.setItem('rentarium_rooms', JSON.stringify(rooms));
-        localStorage.setItem('rentarium_announcements', JSON.stringify(announcements));
+    // The API server creates its own first admin account
+    if (RentariumStore.isRemote()) return Promise.resolve();
+    if (localStorage.getItem('rentarium_initialized')) return Promise.resolve();
+
+    const demoUsers = [
+        { id: 1, username: 'admin', password: 'admin123', fullName: 'System Administrator', email: 'admin@rentarium.com', role: 'admin', status: 'active' },
+        { id: 2, username: 'user', password: 'user123', fullName: 'System User', email: 'user@rentarium.com', role: 'tenant', status: 'active' }
+    ];
+
+    const rooms = [
+        { id: 1, roomNumber: '101', roomType: 'Studio Type', sizeSqm: 20, monthlyRent: 5000, amenities: 'WiFi, Water Included', status: 'available' }
+    ];
+
+    const announcements = [
+        { id: 1, title: 'Welcome to Rentarium', message: 'Thank you for choosing Rentarium as your rental home. Please read the house rules carefully.', priority: 'high', createdAt: '2024-12-01T10:00:00', status: 'active' }
+    ];
+
+    return Promise.all(demoUsers.map(({ password, ...user }) =>
+        RentariumCredentials.hashPassword(password).then(passwordHash => ({ ...user, passwordHash }))
+    )).then(users => {
+        // Seeding is upkeep, whoever happens to be signed in
+        RentariumStore.asSystem(() => {
+            RentariumStore.saveAll('users', users);
+            RentariumStore.saveAll('rooms', rooms);
+            RentariumStore.saveAll('announcements', announcements);
+        });
         localStorage.setItem('rentarium_initialized', 'true');
-    }
+    }).catch(err => console.error('Could not create demo accounts', err));
 }
 
 // Form validation
@@ -61,56 +71,34 @@ function validateForm() {
     return isValid;
 }
 
-// Login function - checks both admin users and tenants with status
+// Staff account waiting for its two-factor code (from RentariumAuth.login())
+let pendingTwoFactor = null;
+
+// Resolves with { success, user } or { success: false, error }; starts the
+// session when the login succeeded (js/rentarium-auth.js checks the account)
 function login(username, password) {
-    const users = JSON.parse(localStorage.getItem('rentarium_users')) || [];
-    let user = users.find(u => u.username === username && u.password === password);
-
-    if (user) {
-        const session = {
-            userId: user.id,
-            username: user.username,
-            fullName: user.fullName,
-            email: user.email,
-            role: user.role,
-            loginTime: new Date().toISOString()
-        };
-        localStorage.setItem('rentarium_session', JSON.stringify(session));
-        return { success: true, user: session };
-    }
+    return RentariumAuth.login(username, password).then(result => {
+        if (result.twoFactor) pendingTwoFactor = result.pending;
+        return started(result);
+    });
+}
 
-    const tenants = JSON.parse(localStorage.getItem('tenants')) || [];
-    const tenant = tenants.find(t => t.username === username && t.password === password);
-
-    if (tenant) {
-        // Check tenant status
-        switch (tenant.status.toLowerCase()) {
-            case 'active':
-                const session = {
-                    userId: tenant.tenantId,
-                    username: tenant.username,
-                    fullName: tenant.name,
-                    email: tenant.email,
-                    role: 'tenant',
-                    tenantId: tenant.tenantId,
-                    unitAssigned: tenant.unitAssigned,
-                    loginTime: new Date().toISOString()
-                };
-                localStorage.setItem('rentarium_session', JSON.stringify(session));
-                return { success: true, user: session };
-
-            case 'pending':
-                return { success: false, error: 'Your account is pending approval.' };
-            case 'expired':
-                return { success: false, error: 'Your account has expired.' };
-            case 'inactive':
-                return { success: false, error: 'Your account is inactive.' };
-            default:
-                return { success: false, error: `Cannot login: ${tenant.status}` };
+// Second step for accounts with two-factor on: an authenticator or recovery code
+// Resolves like login(); restart: true means the password must be entered again
+function verifyTwoFactor(code) {
+    return RentariumAuth.verifyTwoFactor(pendingTwoFactor, code).then(result => {
+        if (result.success || result.restart) pendingTwoFactor = null;
+        if (result.recoveryCodesLeft !== undefined && result.recoveryCodesLeft <= 2) {
+            alert(`You have ${result.recoveryCodesLeft} recovery codes left. Create new ones on the Two-Factor Auth page.`);
         }
-    }
+        return started(result);
+    });
+}
 
-    return { success: false, error: 'Invalid username or password' };
+// Start the session for a successful login
+function started(result) {
+    if (!result.success) return result;
+    return { success: true, user: RentariumSession.start(result.user) };
 }
 
 // Toggle password visibility
@@ -129,6 +117,16 @@ function togglePasswordVisibility() {
     }
 }
 
+// Swap the username and password for the authenticator code field, or back
+function showTwoFactorStep(show) {
+    const code = document.getElementById('twoFactorCode');
+    document.getElementById('credentialsFields').style.display = show ? 'none' : 'block';
+    document.getElementById('twoFactorGroup').style.display = show ? 'block' : 'none';
+    document.getElementById('loginBtn').textContent = show ? 'Verify' : 'Login';
+    code.value = '';
+    if (show) code.focus();
+}
+
 // Handle form submission
 document.getElementById('loginForm').addEventListener('submit', function(e) {
     e.preventDefault();
@@ -136,54 +134,68 @@ document.getElementById('loginForm').addEventListener('submit', function(e) {
     const errorMessage = document.getElementById('errorMessage');
     const successMessage = document.getElementById('successMessage');
     const loginBtn = document.getElementById('loginBtn');
+    const twoFactorStep = pendingTwoFactor !== null;
 
     errorMessage.style.display = 'none';
     successMessage.style.display = 'none';
 
-    if (!validateForm()) return;
-
-    const username = document.getElementById('username').value.trim();
-    const password = document.getElementById('password').value;
+    let attempt;
+    if (twoFactorStep) {
+        const code = document.getElementById('twoFactorCode').value.trim();
+        if (code === '') {
+            document.getElementById('twoFactorError').style.display = 'block';
+            return;
+        }
+        attempt = () => verifyTwoFactor(code);
+    } else {
+        if (!validateForm()) return;
+        const username = document.getElementById('username').value.trim();
+        const password = document.getElementById('password').value;
+        attempt = () => login(username, password);
+    }
 
     loginBtn.disabled = true;
-    loginBtn.textContent = 'Logging in...';
-
-    setTimeout(() => {
-        const result = login(username, password);
+    loginBtn.textContent = twoFactorStep ? 'Verifying...' : 'Logging in...';
 
+    attempt().then(result => {
         if (result.success) {
             successMessage.textContent = 'Login successful! Redirecting...';
             successMessage.style.color = 'green';
             successMessage.style.display = 'block';
 
             setTimeout(() => {
-                if (result.user.role === 'admin') {
-                    window.location.href = '../ADMIN/Admin-Dashboard.html';
-                } else {
-                    window.location.href = '../Users/User-Dashboard.html';
-                }
+                window.location.href = RentariumSession.homePage(result.user);
             }, 1000);
+        } else if (result.twoFactor) {
+            showTwoFactorStep(true);
+            successMessage.textContent = 'Enter the 6-digit code from your authenticator app, or one of your recovery codes.';
+            successMessage.style.display = 'block';
+            loginBtn.disabled = false;
         } else {
+            if (result.restart) showTwoFactorStep(false);
             errorMessage.textContent = result.error;
             errorMessage.style.display = 'block';
             loginBtn.disabled = false;
-            loginBtn.textContent = 'Login';
+            loginBtn.textContent = pendingTwoFactor ? 'Verify' : 'Login';
         }
-    }, 500);
+    }).catch(err => {
+        errorMessage.textContent = err.message;
+        errorMessage.style.display = 'block';
+        loginBtn.disabled = false;
+        loginBtn.textContent = pendingTwoFactor ? 'Verify' : 'Login';
+    });
 });
 
 // Check if already logged in
-window.addEventListener('load', function() {
-    initializeData();
-    
-    const session = localStorage.getItem('rentarium_session');
+RentariumStore.whenReady(async function() {
+    await initializeData();
+
+    // Only a session that is still valid skips the login form
+    const session = RentariumSession.current();
     if (session) {
-        const user = JSON.parse(session);
-        if (user.role === 'admin') {
-            window.location.href = '../ADMIN/Admin-Dashboard.html';
-        } else {
-            window.location.href = '../Users/User-Dashboard.html';
-        }
+        window.location.href = RentariumSession.homePage(session);
+    } else if (RentariumSession.read()) {
+        RentariumSession.end('expired');
     }
 
     // Attach password toggle event listener
@@ -206,4 +218,8 @@ document.getElementById('password').addEventListener('input', function() {
         this.classList.remove('error');
         document.getElementById('passwordError').style.display = 'none';
     }
-});
\ No newline at end of file
+});
+
+document.getElementById('twoFactorCode').addEventListener('input', function() {
+    document.getElementById('twoFactorError').style.display = 'none';
+});
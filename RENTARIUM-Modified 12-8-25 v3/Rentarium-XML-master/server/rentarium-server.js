@@ -0,0 +1,1047 @@
+/**
+ * RENTARIUM LOCAL SERVER
+ * Serves the Rentarium pages and a REST API over one JSON data file, so
+ * admins and tenants on different machines share the same data.
+ *
+ * Usage:  node server/rentarium-server.js
+ *   PORT           port to listen on (default 3000)
+ *   RENTARIUM_DATA path of the data file (default server/data/rentarium.json)
+ *   RENTARIUM_MAIL folder for mail sent with the 'file' transport
+ *                  (default outbox/ next to the data file)
+ *   RENTARIUM_MAX_BODY largest request body accepted, in bytes
+ *                  (default 10 MB, enough for payment proof uploads)
+ *
+ * Then open http://<host>:3000/ and set RentariumStore.BACKEND to 'api'.
+ * A new data file gets one Super Admin, 'admin', whose one-time password
+ * is printed when the server starts. Rent and late fees are posted when it
+ * starts and every hour after.
+ *
+ * Access: logins run here (POST /api/_action/auth.login) and hand out a
+ * session token, sent back as "Authorization: Bearer <token>" (or ?token=
+ * for the event stream). Tokens live in memory, so a restart logs everyone
+ * out. Without one, only RentariumPermissions.PUBLIC_READS can be read and
+ * only public actions run. With one, reads follow RentariumPermissions.READS
+ * and writes RentariumPermissions.WRITES for the session's role, besides
+ * the additions GROWS allows anyone (log entries, mail, ID counters moving
+ * forward, and snapshots from staff). Tenants are only sent and may only change their own
+ * records (TENANT_READS, TENANT_WRITES), and only send the events in
+ * EVENTS about themselves. Anything not listed there is refused. A session
+ * that still has to replace a one-time password may only do that. Password
+ * hashes (secretFields) are never sent, and private collections (reset
+ * codes, two-factor secrets) never leave the server; serverOnly ones (login
+ * lockouts) are only changed by its actions.
+ *
+ * Endpoints (collection names match RentariumStore.COLLECTIONS):
+ *   GET    /api                      collection names
+ *   GET    /api/_all                 every collection and setting the caller may read
+ *   POST   /api/_action/:name        { args: [...] } run one of ACTIONS, answers { result }
+ *   POST   /api/_transaction         { changes: { collection: { upserts, deletes } | { replace } } }
+ *                                    applied all-or-nothing
+ *   GET    /api/events               server-sent change events
+ *   POST   /api/events               relay { events: [...] } to every client
+ *                                    (RentariumPermissions.EVENTS)
+ *   POST   /api/_mail                { id, to, subject, text } saved as a .txt file
+ *                                    (js/rentarium-mail.js 'file' transport, staff only)
+ *   GET    /api/settings/:name       one setting
+ *   PUT    /api/settings/:name       replace one setting (RentariumPermissions.SETTING_WRITES)
+ *   GET    /api/:collection          whole collection (?field=value filters lists)
+ *   PUT    /api/:collection          replace whole collection
+ *   PATCH  /api/:collection          { upserts: [...], deletes: [...] } by id
+ *   POST   /api/:collection          add one record (id field required)
+ *   GET    /api/:collection/:id      one record
+ *   PUT    /api/:collection/:id      add or replace one record
+ *   DELETE /api/:collection/:id      remove one record
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The pages' own modules, loaded as the globals they expect of each other,
+// so logins, password resets, the public forms and billing run the same
+// code here. The store is opened on the data file below
+const MODULES = {
+  RentariumSchema: 'rentarium-schema.js',
+  RentariumIds: 'rentarium-ids.js',
+  RentariumStore: 'rentarium-store.js',
+  RentariumSession: 'rentarium-session.js',
+  RentariumPermissions: 'rentarium-permissions.js',
+  RentariumCredentials: 'rentarium-credentials.js',
+  RentariumLockout: 'rentarium-lockout.js',
+  RentariumTotp: 'rentarium-totp.js',
+  RentariumAuth: 'rentarium-auth.js',
+  RentariumMail: 'rentarium-mail.js',
+  RentariumPasswordReset: 'rentarium-password-reset.js',
+  RentariumWaitlist: 'rentarium-waitlist.js',
+  RentariumUploads: 'rentarium-uploads.js',
+  RentariumApplications: 'rentarium-applications.js',
+  RentariumLedger: 'rentarium-ledger.js',
+  RentariumBilling: 'rentarium-billing.js',
+  RentariumLateFees: 'rentarium-late-fees.js'
+};
+Object.entries(MODULES).forEach(([name, file]) => {
+  global[name] = require(path.join(__dirname, '..', 'js', file));
+});
+
+const PORT = parseInt(process.env.PORT || '3000', 10);
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.resolve(process.env.RENTARIUM_DATA || path.join(__dirname, 'data', 'rentarium.json'));
+const MAIL_DIR = path.resolve(process.env.RENTARIUM_MAIL || path.join(path.dirname(DATA_FILE), 'outbox'));
+const MAX_BODY_BYTES = parseInt(process.env.RENTARIUM_MAX_BODY || String(10 * 1024 * 1024), 10);
+const COLLECTIONS = RentariumStore.COLLECTIONS;
+const SETTINGS = Object.values(RentariumStore.SETTINGS);
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    if (code) this.code = code;
+  }
+}
+
+/* ---------------------------
+   Data file
+--------------------------- */
+let data = loadData();
+const eventClients = new Map();   // response -> token it connected with
+
+function loadData() {
+  const empty = { collections: {}, written: {}, settings: {} };
+  if (!fs.existsSync(DATA_FILE)) return empty;
+
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+  } catch (e) {
+    console.error(`Could not read ${DATA_FILE}:`, e.message);
+    process.exit(1);
+  }
+}
+
+// Write to a temp file then rename, so a crash never leaves half a file
+function persist() {
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = DATA_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+function getCollection(name) {
+  const collection = COLLECTIONS[name];
+  if (!collection) throw new HttpError(404, `Unknown collection: ${name}`);
+  return collection;
+}
+
+function getRecords(name) {
+  const collection = getCollection(name);
+  const records = data.collections[name];
+  if (collection.type === 'map') {
+    return records && typeof records === 'object' && !Array.isArray(records) ? records : {};
+  }
+  return Array.isArray(records) ? records : [];
+}
+
+function setRecords(name, records, source) {
+  data.collections[name] = records;
+  data.written[name] = true;
+  persist();
+  broadcast({ type: 'collection', name, source });
+}
+
+function recordId(collection, record, id) {
+  const value = id ?? (record ? record[collection.idField] : undefined);
+  if (value === undefined || value === null || value === '') {
+    throw new HttpError(400, `Record needs an id (${collection.idField || 'key'})`);
+  }
+  return String(value);
+}
+
+// Add or replace one record in memory (persisted by setRecords)
+function upsert(name, record, id) {
+  const collection = getCollection(name);
+  const records = getRecords(name);
+  const key = recordId(collection, record, id);
+
+  if (collection.type === 'map') {
+    records[key] = record;
+  } else {
+    const index = records.findIndex(r => String(r[collection.idField]) === key);
+    if (index !== -1) records[index] = record;
+    else records.push(record);
+  }
+
+  data.collections[name] = records;
+  return records;
+}
+
+function findRecord(name, id) {
+  const collection = getCollection(name);
+  const records = getRecords(name);
+  return collection.type === 'map'
+    ? (Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null)
+    : records.find(r => String(r[collection.idField]) === String(id)) || null;
+}
+
+function removeRecord(name, id) {
+  const collection = getCollection(name);
+  let records = getRecords(name);
+
+  if (collection.type === 'map') {
+    delete records[id];
+  } else {
+    records = records.filter(r => String(r[collection.idField]) !== String(id));
+  }
+
+  data.collections[name] = records;
+  return records;
+}
+
+// Apply changes to several collections; if any of them is invalid the
+// data is restored and nothing is written
+function applyTransaction(changes, source) {
+  const names = Object.keys(changes);
+  names.forEach(getCollection);
+
+  const snapshot = JSON.stringify(data.collections);
+  try {
+    names.forEach(name => {
+      const change = changes[name] || {};
+      if (change.replace !== undefined) {
+        checkShape(name, change.replace);
+        data.collections[name] = change.replace;
+        return;
+      }
+      (change.deletes || []).forEach(key => removeRecord(name, key));
+      (change.upserts || []).forEach(({ id, record }) => upsert(name, record, id));
+    });
+    names.forEach(name => { data.written[name] = true; });
+    persist();
+  } catch (err) {
+    data.collections = JSON.parse(snapshot);
+    throw err;
+  }
+
+  names.forEach(name => broadcast({ type: 'collection', name, source }));
+}
+
+function checkShape(name, records) {
+  const collection = getCollection(name);
+  const valid = collection.type === 'map'
+    ? records && typeof records === 'object' && !Array.isArray(records)
+    : Array.isArray(records);
+  if (!valid) throw new HttpError(400, `${name} must be ${collection.type === 'map' ? 'an object' : 'an array'}`);
+}
+
+/* ---------------------------
+   Change events
+--------------------------- */
+// Clients hear which collections and settings changed when they may read
+// them. Relayed domain events can carry record details: staff hear them
+// all, tenants only those about themselves
+function broadcast(event) {
+  const message = `data: ${JSON.stringify(event)}\n\n`;
+  eventClients.forEach((token, res) => {
+    const session = (token && sessions.get(token)) || null;
+    if (event.type === 'event' && !hearsEvents(event.message.events, session)) return;
+    if (event.type === 'collection' && !canRead(event.name, session)) return;
+    if (event.type === 'setting' && !RentariumPermissions.canReadSetting(settingName(event.name), session)) return;
+    res.write(message);
+  });
+}
+
+function hearsEvents(events, session) {
+  if (!session) return false;
+  return RentariumPermissions.isStaff(session.role) || events.every(e => e && e.id === session.username);
+}
+
+function openEventStream(req, res, token) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(': connected\n\n');
+  eventClients.set(res, token);
+  req.on('close', () => eventClients.delete(res));
+}
+
+/* ---------------------------
+   Sessions
+--------------------------- */
+// token -> session, as RentariumSession.create() makes it
+const sessions = new Map();
+// id -> login waiting for its two-factor code (RentariumAuth.login())
+const pendingLogins = new Map();
+
+function tokenOf(req, url) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+}
+
+// The session behind a request, or null. The browser ends sessions that
+// sit idle; here they end at their absolute limit, on logout, and when the
+// account is disabled or signed out
+function callerOf(token) {
+  const session = token ? sessions.get(token) : null;
+  if (!session) return null;
+
+  const reason = Date.now() >= session.expiresAt ? 'expired'
+    : RentariumSession.isRevoked(session) ? 'revoked'
+    : null;
+  if (reason) {
+    endSession(token, reason);
+    return null;
+  }
+  return session;
+}
+
+function startSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { ...RentariumSession.create(user), apiToken: token });
+  return token;
+}
+
+function endSession(token, reason) {
+  const session = sessions.get(token);
+  if (!session) return;
+  sessions.delete(token);
+  RentariumStore.logSecurityEvent(RentariumSession.END_EVENTS[reason] || 'LOGOUT', {
+    username: session.username,
+    role: session.role
+  });
+}
+
+// A right password gets a token, or, with two-factor on, an id for the
+// code step. The pending login itself never leaves the server
+function signedIn(result) {
+  if (result.pending) {
+    const now = Date.now();
+    pendingLogins.forEach((pending, id) => { if (pending.expiresAt <= now) pendingLogins.delete(id); });
+    const id = crypto.randomBytes(32).toString('hex');
+    pendingLogins.set(id, result.pending);
+    return { ...result, pending: { id, expiresAt: result.pending.expiresAt } };
+  }
+  if (result.success) {
+    return { ...result, user: { ...result.user, apiToken: startSession(result.user) } };
+  }
+  return result;
+}
+
+/* ---------------------------
+   Actions
+--------------------------- */
+// Work the pages hand over with RentariumStore.remote(), because it needs
+// data they are never sent or writes their role may not make. public ones
+// run without a session, and permission is checked against the caller's.
+// run(args, caller, address) resolves with the answer; modules that check
+// permissions themselves are passed the caller, as the server has no
+// logged-in user
+const ACTIONS = {
+  'auth.login': {
+    public: true,
+    run: ([username, password]) => RentariumAuth.login(String(username ?? ''), String(password ?? '')).then(signedIn)
+  },
+  'auth.verifyTwoFactor': {
+    public: true,
+    run: ([pending, code]) => {
+      const id = pending && String(pending.id);
+      return RentariumAuth.verifyTwoFactor(pendingLogins.get(id) || null, String(code ?? '')).then(result => {
+        if (result.success || result.restart) pendingLogins.delete(id);
+        return signedIn(result);
+      });
+    }
+  },
+  'auth.logout': {
+    run: ([reason], caller) => endSession(caller.apiToken, reason)
+  },
+  'credentials.changePassword': {
+    run: ([current, next], caller) => RentariumCredentials.changePassword(caller, String(current ?? ''), String(next ?? ''))
+      .then(account => {
+        delete caller.mustChangePassword;
+        return RentariumCredentials.withoutSecrets(account);
+      })
+  },
+  'passwordReset.request': {
+    public: true,
+    run: ([identifier], caller, address) => {
+      limitResetRequests(String(identifier ?? ''), address);
+      return RentariumPasswordReset.request(String(identifier ?? ''));
+    }
+  },
+  'passwordReset.redeem': {
+    public: true,
+    run: ([identifier, code, password]) => RentariumPasswordReset.redeem(String(identifier ?? ''), String(code ?? ''), String(password ?? ''))
+      .then(account => RentariumCredentials.withoutSecrets(account))
+  },
+  'applications.submit': {
+    public: true,
+    run: ([form]) => RentariumApplications.submit(plainObject(form))
+  },
+  'waitlist.join': {
+    public: true,
+    run: ([form]) => RentariumWaitlist.join(plainObject(form))
+  },
+  'waitlist.expireHolds': {
+    public: true,
+    run: () => RentariumWaitlist.expireHolds()
+  },
+  'totp.enable': {
+    run: ([secret, code], caller) => RentariumTotp.enable(staffId(caller), String(secret ?? ''), String(code ?? ''))
+  },
+  'totp.regenerateRecoveryCodes': {
+    run: ([code], caller) => RentariumTotp.regenerateRecoveryCodes(staffId(caller), String(code ?? ''))
+  },
+  'totp.turnOff': {
+    run: ([code], caller) => RentariumTotp.turnOff(staffId(caller), String(code ?? ''))
+  },
+  'totp.disable': {
+    run: ([userId], caller) => RentariumTotp.disable(userId, { session: caller })
+  },
+  'lockout.unlock': {
+    run: ([username], caller) => RentariumLockout.unlock(String(username ?? ''), caller)
+  },
+  'billing.run': {
+    permission: 'billing.manage',
+    run: () => RentariumBilling.run()
+  },
+  'lateFees.assess': {
+    permission: 'billing.manage',
+    run: () => RentariumLateFees.assess()
+  }
+};
+
+// What a session may still do while it has to replace a one-time or
+// reset password
+const PASSWORD_CHANGE_ACTIONS = ['credentials.changePassword', 'auth.logout'];
+
+// Reset codes are asked for at most once per RESEND_SECONDS for any name,
+// with an account or not, and RESET_REQUESTS_PER_ADDRESS times per
+// RESET_WINDOW_MS from one address
+const RESET_REQUESTS_PER_ADDRESS = 10;
+const RESET_WINDOW_MS = 15 * 60 * 1000;
+const resetRequests = new Map();   // 'name:<username>' or 'address:<ip>' -> request times
+
+function limitResetRequests(identifier, address) {
+  const now = Date.now();
+  const recent = (key, windowMs) => (resetRequests.get(key) || []).filter(time => now - time < windowMs);
+  resetRequests.forEach((times, key) => {
+    if (times.every(time => now - time >= RESET_WINDOW_MS)) resetRequests.delete(key);
+  });
+
+  const resendMs = RentariumPasswordReset.RESEND_SECONDS * 1000;
+  const nameKey = 'name:' + RentariumPasswordReset.key(identifier);
+  const addressKey = 'address:' + address;
+  if (recent(nameKey, resendMs).length > 0) {
+    throw new HttpError(429, `A code was just sent. Wait ${RentariumPasswordReset.RESEND_SECONDS} seconds before asking again.`);
+  }
+  const fromAddress = recent(addressKey, RESET_WINDOW_MS);
+  if (fromAddress.length >= RESET_REQUESTS_PER_ADDRESS) {
+    throw new HttpError(429, 'Too many reset requests from this address. Try again later.');
+  }
+
+  resetRequests.set(nameKey, [now]);
+  resetRequests.set(addressKey, [...fromAddress, now]);
+}
+
+// Two-factor is for staff accounts only, and only ever your own
+function staffId(caller) {
+  if (!RentariumPermissions.isStaff(caller.role)) throw new HttpError(403, 'Two-factor authentication is for staff accounts');
+  return caller.userId;
+}
+
+function plainObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new HttpError(400, 'Expected an object');
+  return value;
+}
+
+function runAction(name, args, caller, address) {
+  const action = Object.prototype.hasOwnProperty.call(ACTIONS, name) ? ACTIONS[name] : null;
+  if (!action) throw new HttpError(404, `Unknown action: ${name}`);
+  if (!action.public && !caller) throw new HttpError(401, 'Log in first');
+  if (action.permission) {
+    try {
+      RentariumPermissions.assert(action.permission, caller);
+    } catch (err) {
+      throw new HttpError(403, err.message);
+    }
+  }
+  if (!Array.isArray(args)) throw new HttpError(400, 'Expected { args: [...] }');
+
+  return Promise.resolve()
+    .then(() => action.run(args, caller, address))
+    .catch(err => {
+      // What the modules throw is meant for the user (wrong code, username
+      // taken); programming errors still answer 500
+      if (err instanceof HttpError || err instanceof TypeError || err instanceof ReferenceError) throw err;
+      throw new HttpError(400, err.message, err.code);
+    });
+}
+
+/* ---------------------------
+   Access checks
+--------------------------- */
+function canRead(name, caller) {
+  return !getCollection(name).private && RentariumPermissions.canRead(name, caller);
+}
+
+function assertCanRead(name, caller) {
+  if (!canRead(name, caller)) {
+    throw caller ? new HttpError(403, `Your role cannot read ${name}`) : new HttpError(401, 'Log in first');
+  }
+}
+
+// The records of a collection the caller is sent: tenants only get their own
+function readable(name, records, caller) {
+  return RentariumPermissions.readableRecords(name, records, caller);
+}
+
+// Settings as the caller may read them, by storage key
+function readableSettings(caller) {
+  return Object.fromEntries(Object.entries(data.settings)
+    .filter(([key]) => RentariumPermissions.canReadSetting(settingName(key), caller)));
+}
+
+// Records as clients get them: without password hashes
+function present(name, records) {
+  const fields = getCollection(name).secretFields;
+  if (!fields || !records) return records;
+  const strip = record => {
+    const copy = { ...record };
+    fields.forEach(field => delete copy[field]);
+    return copy;
+  };
+  if (Array.isArray(records)) return records.map(strip);
+  return records[getCollection(name).idField] !== undefined ? strip(records) : records;
+}
+
+// Clients never have the hashes, so a record they send keeps the stored
+// ones unless it brings a new password hash of its own
+function withStoredSecrets(name, record, key) {
+  const fields = getCollection(name).secretFields;
+  if (!fields || !record || record.passwordHash) return record;
+  const stored = findRecord(name, key);
+  if (!stored) return record;
+  const kept = { ...record };
+  fields.forEach(field => { if (stored[field] !== undefined) kept[field] = stored[field]; });
+  return kept;
+}
+
+function keepSecrets(name, change) {
+  const collection = getCollection(name);
+  if (!collection.secretFields) return change;
+  if (change.replace !== undefined) {
+    const replace = collection.type === 'map'
+      ? Object.fromEntries(Object.entries(change.replace).map(([key, record]) => [key, withStoredSecrets(name, record, key)]))
+      : change.replace.map(record => withStoredSecrets(name, record, recordId(collection, record)));
+    return { replace };
+  }
+  return {
+    ...change,
+    upserts: (change.upserts || []).map(({ id, record }) => ({ id, record: withStoredSecrets(name, record, recordId(collection, record, id)) }))
+  };
+}
+
+/**
+ * Throw unless a change is well formed and the caller may make all of it,
+ * before any of it is applied
+ * @param {object} change - { upserts: [{ id, record }], deletes: [id] } or { replace }
+ */
+function checkChange(name, change, caller) {
+  const collection = getCollection(name);
+  if (collection.private || collection.serverOnly) throw new HttpError(403, `${name} is only changed by the server`);
+  if (!caller) throw new HttpError(401, 'Log in first');
+
+  if (!change || typeof change !== 'object' || Array.isArray(change)) {
+    throw new HttpError(400, `The change to ${name} must be an object`);
+  }
+  // Collections the caller cannot read only take new records from them
+  const readable = canRead(name, caller);
+
+  if (change.replace !== undefined) {
+    checkShape(name, change.replace);
+    const records = collection.type === 'map' ? Object.values(change.replace) : change.replace;
+    if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new HttpError(400, `Every record in ${name} must be an object`);
+    }
+    if (collection.type === 'list') records.forEach(record => recordId(collection, record));
+    if (!readable) throw new HttpError(403, `Your role can only add records to ${name}`);
+    checkWrite(name, caller, () => RentariumStore.changedRecords(name, getRecords(name), change.replace));
+    return checkFiles(name, () => RentariumStore.changedRecords(name, getRecords(name), change.replace) ||
+      records.map(after => ({ before: null, after })));
+  }
+
+  const upserts = change.upserts ?? [];
+  const deletes = change.deletes ?? [];
+  if (!Array.isArray(upserts) || !Array.isArray(deletes)) {
+    throw new HttpError(400, `upserts and deletes for ${name} must be arrays`);
+  }
+  deletes.forEach(key => {
+    if (typeof key !== 'string' && typeof key !== 'number') throw new HttpError(400, `Ids to delete from ${name} must be strings or numbers`);
+  });
+  const keys = upserts.map(entry => {
+    if (!entry || typeof entry !== 'object' || !entry.record || typeof entry.record !== 'object' || Array.isArray(entry.record)) {
+      throw new HttpError(400, `Every upsert to ${name} needs a record object`);
+    }
+    const key = recordId(collection, entry.record, entry.id);
+    const own = collection.type === 'list' ? entry.record[collection.idField] : undefined;
+    if (own !== undefined && own !== null && String(own) !== key) {
+      throw new HttpError(400, `Record id ${own} does not match ${key} in ${name}`);
+    }
+    return key;
+  });
+
+  if (!readable && (deletes.length > 0 || keys.some(key => findRecord(name, key)))) {
+    throw new HttpError(403, `Your role can only add records to ${name}`);
+  }
+  const changes = () => [
+    ...upserts.map((entry, index) => ({ id: keys[index], before: findRecord(name, keys[index]), after: entry.record })),
+    ...deletes.map(key => ({ id: String(key), before: findRecord(name, key), after: null }))
+  ];
+  checkWrite(name, caller, changes);
+  checkFiles(name, changes);
+}
+
+// The caller's role or, for tenants, the records themselves decide
+// (RentariumPermissions.assertCanWrite)
+function checkWrite(name, caller, changes) {
+  try {
+    RentariumPermissions.assertCanWrite(name, caller, changes);
+  } catch (err) {
+    throw new HttpError(403, err.message);
+  }
+}
+
+// Uploads end up on the admin pages (RentariumStore.fileProblem)
+function checkFiles(name, changes) {
+  if (!getCollection(name).fileField) return;
+  const problem = RentariumStore.fileProblem(name, changes());
+  if (problem) throw new HttpError(400, problem);
+}
+
+function settingName(key) {
+  return Object.keys(RentariumStore.SETTINGS).find(name => RentariumStore.SETTINGS[name] === key);
+}
+
+function saveSetting(key, value, source) {
+  data.settings[key] = value;
+  persist();
+  broadcast({ type: 'setting', name: key, source });
+}
+
+/* ---------------------------
+   Mail files
+--------------------------- */
+// One text file per message; the name comes from the message id so a
+// client cannot write outside the mail folder
+function saveMail(message) {
+  if (!message || !message.id || !message.to) throw new HttpError(400, 'Mail needs an id and a recipient');
+
+  const fileName = String(message.id).replace(/[^A-Za-z0-9_-]/g, '_') + '.txt';
+  const text = [
+    `To: ${message.to}`,
+    `Subject: ${message.subject || ''}`,
+    `Date: ${message.sentAt || new Date().toISOString()}`,
+    '',
+    message.text || ''
+  ].join('\n');
+
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  fs.writeFileSync(path.join(MAIL_DIR, fileName), text);
+  return fileName;
+}
+
+/* ---------------------------
+   HTTP helpers
+--------------------------- */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Rentarium-Client'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+// Larger bodies are refused with 413 and the rest of the upload is ignored
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      const body = Buffer.concat(chunks).toString('utf8');
+      if (!body) return resolve(null);
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function serveStatic(pathname, res) {
+  if (pathname === '/') {
+    res.writeHead(302, { Location: '/ADMIN/Landing-Page.html' });
+    return res.end();
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (e) {
+    res.writeHead(400);
+    return res.end('Bad request');
+  }
+
+  const filePath = path.resolve(ROOT, '.' + decoded);
+  if (!filePath.startsWith(ROOT + path.sep) ||
+      filePath.startsWith(path.dirname(DATA_FILE) + path.sep) ||
+      filePath.startsWith(MAIL_DIR + path.sep)) {
+    res.writeHead(403);
+    return res.end('Forbidden');
+  }
+
+  fs.readFile(filePath, (err, content) => {
+    if (err) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+/* ---------------------------
+   API routes
+--------------------------- */
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch (e) {
+    throw new HttpError(400, `Malformed URL: ${part}`);
+  }
+}
+
+async function handleApi(req, res, url) {
+  const parts = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean).map(decodePart);
+  const source = req.headers['x-rentarium-client'] || null;
+  const method = req.method;
+  const token = tokenOf(req, url);
+  let caller = callerOf(token);
+
+  // A token the server no longer knows: the page should log in again
+  if (token && !caller && !(parts[0] === '_action' && ACTIONS[parts[1]] && ACTIONS[parts[1]].public)) {
+    throw new HttpError(401, 'Your session has ended. Log in again.');
+  }
+
+  // Until a one-time or reset password is replaced the token only changes
+  // it; reads are answered as they are before login
+  if (caller && caller.mustChangePassword && !(parts[0] === '_action' && PASSWORD_CHANGE_ACTIONS.includes(parts[1]))) {
+    if (method !== 'GET') throw new HttpError(403, 'Change your password first', 'MUST_CHANGE_PASSWORD');
+    caller = null;
+  }
+
+  if (parts.length === 0) {
+    return sendJson(res, 200, { collections: Object.keys(COLLECTIONS), settings: SETTINGS });
+  }
+
+  if (parts[0] === '_all' && method === 'GET') {
+    const collections = {};
+    Object.keys(COLLECTIONS).forEach(name => {
+      if (canRead(name, caller)) collections[name] = present(name, readable(name, getRecords(name), caller));
+    });
+    return sendJson(res, 200, { collections, written: data.written, settings: readableSettings(caller) });
+  }
+
+  if (parts[0] === '_action' && method === 'POST') {
+    const body = (await readBody(req)) || {};
+    const result = await runAction(parts[1], body.args, caller, req.socket.remoteAddress);
+    return sendJson(res, 200, { result: result === undefined ? null : result });
+  }
+
+  if (parts[0] === '_transaction' && method === 'POST') {
+    const body = await readBody(req);
+    const changes = (body && body.changes) || {};
+    if (typeof changes !== 'object' || Array.isArray(changes)) throw new HttpError(400, 'Expected { changes: { collection: change } }');
+    Object.entries(changes).forEach(([name, change]) => checkChange(name, change, caller));
+    Object.keys(changes).forEach(name => { changes[name] = keepSecrets(name, changes[name]); });
+    applyTransaction(changes, source);
+    return sendJson(res, 200, { saved: true });
+  }
+
+  if (parts[0] === '_mail' && method === 'POST') {
+    if (!caller) throw new HttpError(401, 'Log in first');
+    if (!RentariumPermissions.isStaff(caller.role)) throw new HttpError(403, 'Only staff send mail');
+    const file = saveMail(await readBody(req));
+    return sendJson(res, 201, { saved: true, file });
+  }
+
+  if (parts[0] === 'events') {
+    if (method === 'GET') return openEventStream(req, res, caller ? token : null);
+    if (method === 'POST') {
+      if (!caller) throw new HttpError(401, 'Log in first');
+      const message = await readBody(req);
+      if (!message || !Array.isArray(message.events)) throw new HttpError(400, 'Expected { events: [...] }');
+      try {
+        RentariumPermissions.assertCanPublish(message.events, caller);
+      } catch (err) {
+        throw new HttpError(403, err.message);
+      }
+      broadcast({ type: 'event', message, source });
+      return sendJson(res, 202, { relayed: true });
+    }
+    throw new HttpError(405, `${method} not allowed on events`);
+  }
+
+  if (parts[0] === 'settings' && parts[1]) {
+    const key = parts[1];
+    if (!SETTINGS.includes(key)) throw new HttpError(404, `Unknown setting: ${key}`);
+
+    if (method === 'GET') {
+      if (!RentariumPermissions.canReadSetting(settingName(key), caller)) {
+        throw caller ? new HttpError(403, `Your role cannot read ${key}`) : new HttpError(401, 'Log in first');
+      }
+      return sendJson(res, 200, data.settings[key] ?? null);
+    }
+    if (method === 'PUT') {
+      if (!caller) throw new HttpError(401, 'Log in first');
+      try {
+        RentariumPermissions.assertCanSaveSetting(settingName(key), caller);
+      } catch (err) {
+        throw new HttpError(403, err.message);
+      }
+      saveSetting(key, await readBody(req), source);
+      return sendJson(res, 200, data.settings[key]);
+    }
+    throw new HttpError(405, `${method} not allowed on settings`);
+  }
+
+  const [name, id] = parts;
+  const collection = getCollection(name);
+
+  if (id === undefined) {
+    switch (method) {
+      case 'GET': {
+        assertCanRead(name, caller);
+        let records = readable(name, getRecords(name), caller);
+        const filters = [...url.searchParams.entries()].filter(([field]) => field !== 'token');
+        if (filters.length > 0 && collection.type === 'list') {
+          records = records.filter(r => filters.every(([field, value]) => String(r[field]) === value));
+        }
+        return sendJson(res, 200, present(name, records));
+      }
+      case 'PUT': {
+        const change = { replace: await readBody(req) };
+        checkChange(name, change, caller);
+        setRecords(name, keepSecrets(name, change).replace, source);
+        return sendJson(res, 200, { saved: true });
+      }
+      case 'PATCH': {
+        const change = (await readBody(req)) || {};
+        checkChange(name, change, caller);
+        applyTransaction({ [name]: keepSecrets(name, change) }, source);
+        return sendJson(res, 200, { saved: true });
+      }
+      case 'POST': {
+        const record = await readBody(req);
+        const change = { upserts: [{ record }] };
+        checkChange(name, change, caller);
+        const key = recordId(collection, record);
+        if (collection.type === 'list' && findRecord(name, key)) {
+          throw new HttpError(409, `${name} already has a record with id ${key}`);
+        }
+        setRecords(name, upsert(name, record), source);
+        return sendJson(res, 201, present(name, record));
+      }
+      default:
+        throw new HttpError(405, `${method} not allowed on ${name}`);
+    }
+  }
+
+  switch (method) {
+    case 'GET': {
+      assertCanRead(name, caller);
+      const record = findRecord(name, id);
+      const visible = record && (collection.type === 'map'
+        ? Object.keys(readable(name, { [id]: record }, caller)).length > 0
+        : readable(name, [record], caller).length > 0);
+      if (!visible) throw new HttpError(404, `${name} ${id} not found`);
+      return sendJson(res, 200, present(name, record));
+    }
+    case 'PUT': {
+      const change = { upserts: [{ id, record: await readBody(req) }] };
+      checkChange(name, change, caller);
+      const [{ record }] = keepSecrets(name, change).upserts;
+      setRecords(name, upsert(name, record, id), source);
+      return sendJson(res, 200, present(name, record));
+    }
+    case 'DELETE':
+      checkChange(name, { deletes: [id] }, caller);
+      setRecords(name, removeRecord(name, id), source);
+      return sendJson(res, 204);
+    default:
+      throw new HttpError(405, `${method} not allowed on ${name}/${id}`);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch (e) {
+    res.writeHead(400);
+    return res.end('Bad request');
+  }
+
+  if (!url.pathname.startsWith('/api')) {
+    return serveStatic(url.pathname, res);
+  }
+  if (req.method === 'OPTIONS') {
+    return sendJson(res, 204);
+  }
+
+  handleApi(req, res, url).catch(err => {
+    if (!(err instanceof HttpError)) console.error(err);
+    if (res.headersSent) return res.end();
+    // Stop reading a body that was refused for its size once the answer is out
+    if (err.status === 413) res.once('finish', () => req.destroy());
+    sendJson(res, err.status || 500, { error: err.message, code: err.code });
+  });
+});
+
+/* ---------------------------
+   Start-up
+--------------------------- */
+// RentariumStore on the data file, for the modules run by ACTIONS.
+// Changes reach clients through setRecords() and applyTransaction()
+const dataBackend = {
+  notifiesChanges: true,
+
+  init() {
+    return Promise.resolve();
+  },
+
+  exists(name) {
+    return !!data.written[name];
+  },
+
+  getAll(name) {
+    return JSON.parse(JSON.stringify(getRecords(name)));
+  },
+
+  saveAll(name, records) {
+    setRecords(name, JSON.parse(JSON.stringify(records)), null);
+    return true;
+  },
+
+  saveMany(changes) {
+    const replaced = {};
+    Object.entries(changes).forEach(([name, records]) => {
+      replaced[name] = { replace: JSON.parse(JSON.stringify(records)) };
+    });
+    applyTransaction(replaced, null);
+    return Promise.resolve();
+  },
+
+  queryIndex(name, indexName, value) {
+    return Promise.resolve(RentariumStore.findBy(name, indexName, value));
+  },
+
+  getSetting(key, fallback) {
+    return data.settings[key] ?? fallback;
+  },
+
+  saveSetting(key, value) {
+    saveSetting(key, value, null);
+    return true;
+  }
+};
+
+// Mail the server sends itself goes straight into the mail folder
+RentariumMail.addTransport('file', {
+  send(message) {
+    saveMail(message);
+    return Promise.resolve(message);
+  }
+});
+
+// Rent and late fees are posted here, so tenants see their charges
+// without waiting for staff to open a page
+const UPKEEP_MS = 60 * 60 * 1000;
+
+function upkeep() {
+  RentariumBilling.run()
+    .then(() => RentariumLateFees.assess())
+    .catch(err => console.error('Billing run failed:', err));
+}
+
+// A new data file has no accounts: create the Super Admin with a one-time
+// password, to be replaced at the first login
+function ensureAdmin() {
+  if (RentariumStore.getAll('users').length > 0) return Promise.resolve();
+
+  const password = RentariumCredentials.generateTemporaryPassword(12);
+  return RentariumCredentials.hashPassword(password).then(passwordHash => {
+    RentariumStore.asSystem(() => RentariumStore.saveAll('users', [{
+      id: 1,
+      username: 'admin',
+      fullName: 'System Administrator',
+      email: 'admin@rentarium.com',
+      role: RentariumPermissions.SUPER_ADMIN,
+      status: 'active',
+      passwordHash,
+      mustChangePassword: true,
+      createdAt: new Date().toISOString(),
+      createdBy: 'server'
+    }]));
+    console.log(`🔑 Created the 'admin' account. One-time password: ${password}`);
+  });
+}
+
+RentariumStore.useBackend(dataBackend)
+  .then(() => {
+    RentariumStore.asSystem(() => RentariumSchema.migrate(RentariumStore));
+    return ensureAdmin();
+  })
+  .then(() => {
+    upkeep();
+    setInterval(upkeep, UPKEEP_MS);
+    server.listen(PORT, () => {
+      console.log(`🏠 Rentarium server running at http://localhost:${PORT}/`);
+      console.log(`📁 Data file: ${DATA_FILE}`);
+      console.log(`📬 Mail folder: ${MAIL_DIR}`);
+    });
+  })
+  .catch(err => {
+    console.error('Could not start the Rentarium server:', err);
+    process.exit(1);
+  });